@@ -0,0 +1,469 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { body, validationResult } = require('express-validator');
+const { roleFor, signAccessToken, sessionIdOf } = require('../middleware/auth');
+const users = require('../lib/users');
+const sessions = require('../lib/sessions');
+const alerts = require('../lib/alerts');
+const digests = require('../lib/digests');
+
+// Access and refresh tokens for a session, as sent to the client
+function sessionTokens(user, session, refreshToken) {
+  const token = signAccessToken(user, session.id);
+  return {
+    token,
+    tokenExpiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+    refreshToken
+  };
+}
+
+// Registration with GDPR compliance
+const register = {
+  validate: [
+    body('email').isEmail().normalizeEmail(),
+    body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+    body('consent').equals('true').withMessage('Consent to data processing required'),
+    body('age').isInt({ min: 13 }).withMessage('Must be at least 13 years old')
+  ],
+  async handle(req) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return {
+          status: 400,
+          body: {
+            error: 'Validation failed',
+            details: errors.array()
+          }
+        };
+      }
+
+      const { email, password, consent, age } = req.body;
+
+      // Check if user already exists
+      const existingUser = await users.findByEmail(email);
+      if (existingUser) {
+        return {
+          status: 400,
+          body: {
+            error: 'User already exists',
+            message: 'An account with this email already exists'
+          }
+        };
+      }
+
+      // Hash password
+      const saltRounds = 12;
+      const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+      // Create user with GDPR compliance data
+      const user = await users.createUser({
+        id: Date.now().toString(),
+        email,
+        password: hashedPassword,
+        consent: {
+          dataProcessing: consent === 'true',
+          timestamp: new Date().toISOString(),
+          ipAddress: req.ip
+        },
+        age,
+        createdAt: new Date().toISOString(),
+        lastLogin: null,
+        dataRetention: {
+          expiresAt: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(), // 1 year
+          purpose: 'Service provision'
+        }
+      });
+
+      // Log registration for compliance
+      console.log(`User registered: ${email}, IP: ${req.ip}, Consent: ${consent}`);
+
+      return {
+        status: 201,
+        body: {
+          message: 'User registered successfully',
+          user: {
+            id: user.id,
+            email: user.email,
+            createdAt: user.createdAt
+          },
+          gdpr: {
+            dataProcessing: 'Consent-based',
+            retention: '1 year or until account deletion',
+            rights: 'Access, rectification, erasure, portability'
+          }
+        }
+      };
+
+    } catch (error) {
+      // Lost a race with another registration for the same email
+      if (error instanceof users.DuplicateUserError) {
+        return {
+          status: 400,
+          body: {
+            error: 'User already exists',
+            message: 'An account with this email already exists'
+          }
+        };
+      }
+      console.error('Registration error:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Registration failed',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// Login
+const login = {
+  validate: [
+    body('email').isEmail().normalizeEmail(),
+    body('password').notEmpty()
+  ],
+  async handle(req) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return {
+          status: 400,
+          body: {
+            error: 'Invalid credentials',
+            message: 'Please check your email and password'
+          }
+        };
+      }
+
+      const { email, password } = req.body;
+
+      // Find user
+      const user = await users.findByEmail(email);
+      if (!user) {
+        return {
+          status: 401,
+          body: {
+            error: 'Invalid credentials',
+            message: 'Email or password is incorrect'
+          }
+        };
+      }
+
+      // Verify password
+      const isValidPassword = await bcrypt.compare(password, user.password);
+      if (!isValidPassword) {
+        return {
+          status: 401,
+          body: {
+            error: 'Invalid credentials',
+            message: 'Email or password is incorrect'
+          }
+        };
+      }
+
+      // Update last login
+      const { lastLogin } = await users.updateUser(user.id, { lastLogin: new Date().toISOString() });
+
+      // Start a session: a short-lived access token and a refresh token
+      const { session, refreshToken } = await sessions.startSession(user.id, {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+
+      // Log login for compliance
+      console.log(`User login: ${email}, IP: ${req.ip}`);
+
+      return {
+        body: {
+          message: 'Login successful',
+          ...sessionTokens(user, session, refreshToken),
+          user: {
+            id: user.id,
+            email: user.email,
+            role: roleFor(user.email),
+            lastLogin
+          },
+          gdpr: {
+            dataProcessing: 'Authentication and service provision',
+            retention: 'Session data deleted after logout'
+          }
+        }
+      };
+
+    } catch (error) {
+      console.error('Login error:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Login failed',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// Exchange a refresh token for new tokens; each refresh token works once
+const refresh = {
+  validate: [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token required')
+  ],
+  async handle(req) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return {
+          status: 400,
+          body: {
+            error: 'Validation failed',
+            details: errors.array()
+          }
+        };
+      }
+
+      const { session, refreshToken } = await sessions.rotate(req.body.refreshToken);
+      const user = await users.findById(session.userId);
+      if (!user) {
+        await sessions.endSession(session.id);
+        throw new sessions.RefreshTokenError('Account no longer exists', 'unknown');
+      }
+
+      return {
+        body: {
+          message: 'Token refreshed',
+          ...sessionTokens(user, session, refreshToken)
+        }
+      };
+
+    } catch (error) {
+      if (error instanceof sessions.RefreshTokenError) {
+        if (error.reason === 'reused') {
+          console.log(`Refresh token reuse detected, session revoked: IP: ${req.ip}`);
+        }
+        return {
+          status: 401,
+          body: {
+            error: 'Invalid refresh token',
+            message: 'Please log in again'
+          }
+        };
+      }
+      console.error('Token refresh error:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Token refresh failed',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// Logout ends the session named by the access token (even an expired one)
+// or by the refresh token, so neither can be used again
+const logout = {
+  async handle(req) {
+    try {
+      const sessionId = sessionIdOf(req.headers);
+      if (sessionId) {
+        await sessions.endSession(sessionId);
+      }
+      if (req.body.refreshToken) {
+        await sessions.endSessionFor(req.body.refreshToken);
+      }
+
+      console.log(`User logout: IP: ${req.ip}`);
+
+      return {
+        body: {
+          message: 'Logout successful',
+          gdpr: {
+            dataProcessing: 'Session data cleared',
+            retention: 'No persistent data retained'
+          }
+        }
+      };
+
+    } catch (error) {
+      console.error('Logout error:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Logout failed',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// Change password; every session is signed out and this one starts afresh
+const changePassword = {
+  auth: 'user',
+  validate: [
+    body('currentPassword').notEmpty().withMessage('Current password required'),
+    body('newPassword').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+  ],
+  async handle(req) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return {
+          status: 400,
+          body: {
+            error: 'Validation failed',
+            details: errors.array()
+          }
+        };
+      }
+
+      const user = await users.findById(req.user.userId);
+      if (!user) {
+        return { status: 404, body: { error: 'User not found' } };
+      }
+
+      const isValidPassword = await bcrypt.compare(req.body.currentPassword, user.password);
+      if (!isValidPassword) {
+        return {
+          status: 401,
+          body: {
+            error: 'Invalid credentials',
+            message: 'Current password is incorrect'
+          }
+        };
+      }
+
+      const saltRounds = 12;
+      await users.updateUser(user.id, { password: await bcrypt.hash(req.body.newPassword, saltRounds) });
+      await sessions.endAllSessions(user.id, 'password-change');
+      const { session, refreshToken } = await sessions.startSession(user.id, {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+
+      // Log password change for security
+      console.log(`Password changed: ${user.email}, IP: ${req.ip}`);
+
+      return {
+        body: {
+          message: 'Password changed successfully',
+          ...sessionTokens(user, session, refreshToken)
+        }
+      };
+
+    } catch (error) {
+      console.error('Password change error:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Password change failed',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// Get user data (GDPR right to access)
+const getProfile = {
+  auth: 'user',
+  async handle(req) {
+    try {
+      const user = await users.findById(req.user.userId);
+      if (!user) {
+        return { status: 404, body: { error: 'User not found' } };
+      }
+
+      return {
+        body: {
+          user: {
+            id: user.id,
+            email: user.email,
+            createdAt: user.createdAt,
+            lastLogin: user.lastLogin,
+            consent: user.consent,
+            dataRetention: user.dataRetention
+          },
+          gdpr: {
+            rights: [
+              'Right to access your data',
+              'Right to rectification',
+              'Right to erasure',
+              'Right to data portability',
+              'Right to object to processing'
+            ]
+          }
+        }
+      };
+
+    } catch (error) {
+      console.error('Profile error:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to fetch profile',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// Delete user account (GDPR right to erasure)
+const deleteProfile = {
+  auth: 'user',
+  async handle(req) {
+    try {
+      const user = await users.findById(req.user.userId);
+      if (!user) {
+        return { status: 404, body: { error: 'User not found' } };
+      }
+
+      // Keyword alerts, digest subscriptions and their logs go with the
+      // account, and its sessions, which signs it out everywhere
+      await alerts.deleteRulesForUser(user.id);
+      await digests.deleteForUser(user.id);
+      await sessions.deleteSessions(user.id);
+
+      // Log deletion for compliance
+      console.log(`User account deleted: ${user.email}, IP: ${req.ip}`);
+
+      await users.deleteUser(user.id);
+
+      return {
+        body: {
+          message: 'Account deleted successfully',
+          gdpr: {
+            dataProcessing: 'Account and associated data permanently deleted',
+            retention: 'No data retained after deletion'
+          }
+        }
+      };
+
+    } catch (error) {
+      console.error('Account deletion error:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Account deletion failed',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+module.exports = {
+  routes: [
+    ['POST', '/register', register],
+    ['POST', '/login', login],
+    ['POST', '/refresh', refresh],
+    ['POST', '/logout', logout],
+    ['PUT', '/password', changePassword],
+    ['GET', '/profile', getProfile],
+    ['DELETE', '/profile', deleteProfile]
+  ]
+};
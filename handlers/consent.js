@@ -0,0 +1,368 @@
+const { body, validationResult } = require('express-validator');
+const consentRecords = require('../lib/consentRecords');
+const digests = require('../lib/digests');
+
+// Consent records are personal data: each user sees only their own
+function notOwnRecords(req) {
+  if (req.user.userId === req.params.userId) {
+    return null;
+  }
+  return {
+    status: 403,
+    body: {
+      error: 'Access denied',
+      message: 'You can only view your own consent records'
+    }
+  };
+}
+
+// Consent Management (GDPR Article 7)
+const giveConsent = {
+  auth: 'user',
+  validate: [
+    body('consentType').isIn(['dataProcessing', 'analytics', 'marketing', 'cookies']).withMessage('Valid consent type required'),
+    body('consent').isBoolean().withMessage('Consent must be true or false'),
+    body('purpose').notEmpty().withMessage('Purpose of processing required')
+  ],
+  async handle(req) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return {
+          status: 400,
+          body: {
+            error: 'Invalid consent data',
+            details: errors.array()
+          }
+        };
+      }
+
+      const { userId } = req.user;
+      const { consentType, consent, purpose } = req.body;
+
+      // Create consent record with full GDPR compliance
+      const consentRecord = await consentRecords.recordConsent({
+        userId,
+        consentType,
+        consent,
+        purpose,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+
+      // Declining marketing stops email digests, as a withdrawal does
+      if (consentType === 'marketing' && String(consent) === 'false') {
+        await digests.disableSubscription(userId, { ipAddress: req.ip });
+      }
+
+      // Log consent for compliance
+      console.log(`Consent recorded: User ${userId}, Type: ${consentType}, Consent: ${consent}, IP: ${req.ip}`);
+
+      return {
+        status: 201,
+        body: {
+          message: 'Consent recorded successfully',
+          consent: {
+            id: consentRecord.id,
+            type: consentType,
+            given: consent,
+            timestamp: consentRecord.timestamp,
+            withdrawal: consentRecord.withdrawal
+          },
+          gdpr: {
+            compliance: "Consent recorded in accordance with GDPR Article 7",
+            withdrawal: "You can withdraw consent at any time",
+            retention: "Consent records retained for 7 years for legal compliance"
+          }
+        }
+      };
+
+    } catch (error) {
+      console.error('Consent recording error:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to record consent',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// Withdraw Consent (GDPR Article 7(3))
+const withdrawConsent = {
+  auth: 'user',
+  validate: [
+    body('consentType').isIn(['dataProcessing', 'analytics', 'marketing', 'cookies']).withMessage('Valid consent type required')
+  ],
+  async handle(req) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return {
+          status: 400,
+          body: {
+            error: 'Invalid withdrawal request',
+            details: errors.array()
+          }
+        };
+      }
+
+      const { userId } = req.user;
+      const { consentType } = req.body;
+
+      // Withdraw every standing consent of this type; features that rely on
+      // it check before each use
+      const withdrawn = await consentRecords.withdraw(userId, consentType, { ipAddress: req.ip });
+
+      if (!withdrawn) {
+        return {
+          status: 404,
+          body: {
+            error: 'Consent record not found',
+            message: 'No consent record found for this user and type'
+          }
+        };
+      }
+
+      // Email digests are sent under marketing consent
+      if (consentType === 'marketing') {
+        await digests.disableSubscription(userId, { ipAddress: req.ip });
+      }
+
+      // Log withdrawal for compliance
+      console.log(`Consent withdrawn: User ${userId}, Type: ${consentType}, IP: ${req.ip}`);
+
+      return {
+        body: {
+          message: 'Consent withdrawn successfully',
+          consent: {
+            type: consentType,
+            withdrawn: true,
+            timestamp: withdrawn.length ? withdrawn[0].withdrawnAt : new Date().toISOString()
+          },
+          gdpr: {
+            compliance: "Consent withdrawal processed in accordance with GDPR Article 7(3)",
+            effect: "Data processing will cease for this purpose",
+            retention: "Withdrawal record maintained for legal compliance"
+          }
+        }
+      };
+
+    } catch (error) {
+      console.error('Consent withdrawal error:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to withdraw consent',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// Get Consent Status
+const consentStatus = {
+  auth: 'user',
+  async handle(req) {
+    try {
+      const refused = notOwnRecords(req);
+      if (refused) {
+        return refused;
+      }
+
+      const { userId } = req.params;
+
+      const userConsents = await consentRecords.recordsFor(userId);
+
+      if (userConsents.length === 0) {
+        return {
+          status: 404,
+          body: {
+            error: 'No consent records found',
+            message: 'No consent records found for this user'
+          }
+        };
+      }
+
+      return {
+        body: {
+          userId,
+          consents: userConsents.map(record => ({
+            type: record.consentType,
+            given: record.consent,
+            timestamp: record.timestamp,
+            withdrawn: record.withdrawnAt || null,
+            purpose: record.purpose
+          })),
+          gdpr: {
+            rights: [
+              "Right to withdraw consent at any time",
+              "Right to access consent records",
+              "Right to data portability",
+              "Right to erasure"
+            ],
+            contact: "privacy@newsaggregator.co.uk"
+          }
+        }
+      };
+
+    } catch (error) {
+      console.error('Consent status error:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to retrieve consent status',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// Consent History
+const consentHistory = {
+  auth: 'user',
+  async handle(req) {
+    try {
+      const refused = notOwnRecords(req);
+      if (refused) {
+        return refused;
+      }
+
+      const { userId } = req.params;
+
+      const userConsents = await consentRecords.recordsFor(userId);
+
+      if (userConsents.length === 0) {
+        return {
+          status: 404,
+          body: {
+            error: 'No consent history found',
+            message: 'No consent history found for this user'
+          }
+        };
+      }
+
+      // Sort by timestamp (newest first)
+      const sortedConsents = userConsents.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+      return {
+        body: {
+          userId,
+          history: sortedConsents.map(record => ({
+            id: record.id,
+            type: record.consentType,
+            given: record.consent,
+            timestamp: record.timestamp,
+            withdrawn: record.withdrawnAt || null,
+            purpose: record.purpose,
+            ipAddress: record.ipAddress
+          })),
+          gdpr: {
+            compliance: "Full consent history maintained for legal compliance",
+            retention: "Records retained for 7 years as required by law"
+          }
+        }
+      };
+
+    } catch (error) {
+      console.error('Consent history error:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to retrieve consent history',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// Cookie Consent Management
+const cookieConsent = {
+  auth: 'user',
+  validate: [
+    body('essential').isBoolean().withMessage('Essential cookies consent required'),
+    body('analytics').isBoolean().withMessage('Analytics cookies consent required'),
+    body('preferences').isBoolean().withMessage('Preferences cookies consent required')
+  ],
+  async handle(req) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return {
+          status: 400,
+          body: {
+            error: 'Invalid cookie consent data',
+            details: errors.array()
+          }
+        };
+      }
+
+      const { userId } = req.user;
+      const { essential, analytics, preferences } = req.body;
+
+      // Record cookie consents, all three or none
+      const cookieConsents = [
+        { type: 'essential', consent: essential, required: true },
+        { type: 'analytics', consent: analytics, required: false },
+        { type: 'preferences', consent: preferences, required: false }
+      ];
+
+      await consentRecords.addRecords(cookieConsents.map(cookie => ({
+        id: consentRecords.newRecordId(),
+        userId,
+        consentType: 'cookies',
+        consent: cookie.consent,
+        purpose: `Cookie consent for ${cookie.type} cookies`,
+        timestamp: new Date().toISOString(),
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        cookieType: cookie.type,
+        required: cookie.required
+      })));
+
+      // Log cookie consent for compliance
+      console.log(`Cookie consent recorded: User ${userId}, Essential: ${essential}, Analytics: ${analytics}, Preferences: ${preferences}, IP: ${req.ip}`);
+
+      return {
+        body: {
+          message: 'Cookie consent recorded successfully',
+          cookies: {
+            essential: { consent: essential, required: true },
+            analytics: { consent: analytics, required: false },
+            preferences: { consent: preferences, required: false }
+          },
+          gdpr: {
+            compliance: "Cookie consent recorded in accordance with GDPR and PECR",
+            withdrawal: "You can change cookie preferences at any time",
+            retention: "Consent records maintained for legal compliance"
+          }
+        }
+      };
+
+    } catch (error) {
+      console.error('Cookie consent error:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to record cookie consent',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+module.exports = {
+  routes: [
+    ['POST', '/give', giveConsent],
+    ['POST', '/withdraw', withdrawConsent],
+    ['GET', '/status/:userId', consentStatus],
+    ['GET', '/history/:userId', consentHistory],
+    ['POST', '/cookies', cookieConsent]
+  ]
+};
@@ -0,0 +1,73 @@
+const { param, query, validationResult } = require('express-validator');
+const articleStore = require('../lib/articleStore');
+const imageProxy = require('../lib/imageProxy');
+const licensing = require('../lib/licensing');
+
+// How long browsers may keep a thumbnail (7 days)
+const CACHE_MAX_AGE_SECONDS = 7 * 24 * 60 * 60;
+
+// Article image served from our own origin, resized to a standard width.
+// Readers' browsers never contact the publisher's image servers.
+const getImage = {
+  validate: [
+    param('id').isInt({ min: 1 }).withMessage('Valid article ID required'),
+    query('size').optional().isIn(Object.keys(imageProxy.SIZES)).withMessage(`Size must be one of: ${Object.keys(imageProxy.SIZES).join(', ')}`)
+  ],
+  async handle(req) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return {
+          status: 400,
+          body: {
+            error: 'Invalid image request',
+            details: errors.array()
+          }
+        };
+      }
+
+      // Publishers can withhold their images in their licence
+      const stored = await articleStore.getArticle(parseInt(req.params.id, 10));
+      const [article] = stored ? await licensing.licenseArticles([stored]) : [null];
+      if (!article || !article.image) {
+        return { status: 404, body: { error: 'Image not found' } };
+      }
+
+      const file = await imageProxy.getThumbnail(article.image, req.query.size || imageProxy.DEFAULT_SIZE);
+
+      return {
+        headers: {
+          'Content-Type': 'image/webp',
+          'Cache-Control': `public, max-age=${CACHE_MAX_AGE_SECONDS}`
+        },
+        file
+      };
+
+    } catch (error) {
+      if (error instanceof imageProxy.ImageProxyError) {
+        console.log(`Image proxy refused article ${req.params.id}: ${error.message}`);
+        return {
+          status: error.status,
+          body: {
+            error: 'Image unavailable',
+            message: error.message
+          }
+        };
+      }
+      console.error('Error serving image:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to serve image',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+module.exports = {
+  routes: [
+    ['GET', '/:id', getImage]
+  ]
+};
@@ -0,0 +1,648 @@
+const cheerio = require('cheerio');
+const { query, validationResult } = require('express-validator');
+const sourceRegistry = require('../lib/sourceRegistry');
+const sourceHealth = require('../lib/sourceHealth');
+const articleStore = require('../lib/articleStore');
+const ingestion = require('../lib/ingestion');
+const { clusterPage } = require('../lib/clustering');
+const { encodeCursor, decodeCursor, CursorError } = require('../lib/cursor');
+const { searchArticles, SearchQueryError } = require('../lib/search');
+const { extractArticle } = require('../lib/articleExtractor');
+const crawler = require('../lib/crawler');
+const { registrableDomain, UnsafeUrlError } = require('../lib/safeFetch');
+const { renderFeed } = require('../lib/syndication');
+const trending = require('../lib/trending');
+const licensing = require('../lib/licensing');
+const { normalizeUrl, upgradeUrl, canonicalFromPage } = require('../lib/urlNormalizer');
+
+// Reading endpoints of the news API. The live update stream and source
+// administration stay in routes/news.js: the stream holds its connection
+// open, which a function invocation cannot.
+
+// How many stored articles are considered when grouping stories, per story requested
+const CLUSTER_CANDIDATES_PER_STORY = 4;
+
+// Articles per syndication feed
+const FEED_LIMIT = 50;
+
+// Status for each way the hardened fetch can refuse an article
+const ARTICLE_REFUSAL_STATUS = {
+  size: 413,
+  'content-type': 415,
+  timeout: 504,
+  dns: 502
+};
+
+// Enabled sources whose name contains `source`, or all of them
+async function selectSources(source) {
+  const sources = await sourceRegistry.listSources({ enabledOnly: true });
+  if (!source) {
+    return sources;
+  }
+  return sources.filter(s => s.name.toLowerCase().includes(source.toLowerCase()));
+}
+
+// Whether the client's cached copy is current, as Express's req.fresh
+function isFresh(headers, { etag, lastModified }) {
+  if (/(?:^|,)\s*no-cache\s*(?:,|$)/.test(headers['cache-control'] || '')) {
+    return false;
+  }
+  const noneMatch = headers['if-none-match'];
+  if (noneMatch) {
+    const weak = tag => tag.trim().replace(/^W\//, '');
+    return noneMatch.split(',').some(tag => tag.trim() === '*' || weak(tag) === weak(etag));
+  }
+  const modifiedSince = Date.parse(headers['if-modified-since'] || '');
+  return Boolean(lastModified) && !isNaN(modifiedSince) && Date.parse(lastModified) <= modifiedSince;
+}
+
+// Get news from multiple sources
+const listNews = {
+  validate: [
+    query('category').optional().isIn(sourceRegistry.CATEGORIES),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('source').optional().isString().trim(),
+    query('cluster').optional().isBoolean().toBoolean(),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('sort').optional().isIn(['newest', 'oldest', 'relevance']),
+    query('q').optional().isString().trim().isLength({ min: 1, max: 200 }),
+    query('cursor').optional().isString().isLength({ max: 1000 })
+  ],
+  async handle(req) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return {
+          status: 400,
+          body: {
+            error: 'Invalid request parameters',
+            details: errors.array()
+          }
+        };
+      }
+
+      const { category = 'general', limit = 20, source, from, to, q, cluster: clusterRequested = true } = req.query;
+      const sort = req.query.sort || (q ? 'relevance' : 'newest');
+      const maxArticles = Math.min(parseInt(limit) || 20, 100);
+      const cluster = clusterRequested && sort !== 'relevance';
+
+      if (sort === 'relevance' && !q) {
+        return {
+          status: 400,
+          body: {
+            error: 'Invalid request parameters',
+            message: 'Relevance sorting requires a search query (q)'
+          }
+        };
+      }
+
+      // A cursor is only valid for the filters it was issued with
+      const filters = { category, source: source || null, from: from || null, to: to || null, q: q || null, sort, cluster, limit: maxArticles };
+      const position = req.query.cursor ? decodeCursor(req.query.cursor, filters) : null;
+
+      // Filter sources by preference; categories are assigned per article
+      const sourceNames = (await selectSources(source)).map(s => s.name);
+      const topic = category !== 'general' ? category : null;
+
+      // Articles are served from the local store, which the ingestion job keeps fresh.
+      // Pagination is pinned to the articles that existed for the first page.
+      await ingestion.whenReady();
+      const maxId = position ? position.maxId : await articleStore.getMaxId();
+
+      let limitedArticles;
+      let nextCursor = null;
+
+      if (sort === 'relevance') {
+        const offset = position ? position.offset : 0;
+        const results = await searchArticles({ q, sources: sourceNames, category: topic, from, to, maxId, limit: maxArticles, offset });
+        limitedArticles = results.articles;
+        if (offset + limitedArticles.length < results.total) {
+          nextCursor = encodeCursor(filters, { maxId, offset: offset + limitedArticles.length });
+        }
+      } else {
+        const fetchLimit = cluster ? maxArticles * CLUSTER_CANDIDATES_PER_STORY : maxArticles + 1;
+        const candidates = await articleStore.getArticles({
+          sources: sourceNames,
+          category: topic,
+          from,
+          to,
+          order: sort === 'oldest' ? 'asc' : 'desc',
+          after: position ? position.after : null,
+          maxId,
+          limit: fetchLimit
+        });
+
+        // One entry per story, with the other outlets' coverage attached. The
+        // page ends at the last article folded into a returned story.
+        let consumed;
+        if (cluster) {
+          const page = clusterPage(candidates, { maxClusters: maxArticles });
+          limitedArticles = page.stories;
+          consumed = page.consumed;
+        } else {
+          limitedArticles = candidates.slice(0, maxArticles);
+          consumed = limitedArticles.length;
+        }
+
+        const hasMore = consumed < candidates.length || (cluster && candidates.length === fetchLimit);
+        if (hasMore && consumed > 0) {
+          const last = candidates[consumed - 1];
+          nextCursor = encodeCursor(filters, { maxId, after: { pubDate: last.pubDate, id: last.id } });
+        }
+      }
+
+      // Snippets, images and links as each publisher's licence allows
+      limitedArticles = await licensing.licenseArticles(limitedArticles);
+
+      // GDPR compliance: Log data processing
+      console.log(`News request processed: ${limitedArticles.length} articles, category: ${category}, IP: ${req.ip}`);
+
+      return {
+        body: {
+          articles: limitedArticles,
+          total: limitedArticles.length,
+          next_cursor: nextCursor,
+          sort,
+          sources: sourceNames,
+          timestamp: new Date().toISOString(),
+          compliance: {
+            gdpr: true,
+            dataProcessing: 'Minimal data collection for service provision',
+            retention: 'No personal data stored'
+          }
+        }
+      };
+
+    } catch (error) {
+      if (error instanceof CursorError || error instanceof SearchQueryError) {
+        return {
+          status: 400,
+          body: {
+            error: 'Invalid request parameters',
+            message: error.message
+          }
+        };
+      }
+      console.error('Error fetching news:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to fetch news',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// Full-text search over stored articles, ranked by relevance
+const searchNews = {
+  validate: [
+    query('q').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Search query required'),
+    query('category').optional().isIn(sourceRegistry.CATEGORIES),
+    query('source').optional().isString().trim(),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('offset').optional().isInt({ min: 0, max: 1000 }).toInt()
+  ],
+  async handle(req) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return {
+          status: 400,
+          body: {
+            error: 'Invalid search parameters',
+            details: errors.array()
+          }
+        };
+      }
+
+      const { q, category = 'general', source, from, to, limit = 20, offset = 0 } = req.query;
+
+      // Same source and category filtering as the news listing
+      const results = await searchArticles({
+        q,
+        sources: (await selectSources(source)).map(s => s.name),
+        category: category !== 'general' ? category : null,
+        from,
+        to,
+        limit,
+        offset
+      });
+
+      // GDPR compliance: search terms are not logged
+      console.log(`News search processed: ${results.articles.length} of ${results.total} results, IP: ${req.ip}`);
+
+      return {
+        body: {
+          query: {
+            q,
+            terms: results.query.terms,
+            excluded: results.query.excluded,
+            from: from || null,
+            to: to || null
+          },
+          articles: await licensing.licenseArticles(results.articles),
+          total: results.total,
+          offset,
+          timestamp: new Date().toISOString(),
+          compliance: {
+            gdpr: true,
+            dataProcessing: 'Search queries are processed in memory and not stored',
+            retention: 'No personal data stored'
+          }
+        }
+      };
+
+    } catch (error) {
+      if (error instanceof SearchQueryError) {
+        return {
+          status: 400,
+          body: {
+            error: 'Invalid search query',
+            message: error.message
+          }
+        };
+      }
+      console.error('Error searching news:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to search news',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// Topics most sources are covering over a sliding window, weighted by how
+// many distinct sources mention them and how fast coverage is growing
+const trendingTopics = {
+  validate: [
+    query('window').optional().isIn(Object.keys(trending.WINDOWS)),
+    query('category').optional().isIn(sourceRegistry.CATEGORIES),
+    query('source').optional().isString().trim(),
+    query('limit').optional().isInt({ min: 1, max: 30 }).toInt()
+  ],
+  async handle(req) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return {
+          status: 400,
+          body: {
+            error: 'Invalid trending parameters',
+            details: errors.array()
+          }
+        };
+      }
+
+      const { window = '6h', category = 'general', source, limit = 10 } = req.query;
+      const sourcesToUse = await selectSources(source);
+
+      await ingestion.whenReady();
+      const result = await trending.getTrending({
+        window,
+        sources: sourcesToUse.map(s => s.name),
+        category: category !== 'general' ? category : null,
+        limit
+      });
+
+      // GDPR compliance: Log data processing
+      console.log(`Trending topics processed: ${result.topics.length} topics, window: ${window}, category: ${category}, IP: ${req.ip}`);
+
+      return {
+        body: {
+          ...result,
+          timestamp: new Date().toISOString()
+        }
+      };
+
+    } catch (error) {
+      console.error('Error computing trending topics:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to compute trending topics',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// Latest articles as RSS, Atom or JSON Feed, with the same filters as the
+// news listing. Readers polling with If-None-Match/If-Modified-Since get 304s.
+const newsFeed = {
+  validate: [
+    query('category').optional().isIn(sourceRegistry.CATEGORIES),
+    query('source').optional().isString().trim(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  async handle(req) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return {
+          status: 400,
+          body: {
+            error: 'Invalid feed parameters',
+            details: errors.array()
+          }
+        };
+      }
+
+      const { format } = req.params;
+      const { category = 'general', source, limit = FEED_LIMIT } = req.query;
+      const sourcesToUse = await selectSources(source);
+
+      await ingestion.whenReady();
+      const articles = await licensing.licenseArticles(await articleStore.getArticles({
+        sources: sourcesToUse.map(s => s.name),
+        category: category !== 'general' ? category : null,
+        limit
+      }));
+
+      // Links in the feed point at the configured public URL, not the Host header
+      const baseUrl = (process.env.PUBLIC_URL || `${req.protocol}://${req.host}`).replace(/\/$/, '');
+      const feed = renderFeed(format, {
+        title: category !== 'general'
+          ? `UK Compliant News Aggregator: ${category.charAt(0).toUpperCase()}${category.slice(1)}`
+          : 'UK Compliant News Aggregator',
+        description: 'Headlines from trusted UK news sources, linking to the original articles',
+        homepage: `${baseUrl}/`,
+        selfUrl: `${baseUrl}${req.url}`,
+        articles,
+        sources: new Map(sourcesToUse.map(s => [s.name, s]))
+      });
+
+      const headers = {
+        'Content-Type': feed.contentType,
+        'Cache-Control': 'public, max-age=300',
+        'ETag': feed.etag
+      };
+      if (feed.lastModified) {
+        headers['Last-Modified'] = feed.lastModified;
+      }
+
+      // GDPR compliance: Log data processing
+      console.log(`News feed processed: ${format}, ${articles.length} articles, category: ${category}, IP: ${req.ip}`);
+
+      if (isFresh(req.headers, feed)) {
+        return { status: 304, headers };
+      }
+      return { headers, body: feed.body };
+
+    } catch (error) {
+      console.error('Error building news feed:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to build news feed',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// Get specific article content (with proper attribution)
+const getArticle = {
+  validate: [
+    query('url').isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Valid URL required')
+  ],
+  async handle(req) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return {
+          status: 400,
+          body: {
+            error: 'Invalid URL provided',
+            details: errors.array()
+          }
+        };
+      }
+
+      // Shared links often carry tracking parameters; only the clean URL is fetched
+      let url = normalizeUrl(req.query.url);
+
+      // Verify URL is from trusted sources: its registrable domain must match a
+      // source's feed or homepage exactly (redirects are checked the same way)
+      const allowedDomains = await sourceRegistry.trustedDomains();
+      const isTrustedSource = allowedDomains.has(registrableDomain(new URL(url).hostname));
+
+      if (!isTrustedSource) {
+        return {
+          status: 403,
+          body: {
+            error: 'Content from untrusted sources not allowed',
+            message: 'Only content from verified news sources is accessible'
+          }
+        };
+      }
+
+      // The publisher's licence decides whether and how much can be shown
+      const { source, licence } = await licensing.licenceForUrl(url);
+      if (!licence.readerView) {
+        return {
+          status: 403,
+          body: {
+            error: 'Article content not available',
+            message: 'The publisher\'s licence does not permit the reader view; please read the article on their site',
+            link: licensing.formatLink(url, licence)
+          }
+        };
+      }
+
+      // Fetch article content (robots.txt and per-host limits apply)
+      url = await upgradeUrl(url);
+      const response = await crawler.fetchPage(url, { purpose: 'article', allowedDomains });
+      const $ = cheerio.load(response.data);
+
+      // Publishers can opt out of copies of their text being served
+      const directives = crawler.robotsDirectives($, response.headers);
+      if (directives.noarchive || directives.nosnippet) {
+        await crawler.recordSkip(url, 'article', directives.noarchive ? 'noarchive' : 'nosnippet');
+        return {
+          status: 403,
+          body: {
+            error: 'Article content not available',
+            message: 'The publisher does not permit copies of this article to be served'
+          }
+        };
+      }
+
+      // Structured extraction (per-host rules, then content scoring), cut to
+      // an excerpt unless the licence covers the full text
+      const extracted = licensing.licenseExtract(extractArticle(response.data, url), licence);
+      const originalUrl = canonicalFromPage($, response.url || url) || url;
+
+      return {
+        body: {
+          ...extracted,
+          source: originalUrl,
+          attribution: {
+            text: licensing.attributionText(source, licence),
+            link: licensing.formatLink(originalUrl, licence),
+            originalUrl,
+            accessedAt: new Date().toISOString(),
+            aggregator: 'UK-Compliant-News-Aggregator'
+          }
+        }
+      };
+
+    } catch (error) {
+      if (error instanceof crawler.CrawlSkippedError) {
+        return {
+          status: error.reason === 'robots-disallow' ? 403 : 503,
+          body: {
+            error: 'Article content not available',
+            message: error.reason === 'robots-disallow'
+              ? 'The publisher\'s robots.txt does not allow this page to be fetched'
+              : 'The publisher\'s site is busy, please try again shortly'
+          }
+        };
+      }
+      if (error instanceof UnsafeUrlError) {
+        console.log(`Article fetch refused (${error.reason}): ${error.message}`);
+        return {
+          status: ARTICLE_REFUSAL_STATUS[error.reason] || 403,
+          body: {
+            error: 'Article content not available',
+            message: 'The article could not be fetched safely'
+          }
+        };
+      }
+      console.error('Error fetching article:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to fetch article content',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// Get available news sources
+const listSources = {
+  async handle() {
+    try {
+      const newsSources = await sourceRegistry.listSources({ enabledOnly: true });
+
+      return {
+        body: {
+          sources: newsSources.map(sourceRegistry.toPublicSource),
+          total: newsSources.length,
+          compliance: {
+            gdpr: true,
+            dataProtection: 'Sources verified for content quality and reliability'
+          }
+        }
+      };
+
+    } catch (error) {
+      console.error('Error listing sources:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to list sources',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// Fetch health and circuit breaker state of each enabled source
+const sourcesHealth = {
+  async handle() {
+    try {
+      const newsSources = await sourceRegistry.listSources({ enabledOnly: true });
+      const health = await sourceHealth.listHealth();
+      const summary = { healthy: 0, degraded: 0, failing: 0, unknown: 0 };
+
+      const sources = newsSources.map((source) => {
+        const sourceStatus = sourceHealth.toPublicHealth(health.get(source.id) || sourceHealth.emptyHealth(source.id));
+        summary[sourceStatus.status]++;
+        return { ...sourceRegistry.toPublicSource(source), health: sourceStatus };
+      });
+
+      return {
+        body: {
+          sources,
+          total: sources.length,
+          summary,
+          timestamp: new Date().toISOString()
+        }
+      };
+
+    } catch (error) {
+      console.error('Error reading source health:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to read source health',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+// How we crawl publisher pages, and the fetches we declined to make
+const crawlerReport = {
+  async handle() {
+    try {
+      const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+      const skipped = await crawler.skipSummary({ since });
+
+      return {
+        body: {
+          userAgent: crawler.USER_AGENT,
+          robotsAgent: crawler.ROBOTS_AGENT,
+          policy: {
+            robotsTxt: 'Obeyed for every page fetch, including Crawl-delay; cached for 24 hours',
+            perHost: {
+              maxConcurrent: crawler.MAX_CONCURRENT_PER_HOST,
+              minIntervalMs: crawler.MIN_INTERVAL_MS
+            },
+            metaDirectives: 'noarchive and nosnippet pages are not served; noimageindex pages are not used for images'
+          },
+          skipped,
+          since,
+          timestamp: new Date().toISOString()
+        }
+      };
+
+    } catch (error) {
+      console.error('Error reading crawler report:', error);
+      return {
+        status: 500,
+        body: {
+          error: 'Failed to read crawler report',
+          message: 'Please try again later'
+        }
+      };
+    }
+  }
+};
+
+module.exports = {
+  routes: [
+    ['GET', '/', listNews],
+    ['GET', '/search', searchNews],
+    ['GET', '/trending', trendingTopics],
+    ['GET', '/feed.:format(rss|atom|json)', newsFeed],
+    ['GET', '/article', getArticle],
+    ['GET', '/sources', listSources],
+    ['GET', '/sources/health', sourcesHealth],
+    ['GET', '/crawler', crawlerReport]
+  ]
+};
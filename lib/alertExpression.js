@@ -0,0 +1,210 @@
+// Boolean match expressions for keyword alerts, evaluated in memory against
+// each newly ingested article. Supports bare terms, "quoted phrases",
+// trailing * prefixes, AND, OR, NOT (upper case), -exclusions and
+// parentheses; terms next to each other are ANDed, as in search.
+//
+//   (Tesco OR Sainsbury*) AND "price war" -Aldi
+
+const MAX_EXPRESSION_LENGTH = 500;
+const MAX_TERMS = 30;
+const MAX_DEPTH = 10;
+
+class AlertExpressionError extends Error {}
+
+function words(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function tokenize(input) {
+  const tokens = [];
+  const pattern = /\s*(?:(\()|(\))|(-)?"([^"]*)"|(-)?([^\s()"]+))/gy;
+  let match;
+  let end = 0;
+  while ((match = pattern.exec(input)) !== null && match[0] !== '') {
+    end = pattern.lastIndex;
+    if (match[1]) {
+      tokens.push({ type: '(' });
+    } else if (match[2]) {
+      tokens.push({ type: ')' });
+    } else if (match[4] !== undefined) {
+      tokens.push({ type: 'term', negated: Boolean(match[3]), text: match[4], phrase: true });
+    } else if (['AND', 'OR', 'NOT'].includes(match[6]) && !match[5]) {
+      tokens.push({ type: match[6] });
+    } else {
+      tokens.push({ type: 'term', negated: Boolean(match[5]), text: match[6], phrase: false });
+    }
+  }
+  if (input.slice(end).trim()) {
+    throw new AlertExpressionError('Unterminated quote in expression');
+  }
+  return tokens;
+}
+
+function termNode(token) {
+  const prefix = !token.phrase && token.text.endsWith('*');
+  const termWords = words(token.text);
+  if (termWords.length === 0) {
+    return null;
+  }
+  const node = { type: 'term', words: termWords, prefix };
+  return token.negated ? { type: 'not', operand: node } : node;
+}
+
+// Recursive descent: or := and (OR and)*, and := not ([AND] not)*,
+// not := NOT not | primary, primary := ( or ) | term
+function parseExpression(input) {
+  const text = String(input || '').trim();
+  if (text.length > MAX_EXPRESSION_LENGTH) {
+    throw new AlertExpressionError(`Expression may be at most ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(text);
+  let position = 0;
+  let terms = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  function parseOr(depth) {
+    const operands = [parseAnd(depth)];
+    while (peek() && peek().type === 'OR') {
+      next();
+      operands.push(parseAnd(depth));
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  }
+
+  function parseAnd(depth) {
+    const operands = [parseNot(depth)];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        next();
+      }
+      operands.push(parseNot(depth));
+    }
+    const present = operands.filter(Boolean);
+    if (present.length === 0) {
+      return null;
+    }
+    return present.length === 1 ? present[0] : { type: 'and', operands: present };
+  }
+
+  function parseNot(depth) {
+    if (peek() && peek().type === 'NOT') {
+      next();
+      const operand = parseNot(depth);
+      if (!operand) {
+        throw new AlertExpressionError('NOT must be followed by a term');
+      }
+      return { type: 'not', operand };
+    }
+    return parsePrimary(depth);
+  }
+
+  function parsePrimary(depth) {
+    const token = next();
+    if (!token) {
+      throw new AlertExpressionError('Expression ends unexpectedly');
+    }
+    if (token.type === '(') {
+      if (depth >= MAX_DEPTH) {
+        throw new AlertExpressionError(`Parentheses may be nested at most ${MAX_DEPTH} deep`);
+      }
+      const node = parseOr(depth + 1);
+      if (!next() || tokens[position - 1].type !== ')') {
+        throw new AlertExpressionError('Missing closing parenthesis');
+      }
+      if (!node) {
+        throw new AlertExpressionError('Empty parentheses');
+      }
+      return node;
+    }
+    if (token.type !== 'term') {
+      throw new AlertExpressionError(`Unexpected ${token.type === ')' ? 'closing parenthesis' : token.type}`);
+    }
+    terms += 1;
+    if (terms > MAX_TERMS) {
+      throw new AlertExpressionError(`Expression may contain at most ${MAX_TERMS} terms`);
+    }
+    return termNode(token);
+  }
+
+  if (tokens.length === 0) {
+    throw new AlertExpressionError('Expression must contain at least one term');
+  }
+  const tree = parseOr(0);
+  if (position < tokens.length) {
+    throw new AlertExpressionError('Unexpected closing parenthesis');
+  }
+  if (!tree || !hasPositiveTerm(tree)) {
+    throw new AlertExpressionError('Expression must contain at least one term to look for');
+  }
+  return tree;
+}
+
+// An expression made only of exclusions would match almost every article
+function hasPositiveTerm(node) {
+  switch (node.type) {
+    case 'term':
+      return true;
+    case 'not':
+      return false;
+    default:
+      return node.operands.some(hasPositiveTerm);
+  }
+}
+
+// True when the term's words appear in a row among the article's words
+function containsTerm(articleWords, { words: termWords, prefix }) {
+  const last = termWords.length - 1;
+  for (let start = 0; start + last < articleWords.length; start++) {
+    const found = termWords.every((word, offset) => {
+      const candidate = articleWords[start + offset];
+      return offset === last && prefix ? candidate.startsWith(word) : candidate === word;
+    });
+    if (found) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function evaluate(node, articleWords) {
+  switch (node.type) {
+    case 'term':
+      return containsTerm(articleWords, node);
+    case 'not':
+      return !evaluate(node.operand, articleWords);
+    case 'and':
+      return node.operands.every(operand => evaluate(operand, articleWords));
+    default:
+      return node.operands.some(operand => evaluate(operand, articleWords));
+  }
+}
+
+// Matcher for an alert rule: any of `keywords` (each a word or phrase) and
+// the boolean `expression`, whichever are given. Throws AlertExpressionError
+// for an invalid expression.
+function compileRule({ keywords = [], expression = null }) {
+  const keywordNodes = keywords
+    .map(keyword => termNode({ text: keyword, phrase: true, negated: false }))
+    .filter(Boolean);
+  const tree = expression ? parseExpression(expression) : null;
+  if (keywordNodes.length === 0 && !tree) {
+    throw new AlertExpressionError('An alert needs keywords or an expression');
+  }
+
+  return (text) => {
+    const articleWords = words(text);
+    if (keywordNodes.length && !keywordNodes.some(node => containsTerm(articleWords, node))) {
+      return false;
+    }
+    return !tree || evaluate(tree, articleWords);
+  };
+}
+
+module.exports = {
+  AlertExpressionError,
+  parseExpression,
+  compileRule
+};
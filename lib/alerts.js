@@ -0,0 +1,363 @@
+const db = require('./database');
+const articleStore = require('./articleStore');
+const ingestion = require('./ingestion');
+const { compileRule } = require('./alertExpression');
+const { createSecret, sendWebhook } = require('./webhooks');
+const licensing = require('./licensing');
+
+// Keyword alerts: users' rules are matched against every newly ingested
+// article, and each match is queued in alert_deliveries and POSTed to the
+// rule's webhook, retrying with backoff. The queue doubles as the
+// per-rule delivery log.
+
+const MAX_RULES_PER_USER = 20;
+
+// Delay before each retry; a delivery is given up after the last one
+const RETRY_DELAYS_MS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 12 * 60 * 60].map(seconds => seconds * 1000);
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+// How often due retries are looked for, and how many are sent per pass
+const DELIVERY_INTERVAL_MS = 30 * 1000;
+const DELIVERY_BATCH = 50;
+
+// Most new articles matched per ingestion run; older ones in a bigger
+// batch are skipped rather than alerting on a backlog
+const MATCH_BATCH = 500;
+
+// Finished deliveries are kept this long in the log
+const DELIVERY_RETENTION_DAYS = 30;
+
+// Wait before looking up where matching starts again, after a failure
+const START_RETRY_MS = 30 * 1000;
+
+function toRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    keywords: JSON.parse(row.keywords),
+    expression: row.expression,
+    sources: row.sources ? JSON.parse(row.sources) : null,
+    category: row.category,
+    webhookUrl: row.webhook_url,
+    enabled: Boolean(row.enabled),
+    lastMatchedAt: row.last_matched_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toDelivery(row) {
+  return {
+    id: row.id,
+    article: { id: row.article_id, title: row.article_title, link: row.article_link },
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    lastError: row.last_error,
+    nextAttemptAt: row.next_attempt_at,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at
+  };
+}
+
+async function listRules(userId) {
+  const rows = await db.all('SELECT * FROM alert_rules WHERE user_id = ? ORDER BY id', [userId]);
+  return rows.map(toRule);
+}
+
+async function getRule(id, userId) {
+  const row = await db.get('SELECT * FROM alert_rules WHERE id = ? AND user_id = ?', [id, userId]);
+  return row ? toRule(row) : null;
+}
+
+async function countRules(userId) {
+  const row = await db.get('SELECT COUNT(*) AS count FROM alert_rules WHERE user_id = ?', [userId]);
+  return row.count;
+}
+
+// Throws AlertExpressionError when the rule has nothing valid to match
+function validateRule(rule) {
+  compileRule(rule);
+}
+
+// Resolves with the rule and its signing secret, which is only ever
+// returned here and by rotateSecret
+async function createRule(userId, data) {
+  validateRule(data);
+  const now = new Date().toISOString();
+  const secret = createSecret();
+  const result = await db.run(`INSERT INTO alert_rules (
+      user_id, name, keywords, expression, sources, category, webhook_url, secret, enabled, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+    userId,
+    data.name,
+    JSON.stringify(data.keywords || []),
+    data.expression || null,
+    data.sources && data.sources.length ? JSON.stringify(data.sources) : null,
+    data.category && data.category !== 'general' ? data.category : null,
+    data.webhookUrl,
+    secret,
+    data.enabled === false ? 0 : 1,
+    now,
+    now
+  ]);
+  return { rule: await getRule(result.lastID, userId), secret };
+}
+
+// Partial update
+async function updateRule(id, userId, changes) {
+  const existing = await getRule(id, userId);
+  if (!existing) {
+    return null;
+  }
+
+  const rule = { ...existing, ...changes };
+  validateRule(rule);
+  await db.run(`UPDATE alert_rules SET
+      name = ?, keywords = ?, expression = ?, sources = ?, category = ?, webhook_url = ?, enabled = ?, updated_at = ?
+    WHERE id = ? AND user_id = ?`, [
+    rule.name,
+    JSON.stringify(rule.keywords || []),
+    rule.expression || null,
+    rule.sources && rule.sources.length ? JSON.stringify(rule.sources) : null,
+    rule.category && rule.category !== 'general' ? rule.category : null,
+    rule.webhookUrl,
+    rule.enabled ? 1 : 0,
+    new Date().toISOString(),
+    id,
+    userId
+  ]);
+  return getRule(id, userId);
+}
+
+async function rotateSecret(id, userId) {
+  const secret = createSecret();
+  const result = await db.run('UPDATE alert_rules SET secret = ?, updated_at = ? WHERE id = ? AND user_id = ?',
+    [secret, new Date().toISOString(), id, userId]);
+  return result.changes > 0 ? secret : null;
+}
+
+async function deleteRule(id, userId) {
+  const result = await db.run('DELETE FROM alert_rules WHERE id = ? AND user_id = ?', [id, userId]);
+  return result.changes > 0;
+}
+
+// Right to erasure: rules and their delivery logs go with the account
+async function deleteRulesForUser(userId) {
+  const result = await db.run('DELETE FROM alert_rules WHERE user_id = ?', [userId]);
+  return result.changes;
+}
+
+// Newest first; `before` is a delivery id to page back from
+async function listDeliveries(ruleId, { before, limit = 50 } = {}) {
+  const params = [ruleId];
+  let where = 'rule_id = ?';
+  if (before) {
+    where += ' AND id < ?';
+    params.push(before);
+  }
+  params.push(limit);
+  const rows = await db.all(`SELECT * FROM alert_deliveries WHERE ${where} ORDER BY id DESC LIMIT ?`, params);
+  return rows.map(toDelivery);
+}
+
+// `article` has had its source's licence applied
+function payloadFor(rule, article, matchedAt) {
+  return JSON.stringify({
+    event: 'alert.match',
+    rule: { id: rule.id, name: rule.name },
+    article: {
+      id: article.id,
+      title: article.title,
+      link: article.link,
+      pubDate: article.pubDate,
+      source: article.source,
+      category: article.category,
+      summary: article.summary || article.lede || article.description || null,
+      attribution: article.attribution
+    },
+    matchedAt
+  });
+}
+
+function ruleApplies(rule, article) {
+  if (rule.sources && !rule.sources.some(source => source.toLowerCase() === article.source.toLowerCase())) {
+    return false;
+  }
+  return !rule.category || rule.category === article.category;
+}
+
+// Match articles against every enabled rule and queue a delivery per match.
+// Resolves with the number of deliveries queued.
+async function matchArticles(articles) {
+  const rules = (await db.all('SELECT * FROM alert_rules WHERE enabled = 1')).map(toRule);
+  const matchers = [];
+  rules.forEach((rule) => {
+    try {
+      matchers.push({ rule, matches: compileRule(rule) });
+    } catch (error) {
+      console.error(`Skipping alert rule ${rule.id}:`, error.message);
+    }
+  });
+  if (matchers.length === 0) {
+    return 0;
+  }
+
+  // Rules match the stored text; receivers get what the licence allows
+  const licensed = await licensing.licenseArticles(articles);
+  const now = new Date().toISOString();
+  let queued = 0;
+  await db.transaction(async () => {
+    for (const [index, article] of articles.entries()) {
+      const text = [article.title, article.description, article.summary].filter(Boolean).join(' ');
+      for (const { rule, matches } of matchers) {
+        if (!ruleApplies(rule, article) || !matches(text)) {
+          continue;
+        }
+        const result = await db.run(`INSERT OR IGNORE INTO alert_deliveries (
+            rule_id, article_id, article_title, article_link, payload, next_attempt_at, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`, [
+          rule.id, article.id, article.title, article.link, payloadFor(rule, licensed[index], now), now, now, now
+        ]);
+        if (result.changes > 0) {
+          queued += 1;
+          await db.run('UPDATE alert_rules SET last_matched_at = ? WHERE id = ?', [now, rule.id]);
+        }
+      }
+    }
+  });
+  return queued;
+}
+
+async function recordAttempt(delivery, outcome) {
+  const now = new Date();
+  const attempts = delivery.attempts + 1;
+  let status = 'delivered';
+  let nextAttemptAt = null;
+  if (!outcome.ok) {
+    const retry = outcome.retryable && attempts < MAX_ATTEMPTS;
+    status = retry ? 'pending' : 'failed';
+    nextAttemptAt = retry ? new Date(now.getTime() + RETRY_DELAYS_MS[attempts - 1]).toISOString() : null;
+  }
+
+  await db.run(`UPDATE alert_deliveries SET
+      status = ?, attempts = ?, response_status = ?, last_error = ?, next_attempt_at = ?, delivered_at = ?, updated_at = ?
+    WHERE id = ?`, [
+    status,
+    attempts,
+    outcome.status,
+    outcome.error,
+    nextAttemptAt,
+    outcome.ok ? now.toISOString() : null,
+    now.toISOString(),
+    delivery.id
+  ]);
+}
+
+let deliveryRun = null;
+
+// Send every delivery that is due. Concurrent calls share one pass.
+function deliverPending() {
+  if (!deliveryRun) {
+    deliveryRun = (async () => {
+      const due = await db.all(`SELECT d.*, r.webhook_url, r.secret, r.enabled
+        FROM alert_deliveries d JOIN alert_rules r ON r.id = d.rule_id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+        ORDER BY d.next_attempt_at LIMIT ?`, [new Date().toISOString(), DELIVERY_BATCH]);
+
+      for (const delivery of due) {
+        const outcome = delivery.enabled
+          ? await sendWebhook(delivery.webhook_url, delivery.secret, { id: delivery.id, body: delivery.payload })
+          : { ok: false, status: null, error: 'Alert rule is disabled', retryable: false };
+        await recordAttempt(delivery, outcome);
+      }
+      return due.length;
+    })().finally(() => {
+      deliveryRun = null;
+    });
+  }
+  return deliveryRun;
+}
+
+async function pruneDeliveries() {
+  const cutoff = new Date(Date.now() - DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  await db.run("DELETE FROM alert_deliveries WHERE status != 'pending' AND created_at < ?", [cutoff]);
+}
+
+let lastArticleId = null;
+let matching = Promise.resolve();
+let deliveryTimer = null;
+
+// The newest stored article when alerts start, looked up until it can be.
+// Matching passes queue behind it; articles stored while the lookup keeps
+// failing are not matched.
+function findStartingPoint() {
+  return articleStore.getMaxId().catch((error) => {
+    console.error('Alert matching could not start, retrying:', error.message);
+    return new Promise((resolve) => {
+      setTimeout(resolve, START_RETRY_MS).unref();
+    }).then(findStartingPoint);
+  });
+}
+
+async function onArticles() {
+  let queued = 0;
+  let articles;
+  do {
+    articles = await articleStore.getArticlesAfterId(lastArticleId, { limit: MATCH_BATCH });
+    if (articles.length === 0) {
+      break;
+    }
+    lastArticleId = articles[articles.length - 1].id;
+    queued += await matchArticles(articles);
+  } while (articles.length === MATCH_BATCH);
+
+  if (queued > 0) {
+    console.log(`Alerts matched: ${queued} deliveries queued`);
+    await deliverPending();
+  }
+}
+
+// Match articles ingested from now on, and send and retry deliveries in
+// the background
+function startAlerts() {
+  if (deliveryTimer) {
+    return;
+  }
+
+  // Listen straight away; matching waits until the starting point is known
+  matching = findStartingPoint().then((id) => {
+    lastArticleId = id;
+  });
+  ingestion.events.on('articles', () => {
+    // One matching pass at a time, in order
+    matching = matching.then(onArticles).catch((error) => {
+      console.error('Alert matching failed:', error.message);
+    });
+  });
+
+  deliveryTimer = setInterval(() => {
+    deliverPending().then(pruneDeliveries).catch((error) => {
+      console.error('Alert delivery failed:', error.message);
+    });
+  }, DELIVERY_INTERVAL_MS);
+  deliveryTimer.unref();
+  console.log('Keyword alerts started');
+}
+
+module.exports = {
+  MAX_RULES_PER_USER,
+  MAX_ATTEMPTS,
+  listRules,
+  getRule,
+  countRules,
+  createRule,
+  updateRule,
+  rotateSecret,
+  deleteRule,
+  deleteRulesForUser,
+  listDeliveries,
+  matchArticles,
+  deliverPending,
+  startAlerts
+};
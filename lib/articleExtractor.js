@@ -0,0 +1,382 @@
+const cheerio = require('cheerio');
+const { normalizeDate } = require('./feedNormalizer');
+const { rulesFor } = require('./extractionRules');
+
+// Readability-style extraction of the main article from a news page:
+// metadata from JSON-LD and meta tags, body from per-host rules or by
+// scoring DOM nodes on how much paragraph text they hold.
+
+const ARTICLE_TYPES = /^(Article|NewsArticle|ReportageNewsArticle|AnalysisNewsArticle|OpinionNewsArticle|BlogPosting|LiveBlogPosting)$/;
+
+// Never part of the article body
+const STRIP_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'form', 'button', 'input', 'select',
+  'textarea', 'svg', 'canvas', 'nav', 'header', 'footer', 'aside', 'figcaption', '[role="navigation"]',
+  '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]', '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+
+// class/id hints for likely and unlikely content containers
+const POSITIVE = /article|body|content|entry|main|post|story|text/i;
+const NEGATIVE = /\bads?\b|advert|banner|breadcrumb|byline|caption|comment|cookie|footer|masthead|menu|nav|newsletter|popup|promo|related|share|sidebar|social|sponsor|subscribe|toolbar|widget/i;
+
+// Elements that become output blocks
+const BLOCK_SELECTOR = 'p, h2, h3, h4, blockquote, li';
+
+// Short paragraphs that are page furniture rather than article text
+const BOILERPLATE = /^(advertisement|related( content| topics)?|read more|share( this)?|sign up|follow us|image (source|caption)|media caption|getty images)\b/i;
+
+// Paragraphs shorter than this don't count towards a container's score
+const MIN_PARAGRAPH_LENGTH = 25;
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function absoluteUrl(value, baseUrl) {
+  try {
+    const url = new URL(value, baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Objects in JSON-LD blocks, including @graph members
+function jsonLdObjects($) {
+  const objects = [];
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      objects.push(value);
+      if (value['@graph']) {
+        collect(value['@graph']);
+      }
+    }
+  };
+
+  $('script[type="application/ld+json"]').each((index, element) => {
+    try {
+      collect(JSON.parse($(element).contents().text()));
+    } catch (error) {
+      // Ignore malformed JSON-LD
+    }
+  });
+  return objects;
+}
+
+function jsonLdArticle($) {
+  return jsonLdObjects($).find(object => [].concat(object['@type'] || []).some(type => ARTICLE_TYPES.test(type))) || null;
+}
+
+// Author names from a JSON-LD author value (string, Person or list)
+function authorNames(author) {
+  return [].concat(author || [])
+    .map(entry => (typeof entry === 'string' ? entry : entry && entry.name))
+    .map(cleanText)
+    .filter(Boolean);
+}
+
+function jsonLdImage(image) {
+  const first = [].concat(image || [])[0];
+  return typeof first === 'string' ? first : first && (first.url || first.contentUrl);
+}
+
+function meta($, ...names) {
+  for (const name of names) {
+    const value = $(`meta[property="${name}"], meta[name="${name}"]`).attr('content');
+    if (value && cleanText(value)) {
+      return cleanText(value);
+    }
+  }
+  return null;
+}
+
+// Text (or the date/URL attribute) of the first element matching a rule selector
+function ruleValue($, selector, attributes = []) {
+  if (!selector) {
+    return null;
+  }
+  const element = $(selector).first();
+  if (!element.length) {
+    return null;
+  }
+  for (const attribute of attributes) {
+    if (element.attr(attribute)) {
+      return element.attr(attribute);
+    }
+  }
+  return cleanText(element.text()) || null;
+}
+
+function extractMetadata($, pageUrl, rules) {
+  const ld = jsonLdArticle($) || {};
+  const bylineElements = rules && rules.byline ? $(rules.byline).toArray() : [];
+  const ruleByline = [...new Set(bylineElements.map(element => cleanText($(element).text())).filter(Boolean))].join(', ');
+
+  const title = ruleValue($, rules && rules.title) ||
+    cleanText(ld.headline) ||
+    meta($, 'og:title', 'twitter:title') ||
+    cleanText($('h1').first().text()) ||
+    cleanText($('title').text()) ||
+    null;
+
+  const byline = ruleByline ||
+    authorNames(ld.author).join(', ') ||
+    meta($, 'author', 'article:author', 'parsely-author') ||
+    cleanText($('[rel="author"], [itemprop="author"], .byline, .author').first().text()) ||
+    null;
+
+  const published = ruleValue($, rules && rules.published, ['datetime', 'content']) ||
+    ld.datePublished ||
+    meta($, 'article:published_time', 'og:published_time', 'datePublished', 'date') ||
+    $('time[datetime]').first().attr('datetime');
+
+  const image = ruleValue($, rules && rules.image, ['src', 'content']) ||
+    jsonLdImage(ld.image) ||
+    meta($, 'og:image', 'og:image:url', 'twitter:image');
+
+  return {
+    title,
+    byline,
+    publishedDate: normalizeDate(published, null),
+    leadImage: image ? absoluteUrl(image, pageUrl) : null
+  };
+}
+
+function linkDensity($, element) {
+  const length = cleanText($(element).text()).length;
+  if (!length) {
+    return 0;
+  }
+  return cleanText($(element).find('a').text()).length / length;
+}
+
+function classWeight(element) {
+  let weight = 0;
+  [element.attribs && element.attribs.class, element.attribs && element.attribs.id].forEach((value) => {
+    if (!value) {
+      return;
+    }
+    if (NEGATIVE.test(value)) {
+      weight -= 25;
+    }
+    if (POSITIVE.test(value)) {
+      weight += 25;
+    }
+  });
+  return weight;
+}
+
+function initialScore(element) {
+  const tagWeights = { article: 10, main: 10, section: 5, div: 5, td: 3, blockquote: 3, form: -3, ol: -3, ul: -3, li: -3 };
+  return (tagWeights[element.tagName] || 0) + classWeight(element);
+}
+
+// Drop containers whose class/id says they are not content
+function stripClutter($) {
+  $('body *').each((index, element) => {
+    const hints = `${element.attribs.class || ''} ${element.attribs.id || ''}`;
+    if (NEGATIVE.test(hints) && !POSITIVE.test(hints) && !['article', 'main'].includes(element.tagName)) {
+      $(element).remove();
+    }
+  });
+}
+
+// Containers holding the article body, found by scoring paragraph parents
+function findContentContainers($) {
+  const scores = new Map();
+  const addScore = (element, score) => {
+    if (!element || element.type !== 'tag' || element.tagName === 'body' || element.tagName === 'html') {
+      return;
+    }
+    if (!scores.has(element)) {
+      scores.set(element, initialScore(element));
+    }
+    scores.set(element, scores.get(element) + score);
+  };
+
+  $('p, pre, td').each((index, paragraph) => {
+    const text = cleanText($(paragraph).text());
+    if (text.length < MIN_PARAGRAPH_LENGTH) {
+      return;
+    }
+
+    // One point per paragraph, per comma and per 100 characters (up to 3)
+    const score = 1 + (text.split(',').length - 1) + Math.min(Math.floor(text.length / 100), 3);
+    addScore(paragraph.parent, score);
+    addScore(paragraph.parent && paragraph.parent.parent, score / 2);
+  });
+
+  let top = null;
+  let topScore = 0;
+  scores.forEach((score, element) => {
+    const adjusted = score * (1 - linkDensity($, element));
+    scores.set(element, adjusted);
+    if (adjusted > topScore) {
+      top = element;
+      topScore = adjusted;
+    }
+  });
+
+  if (!top) {
+    return $('body').toArray();
+  }
+
+  // Siblings that score well are split-up parts of the same article
+  const threshold = Math.max(10, topScore * 0.2);
+  return $(top.parent).children().toArray()
+    .filter(element => element === top || (scores.get(element) || 0) >= threshold);
+}
+
+// Inline markup kept in paragraphs: links, emphasis and line breaks
+function sanitizeInline($, node, baseUrl) {
+  return $(node).contents().toArray().map((child) => {
+    if (child.type === 'text') {
+      return escapeHtml(child.data.replace(/\s+/g, ' '));
+    }
+    if (child.type !== 'tag') {
+      return '';
+    }
+
+    const inner = sanitizeInline($, child, baseUrl);
+    switch (child.tagName) {
+      case 'a': {
+        const href = absoluteUrl(child.attribs.href, baseUrl);
+        return href ? `<a href="${escapeHtml(href)}" rel="nofollow noopener noreferrer">${inner}</a>` : inner;
+      }
+      case 'em':
+      case 'i':
+        return `<em>${inner}</em>`;
+      case 'strong':
+      case 'b':
+        return `<strong>${inner}</strong>`;
+      case 'br':
+        return '<br>';
+      default:
+        return inner;
+    }
+  }).join('');
+}
+
+function toBlock($, element, baseUrl) {
+  const text = cleanText($(element).text());
+  if (!text) {
+    return null;
+  }
+
+  const tag = element.tagName;
+  if (/^h[2-4]$/.test(tag)) {
+    return { type: 'heading', level: Number(tag[1]), text, html: `<${tag}>${escapeHtml(text)}</${tag}>` };
+  }
+
+  if ((text.length < 80 && BOILERPLATE.test(text)) || linkDensity($, element) > 0.5) {
+    return null;
+  }
+
+  const inline = sanitizeInline($, element, baseUrl).trim();
+  if (tag === 'blockquote') {
+    return { type: 'quote', text, html: `<blockquote>${inline}</blockquote>` };
+  }
+  if (tag === 'li') {
+    return { type: 'list-item', text, html: `<li>${inline}</li>` };
+  }
+  return { type: 'paragraph', text, html: `<p>${inline}</p>` };
+}
+
+// Output blocks in document order, skipping blocks nested inside another block
+function collectBlocks($, containers, baseUrl) {
+  const elements = [];
+  containers.forEach((container) => {
+    if ($(container).is(BLOCK_SELECTOR)) {
+      elements.push(container);
+    } else {
+      elements.push(...$(container).find(BLOCK_SELECTOR).toArray());
+    }
+  });
+
+  const selected = new Set(elements);
+  return elements
+    .filter(element => !$(element).parents().toArray().some(parent => selected.has(parent)))
+    .map(element => toBlock($, element, baseUrl))
+    .filter(Boolean);
+}
+
+// Join blocks into HTML, wrapping consecutive list items in a <ul>
+function blocksToHtml(blocks) {
+  const html = [];
+  let inList = false;
+  blocks.forEach((block) => {
+    if (block.type === 'list-item' && !inList) {
+      html.push('<ul>');
+      inList = true;
+    } else if (block.type !== 'list-item' && inList) {
+      html.push('</ul>');
+      inList = false;
+    }
+    html.push(block.html);
+  });
+  if (inList) {
+    html.push('</ul>');
+  }
+  return html.join('\n');
+}
+
+// Extract the article from an HTML page. Returns { title, byline,
+// publishedDate, leadImage, content: { html, text }, blocks, wordCount, method }
+// where method is 'rules' when per-host rules found the body, else 'heuristics'.
+function extractArticle(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const rules = rulesFor(new URL(pageUrl).hostname);
+
+  // Metadata first: JSON-LD lives in <script> tags that are stripped below
+  const metadata = extractMetadata($, pageUrl, rules);
+
+  if (rules && rules.remove) {
+    $(rules.remove.join(', ')).remove();
+  }
+  $(STRIP_SELECTORS).remove();
+
+  let method = 'heuristics';
+  let blocks = [];
+  if (rules && rules.content && $(rules.content).length) {
+    blocks = collectBlocks($, $(rules.content).toArray(), pageUrl);
+    method = 'rules';
+  }
+  if (blocks.length === 0) {
+    stripClutter($);
+    blocks = collectBlocks($, findContentContainers($), pageUrl);
+    method = 'heuristics';
+  }
+
+  // The headline often repeats as the first heading
+  if (blocks.length && blocks[0].type === 'heading' && blocks[0].text === metadata.title) {
+    blocks.shift();
+  }
+
+  const text = blocks.map(block => block.text).join('\n\n');
+
+  return {
+    ...metadata,
+    content: {
+      html: blocksToHtml(blocks),
+      text
+    },
+    blocks: blocks.map(({ html: blockHtml, ...block }) => block),
+    wordCount: text ? text.split(/\s+/).length : 0,
+    method
+  };
+}
+
+module.exports = {
+  extractArticle
+};
@@ -0,0 +1,216 @@
+const db = require('./database');
+
+// Map a database row back to the public article shape
+function toArticle(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    link: row.link,
+    pubDate: row.pub_date,
+    description: row.description,
+    image: row.image,
+    source: row.source,
+    category: row.category,
+    topics: row.topics ? JSON.parse(row.topics) : [],
+    entities: row.entities ? JSON.parse(row.entities) : [],
+    keyPhrases: row.key_phrases ? JSON.parse(row.key_phrases) : [],
+    language: row.language || null,
+    readingTime: row.reading_time || null,
+    lede: row.lede || null,
+    summary: row.summary || null,
+    keywords: row.keywords ? JSON.parse(row.keywords) : [],
+    trusted: Boolean(row.trusted)
+  };
+}
+
+// Insert new articles and refresh existing ones (matched on link).
+// Undated articles are dated when first stored and keep that date after.
+// Returns the number of articles that were not in the store before.
+async function upsertArticles(articles) {
+  if (articles.length === 0) {
+    return 0;
+  }
+
+  return db.transaction(async () => {
+    let inserted = 0;
+    const now = new Date().toISOString();
+
+    for (const article of articles) {
+      const existing = await db.get('SELECT id FROM articles WHERE link = ?', [article.link]);
+
+      await db.run(`INSERT INTO articles (
+          guid, link, feed_link, title, description, content, body_text, image, source, category, topics, entities, key_phrases,
+          language, reading_time, lede, summary, keywords, trusted, pub_date, fetched_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(link) DO UPDATE SET
+          feed_link = COALESCE(excluded.feed_link, articles.feed_link),
+          title = excluded.title,
+          description = excluded.description,
+          content = excluded.content,
+          body_text = excluded.body_text,
+          image = COALESCE(excluded.image, articles.image),
+          category = excluded.category,
+          topics = excluded.topics,
+          entities = excluded.entities,
+          key_phrases = excluded.key_phrases,
+          language = excluded.language,
+          reading_time = excluded.reading_time,
+          lede = excluded.lede,
+          summary = excluded.summary,
+          keywords = excluded.keywords,
+          trusted = excluded.trusted,
+          pub_date = COALESCE(?, articles.pub_date),
+          updated_at = excluded.updated_at`, [
+        article.guid || null,
+        article.link,
+        article.feedLink || null,
+        article.title,
+        article.description || null,
+        article.content || null,
+        article.bodyText || null,
+        article.image || null,
+        article.source,
+        article.category,
+        JSON.stringify(article.topics || []),
+        JSON.stringify(article.entities || []),
+        JSON.stringify(article.keyPhrases || []),
+        article.language || null,
+        article.readingTime || null,
+        article.lede || null,
+        article.summary || null,
+        JSON.stringify(article.keywords || []),
+        article.trusted ? 1 : 0,
+        article.pubDate || now,
+        now,
+        now,
+        article.pubDate || null
+      ]);
+
+      if (!existing) {
+        inserted++;
+      }
+    }
+
+    return inserted;
+  });
+}
+
+// Look up which of the given links are already stored, under that link or
+// as the feed link of an article stored under its canonical one. The map
+// is keyed by the given links; rows carry the stored link and image.
+async function findByLinks(links) {
+  const found = new Map();
+  if (links.length === 0) {
+    return found;
+  }
+
+  const placeholders = links.map(() => '?').join(', ');
+  const rows = await db.all(`SELECT link, feed_link, image FROM articles
+    WHERE link IN (${placeholders}) OR feed_link IN (${placeholders})`, [...links, ...links]);
+  rows.forEach((row) => {
+    found.set(row.link, row);
+    if (row.feed_link) {
+      found.set(row.feed_link, row);
+    }
+  });
+  return found;
+}
+
+async function getArticle(id) {
+  const row = await db.get('SELECT * FROM articles WHERE id = ?', [id]);
+  return row ? toArticle(row) : null;
+}
+
+// Articles in publication order (newest first unless order is 'asc').
+// `after` is a keyset position ({ pubDate, id }) to resume from, and `maxId`
+// pins the listing to articles that existed when pagination started.
+async function getArticles({ sources, category, from, to, order = 'desc', after, maxId, limit = 20 } = {}) {
+  const clauses = [];
+  const params = [];
+
+  if (sources) {
+    if (sources.length === 0) {
+      return [];
+    }
+    clauses.push(`source IN (${sources.map(() => '?').join(', ')})`);
+    params.push(...sources);
+  }
+  if (category) {
+    clauses.push('category = ?');
+    params.push(category);
+  }
+  if (from) {
+    clauses.push('pub_date >= ?');
+    params.push(new Date(from).toISOString());
+  }
+  if (to) {
+    clauses.push('pub_date <= ?');
+    params.push(new Date(to).toISOString());
+  }
+  if (maxId) {
+    clauses.push('id <= ?');
+    params.push(maxId);
+  }
+  if (after) {
+    const comparison = order === 'asc' ? '>' : '<';
+    clauses.push(`(pub_date ${comparison} ? OR (pub_date = ? AND id ${comparison} ?))`);
+    params.push(after.pubDate, after.pubDate, after.id);
+  }
+
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  params.push(limit);
+
+  const rows = await db.all(`SELECT * FROM articles ${where}
+    ORDER BY pub_date ${direction}, id ${direction} LIMIT ?`, params);
+  return rows.map(toArticle);
+}
+
+// Articles stored after the given id, oldest first, at most `limit` of
+// them; callers page forward from the last id returned. Used to push new
+// articles to live subscribers and alert matching.
+async function getArticlesAfterId(afterId, { sources, category, limit = 100 } = {}) {
+  const clauses = ['id > ?'];
+  const params = [afterId];
+
+  if (sources) {
+    if (sources.length === 0) {
+      return [];
+    }
+    clauses.push(`source IN (${sources.map(() => '?').join(', ')})`);
+    params.push(...sources);
+  }
+  if (category) {
+    clauses.push('category = ?');
+    params.push(category);
+  }
+  params.push(limit);
+
+  const rows = await db.all(`SELECT * FROM articles WHERE ${clauses.join(' AND ')}
+    ORDER BY id ASC LIMIT ?`, params);
+  return rows.map(toArticle);
+}
+
+// Highest article id, used to snapshot a paginated listing
+async function getMaxId() {
+  const row = await db.get('SELECT MAX(id) AS maxId FROM articles');
+  return row.maxId || 0;
+}
+
+// Remove articles older than the retention window
+async function pruneArticles(retentionDays) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  const result = await db.run('DELETE FROM articles WHERE COALESCE(pub_date, fetched_at) < ?', [cutoff]);
+  return result.changes;
+}
+
+module.exports = {
+  toArticle,
+  upsertArticles,
+  findByLinks,
+  getArticle,
+  getArticles,
+  getArticlesAfterId,
+  getMaxId,
+  pruneArticles
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { canonicalKey } = require('./urlNormalizer');
+
+// Groups articles that cover the same story across sources, so each story is
+// served once with "also covered by" links to the other outlets.
+
+// Similarity above which two articles from different sources are the same story
+const SIMILARITY_THRESHOLD = 0.45;
+
+// Only articles published this close together can belong to one story
+const MAX_STORY_SPAN_MS = 48 * 60 * 60 * 1000;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by',
+  'can', 'could', 'did', 'do', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i',
+  'if', 'in', 'into', 'is', 'it', 'its', 'live', 'more', 'new', 'news', 'no', 'not', 'of', 'on',
+  'one', 'or', 'our', 'out', 'over', 'says', 'said', 'she', 'so', 'than', 'that', 'the', 'their',
+  'them', 'there', 'they', 'this', 'to', 'up', 'us', 'was', 'we', 'were', 'what', 'when', 'who',
+  'why', 'will', 'with', 'would', 'you', 'uk'
+]);
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/&[a-z]+;|<[^>]*>/g, ' ')
+    .replace(/[‘’']/g, '')
+    .split(/[^a-z0-9\u00c0-\u024f]+/)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token))
+    // Crude plural folding so "strikes" and "strike" match
+    .map(token => (token.length > 4 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+// Term vector with title terms weighted above description terms
+function termVector(article) {
+  const vector = new Map();
+  tokenize(article.title).forEach(token => vector.set(token, (vector.get(token) || 0) + 2));
+  tokenize(article.description).slice(0, 60).forEach(token => vector.set(token, (vector.get(token) || 0) + 1));
+  return vector;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  a.forEach((weight, token) => {
+    normA += weight * weight;
+    if (b.has(token)) {
+      dot += weight * b.get(token);
+    }
+  });
+  b.forEach(weight => {
+    normB += weight * weight;
+  });
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function publishedAt(article) {
+  const time = Date.parse(article.pubDate);
+  return isNaN(time) ? 0 : time;
+}
+
+function similarity(a, b) {
+  if (a.key === b.key) {
+    return 1;
+  }
+  if (a.article.source === b.article.source) {
+    return 0;
+  }
+  if (Math.abs(a.time - b.time) > MAX_STORY_SPAN_MS) {
+    return 0;
+  }
+  return cosine(a.vector, b.vector);
+}
+
+// Lead article: prefer trusted sources with an image and a description,
+// then the most recent report
+function pickLead(members) {
+  const score = ({ article }) => (article.trusted ? 4 : 0) + (article.image ? 2 : 0) + (article.description ? 1 : 0);
+  return members.slice().sort((a, b) => score(b) - score(a) || b.time - a.time)[0];
+}
+
+// Group articles (in listing order) into story clusters, stopping before the
+// first article that would start cluster number `maxClusters + 1`. Returns the
+// lead article of each cluster, in the order the clusters were first seen,
+// with `cluster: { id, size, alsoCoveredBy }` attached, and how many of the
+// input articles were consumed (so pages can resume after them).
+function clusterPage(articles, { maxClusters = Infinity, threshold = SIMILARITY_THRESHOLD } = {}) {
+  const clusters = [];
+  let consumed = 0;
+
+  for (const article of articles) {
+    const entry = {
+      article,
+      key: canonicalKey(article.link),
+      vector: termVector(article),
+      time: publishedAt(article)
+    };
+
+    let best = null;
+    let bestScore = 0;
+    clusters.forEach((cluster) => {
+      // A story has at most one article per source, bar exact URL duplicates
+      const score = Math.max(...cluster.map(member => similarity(entry, member)));
+      if (score >= threshold && score > bestScore) {
+        const sameSource = cluster.some(member => member.article.source === article.source && member.key !== entry.key);
+        if (!sameSource) {
+          best = cluster;
+          bestScore = score;
+        }
+      }
+    });
+
+    if (best) {
+      best.push(entry);
+    } else if (clusters.length < maxClusters) {
+      clusters.push([entry]);
+    } else {
+      break;
+    }
+    consumed++;
+  }
+
+  const stories = clusters.map((members) => {
+    const lead = pickLead(members);
+
+    // Exact URL duplicates of the lead (or of each other) are dropped
+    const seen = new Set([lead.key]);
+    const others = members.filter((member) => {
+      if (seen.has(member.key)) {
+        return false;
+      }
+      seen.add(member.key);
+      return true;
+    });
+
+    const alsoCoveredBy = others
+      .map(({ article }) => ({
+        title: article.title,
+        link: article.link,
+        source: article.source,
+        pubDate: article.pubDate,
+        trusted: article.trusted
+      }));
+
+    return {
+      ...lead.article,
+      cluster: {
+        id: crypto.createHash('sha1').update(lead.key).digest('hex').slice(0, 12),
+        size: alsoCoveredBy.length + 1,
+        alsoCoveredBy
+      }
+    };
+  });
+
+  return { stories, consumed };
+}
+
+// Group articles (newest first) into story clusters; see clusterPage
+function clusterArticles(articles, options = {}) {
+  return clusterPage(articles, options).stories;
+}
+
+module.exports = {
+  clusterPage,
+  clusterArticles
+};
@@ -0,0 +1,78 @@
+const { getRepositories } = require('./repositories');
+
+// Consent records (GDPR Article 7), shared by the consent routes and the
+// features that depend on consent, such as email digests. Records are kept
+// by the configured repository (see lib/repositories.js).
+
+function newRecordId() {
+  return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+}
+
+// Records written together succeed or fail together
+function addRecords(records) {
+  return getRepositories().consents.add(records);
+}
+
+async function addRecord(record) {
+  await addRecords([record]);
+  return record;
+}
+
+// Record a consent decision with full GDPR compliance details
+function recordConsent({ userId, consentType, consent, purpose, ipAddress, userAgent }) {
+  return addRecord({
+    id: newRecordId(),
+    userId,
+    consentType,
+    consent,
+    purpose,
+    timestamp: new Date().toISOString(),
+    ipAddress,
+    userAgent,
+    version: '1.0',
+    legalBasis: 'GDPR Article 6(1)(a) - Consent',
+    withdrawal: {
+      available: true,
+      method: 'Contact us or use withdrawal endpoint',
+      timeframe: 'Immediate effect'
+    },
+    retention: {
+      period: '7 years from consent date',
+      reason: 'Legal compliance requirement'
+    }
+  });
+}
+
+// A user's records, oldest first
+function recordsFor(userId) {
+  return getRepositories().consents.forUser(userId);
+}
+
+function isGiven(record) {
+  return (record.consent === true || record.consent === 'true') && !record.withdrawnAt;
+}
+
+// Withdraw every standing consent of this type. Resolves with the withdrawn
+// records, or null when the user never gave this type of consent.
+function withdraw(userId, consentType, { ipAddress } = {}) {
+  return getRepositories().consents.withdraw(userId, consentType, {
+    withdrawnAt: new Date().toISOString(),
+    ipAddress
+  });
+}
+
+// Whether the user's latest decision for this type is a standing consent
+async function hasConsent(userId, consentType) {
+  const records = (await recordsFor(userId)).filter(record => record.consentType === consentType);
+  const latest = records[records.length - 1];
+  return Boolean(latest && isGiven(latest));
+}
+
+module.exports = {
+  newRecordId,
+  addRecords,
+  recordConsent,
+  recordsFor,
+  withdraw,
+  hasConsent
+};
@@ -0,0 +1,231 @@
+const robotsParser = require('robots-parser');
+const db = require('./database');
+const { safeFetch } = require('./safeFetch');
+
+// Shared fetcher for publisher pages (image scraping, article extraction).
+// Obeys robots.txt including Crawl-delay, limits concurrency and request
+// rate per host, and records every fetch it declines to make. Requests go
+// through safeFetch, so they never reach private addresses.
+
+// Page types we fetch
+const PAGE_TYPES = ['text/html', 'application/xhtml+xml'];
+
+const USER_AGENT = 'UK-Compliant-News-Aggregator/1.0 (GDPR Compliant)';
+
+// Product token matched against robots.txt User-agent lines
+const ROBOTS_AGENT = 'UK-Compliant-News-Aggregator';
+
+// How long robots.txt is cached, and how long an unreachable one blocks a host
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+const ROBOTS_RETRY_MS = 60 * 60 * 1000;
+
+// Per-host limits
+const MAX_CONCURRENT_PER_HOST = 2;
+const MIN_INTERVAL_MS = 1000;
+
+// Skip rather than wait longer than this for a host's next slot
+const MAX_WAIT_MS = 30 * 1000;
+
+const robotsCache = new Map();
+const hostSlots = new Map();
+
+class CrawlSkippedError extends Error {
+  constructor(reason, url) {
+    super(`Skipped ${url}: ${reason}`);
+    this.reason = reason;
+    this.url = url;
+  }
+}
+
+async function recordSkip(url, purpose, reason) {
+  try {
+    await db.run('INSERT INTO crawl_skips (host, url, purpose, reason, created_at) VALUES (?, ?, ?, ?, ?)', [
+      new URL(url).hostname,
+      url,
+      purpose,
+      reason,
+      new Date().toISOString()
+    ]);
+  } catch (error) {
+    console.error('Error recording skipped fetch:', error.message);
+  }
+}
+
+async function loadRobots(robotsUrl) {
+  try {
+    const response = await safeFetch(robotsUrl, { timeout: 5000, maxBytes: 512 * 1024 });
+    return { robots: robotsParser(robotsUrl, response.data), ttl: ROBOTS_TTL_MS };
+  } catch (error) {
+    if (error.status >= 400 && error.status < 500) {
+      return { robots: robotsParser(robotsUrl, ''), ttl: ROBOTS_TTL_MS };
+    }
+    return { robots: robotsParser(robotsUrl, 'User-agent: *\nDisallow: /'), ttl: ROBOTS_RETRY_MS };
+  }
+}
+
+// Parsed robots.txt for the URL's origin. A missing file (4xx) allows
+// everything; an unreachable one (5xx, network error) disallows everything
+// until it can be fetched again. Concurrent callers share one request.
+async function getRobots(url) {
+  const origin = new URL(url).origin;
+  const cached = robotsCache.get(origin);
+  if (cached && (!cached.expiresAt || cached.expiresAt > Date.now())) {
+    return (await cached.pending).robots;
+  }
+
+  const entry = { pending: loadRobots(`${origin}/robots.txt`), expiresAt: null };
+  robotsCache.set(origin, entry);
+  const { robots, ttl } = await entry.pending;
+  entry.expiresAt = Date.now() + ttl;
+  return robots;
+}
+
+function hostSlot(host) {
+  if (!hostSlots.has(host)) {
+    hostSlots.set(host, { active: 0, nextAt: 0, waiting: [] });
+  }
+  return hostSlots.get(host);
+}
+
+// Wait for a free connection to the host and its next request slot.
+// Resolves false (without taking a slot) if that would take too long.
+async function acquire(host, intervalMs) {
+  const slot = hostSlot(host);
+  while (slot.active >= MAX_CONCURRENT_PER_HOST) {
+    await new Promise(resolve => slot.waiting.push(resolve));
+  }
+
+  const now = Date.now();
+  const wait = Math.max(0, slot.nextAt - now);
+  if (wait > MAX_WAIT_MS) {
+    release(host, false);
+    return false;
+  }
+
+  slot.active++;
+  slot.nextAt = Math.max(now, slot.nextAt) + intervalMs;
+  if (wait > 0) {
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+  return true;
+}
+
+function release(host, acquired = true) {
+  const slot = hostSlot(host);
+  if (acquired) {
+    slot.active--;
+  }
+  const next = slot.waiting.shift();
+  if (next) {
+    next();
+  }
+}
+
+// Fetch a publisher page politely. `purpose` ('image', 'article', ...) is
+// recorded with any skip; `allowedDomains` restricts every redirect hop (see
+// safeFetch). Rejects with CrawlSkippedError when robots.txt disallows the
+// URL or the host's request queue would stall us too long, and with
+// UnsafeUrlError when the URL fails safeFetch's checks.
+async function fetchPage(url, { purpose, allowedDomains = null, timeout = 10000 } = {}) {
+  const robots = await getRobots(url);
+  if (robots.isAllowed(url, ROBOTS_AGENT) === false) {
+    await recordSkip(url, purpose, 'robots-disallow');
+    throw new CrawlSkippedError('robots-disallow', url);
+  }
+
+  const host = new URL(url).hostname;
+  const crawlDelay = robots.getCrawlDelay(ROBOTS_AGENT);
+  const intervalMs = Math.max(MIN_INTERVAL_MS, (crawlDelay || 0) * 1000);
+
+  if (!(await acquire(host, intervalMs))) {
+    const reason = crawlDelay ? 'crawl-delay' : 'rate-limit';
+    await recordSkip(url, purpose, reason);
+    throw new CrawlSkippedError(reason, url);
+  }
+
+  try {
+    return await safeFetch(url, { allowedDomains, contentTypes: PAGE_TYPES, timeout });
+  } finally {
+    release(host);
+  }
+}
+
+// Robots directives for a fetched page, from <meta name="robots"> (or our
+// own agent's meta tag) and the X-Robots-Tag header
+function robotsDirectives($, headers = {}) {
+  const agent = ROBOTS_AGENT.toLowerCase();
+  const values = [];
+
+  // Header values may be scoped to one crawler ("googlebot: noarchive")
+  [].concat(headers['x-robots-tag'] || []).forEach((value) => {
+    const scoped = String(value).match(/^\s*([\w-]+)\s*:\s*(.*)$/);
+    if (!scoped || scoped[1].toLowerCase() === 'unavailable_after') {
+      values.push(value);
+    } else if (scoped[1].toLowerCase() === agent) {
+      values.push(scoped[2]);
+    }
+  });
+
+  $('meta[name]').each((index, element) => {
+    const name = String($(element).attr('name')).toLowerCase();
+    if (name === 'robots' || name === agent) {
+      values.push($(element).attr('content') || '');
+    }
+  });
+
+  const directives = new Set(values
+    .join(',')
+    .toLowerCase()
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean));
+
+  const none = directives.has('none');
+  return {
+    noindex: none || directives.has('noindex'),
+    noarchive: none || directives.has('noarchive'),
+    noimageindex: directives.has('noimageindex'),
+    nosnippet: directives.has('nosnippet')
+  };
+}
+
+// Skipped fetches per host and reason, for publishers and admins
+async function skipSummary({ since } = {}) {
+  const params = [];
+  let where = '';
+  if (since) {
+    where = 'WHERE created_at >= ?';
+    params.push(since);
+  }
+
+  const rows = await db.all(`SELECT host, reason, COUNT(*) AS count, MAX(created_at) AS last_skipped_at
+    FROM crawl_skips ${where}
+    GROUP BY host, reason
+    ORDER BY host, reason`, params);
+
+  return rows.map(row => ({
+    host: row.host,
+    reason: row.reason,
+    count: row.count,
+    lastSkippedAt: row.last_skipped_at
+  }));
+}
+
+async function pruneSkips(retentionDays) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  const result = await db.run('DELETE FROM crawl_skips WHERE created_at < ?', [cutoff]);
+  return result.changes;
+}
+
+module.exports = {
+  USER_AGENT,
+  ROBOTS_AGENT,
+  MAX_CONCURRENT_PER_HOST,
+  MIN_INTERVAL_MS,
+  CrawlSkippedError,
+  fetchPage,
+  recordSkip,
+  robotsDirectives,
+  skipSummary,
+  pruneSkips
+};
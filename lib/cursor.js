@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+// Opaque pagination cursors. A cursor records where the previous page ended
+// plus a fingerprint of the filters it was issued for, so it cannot be
+// replayed against a different query.
+
+const CURSOR_VERSION = 1;
+
+class CursorError extends Error {}
+
+function fingerprint(filters) {
+  const keys = Object.keys(filters).sort();
+  const canonical = JSON.stringify(keys.map(key => [key, filters[key] === undefined ? null : filters[key]]));
+  return crypto.createHash('sha256').update(canonical).digest('base64url').slice(0, 16);
+}
+
+function encodeCursor(filters, position) {
+  const payload = { v: CURSOR_VERSION, f: fingerprint(filters), ...position };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Returns the position stored in the cursor; throws CursorError if the
+// cursor is malformed or was issued for other filters
+function decodeCursor(cursor, filters) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new CursorError('Malformed cursor');
+  }
+
+  if (!payload || typeof payload !== 'object' || payload.v !== CURSOR_VERSION) {
+    throw new CursorError('Unsupported cursor');
+  }
+  if (payload.f !== fingerprint(filters)) {
+    throw new CursorError('Cursor does not match the current filters');
+  }
+
+  const { v, f, ...position } = payload;
+  return position;
+}
+
+module.exports = {
+  CursorError,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const migrations = require('./migrations');
+
+// Database location (use ':memory:' for throwaway databases). Serverless
+// functions can only write to /tmp.
+const DATABASE_PATH = process.env.DATABASE_PATH || (process.env.LAMBDA_TASK_ROOT
+  ? path.join('/tmp', 'news.db')
+  : path.join(__dirname, '..', 'data', 'news.db'));
+
+let databasePromise = null;
+let transactionQueue = Promise.resolve();
+
+// Set while a transaction's own statements run. Everything shares one
+// connection, so a write from outside that ran mid-transaction would be
+// undone by its rollback; such writes wait their turn instead.
+const transactionContext = new AsyncLocalStorage();
+
+function openDatabase(filename) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(filename, (err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(db);
+    });
+  });
+}
+
+function execute(db, method, sql, params) {
+  return new Promise((resolve, reject) => {
+    db[method](sql, params, function (err, result) {
+      if (err) {
+        return reject(err);
+      }
+      // `this` carries lastID/changes for run()
+      resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+    });
+  });
+}
+
+async function migrate(db) {
+  await execute(db, 'run', `CREATE TABLE IF NOT EXISTS schema_migrations (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`, []);
+
+  const applied = await execute(db, 'all', 'SELECT id FROM schema_migrations', []);
+  const appliedIds = new Set(applied.map(row => row.id));
+
+  for (const migration of migrations) {
+    if (appliedIds.has(migration.id)) {
+      continue;
+    }
+
+    await execute(db, 'run', 'BEGIN', []);
+    try {
+      // Statements are plain SQL strings or [sql, params] pairs
+      for (const statement of migration.up) {
+        const [sql, params] = Array.isArray(statement) ? statement : [statement, []];
+        await execute(db, 'run', sql, params);
+      }
+      await execute(db, 'run', 'INSERT INTO schema_migrations (id, name, applied_at) VALUES (?, ?, ?)', [
+        migration.id,
+        migration.name,
+        new Date().toISOString()
+      ]);
+      await execute(db, 'run', 'COMMIT', []);
+      console.log(`Database migration applied: ${migration.id} ${migration.name}`);
+    } catch (error) {
+      await execute(db, 'run', 'ROLLBACK', []);
+      throw error;
+    }
+  }
+}
+
+// Lazily open and migrate the shared database connection
+function getDatabase() {
+  if (!databasePromise) {
+    databasePromise = openDatabase(DATABASE_PATH).then(async (db) => {
+      await execute(db, 'run', 'PRAGMA foreign_keys = ON', []);
+      await migrate(db);
+      return db;
+    });
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+// Run fn after every queued transaction and write
+function enqueue(fn) {
+  const result = transactionQueue.then(fn);
+  transactionQueue = result.catch(() => {});
+  return result;
+}
+
+async function run(sql, params = []) {
+  if (transactionContext.getStore()) {
+    return execute(await getDatabase(), 'run', sql, params);
+  }
+  return enqueue(async () => execute(await getDatabase(), 'run', sql, params));
+}
+
+async function get(sql, params = []) {
+  return execute(await getDatabase(), 'get', sql, params);
+}
+
+async function all(sql, params = []) {
+  return execute(await getDatabase(), 'all', sql, params);
+}
+
+// Run fn inside a transaction; transactions are queued so they never nest
+function transaction(fn) {
+  return enqueue(async () => {
+    const db = await getDatabase();
+    await execute(db, 'run', 'BEGIN', []);
+    try {
+      const value = await transactionContext.run(true, fn);
+      await execute(db, 'run', 'COMMIT', []);
+      return value;
+    } catch (error) {
+      await execute(db, 'run', 'ROLLBACK', []);
+      throw error;
+    }
+  });
+}
+
+async function close() {
+  if (!databasePromise) {
+    return;
+  }
+  const db = await databasePromise;
+  databasePromise = null;
+  await new Promise((resolve, reject) => db.close(err => (err ? reject(err) : resolve())));
+}
+
+module.exports = {
+  getDatabase,
+  run,
+  get,
+  all,
+  transaction,
+  close
+};
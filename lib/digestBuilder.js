@@ -0,0 +1,144 @@
+const { truncateText } = require('./licensing');
+
+// Renders email digests as HTML and plain text. Every story carries its
+// publisher's attribution and links to the original article; like the
+// feeds, a digest only carries headlines and licensed snippets.
+
+const AGGREGATOR = 'UK Compliant News Aggregator';
+
+const CATEGORY_LABELS = {
+  general: 'Top stories',
+  business: 'Business',
+  technology: 'Technology',
+  sports: 'Sports',
+  politics: 'Politics'
+};
+
+// Summaries are cut to this length in emails
+const MAX_SUMMARY_LENGTH = 280;
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function storySummary(story) {
+  return truncateText(story.summary || story.lede || story.description, MAX_SUMMARY_LENGTH) || '';
+}
+
+// The publisher's required credit, or the source name
+function credit(story) {
+  return story.attribution ? story.attribution.text : `Source: ${story.source}`;
+}
+
+function otherSources(story) {
+  const coverage = story.cluster ? story.cluster.alsoCoveredBy : [];
+  return coverage.map(other => other.source);
+}
+
+function formatDate(value, timezone) {
+  const date = value ? new Date(value) : null;
+  if (!date || isNaN(date)) {
+    return '';
+  }
+  return date.toLocaleString('en-GB', {
+    timeZone: timezone,
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+function renderHtmlStory(story, timezone) {
+  const summary = storySummary(story);
+  const others = otherSources(story);
+  const published = formatDate(story.pubDate, timezone);
+  return [
+    '<tr><td style="padding:12px 0;border-bottom:1px solid #e5e5e5">',
+    `<a href="${escapeHtml(story.link)}" style="font-size:16px;font-weight:bold;color:#1a4480;text-decoration:none">${escapeHtml(story.title)}</a>`,
+    `<div style="font-size:13px;color:#555;margin-top:4px">${escapeHtml(credit(story))}${published ? ` · ${escapeHtml(published)}` : ''}</div>`,
+    summary ? `<p style="font-size:14px;color:#222;margin:6px 0 0">${escapeHtml(summary)}</p>` : '',
+    others.length ? `<div style="font-size:13px;color:#555;margin-top:4px">Also covered by ${escapeHtml(others.join(', '))}</div>` : '',
+    `<div style="font-size:13px;margin-top:4px"><a href="${escapeHtml(story.link)}" style="color:#1a4480">Read the full story at ${escapeHtml(story.source)}</a></div>`,
+    '</td></tr>'
+  ].join('');
+}
+
+function renderTextStory(story, timezone) {
+  const summary = storySummary(story);
+  const others = otherSources(story);
+  const published = formatDate(story.pubDate, timezone);
+  return [
+    `* ${story.title}`,
+    `  ${credit(story)}${published ? ` (${published})` : ''}`,
+    summary ? `  ${summary}` : null,
+    others.length ? `  Also covered by ${others.join(', ')}` : null,
+    `  ${story.link}`
+  ].filter(line => line !== null).join('\n');
+}
+
+// sections: [{ category, stories }]. Returns { subject, html, text }.
+function buildDigest({ frequency, sections, timezone, unsubscribeUrl, manageUrl, date = new Date() }) {
+  const period = frequency === 'weekly' ? 'weekly' : 'daily';
+  const storyCount = sections.reduce((total, section) => total + section.stories.length, 0);
+  const day = date.toLocaleDateString('en-GB', { timeZone: timezone, weekday: 'long', day: 'numeric', month: 'long' });
+  const subject = `Your ${period} news digest for ${day}`;
+  const intro = storyCount
+    ? `${storyCount} ${storyCount === 1 ? 'story' : 'stories'} from your chosen categories and sources.`
+    : 'No new stories from your chosen categories and sources.';
+  const attribution = 'Headlines and summaries are the work of the publishers named with each story, '
+    + 'and each link goes to the original article on their site. We do not reproduce full articles.';
+  const reason = `You are receiving this because you opted in to the ${period} digest.`;
+
+  const html = [
+    '<!DOCTYPE html>',
+    '<html lang="en"><head><meta charset="utf-8">',
+    `<title>${escapeHtml(subject)}</title></head>`,
+    '<body style="margin:0;padding:0;background:#f5f5f5;font-family:Arial,Helvetica,sans-serif">',
+    '<table role="presentation" width="100%" cellpadding="0" cellspacing="0"><tr><td align="center" style="padding:24px">',
+    '<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;background:#fff;padding:24px">',
+    `<tr><td><h1 style="font-size:22px;margin:0 0 4px">${escapeHtml(subject)}</h1>`,
+    `<p style="font-size:14px;color:#555;margin:0 0 16px">${escapeHtml(intro)}</p></td></tr>`,
+    ...sections.map(section => [
+      `<tr><td><h2 style="font-size:18px;margin:20px 0 0">${escapeHtml(CATEGORY_LABELS[section.category] || section.category)}</h2></td></tr>`,
+      ...section.stories.map(story => renderHtmlStory(story, timezone))
+    ].join('')),
+    '<tr><td style="padding-top:24px;font-size:12px;color:#777">',
+    `<p>${escapeHtml(attribution)}</p>`,
+    `<p>${escapeHtml(reason)} <a href="${escapeHtml(unsubscribeUrl)}" style="color:#1a4480">Unsubscribe</a> · `,
+    `<a href="${escapeHtml(manageUrl)}" style="color:#1a4480">Manage your preferences</a></p>`,
+    `<p>${escapeHtml(AGGREGATOR)}</p>`,
+    '</td></tr></table></td></tr></table></body></html>'
+  ].join('\n');
+
+  const text = [
+    subject,
+    intro,
+    '',
+    ...sections.map(section => [
+      (CATEGORY_LABELS[section.category] || section.category).toUpperCase(),
+      '',
+      section.stories.map(story => renderTextStory(story, timezone)).join('\n\n'),
+      ''
+    ].join('\n')),
+    '--',
+    attribution,
+    '',
+    reason,
+    `Unsubscribe: ${unsubscribeUrl}`,
+    `Manage your preferences: ${manageUrl}`,
+    '',
+    AGGREGATOR
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+module.exports = {
+  buildDigest
+};
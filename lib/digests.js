@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const db = require('./database');
+const articleStore = require('./articleStore');
+const sourceRegistry = require('./sourceRegistry');
+const consentRecords = require('./consentRecords');
+const mailer = require('./mailer');
+const { clusterArticles } = require('./clustering');
+const { buildDigest } = require('./digestBuilder');
+const licensing = require('./licensing');
+
+// Email digests: users opt in to a daily or weekly email of top stories for
+// their categories and sources, sent at a local time of their choosing. A
+// digest is only ever sent while the user's marketing consent stands; the
+// outbox checks it again right before each send.
+
+const FREQUENCIES = ['daily', 'weekly'];
+const DEFAULT_TIMEZONE = 'Europe/London';
+
+// A digest still goes out if the scheduler was down at the chosen minute,
+// as long as it runs within this long afterwards
+const SEND_WINDOW_MINUTES = 60;
+
+const STORIES_PER_CATEGORY = 5;
+const CANDIDATES_PER_CATEGORY = 100;
+const PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const PORT = process.env.PORT || 3000;
+
+function baseUrl() {
+  return (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+}
+
+function toSubscription(row) {
+  return {
+    frequency: row.frequency,
+    sendTime: row.send_time,
+    sendDay: row.send_day,
+    timezone: row.timezone,
+    categories: JSON.parse(row.categories),
+    sources: row.sources ? JSON.parse(row.sources) : null,
+    email: row.email,
+    enabled: Boolean(row.enabled),
+    lastRunAt: row.last_run_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function getSubscription(userId) {
+  const row = await db.get('SELECT * FROM digest_subscriptions WHERE user_id = ?', [userId]);
+  return row ? toSubscription(row) : null;
+}
+
+// Create or replace the user's subscription and enable it. The unsubscribe
+// token is kept across updates so links in earlier emails keep working.
+async function saveSubscription(userId, { email, frequency, sendTime, sendDay, timezone, categories, sources }) {
+  const now = new Date().toISOString();
+  await db.run(`INSERT INTO digest_subscriptions (
+      user_id, email, frequency, send_time, send_day, timezone, categories, sources, unsubscribe_token, enabled, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)
+    ON CONFLICT(user_id) DO UPDATE SET
+      email = excluded.email, frequency = excluded.frequency, send_time = excluded.send_time,
+      send_day = excluded.send_day, timezone = excluded.timezone, categories = excluded.categories,
+      sources = excluded.sources, enabled = 1, updated_at = excluded.updated_at`, [
+    userId,
+    email,
+    frequency,
+    sendTime,
+    frequency === 'weekly' ? sendDay : null,
+    timezone || DEFAULT_TIMEZONE,
+    JSON.stringify(categories),
+    sources && sources.length ? JSON.stringify(sources) : null,
+    crypto.randomBytes(24).toString('base64url'),
+    now,
+    now
+  ]);
+  return getSubscription(userId);
+}
+
+// Stop sending: disable the subscription, withdraw the marketing consent it
+// relied on and drop digests already queued
+async function disableSubscription(userId, { ipAddress } = {}) {
+  const result = await db.run('UPDATE digest_subscriptions SET enabled = 0, updated_at = ? WHERE user_id = ?',
+    [new Date().toISOString(), userId]);
+  await consentRecords.withdraw(userId, 'marketing', { ipAddress });
+  await mailer.cancelPending(userId, 'digest');
+  return result.changes > 0;
+}
+
+// One-click unsubscribe from an email link. Resolves false for unknown tokens.
+async function unsubscribeByToken(token, options) {
+  const row = await db.get('SELECT user_id FROM digest_subscriptions WHERE unsubscribe_token = ?', [token]);
+  if (!row) {
+    return false;
+  }
+  await disableSubscription(row.user_id, options);
+  return true;
+}
+
+// Right to erasure: the subscription and any queued or sent emails
+async function deleteForUser(userId) {
+  await db.run('DELETE FROM digest_subscriptions WHERE user_id = ?', [userId]);
+  await mailer.deleteForUser(userId);
+}
+
+// Wall-clock date, weekday and minute of `date` in a time zone
+function localTime(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+// Whether a subscription should run now: within the send window after its
+// local send time, on its weekday if weekly, and not already run that day
+function isDue(subscription, now = new Date()) {
+  const local = localTime(now, subscription.timezone);
+  const [hours, minutes] = subscription.sendTime.split(':').map(Number);
+  const sinceSendTime = local.minutes - (hours * 60 + minutes);
+
+  if (sinceSendTime < 0 || sinceSendTime >= SEND_WINDOW_MINUTES) {
+    return false;
+  }
+  if (subscription.frequency === 'weekly' && local.weekday !== subscription.sendDay) {
+    return false;
+  }
+  return !subscription.lastRunAt || localTime(new Date(subscription.lastRunAt), subscription.timezone).date !== local.date;
+}
+
+// Most widely covered stories per category over the digest period, then the
+// most recent; a story appears in one section only
+async function topStories(subscription, now = new Date()) {
+  let sources = await sourceRegistry.listSources({ enabledOnly: true });
+  if (subscription.sources) {
+    const wanted = subscription.sources.map(source => source.toLowerCase());
+    sources = sources.filter(s => wanted.some(source => s.name.toLowerCase().includes(source)));
+  }
+  const sourceNames = sources.map(s => s.name);
+  const from = new Date(now.getTime() - PERIOD_MS[subscription.frequency]);
+
+  const seen = new Set();
+  const sections = [];
+  for (const category of subscription.categories) {
+    const candidates = await articleStore.getArticles({
+      sources: sourceNames,
+      category: category !== 'general' ? category : null,
+      from,
+      to: now,
+      limit: CANDIDATES_PER_CATEGORY
+    });
+
+    const stories = clusterArticles(candidates)
+      .sort((a, b) => b.cluster.size - a.cluster.size || new Date(b.pubDate) - new Date(a.pubDate))
+      .filter(story => !seen.has(story.cluster.id))
+      .slice(0, STORIES_PER_CATEGORY);
+    stories.forEach(story => seen.add(story.cluster.id));
+
+    if (stories.length) {
+      sections.push({ category, stories: await licensing.licenseArticles(stories) });
+    }
+  }
+  return sections;
+}
+
+async function renderDigest(row, now = new Date()) {
+  const subscription = toSubscription(row);
+  const sections = await topStories(subscription, now);
+  const unsubscribeUrl = `${baseUrl()}/api/digests/unsubscribe/${row.unsubscribe_token}`;
+  return {
+    sections,
+    unsubscribeUrl,
+    ...buildDigest({
+      frequency: subscription.frequency,
+      sections,
+      timezone: subscription.timezone,
+      unsubscribeUrl,
+      manageUrl: `${baseUrl()}/`,
+      date: now
+    })
+  };
+}
+
+// The user's next digest as it would be sent now
+async function previewDigest(userId) {
+  const row = await db.get('SELECT * FROM digest_subscriptions WHERE user_id = ?', [userId]);
+  return row ? renderDigest(row) : null;
+}
+
+let digestRun = null;
+
+// Queue and send every digest that is due. Concurrent calls share one pass.
+// Resolves with the number of digests queued.
+function runDigests(now = new Date()) {
+  if (!digestRun) {
+    digestRun = (async () => {
+      const rows = await db.all('SELECT * FROM digest_subscriptions WHERE enabled = 1');
+      let queued = 0;
+
+      for (const row of rows) {
+        if (!isDue(toSubscription(row), now)) {
+          continue;
+        }
+        // Opting in is recorded as marketing consent; without it, no email
+        if (!(await consentRecords.hasConsent(row.user_id, 'marketing'))) {
+          continue;
+        }
+
+        try {
+          const digest = await renderDigest(row, now);
+          await db.run('UPDATE digest_subscriptions SET last_run_at = ? WHERE id = ?', [now.toISOString(), row.id]);
+          if (digest.sections.length === 0) {
+            continue;
+          }
+
+          await mailer.enqueueEmail({
+            userId: row.user_id,
+            purpose: 'digest',
+            to: row.email,
+            subject: digest.subject,
+            html: digest.html,
+            text: digest.text,
+            headers: {
+              // One-click unsubscribe (RFC 8058)
+              'List-Unsubscribe': `<${digest.unsubscribeUrl}>`,
+              'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            }
+          });
+          queued += 1;
+        } catch (error) {
+          console.error(`Error building digest for subscription ${row.id}:`, error.message);
+        }
+      }
+
+      await mailer.flushOutbox();
+      return queued;
+    })().finally(() => {
+      digestRun = null;
+    });
+  }
+  return digestRun;
+}
+
+let scheduledTask = null;
+
+// Check for due digests every minute (and retry failed sends)
+function startDigests(schedule = '* * * * *') {
+  if (scheduledTask) {
+    return scheduledTask;
+  }
+  scheduledTask = cron.schedule(schedule, () => {
+    runDigests().then((queued) => {
+      if (queued > 0) {
+        console.log(`Email digests queued: ${queued}`);
+      }
+    }).catch((error) => {
+      console.error('Email digest run failed:', error.message);
+    });
+  });
+  console.log('Email digests scheduled');
+  return scheduledTask;
+}
+
+module.exports = {
+  FREQUENCIES,
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getSubscription,
+  saveSubscription,
+  disableSubscription,
+  unsubscribeByToken,
+  deleteForUser,
+  isDue,
+  previewDigest,
+  runDigests,
+  startDigests
+};
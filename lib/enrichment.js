@@ -0,0 +1,28 @@
+const { extractTerms } = require('./entityExtractor');
+const { analyzeArticle } = require('./textAnalysis');
+
+// Enrichment steps run on every article before it is stored. Each step
+// takes the article and returns fields to add; steps run in order, so later
+// ones can use earlier results. Steps must be synchronous and local (no
+// network), since they run for every item of every feed poll.
+const ENRICHERS = [
+  // Language, reading time, lede, summary and keywords for the article card
+  article => analyzeArticle(article),
+  // Named entities and key phrases, used for trending topics
+  article => extractTerms(article)
+];
+
+function enrichArticle(article) {
+  return ENRICHERS.reduce((enriched, enrich) => {
+    try {
+      return { ...enriched, ...enrich(enriched) };
+    } catch (error) {
+      console.error(`Error enriching article ${article.link}:`, error.message);
+      return enriched;
+    }
+  }, article);
+}
+
+module.exports = {
+  enrichArticle
+};
@@ -0,0 +1,401 @@
+// Named entities (people, organisations, places) and key phrases from an
+// article's title and description. Rule-based: capitalised word runs are
+// classified by gazetteers and by the words around them, and key phrases
+// are the highest scoring stopword-delimited runs (RAKE).
+
+const PLACES = new Set([
+  'uk', 'britain', 'great britain', 'united kingdom', 'england', 'scotland', 'wales', 'northern ireland',
+  'ireland', 'london', 'manchester', 'birmingham', 'liverpool', 'leeds', 'glasgow', 'edinburgh', 'cardiff',
+  'belfast', 'bristol', 'sheffield', 'newcastle', 'nottingham', 'leicester', 'southampton', 'portsmouth',
+  'brighton', 'oxford', 'cambridge', 'york', 'aberdeen', 'dundee', 'swansea', 'coventry', 'plymouth',
+  'hull', 'derby', 'kent', 'essex', 'surrey', 'sussex', 'yorkshire', 'lancashire', 'cornwall', 'devon',
+  'norfolk', 'suffolk', 'cumbria', 'westminster', 'whitehall', 'downing street', 'europe', 'africa', 'asia',
+  'middle east', 'us', 'usa', 'united states', 'america', 'canada', 'mexico', 'brazil', 'argentina',
+  'france', 'germany', 'italy', 'spain', 'portugal', 'netherlands', 'belgium', 'poland', 'sweden',
+  'norway', 'denmark', 'finland', 'greece', 'turkey', 'russia', 'ukraine', 'belarus', 'israel', 'gaza',
+  'west bank', 'lebanon', 'syria', 'iran', 'iraq', 'yemen', 'saudi arabia', 'qatar', 'egypt', 'sudan',
+  'libya', 'nigeria', 'kenya', 'south africa', 'india', 'pakistan', 'afghanistan', 'china', 'taiwan',
+  'hong kong', 'japan', 'north korea', 'south korea', 'australia', 'new zealand', 'paris', 'berlin',
+  'brussels', 'moscow', 'kyiv', 'washington', 'new york', 'beijing', 'tokyo', 'jerusalem', 'tehran',
+  'dublin', 'rome', 'madrid', 'geneva', 'davos'
+]);
+
+const ORGANISATIONS = new Set([
+  'nhs', 'bbc', 'itv', 'eu', 'un', 'nato', 'imf', 'who', 'wto', 'g7', 'g20', 'opec', 'tuc', 'cbi', 'ons',
+  'fca', 'ofcom', 'ofgem', 'ofsted', 'ofwat', 'hmrc', 'dvla', 'mod', 'fa', 'uefa', 'fifa', 'ecb', 'rmt',
+  'unite', 'unison', 'labour', 'conservatives', 'tories', 'reform uk', 'liberal democrats', 'lib dems',
+  'snp', 'plaid cymru', 'greens', 'sinn fein', 'dup', 'parliament', 'commons', 'house of commons',
+  'house of lords', 'bank of england', 'treasury', 'home office', 'foreign office', 'met police',
+  'metropolitan police', 'premier league', 'google', 'apple', 'microsoft', 'amazon', 'meta', 'openai',
+  'nvidia', 'tesla', 'netflix', 'bp', 'shell', 'tesco', 'sainsburys', 'asda', 'barclays', 'hsbc',
+  'lloyds', 'natwest', 'vodafone', 'bt', 'royal mail', 'network rail', 'ftse', 'kremlin', 'pentagon',
+  'white house', 'hamas', 'hezbollah', 'arsenal', 'chelsea', 'tottenham', 'manchester united',
+  'manchester city', 'newcastle united', 'aston villa', 'celtic', 'rangers'
+]);
+
+// Last words that make a run an organisation or a place
+const ORGANISATION_HEADS = new Set([
+  'party', 'council', 'bank', 'ltd', 'limited', 'plc', 'group', 'inc', 'corp', 'corporation', 'company',
+  'police', 'service', 'services', 'trust', 'foundation', 'institute', 'university', 'college', 'school',
+  'commission', 'committee', 'office', 'ministry', 'department', 'agency', 'authority', 'association',
+  'federation', 'union', 'league', 'club', 'fc', 'united', 'rovers', 'airways', 'airlines', 'motors',
+  'energy', 'water', 'railways', 'board', 'court', 'assembly', 'government', 'army', 'navy', 'forces',
+  'hospital', 'network', 'news', 'media', 'times', 'post', 'tribunal', 'parliament', 'senate', 'congress'
+]);
+const PLACE_HEADS = new Set([
+  'street', 'road', 'avenue', 'lane', 'square', 'bridge', 'island', 'islands', 'bay', 'valley', 'county',
+  'shire', 'borough', 'village', 'airport', 'station', 'harbour', 'coast', 'sea', 'river', 'mountains'
+]);
+
+// Words before a run that make it a person (titles and roles)
+const PERSON_TITLES = new Set([
+  'mr', 'mrs', 'ms', 'miss', 'dr', 'sir', 'dame', 'lord', 'lady', 'prof', 'professor', 'president',
+  'prime minister', 'pm', 'chancellor', 'king', 'queen', 'prince', 'princess', 'pope', 'secretary',
+  'minister', 'mp', 'captain', 'judge', 'justice', 'coach', 'manager', 'striker', 'midfielder',
+  'defender', 'goalkeeper', 'boss', 'leader', 'chief', 'senator', 'governor', 'mayor', 'general',
+  'inspector', 'detective', 'singer', 'actor', 'actress', 'star', 'presenter', 'author', 'chairman',
+  'chairwoman', 'ceo', 'founder', 'spokesman', 'spokeswoman', 'spokesperson'
+]);
+
+// Common first names, so "Rachel Reeves" is a person without a title
+const FIRST_NAMES = new Set([
+  'adam', 'alan', 'alex', 'alexander', 'alice', 'amanda', 'amy', 'andrew', 'andy', 'angela', 'ann',
+  'anna', 'anne', 'anthony', 'ben', 'bill', 'boris', 'bridget', 'catherine', 'charles', 'charlie',
+  'charlotte', 'chris', 'christopher', 'claire', 'daniel', 'david', 'donald', 'ed', 'edward', 'elizabeth',
+  'ellie', 'emily', 'emma', 'gary', 'george', 'grace', 'hannah', 'harry', 'helen', 'jack', 'jacob',
+  'james', 'jane', 'jeremy', 'jess', 'jessica', 'joe', 'john', 'jonathan', 'joseph', 'kate', 'katie',
+  'keir', 'kemi', 'kevin', 'laura', 'liz', 'lucy', 'mark', 'martin', 'mary', 'matt', 'matthew', 'michael',
+  'mohammed', 'muhammad', 'nadine', 'nick', 'nicola', 'nigel', 'oliver', 'olivia', 'paul', 'peter',
+  'priti', 'rachel', 'rebecca', 'richard', 'rishi', 'robert', 'sadiq', 'sam', 'sarah', 'simon', 'sophie',
+  'steve', 'stephen', 'sue', 'suella', 'theresa', 'thomas', 'tom', 'tony', 'vladimir', 'wes', 'william',
+  'yvette', 'emmanuel', 'olaf', 'volodymyr', 'benjamin', 'xi', 'narendra', 'kamala', 'elon', 'taylor'
+]);
+
+// Capitalised words that are not entities on their own
+const NOT_ENTITIES = new Set([
+  'a', 'an', 'the', 'this', 'that', 'these', 'those', 'it', 'its', 'he', 'she', 'they', 'we', 'i', 'you',
+  'his', 'her', 'their', 'our', 'my', 'your', 'how', 'why', 'what', 'when', 'where', 'who', 'which',
+  'watch', 'live', 'latest', 'breaking', 'exclusive', 'analysis', 'opinion', 'video', 'pictures', 'update',
+  'new', 'more', 'after', 'before', 'as', 'in', 'on', 'at', 'for', 'but', 'and', 'or', 'if', 'so', 'to',
+  'of', 'by', 'with', 'from', 'up', 'out', 'over', 'under', 'there', 'here', 'some', 'all', 'no', 'not',
+  'one', 'two', 'three', 'first', 'last', 'next', 'can', 'could', 'will', 'would', 'should', 'may', 'might',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'january', 'february',
+  'march', 'april', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+  'christmas', 'easter', 'mps', 'pm'
+]);
+
+// Lower-case words allowed inside a run ("Bank of England")
+const CONNECTORS = new Set(['of', 'the', 'for', 'de', 'la', 'le', 'von', 'van', 'der']);
+
+const STOPWORDS = new Set([
+  ...NOT_ENTITIES,
+  ...[...PERSON_TITLES].join(' ').split(' '),
+  'about', 'also', 'amid', 'any', 'are', 'be', 'been', 'being', 'because', 'both', 'did', 'do', 'does',
+  'down', 'each', 'even', 'every', 'get', 'gets', 'got', 'had', 'has', 'have', 'having', 'into', 'is',
+  'just', 'like', 'made', 'make', 'makes', 'many', 'most', 'much', 'must', 'near', 'now', 'off', 'only',
+  'other', 'than', 'them', 'then', 'through', 'too', 'very', 'was', 'were', 'while', 'yet', 'against',
+  'says', 'said', 'say', 'told', 'tells', 'according', 'year', 'years', 'week', 'weeks', 'day', 'days',
+  'month', 'months', 'time', 'times', 'people', 'news', 'report', 'reports', 'reported', 'latest',
+  'million', 'billion', 'bn', 'per', 'cent', 'percent', 'around', 'since', 'until', 'without', 'within',
+  'across', 'during', 'among', 'another', 'again', 'back', 'still', 'way', 'well', 'set', 'take', 'takes',
+  'use', 'used', 'see', 'seen', 'come', 'comes', 'go', 'goes', 'going', 'want', 'wants', 'need', 'needs',
+  'know', 'think', 'look', 'looks', 'call', 'calls', 'called', 'ago', 'us', 'uk',
+  // Headline verbs
+  'warns', 'warned', 'faces', 'face', 'hits', 'hit', 'beat', 'beats', 'announces', 'announced', 'reveals',
+  'revealed', 'urges', 'urged', 'slams', 'vows', 'plans', 'planned', 'backs', 'backed', 'wins', 'won',
+  'win', 'falls', 'fall', 'fell', 'rises', 'rise', 'rose', 'scored', 'scores', 'moved', 'moves', 'held',
+  'holds', 'pressed', 'questioned', 'admits', 'denies', 'claims', 'agrees', 'rejects', 'launches',
+  'launched', 'confirms', 'confirmed', 'expected', 'begins', 'ends', 'opens', 'closes', 'returns', 'dies',
+  'killed', 'found', 'named', 'given', 'gives', 'shows', 'showed', 'leaves', 'left', 'joins', 'joined'
+]);
+
+// Most entities and phrases kept per article
+const MAX_ENTITIES = 10;
+const MAX_KEY_PHRASES = 6;
+
+function plainText(value) {
+  return String(value || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;|&#160;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&[a-z]+;|&#\d+;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Comparable form of a name or phrase: lower case, no possessive, no
+// apostrophes or accents, crude plural folding on the last word
+function termKey(value) {
+  const words = String(value || '')
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9&]+/)
+    .filter(Boolean);
+  if (words.length) {
+    const last = words[words.length - 1];
+    if (last.length > 4 && last.endsWith('s') && !last.endsWith('ss')) {
+      words[words.length - 1] = last.slice(0, -1);
+    }
+  }
+  return words.join(' ');
+}
+
+function lower(word) {
+  return word.toLowerCase().replace(/['’]s$/, '').replace(/['’]/g, '');
+}
+
+function isCapitalised(word) {
+  return /^[A-ZÀ-Þ]/.test(word);
+}
+
+function isAcronym(word) {
+  return /^[A-Z][A-Z0-9&]{1,5}s?$/.test(word.replace(/['’]s$/, ''));
+}
+
+// Sentences of the text, each a list of words with their original case
+function sentences(text) {
+  return plainText(text)
+    .split(/(?<=[.!?])\s+(?=[A-Z"“‘'])|\s[-–—|:]\s|[;"“”]/)
+    .map(sentence => (sentence.match(/[A-Za-zÀ-ɏ0-9][A-Za-zÀ-ɏ0-9'’.&-]*/g) || [])
+      .map(word => word.replace(/[.]+$/, '')))
+    .filter(words => words.length > 0);
+}
+
+// Headlines written in Title Case say nothing about which words are names
+function isTitleCase(words) {
+  const long = words.filter(word => word.length > 3);
+  return long.length >= 4 && long.filter(isCapitalised).length / long.length > 0.85;
+}
+
+function isKnown(words) {
+  const name = words.map(lower).join(' ');
+  return PLACES.has(name) || ORGANISATIONS.has(name);
+}
+
+// Known places and organisations (up to three words) anywhere in a sentence
+function knownNamesIn(words) {
+  const runs = [];
+  let i = 0;
+  while (i < words.length) {
+    const length = [3, 2, 1].find(n => i + n <= words.length && isKnown(words.slice(i, i + n)));
+    if (length) {
+      runs.push({ words: words.slice(i, i + length), previous: i > 0 ? lower(words[i - 1]) : '' });
+      i += length;
+    } else {
+      i++;
+    }
+  }
+  return runs;
+}
+
+function classify(words, previous) {
+  const name = words.map(lower).join(' ');
+  const head = lower(words[words.length - 1]);
+
+  if (PLACES.has(name)) {
+    return 'place';
+  }
+  if (ORGANISATIONS.has(name) || ORGANISATION_HEADS.has(head) || (words.length === 1 && isAcronym(words[0]))) {
+    return 'organisation';
+  }
+  if (PLACE_HEADS.has(head) || /shire$/.test(head)) {
+    return 'place';
+  }
+  if (PERSON_TITLES.has(previous) || FIRST_NAMES.has(lower(words[0]))) {
+    return 'person';
+  }
+  if (['in', 'at', 'from', 'near', 'across', 'outside'].includes(previous)) {
+    return 'place';
+  }
+  return 'other';
+}
+
+// Capitalised runs in one sentence, with titles ("Prime Minister") split
+// off. `namesSeen` holds words capitalised mid-sentence elsewhere in the
+// article, which makes them names even at the start of a sentence.
+function runsIn(words, namesSeen) {
+  const runs = [];
+  let i = 0;
+
+  while (i < words.length) {
+    if (!isCapitalised(words[i])) {
+      i++;
+      continue;
+    }
+
+    let j = i + 1;
+    while (j < words.length) {
+      if (isCapitalised(words[j])) {
+        j++;
+      } else if (CONNECTORS.has(words[j]) && j + 1 < words.length && isCapitalised(words[j + 1])) {
+        j += 2;
+      } else {
+        break;
+      }
+    }
+
+    let run = words.slice(i, j);
+    let previous = i > 0 ? lower(words[i - 1]) : '';
+
+    // Leading capitalised titles and filler belong before the name
+    while (run.length > 1 && !isKnown(run)) {
+      const two = run.length > 2 ? `${lower(run[0])} ${lower(run[1])}` : null;
+      if (two && PERSON_TITLES.has(two)) {
+        previous = two;
+        run = run.slice(2);
+      } else if (PERSON_TITLES.has(lower(run[0])) || NOT_ENTITIES.has(lower(run[0]))) {
+        previous = lower(run[0]);
+        run = run.slice(1);
+      } else {
+        break;
+      }
+    }
+    while (run.length > 1 && (CONNECTORS.has(run[run.length - 1]) || NOT_ENTITIES.has(lower(run[run.length - 1])))) {
+      run = run.slice(0, -1);
+    }
+
+    const single = run.length === 1 ? lower(run[0]) : null;
+    const atStart = i === 0 && run[0] === words[0];
+
+    // A lone capitalised word may just start the sentence
+    const usable = run.length > 0 &&
+      !(single && NOT_ENTITIES.has(single)) &&
+      !(single && single.length < 2) &&
+      (isKnown(run) || !(atStart && single && !isAcronym(run[0]) && !namesSeen.has(single)));
+
+    if (usable) {
+      runs.push({ words: run, previous });
+    }
+    i = j;
+  }
+
+  return runs;
+}
+
+function extractEntities(title, description) {
+  const found = new Map();
+  const parts = [
+    { sentences: sentences(title), weight: 2 },
+    { sentences: sentences(description), weight: 1 }
+  ];
+
+  const namesSeen = new Set();
+  parts.forEach(part => part.sentences.forEach((words) => {
+    if (!isTitleCase(words)) {
+      words.slice(1).filter(isCapitalised).forEach(word => namesSeen.add(lower(word)));
+    }
+  }));
+
+  parts.forEach(({ sentences: list, weight }) => {
+    list.forEach((words) => {
+      // In Title Case text only known names can be trusted
+      const runs = isTitleCase(words) ? knownNamesIn(words) : runsIn(words, namesSeen);
+      runs.forEach(({ words: run, previous }) => {
+        const name = run.map(word => word.replace(/['’]s$/, '')).join(' ');
+        const key = termKey(name);
+        if (!key) {
+          return;
+        }
+        const type = classify(run, previous);
+        const entry = found.get(key) || { name, type, score: 0 };
+        // A confident type from any mention wins over 'other'
+        if (entry.type === 'other' && type !== 'other') {
+          entry.type = type;
+        }
+        entry.score += weight;
+        found.set(key, entry);
+      });
+    });
+  });
+
+  // "Reeves" after "Rachel Reeves" is the same person
+  const people = [...found.entries()].filter(([key, entry]) => entry.type === 'person' && key.includes(' '));
+  [...found.entries()].forEach(([key, entry]) => {
+    if (key.includes(' ')) {
+      return;
+    }
+    const fuller = people.filter(([personKey]) => personKey.endsWith(` ${key}`));
+    if (fuller.length === 1) {
+      fuller[0][1].score += entry.score;
+      found.delete(key);
+    }
+  });
+
+  return [...found.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_ENTITIES)
+    .map(({ name, type }) => ({ name, type }));
+}
+
+// RAKE: candidate phrases are runs of non-stopwords; each word scores its
+// degree over its frequency, and a phrase the sum of its words
+function extractKeyPhrases(title, description, entities) {
+  const entityWords = new Set(entities.map(entity => termKey(entity.name)).join(' ').split(' '));
+  const candidates = [];
+
+  [{ text: title, weight: 2 }, { text: description, weight: 1 }].forEach(({ text, weight }) => {
+    sentences(text).forEach((words) => {
+      let current = [];
+      const flush = () => {
+        if (current.length > 0 && current.length <= 3) {
+          candidates.push({ words: current, weight });
+        }
+        current = [];
+      };
+      words.forEach((word) => {
+        const key = lower(word);
+        if (STOPWORDS.has(key) || entityWords.has(termKey(word)) || /^\d/.test(key) || key.length < 3) {
+          flush();
+        } else {
+          current.push(key);
+        }
+      });
+      flush();
+    });
+  });
+
+  const frequency = new Map();
+  const degree = new Map();
+  candidates.forEach(({ words }) => {
+    words.forEach((word) => {
+      frequency.set(word, (frequency.get(word) || 0) + 1);
+      degree.set(word, (degree.get(word) || 0) + words.length);
+    });
+  });
+
+  const phrases = new Map();
+  candidates.forEach(({ words, weight }) => {
+    const phrase = words.join(' ');
+    const score = words.reduce((sum, word) => sum + degree.get(word) / frequency.get(word), 0) * weight;
+    const key = termKey(phrase);
+    if (!phrases.has(key) || phrases.get(key).score < score) {
+      phrases.set(key, { phrase, score: (phrases.has(key) ? phrases.get(key).score : 0) + score });
+    }
+  });
+
+  return [...phrases.values()]
+    // Single words only count when they carry weight (title or repeated)
+    .filter(({ phrase, score }) => phrase.includes(' ') || score > 2)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_KEY_PHRASES)
+    .map(({ phrase }) => phrase);
+}
+
+// { entities: [{ name, type: 'person' | 'organisation' | 'place' | 'other' }],
+//   keyPhrases: [string] } for an article's title and description
+function extractTerms({ title, description }) {
+  const entities = extractEntities(title, description);
+  return {
+    entities,
+    keyPhrases: extractKeyPhrases(title, description, entities)
+  };
+}
+
+module.exports = {
+  termKey,
+  plainText,
+  extractTerms
+};
@@ -0,0 +1,52 @@
+// Per-host article extraction rules for the configured sources. A rule's
+// selectors take priority over the scoring heuristics in articleExtractor;
+// any field left out falls back to them. Hosts match subdomains too.
+//
+//   content  - elements whose paragraphs and headings form the article body
+//   remove   - elements dropped before anything is extracted
+//   title, byline, published, image - single elements (published/image
+//              read datetime/content/src attributes before text)
+const EXTRACTION_RULES = [
+  {
+    hosts: ['bbc.co.uk', 'bbc.com'],
+    content: 'article [data-component="text-block"], article [data-component="subheadline-block"]',
+    remove: ['[data-component="links-block"]', '[data-component="tag-list"]', '[data-component="byline-block"]'],
+    title: 'article h1',
+    byline: '[data-testid="byline-new-contributors"] span, [data-component="byline-block"] span'
+  },
+  {
+    hosts: ['theguardian.com'],
+    content: '[data-gu-name="body"] .article-body-commercial-selector, .article-body-commercial-selector',
+    remove: ['[data-spacefinder-role]', 'gu-island', '.submeta'],
+    byline: 'a[rel="author"]'
+  },
+  {
+    hosts: ['news.sky.com'],
+    content: '.sdc-article-body',
+    remove: ['.sdc-article-related-stories', '.sdc-article-widget', '.sdc-site-video'],
+    byline: '.sdc-article-author__name'
+  },
+  {
+    hosts: ['ft.com'],
+    content: '#article-body, .article__content-body',
+    remove: ['.n-content-related-box', '.o-topper__standfirst-suffix'],
+    byline: '.o-topper__byline, a[data-trackable="author"]'
+  },
+  {
+    hosts: ['reuters.com'],
+    content: '[class*="article-body__content"]',
+    remove: ['[class*="article-body__toolbar"]', '[data-testid="Related"]'],
+    byline: '[class*="article-header__author"], [rel="author"]'
+  }
+];
+
+// Rule for a hostname, if any
+function rulesFor(hostname) {
+  const host = String(hostname || '').toLowerCase().replace(/^www\./, '');
+  return EXTRACTION_RULES.find(rule => rule.hosts.some(ruleHost => host === ruleHost || host.endsWith(`.${ruleHost}`))) || null;
+}
+
+module.exports = {
+  EXTRACTION_RULES,
+  rulesFor
+};
@@ -0,0 +1,137 @@
+const { safeFetch } = require('./safeFetch');
+const { parseFeed, isFeedContentType, discoverFeedLinks } = require('./feedNormalizer');
+
+// Feed and site URLs come from admins and OPML files, so every request goes
+// through safeFetch and never reaches a private address
+
+// Never wait longer than this between polls, whatever the feed asks for
+const MAX_CACHE_SECONDS = 6 * 60 * 60;
+
+// Seconds the response may be cached for according to Cache-Control/Expires
+function httpCacheSeconds(headers) {
+  const cacheControl = headers['cache-control'] || '';
+  if (/no-cache|no-store/i.test(cacheControl)) {
+    return 0;
+  }
+
+  const maxAge = cacheControl.match(/(?:s-maxage|max-age)=(\d+)/i);
+  if (maxAge) {
+    return parseInt(maxAge[1], 10);
+  }
+
+  if (headers.expires) {
+    const expires = Date.parse(headers.expires);
+    const date = headers.date ? Date.parse(headers.date) : Date.now();
+    if (!isNaN(expires) && !isNaN(date)) {
+      return Math.max(0, Math.round((expires - date) / 1000));
+    }
+  }
+
+  return 0;
+}
+
+// <ttl> is expressed in minutes
+function feedTtlSeconds(feed) {
+  const ttl = parseInt(feed && feed.ttl, 10);
+  return isNaN(ttl) || ttl < 0 ? 0 : ttl * 60;
+}
+
+// <skipHours><hour>n</hour>...</skipHours>, hours in GMT
+function feedSkipHours(feed) {
+  const hours = feed && feed.skipHours && feed.skipHours.hour;
+  if (!hours) {
+    return [];
+  }
+  return [].concat(hours)
+    .map(hour => parseInt(hour, 10))
+    .filter(hour => hour >= 0 && hour <= 23);
+}
+
+function nextFetchTime(seconds) {
+  const wait = Math.min(seconds, MAX_CACHE_SECONDS);
+  return wait > 0 ? new Date(Date.now() + wait * 1000).toISOString() : null;
+}
+
+// Whether the publisher's hints say we should not poll right now
+function shouldSkip(state, now = new Date()) {
+  if (state.nextFetchAt && now < new Date(state.nextFetchAt)) {
+    return true;
+  }
+  return Array.isArray(state.skipHours) && state.skipHours.includes(now.getUTCHours());
+}
+
+// Fetch a feed with conditional GET. `state` is whatever the previous call
+// returned for this URL; callers persist it. Resolves with one of:
+//   { status: 'skipped', state }       - cache hints say not to poll yet
+//   { status: 'not-modified', state }  - 304, no new items
+//   { status: 'ok', feed, state }      - normalised feed (see feedNormalizer)
+async function fetchFeed(url, state = {}) {
+  if (shouldSkip(state)) {
+    return { status: 'skipped', state };
+  }
+
+  const headers = {
+    'Accept': 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, text/xml;q=0.8, application/json;q=0.8, */*;q=0.5'
+  };
+  if (state.etag) {
+    headers['If-None-Match'] = state.etag;
+  }
+  if (state.lastModified) {
+    headers['If-Modified-Since'] = state.lastModified;
+  }
+
+  const response = await safeFetch(url, { headers, notModified: true });
+
+  const fetchedAt = new Date().toISOString();
+
+  if (response.status === 304) {
+    return {
+      status: 'not-modified',
+      state: {
+        ...state,
+        nextFetchAt: nextFetchTime(httpCacheSeconds(response.headers)),
+        lastFetchedAt: fetchedAt
+      }
+    };
+  }
+
+  const feed = await parseFeed(response.data, response.headers['content-type'], response.url);
+
+  return {
+    status: 'ok',
+    feed,
+    state: {
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null,
+      nextFetchAt: nextFetchTime(Math.max(httpCacheSeconds(response.headers), feedTtlSeconds(feed))),
+      skipHours: feedSkipHours(feed),
+      lastFetchedAt: fetchedAt
+    }
+  };
+}
+
+// Find the feeds for a site. A URL that already serves a feed is returned
+// as-is; otherwise the page's <link rel="alternate"> feeds are listed.
+async function discoverFeeds(siteUrl) {
+  const response = await safeFetch(siteUrl, {
+    headers: {
+      'Accept': 'text/html, application/xhtml+xml, application/rss+xml, application/atom+xml, application/feed+json;q=0.9, */*;q=0.5'
+    }
+  });
+
+  const contentType = response.headers['content-type'] || '';
+  const finalUrl = response.url;
+
+  if (isFeedContentType(contentType)) {
+    const feed = await parseFeed(response.data, contentType, finalUrl);
+    return [{ url: finalUrl, type: contentType.split(';')[0].trim(), title: feed.title }];
+  }
+
+  return discoverFeedLinks(response.data, finalUrl);
+}
+
+module.exports = {
+  fetchFeed,
+  discoverFeeds,
+  shouldSkip
+};
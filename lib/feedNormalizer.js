@@ -0,0 +1,269 @@
+const Parser = require('rss-parser');
+const cheerio = require('cheerio');
+const { classifyArticle } = require('./topicClassifier');
+const { resolveUrl } = require('./urlNormalizer');
+
+const USER_AGENT = 'UK-Compliant-News-Aggregator/1.0 (GDPR Compliant)';
+
+// Handles RSS 0.9x/2.0, RSS 1.0 (RDF) and Atom; JSON Feed is mapped by hand
+const parser = new Parser({
+  timeout: 10000,
+  headers: {
+    'User-Agent': USER_AGENT
+  },
+  customFields: {
+    feed: ['ttl', 'skipHours'],
+    item: [
+      ['media:content', 'mediaContent', { keepArray: true }],
+      ['media:thumbnail', 'mediaThumbnail', { keepArray: true }],
+      ['category', 'categoryElements', { keepArray: true }],
+      'updated'
+    ]
+  }
+});
+
+// Content types that identify a feed document
+const FEED_TYPES = [
+  'application/rss+xml',
+  'application/atom+xml',
+  'application/rdf+xml',
+  'application/feed+json',
+  'application/json'
+];
+
+// UK publishers often emit zone abbreviations that Date.parse rejects
+const ZONE_OFFSETS = {
+  GMT: '+0000',
+  UTC: '+0000',
+  UT: '+0000',
+  Z: '+0000',
+  BST: '+0100',
+  IST: '+0100',
+  CET: '+0100',
+  CEST: '+0200'
+};
+
+// Normalise any feed date to ISO 8601; unparseable or missing dates fall
+// back to `fallback`. Undated items keep null so the store can date them
+// once, when first seen.
+function normalizeDate(value, fallback = null) {
+  if (!value) {
+    return fallback;
+  }
+
+  let text = String(value).trim();
+  let time = Date.parse(text);
+
+  if (isNaN(time)) {
+    text = text.replace(/\b([A-Z]{1,4})$/, (zone) => ZONE_OFFSETS[zone] || zone);
+    time = Date.parse(text);
+  }
+
+  if (isNaN(time)) {
+    return fallback;
+  }
+  return new Date(time).toISOString();
+}
+
+// Plain text of an HTML fragment, whitespace collapsed
+function htmlToText(html) {
+  if (!html) {
+    return null;
+  }
+  const text = cheerio.load(`<body>${html}</body>`)('body').text().replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+function isJsonFeed(body, contentType = '') {
+  if (/json/i.test(contentType)) {
+    return true;
+  }
+  return typeof body === 'string' && body.trim().startsWith('{');
+}
+
+function isFeedContentType(contentType = '') {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  return FEED_TYPES.includes(type) || type === 'application/xml' || type === 'text/xml';
+}
+
+function firstImageInMarkup(markup) {
+  if (!markup) {
+    return null;
+  }
+  const imgMatch = markup.match(/<img[^>]+src="([^"]+)"/i);
+  return imgMatch ? imgMatch[1] : null;
+}
+
+function mediaUrl(elements) {
+  if (!Array.isArray(elements)) {
+    return null;
+  }
+  const image = elements.find(element => element && element.$ && element.$.url &&
+    (!element.$.medium || element.$.medium === 'image') &&
+    (!element.$.type || element.$.type.startsWith('image/')));
+  return image ? image.$.url : null;
+}
+
+// Category text from RSS <category>, Atom <category term=""> and JSON Feed tags
+function categoryNames(values) {
+  return (values || [])
+    .map(value => {
+      if (typeof value === 'string') {
+        return value;
+      }
+      if (value && value.$ && value.$.term) {
+        return value.$.label || value.$.term;
+      }
+      return value && value._;
+    })
+    .filter(Boolean)
+    .map(name => String(name).trim())
+    .filter((name, index, names) => name && names.indexOf(name) === index);
+}
+
+// Links resolve against the feed's base; images against the item's link
+function normalizeXmlItem(item, base) {
+  const content = item['content:encoded'] || item.content || null;
+  const link = resolveUrl(item.link, base);
+  let image = null;
+
+  // Try multiple methods to find images
+  if (item.enclosure && item.enclosure.type && item.enclosure.type.startsWith('image/')) {
+    image = item.enclosure.url;
+  }
+  image = image || mediaUrl(item.mediaContent) || mediaUrl(item.mediaThumbnail) ||
+    firstImageInMarkup(item.content || item.contentSnippet);
+
+  return {
+    guid: item.guid || item.id || item['rdf:about'] || null,
+    title: item.title ? String(item.title).trim() : null,
+    link,
+    pubDate: normalizeDate(item.isoDate || item.pubDate || item.date || item.updated),
+    description: item.contentSnippet || item.summary || item.content || null,
+    content,
+    image: resolveUrl(image, link || base),
+    categories: categoryNames([...(item.categories || []), ...(item.categoryElements || [])])
+  };
+}
+
+function normalizeJsonItem(item, base) {
+  const content = item.content_html || item.content_text || null;
+  const description = item.summary || item.content_text || htmlToText(item.content_html);
+  const link = resolveUrl(item.url || item.external_url, base);
+
+  return {
+    guid: item.id ? String(item.id) : null,
+    title: item.title ? String(item.title).trim() : null,
+    link,
+    pubDate: normalizeDate(item.date_published || item.date_modified),
+    description,
+    content,
+    image: resolveUrl(item.image || item.banner_image || firstImageInMarkup(item.content_html), link || base),
+    categories: categoryNames(item.tags)
+  };
+}
+
+function parseJsonFeed(body, feedUrl) {
+  const json = typeof body === 'string' ? JSON.parse(body) : body;
+  if (!json || !/jsonfeed\.org\/version\//.test(json.version || '') || !Array.isArray(json.items)) {
+    throw new Error('Not a JSON Feed document');
+  }
+
+  const base = resolveUrl(json.home_page_url, feedUrl) || feedUrl;
+  return {
+    format: 'json',
+    title: json.title || null,
+    link: json.home_page_url || null,
+    ttl: null,
+    skipHours: null,
+    items: json.items.map(item => normalizeJsonItem(item, base))
+  };
+}
+
+async function parseXmlFeed(body, feedUrl) {
+  const feed = await parser.parseString(body);
+  let format = 'rss';
+  if (/<feed[\s>]/.test(body)) {
+    format = 'atom';
+  } else if (/<rdf:RDF[\s>]/.test(body)) {
+    format = 'rdf';
+  }
+
+  return {
+    format,
+    title: feed.title || null,
+    link: feed.link || null,
+    ttl: feed.ttl || null,
+    skipHours: feed.skipHours || null,
+    items: feed.items.map(item => normalizeXmlItem(item, resolveUrl(feed.link, feedUrl) || feedUrl))
+  };
+}
+
+// Parse an RSS, RDF, Atom or JSON Feed document into one normalised shape:
+// { format, title, link, ttl, skipHours, items: [{ guid, title, link,
+//   pubDate (ISO 8601, or null if undated), description, content, image, categories }] }
+// Relative item links and images are resolved against the feed's own link,
+// or `feedUrl` (where the feed was fetched from); links and images that are
+// not http(s) are dropped.
+async function parseFeed(body, contentType = '', feedUrl = null) {
+  if (isJsonFeed(body, contentType)) {
+    return parseJsonFeed(body, feedUrl);
+  }
+  return parseXmlFeed(body, feedUrl);
+}
+
+// Map a normalised feed item into the article shape served by the API.
+// The category is the source's unless the item can be placed in a topic.
+function toArticle(item, source) {
+  const { category, topics } = classifyArticle(item, source.category);
+  return {
+    guid: item.guid,
+    title: item.title,
+    link: item.link,
+    pubDate: item.pubDate,
+    description: item.description,
+    content: item.content,
+    bodyText: htmlToText(item.content),
+    image: item.image,
+    source: source.name,
+    category,
+    topics,
+    trusted: source.trusted
+  };
+}
+
+// Feeds advertised by an HTML page via <link rel="alternate" type="...">
+function discoverFeedLinks(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const feeds = [];
+
+  $('link[rel~="alternate"][href], link[rel~="feed"][href]').each((index, element) => {
+    const type = ($(element).attr('type') || '').toLowerCase();
+    const rel = ($(element).attr('rel') || '').toLowerCase();
+    if (!FEED_TYPES.includes(type) && !rel.split(/\s+/).includes('feed')) {
+      return;
+    }
+
+    try {
+      const url = new URL($(element).attr('href'), pageUrl).toString();
+      if (!feeds.some(feed => feed.url === url)) {
+        feeds.push({ url, type: type || null, title: $(element).attr('title') || null });
+      }
+    } catch (error) {
+      // Ignore malformed hrefs
+    }
+  });
+
+  return feeds;
+}
+
+module.exports = {
+  parser,
+  FEED_TYPES,
+  normalizeDate,
+  htmlToText,
+  isFeedContentType,
+  parseFeed,
+  toArticle,
+  discoverFeedLinks
+};
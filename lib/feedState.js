@@ -0,0 +1,40 @@
+const db = require('./database');
+
+// Conditional GET validators and cache hints, persisted per feed URL
+async function getFeedState(url) {
+  const row = await db.get('SELECT * FROM feed_state WHERE url = ?', [url]);
+  if (!row) {
+    return {};
+  }
+
+  return {
+    etag: row.etag,
+    lastModified: row.last_modified,
+    nextFetchAt: row.next_fetch_at,
+    skipHours: row.skip_hours ? JSON.parse(row.skip_hours) : [],
+    lastFetchedAt: row.last_fetched_at
+  };
+}
+
+async function saveFeedState(url, state) {
+  await db.run(`INSERT INTO feed_state (url, etag, last_modified, next_fetch_at, skip_hours, last_fetched_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(url) DO UPDATE SET
+      etag = excluded.etag,
+      last_modified = excluded.last_modified,
+      next_fetch_at = excluded.next_fetch_at,
+      skip_hours = excluded.skip_hours,
+      last_fetched_at = excluded.last_fetched_at`, [
+    url,
+    state.etag || null,
+    state.lastModified || null,
+    state.nextFetchAt || null,
+    JSON.stringify(state.skipHours || []),
+    state.lastFetchedAt || null
+  ]);
+}
+
+module.exports = {
+  getFeedState,
+  saveFeedState
+};
@@ -0,0 +1,289 @@
+const fs = require('fs');
+const { verifyRequest, adminRequired } = require('../middleware/auth');
+const storage = require('./storage');
+
+// Framework-neutral request handlers (see handlers/) and the adapters that
+// serve them from Express and from Netlify Functions, so both deployments
+// run the same route logic.
+//
+// A handler is { auth, validate, handle }:
+//   auth     - 'user' or 'admin' to require a signed-in user (req.user)
+//   validate - express-validator chains, run before handle; handle reads
+//              the outcome with validationResult(req)
+//   handle   - async (req) => response
+//
+// Requests are { method, path, url, params, query, body, headers, ip,
+// protocol, host }, with header names in lower case. Responses are
+// { status, headers, body }, where an object body is sent as JSON and a
+// string or Buffer as it is, or { status, headers, file } to send a file.
+//
+// Handler modules export `routes`: [method, path, handler] entries, with
+// paths in Express syntax (":id", ":format(rss|atom|json)").
+
+// Netlify has no CORS middleware in front of the functions
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+};
+
+async function runHandler(handler, req) {
+  if (handler.auth) {
+    const { user, status, body } = await verifyRequest(req.headers);
+    if (!user) {
+      return { status, body };
+    }
+    req.user = user;
+
+    const refused = handler.auth === 'admin' ? adminRequired(user) : null;
+    if (refused) {
+      return refused;
+    }
+  }
+
+  for (const chain of handler.validate || []) {
+    await chain.run(req);
+  }
+  return handler.handle(req);
+}
+
+// Stands in on Netlify for a route only the Express server has, so clients
+// are told the feature is missing rather than that the path is unknown
+function expressOnly(feature) {
+  return {
+    async handle() {
+      return {
+        status: 501,
+        body: {
+          error: 'Not available on this deployment',
+          message: `${feature} needs the Express server`
+        }
+      };
+    }
+  };
+}
+
+// Same response shape as the Express error handler in server.js
+function internalError(error) {
+  console.error(error.stack);
+  return {
+    status: 500,
+    body: {
+      error: 'Something went wrong!',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    }
+  };
+}
+
+// Express
+
+function expressRequest(req) {
+  return {
+    method: req.method,
+    path: req.path,
+    url: req.originalUrl,
+    params: { ...req.params },
+    query: { ...req.query },
+    body: req.body || {},
+    headers: req.headers,
+    ip: req.ip,
+    protocol: req.protocol,
+    host: req.get('host')
+  };
+}
+
+function sendExpress(res, response) {
+  res.status(response.status || 200);
+  if (response.headers) {
+    res.set(response.headers);
+  }
+  if (response.file) {
+    return res.sendFile(response.file);
+  }
+  if (response.body === undefined) {
+    return res.end();
+  }
+  if (typeof response.body === 'string' || Buffer.isBuffer(response.body)) {
+    return res.send(response.body);
+  }
+  res.json(response.body);
+}
+
+// Add a handler module's routes to an Express router
+function mountRoutes(router, routes) {
+  routes.forEach(([method, path, handler]) => {
+    router[method.toLowerCase()](path, async (req, res, next) => {
+      try {
+        sendExpress(res, await runHandler(handler, expressRequest(req)));
+      } catch (error) {
+        next(error);
+      }
+    });
+  });
+  return router;
+}
+
+// Netlify Functions
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Express-style path to { regex, names }
+function compilePath(path) {
+  const names = [];
+  let source = '';
+  let last = 0;
+  const pattern = /:(\w+)(?:\(([^)]+)\))?/g;
+  let match;
+  while ((match = pattern.exec(path)) !== null) {
+    source += `${escapeRegExp(path.slice(last, match.index))}(${match[2] || '[^/]+?'})`;
+    names.push(match[1]);
+    last = match.index + match[0].length;
+  }
+  source += escapeRegExp(path.slice(last));
+  return { regex: new RegExp(`^${source}/?$`, 'i'), names };
+}
+
+class RequestPathError extends Error {}
+
+// Route parameters, percent-decoded as Express does; a malformed escape
+// such as %E0%A4%A is the client's mistake
+function decodeParams(names, match) {
+  const params = {};
+  names.forEach((name, index) => {
+    try {
+      params[name] = decodeURIComponent(match[index + 1]);
+    } catch (error) {
+      throw new RequestPathError(`Failed to decode param '${match[index + 1]}'`);
+    }
+  });
+  return params;
+}
+
+// Path below the function's own: "/register" for both /api/auth/register
+// (the site redirect) and /.netlify/functions/auth/register
+function functionPath(eventPath) {
+  const match = String(eventPath || '').match(/^\/(?:api|\.netlify\/functions)\/[^/]+(\/.*)?$/);
+  return match && match[1] ? match[1] : '/';
+}
+
+class RequestBodyError extends Error {}
+
+function parseBody(event, contentType) {
+  let raw = event.body || '';
+  if (event.isBase64Encoded) {
+    raw = Buffer.from(raw, 'base64').toString('utf8');
+  }
+  if (!raw) {
+    return {};
+  }
+
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  if (type === 'application/json') {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new RequestBodyError('Request body is not valid JSON');
+    }
+  }
+  if (type === 'application/x-www-form-urlencoded') {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+  return {};
+}
+
+function netlifyRequest(event, path, params) {
+  const headers = {};
+  Object.entries(event.headers || {}).forEach(([name, value]) => {
+    headers[name.toLowerCase()] = value;
+  });
+  const query = { ...(event.queryStringParameters || {}) };
+  const search = new URLSearchParams(query).toString();
+
+  return {
+    method: event.httpMethod,
+    path,
+    url: `${event.path}${search ? `?${search}` : ''}`,
+    params,
+    query,
+    body: parseBody(event, headers['content-type'] || ''),
+    headers,
+    ip: headers['x-nf-client-connection-ip'] || headers['client-ip'] || null,
+    protocol: headers['x-forwarded-proto'] || 'https',
+    host: headers.host
+  };
+}
+
+async function netlifyResponse(response, method) {
+  const statusCode = response.status || 200;
+  const headers = { ...CORS_HEADERS, ...response.headers };
+
+  if (response.file) {
+    const data = await fs.promises.readFile(response.file);
+    return { statusCode, headers, body: method === 'HEAD' ? '' : data.toString('base64'), isBase64Encoded: true };
+  }
+  if (response.body === undefined || method === 'HEAD') {
+    return { statusCode, headers, body: '' };
+  }
+  if (Buffer.isBuffer(response.body)) {
+    return { statusCode, headers, body: response.body.toString('base64'), isBase64Encoded: true };
+  }
+  if (typeof response.body === 'string') {
+    return { statusCode, headers, body: response.body };
+  }
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json; charset=utf-8', ...headers },
+    body: JSON.stringify(response.body)
+  };
+}
+
+// A Netlify function handler serving a handler module's routes. `before`
+// runs ahead of each matched request.
+function netlifyFunction(routes, { before } = {}) {
+  const compiled = routes.map(([method, path, handler]) => ({ method, handler, ...compilePath(path) }));
+
+  return async (event) => {
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: 200, headers: CORS_HEADERS, body: '' };
+    }
+
+    // Express answers HEAD with its GET routes
+    const method = event.httpMethod === 'HEAD' ? 'GET' : event.httpMethod;
+    const path = functionPath(event.path);
+    let match = null;
+    const route = compiled.find((candidate) => {
+      match = candidate.method === method && candidate.regex.exec(path);
+      return Boolean(match);
+    });
+
+    if (!route) {
+      return netlifyResponse({ status: 404, body: { error: 'Not found' } }, event.httpMethod);
+    }
+
+    try {
+      storage.connectLambda(event);
+      const req = netlifyRequest(event, path, decodeParams(route.names, match));
+      if (before) {
+        await before(req);
+      }
+      return await netlifyResponse(await runHandler(route.handler, req), event.httpMethod);
+    } catch (error) {
+      if (error instanceof RequestBodyError) {
+        return netlifyResponse({ status: 400, body: { error: 'Invalid request body', message: error.message } }, event.httpMethod);
+      }
+      if (error instanceof RequestPathError) {
+        return netlifyResponse({ status: 400, body: { error: 'Invalid request path', message: error.message } }, event.httpMethod);
+      }
+      return netlifyResponse(internalError(error), event.httpMethod);
+    }
+  };
+}
+
+module.exports = {
+  runHandler,
+  expressOnly,
+  mountRoutes,
+  netlifyFunction
+};
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { safeFetch, UnsafeUrlError } = require('./safeFetch');
+
+// Fetches article images from publishers, resizes them to standard
+// thumbnails and caches them on disk, so readers' browsers only ever load
+// images from our own origin.
+
+// Thumbnail widths in pixels; images are never enlarged
+const SIZES = {
+  small: 320,
+  medium: 640,
+  large: 1024
+};
+
+const DEFAULT_SIZE = 'medium';
+
+// Content types accepted from publishers
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif'];
+
+// Refuse originals larger than this
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Refuse images with more pixels than this (decompression bombs)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Serverless functions can only write to /tmp
+const CACHE_DIR = process.env.IMAGE_CACHE_DIR || (process.env.LAMBDA_TASK_ROOT
+  ? path.join('/tmp', 'image-cache')
+  : path.join(__dirname, '..', 'data', 'image-cache'));
+
+// How long an image that could not be proxied is not retried: an hour
+// when it will not work next time either (gone, not an image, too large),
+// a minute when the publisher may just be having trouble
+const FAILURE_TTL_MS = 60 * 60 * 1000;
+const TRANSIENT_FAILURE_TTL_MS = 60 * 1000;
+
+// Thumbnails being generated, so concurrent requests share the work; at
+// most MAX_PENDING at once
+const MAX_PENDING = 100;
+const pending = new Map();
+
+// Recent failures per image URL, so broken images don't hit the publisher
+// on every view. Oldest first; at most MAX_FAILURES are kept.
+const MAX_FAILURES = 1000;
+const failures = new Map();
+
+class ImageProxyError extends Error {
+  constructor(message, status, { permanent = false } = {}) {
+    super(message);
+    this.status = status;
+    this.permanent = permanent;
+  }
+}
+
+function cachePath(imageUrl, size) {
+  const hash = crypto.createHash('sha1').update(imageUrl).digest('hex');
+  return path.join(CACHE_DIR, hash.slice(0, 2), `${hash}-${size}.webp`);
+}
+
+// Status for each way safeFetch can refuse an image
+const REFUSAL_STATUS = {
+  size: 413,
+  'content-type': 415
+};
+
+// Publisher responses meaning the image is not coming back
+const GONE_STATUSES = [404, 410];
+
+async function fetchOriginal(imageUrl) {
+  try {
+    const response = await safeFetch(imageUrl, {
+      responseType: 'buffer',
+      contentTypes: IMAGE_TYPES,
+      maxBytes: MAX_IMAGE_BYTES,
+      headers: {
+        'Accept': IMAGE_TYPES.join(', ')
+      }
+    });
+    return response.data;
+  } catch (error) {
+    if (error instanceof UnsafeUrlError) {
+      // A host that does not resolve may come back
+      throw new ImageProxyError(error.message, REFUSAL_STATUS[error.reason] || 403, { permanent: error.reason !== 'dns' });
+    }
+    if (GONE_STATUSES.includes(error.status)) {
+      throw new ImageProxyError(`Image not found: ${error.message}`, 404, { permanent: true });
+    }
+    throw new ImageProxyError(`Image could not be fetched: ${error.message}`, 502);
+  }
+}
+
+async function renderThumbnail(imageUrl, size, file) {
+  const original = await fetchOriginal(imageUrl);
+
+  let thumbnail;
+  try {
+    // Only the first frame of animated images is kept
+    thumbnail = await sharp(original, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize({ width: SIZES[size], withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+  } catch (error) {
+    throw new ImageProxyError('Image could not be decoded', 415, { permanent: true });
+  }
+
+  // Write then rename so readers never see a partial file
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  const temporary = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(temporary, thumbnail);
+  await fs.promises.rename(temporary, file);
+}
+
+function rememberFailure(imageUrl, error) {
+  const ttl = error.permanent ? FAILURE_TTL_MS : TRANSIENT_FAILURE_TTL_MS;
+  failures.delete(imageUrl);
+  failures.set(imageUrl, { error, until: Date.now() + ttl });
+  if (failures.size > MAX_FAILURES) {
+    failures.delete(failures.keys().next().value);
+  }
+}
+
+// Forget failures whose time is up
+function sweepFailures() {
+  const now = Date.now();
+  failures.forEach((failure, imageUrl) => {
+    if (failure.until <= now) {
+      failures.delete(imageUrl);
+    }
+  });
+}
+
+// Path of the cached thumbnail for an image URL, generating it if needed.
+// Rejects with ImageProxyError (carrying an HTTP status) on failure.
+async function getThumbnail(imageUrl, size = DEFAULT_SIZE) {
+  if (!SIZES[size]) {
+    throw new ImageProxyError(`Unknown size: ${size}`, 400);
+  }
+
+  const file = cachePath(imageUrl, size);
+  try {
+    await fs.promises.access(file);
+    return file;
+  } catch (error) {
+    // Not cached yet
+  }
+
+  const failure = failures.get(imageUrl);
+  if (failure) {
+    if (Date.now() < failure.until) {
+      throw failure.error;
+    }
+    failures.delete(imageUrl);
+  }
+
+  if (!pending.has(file)) {
+    if (pending.size >= MAX_PENDING) {
+      throw new ImageProxyError('Too many images being prepared', 503);
+    }
+    pending.set(file, renderThumbnail(imageUrl, size, file)
+      .catch((error) => {
+        rememberFailure(imageUrl, error);
+        throw error;
+      })
+      .finally(() => {
+        pending.delete(file);
+      }));
+  }
+  await pending.get(file);
+  return file;
+}
+
+// Delete cached thumbnails not generated within the last `maxAgeDays`,
+// and forget expired failures
+async function pruneCache(maxAgeDays) {
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  let removed = 0;
+  sweepFailures();
+
+  let directories;
+  try {
+    directories = await fs.promises.readdir(CACHE_DIR);
+  } catch (error) {
+    return 0;
+  }
+
+  for (const directory of directories) {
+    const dirPath = path.join(CACHE_DIR, directory);
+    const files = await fs.promises.readdir(dirPath).catch(() => []);
+    for (const name of files) {
+      const file = path.join(dirPath, name);
+      const stats = await fs.promises.stat(file).catch(() => null);
+      if (stats && stats.mtimeMs < cutoff) {
+        await fs.promises.unlink(file).catch(() => {});
+        removed++;
+      }
+    }
+  }
+
+  return removed;
+}
+
+module.exports = {
+  SIZES,
+  DEFAULT_SIZE,
+  MAX_PENDING,
+  MAX_FAILURES,
+  ImageProxyError,
+  getThumbnail,
+  pruneCache
+};
@@ -0,0 +1,263 @@
+const { EventEmitter } = require('events');
+const cheerio = require('cheerio');
+const cron = require('node-cron');
+const articleStore = require('./articleStore');
+const feedState = require('./feedState');
+const sourceHealth = require('./sourceHealth');
+const imageProxy = require('./imageProxy');
+const crawler = require('./crawler');
+const sourceRegistry = require('./sourceRegistry');
+const { fetchFeed } = require('./feedFetcher');
+const { toArticle } = require('./feedNormalizer');
+const { enrichArticle } = require('./enrichment');
+const urls = require('./urlNormalizer');
+
+// How often feeds are polled and how long articles are kept
+const POLL_SCHEDULE = process.env.NEWS_POLL_SCHEDULE || '*/5 * * * *';
+const RETENTION_DAYS = parseInt(process.env.ARTICLE_RETENTION_DAYS || '30', 10);
+
+// Emits 'articles' ({ inserted }) after a run stores new articles
+const events = new EventEmitter();
+
+let currentRun = null;
+let firstRun = null;
+let scheduledTask = null;
+
+// Read the article page for its rel="canonical" URL and, unless `image` is
+// false, a fallback image: its social/hero image (unless the page asks not
+// to have its images indexed). Resolves with { image, canonical }, either of
+// which may be null.
+async function scrapePage(item, { image = true } = {}) {
+  const found = { image: null, canonical: null };
+  try {
+    const response = await crawler.fetchPage(item.link, { purpose: 'image', timeout: 5000 });
+    const pageUrl = response.url || item.link;
+
+    const $ = cheerio.load(response.data);
+    found.canonical = await urls.upgradeUrl(urls.canonicalFromPage($, pageUrl));
+    if (!image) {
+      return found;
+    }
+    if (crawler.robotsDirectives($, response.headers).noimageindex) {
+      await crawler.recordSkip(item.link, 'image', 'noimageindex');
+      return found;
+    }
+
+    // Try multiple selectors for images
+    const imgSelectors = [
+      'meta[property="og:image"]',
+      'meta[name="twitter:image"]',
+      'img[class*="hero"]',
+      'img[class*="featured"]',
+      'img[class*="main"]',
+      'img[class*="article"]',
+      'img[class*="story"]',
+      '.article img',
+      '.story img',
+      '.content img',
+      'article img'
+    ];
+
+    for (const selector of imgSelectors) {
+      const img = $(selector).first();
+      if (img.length) {
+        // Relative and protocol-relative sources are resolved against the page
+        const src = urls.resolveUrl(img.attr('content') || img.attr('src'), pageUrl);
+        if (src) {
+          found.image = await urls.upgradeUrl(src);
+          return found;
+        }
+      }
+    }
+  } catch (error) {
+    if (!(error instanceof crawler.CrawlSkippedError)) {
+      console.log(`Could not fetch page for ${item.title}: ${error.message}`);
+    }
+  }
+
+  return found;
+}
+
+// Feed items with canonical links (see urlNormalizer), keeping the first
+// of any that share one - feeds sometimes list an article under several
+// tracking variants
+async function canonicalItems(items) {
+  const canonical = await Promise.all(items.map(async item => ({
+    ...item,
+    link: await urls.canonicalUrl(item.link),
+    image: await urls.upgradeUrl(item.image)
+  })));
+  const seen = new Set();
+  return canonical.filter((item) => {
+    if (!item.link || !item.title || seen.has(item.link)) {
+      return false;
+    }
+    seen.add(item.link);
+    return true;
+  });
+}
+
+// Whether the source's own polling interval has elapsed since the last poll
+function isDue(source, state, now = Date.now()) {
+  if (!source.pollInterval || !state.lastFetchedAt) {
+    return true;
+  }
+  return now - new Date(state.lastFetchedAt).getTime() >= source.pollInterval * 60 * 1000;
+}
+
+// Fetch one source and normalise its items into articles. Feeds that are
+// unchanged (304) or not due to be polled yet yield no articles.
+async function fetchSource(source) {
+  const state = await feedState.getFeedState(source.url);
+  if (!isDue(source, state)) {
+    return { status: 'skipped', state: null, articles: [] };
+  }
+
+  const startedAt = Date.now();
+  const result = await fetchFeed(source.url, state);
+  const latencyMs = Date.now() - startedAt;
+  if (result.status !== 'ok') {
+    return { status: result.status, state: result.state, articles: [], latencyMs, itemCount: null };
+  }
+
+  const feed = result.feed;
+  const items = await canonicalItems(feed.items);
+  const known = await articleStore.findByLinks(items.map(item => item.link));
+
+  const articles = await Promise.all(items.map(async (item) => {
+    const article = enrichArticle(toArticle(item, source));
+
+    // Known articles keep the link they were stored under, even when the
+    // feed still gives another
+    const stored = known.get(item.link);
+    if (stored) {
+      article.link = stored.link;
+      return article;
+    }
+
+    // New links follow the page's rel="canonical"; the feed link is kept
+    // so the next poll finds the article without fetching the page again
+    const page = await scrapePage(item, { image: !article.image });
+    article.image = article.image || page.image;
+    if (page.canonical && page.canonical !== article.link) {
+      article.feedLink = article.link;
+      article.link = page.canonical;
+    }
+
+    return article;
+  }));
+
+  return { status: result.status, state: result.state, articles, latencyMs, itemCount: feed.items.length };
+}
+
+async function runIngestion(sources) {
+  const startedAt = Date.now();
+  let inserted = 0;
+
+  if (!sources) {
+    sources = await sourceRegistry.listSources({ enabledOnly: true });
+  }
+
+  // Sources whose circuit breaker is open are left alone until their retry time
+  const health = await sourceHealth.listHealth();
+
+  const results = await Promise.all(sources.map(async (source) => {
+    if (!sourceHealth.isAvailable(health.get(source.id) || sourceHealth.emptyHealth(source.id))) {
+      return { source, status: 'circuit-open', articles: [] };
+    }
+
+    const startedAt = Date.now();
+    try {
+      return { source, ...(await fetchSource(source)) };
+    } catch (error) {
+      console.error(`Error fetching from ${source.name}:`, error.message);
+      return { source, status: 'failed', articles: [], error, latencyMs: Date.now() - startedAt };
+    }
+  }));
+
+  // Writes are applied one source at a time to keep transactions short.
+  // Validators are only saved once the articles they cover are stored.
+  for (const { source, status, articles, state, error, latencyMs, itemCount } of results) {
+    try {
+      if (error) {
+        await sourceHealth.recordFailure(source.id, { latencyMs, error });
+        continue;
+      }
+
+      inserted += await articleStore.upsertArticles(articles);
+      if (state) {
+        await feedState.saveFeedState(source.url, state);
+      }
+      if (status === 'ok' || status === 'not-modified') {
+        await sourceHealth.recordSuccess(source.id, { latencyMs, itemCount });
+      }
+    } catch (error) {
+      console.error(`Error storing articles from ${source.name}:`, error.message);
+    }
+  }
+
+  if (inserted > 0) {
+    events.emit('articles', { inserted });
+  }
+
+  const pruned = await articleStore.pruneArticles(RETENTION_DAYS);
+  await imageProxy.pruneCache(RETENTION_DAYS);
+  await crawler.pruneSkips(RETENTION_DAYS);
+
+  console.log(`News ingestion completed: ${inserted} new articles, ${pruned} pruned, ${Date.now() - startedAt}ms`);
+  return { inserted, pruned };
+}
+
+// Poll all (or the given) enabled sources once; overlapping calls share the run in progress
+function ingestAll(sources) {
+  if (!currentRun) {
+    currentRun = runIngestion(sources).finally(() => {
+      currentRun = null;
+    });
+  }
+  return currentRun;
+}
+
+// Run an initial ingestion and then poll the source registry on the
+// configured cron schedule. Each source is fetched at most once per its
+// own polling interval.
+function startIngestion(schedule = POLL_SCHEDULE) {
+  if (scheduledTask) {
+    return scheduledTask;
+  }
+
+  firstRun = ingestAll().catch((error) => {
+    console.error('Initial news ingestion failed:', error.message);
+  });
+
+  scheduledTask = cron.schedule(schedule, () => {
+    ingestAll().catch((error) => {
+      console.error('Scheduled news ingestion failed:', error.message);
+    });
+  });
+
+  console.log(`News ingestion scheduled: ${schedule}`);
+  return scheduledTask;
+}
+
+function stopIngestion() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+}
+
+// Resolves once the first ingestion run has finished (immediately if none was started)
+function whenReady() {
+  return firstRun || Promise.resolve();
+}
+
+module.exports = {
+  events,
+  scrapePage,
+  fetchSource,
+  ingestAll,
+  startIngestion,
+  stopIngestion,
+  whenReady
+};
@@ -0,0 +1,202 @@
+const sourceRegistry = require('./sourceRegistry');
+const { registrableDomain } = require('./safeFetch');
+const { htmlToText } = require('./feedNormalizer');
+const { normalizeUrl } = require('./urlNormalizer');
+
+// Content licensing. Every path that serves articles (the news API, search,
+// live updates, syndication feeds, the reader view, digests and alert
+// webhooks) passes them through here, so the publisher's text, images and
+// links only leave the service as that publisher's licence allows. Licences
+// are configured per source; see sourceRegistry.DEFAULT_LICENCE.
+
+// Article fields holding the publisher's own words, limited to a snippet
+const SNIPPET_FIELDS = ['description', 'lede', 'summary'];
+
+// Full article text, never served in listings
+const FULL_TEXT_FIELDS = ['content', 'bodyText'];
+
+// Cut text to at most `length` characters (ellipsis included), at a word
+// boundary where there is one
+function truncateText(text, length) {
+  if (!text || length <= 0) {
+    return null;
+  }
+  if (text.length <= length) {
+    return text;
+  }
+  const cut = text.slice(0, length - 1);
+  const atWord = cut.replace(/\s+\S*$/, '');
+  return `${(atWord.length > length / 2 ? atWord : cut).replace(/[\s,;:.]+$/, '')}…`;
+}
+
+// Snippet text of a field that may hold markup (some feeds put the whole
+// article HTML in the description)
+function snippet(value, length) {
+  if (!value) {
+    return null;
+  }
+  const text = /<[a-z!/]/i.test(value) ? htmlToText(value) : String(value);
+  return truncateText(text, length);
+}
+
+// Article link in the publisher's required format: "{url}" optionally
+// followed by query parameters to add, e.g. "{url}?ref=uk-news-aggregator".
+// Tracking parameters are stripped first, including from links stored
+// before they were normalised on ingestion.
+function formatLink(url, licence) {
+  const format = licence.linkFormat || '{url}';
+  const clean = normalizeUrl(url) || url;
+  if (!clean || format === '{url}') {
+    return clean;
+  }
+  try {
+    const link = new URL(clean);
+    new URLSearchParams(format.slice('{url}'.length).replace(/^[?&]/, '')).forEach((value, key) => {
+      link.searchParams.set(key, value);
+    });
+    return link.toString();
+  } catch (error) {
+    return clean;
+  }
+}
+
+function attributionText(sourceName, licence) {
+  return licence.attribution.split('{source}').join(sourceName || 'the publisher');
+}
+
+// Apply a licence to one article (in the public article shape)
+function applyLicence(article, licence) {
+  const licensed = { ...article };
+
+  SNIPPET_FIELDS.forEach((field) => {
+    if (field in licensed) {
+      licensed[field] = snippet(licensed[field], licence.snippetLength);
+    }
+  });
+  FULL_TEXT_FIELDS.forEach((field) => {
+    delete licensed[field];
+  });
+
+  // Search snippets are highlighted excerpts of the body
+  if (licensed.highlights && licensed.highlights.snippet) {
+    const plain = licensed.highlights.snippet.replace(/<\/?mark>/g, '');
+    if (plain.length > licence.snippetLength) {
+      licensed.highlights = { ...licensed.highlights, snippet: null };
+    }
+  }
+
+  if (!licence.images) {
+    licensed.image = null;
+  }
+
+  licensed.link = formatLink(article.link, licence);
+  licensed.attribution = {
+    text: attributionText(article.source, licence),
+    link: licensed.link
+  };
+  return licensed;
+}
+
+// Most restrictive combination of several licences; used when more than one
+// source shares a site
+function strictest(licences) {
+  if (licences.length === 0) {
+    return { ...sourceRegistry.DEFAULT_LICENCE };
+  }
+  return licences.reduce((combined, licence) => ({
+    ...combined,
+    snippetLength: Math.min(combined.snippetLength, licence.snippetLength),
+    fullText: combined.fullText && licence.fullText,
+    images: combined.images && licence.images,
+    readerView: combined.readerView && licence.readerView
+  }));
+}
+
+// Licence of every source by name, including disabled sources whose
+// articles are still stored
+async function licencesByName() {
+  const sources = await sourceRegistry.listSources();
+  return new Map(sources.map(source => [source.name, source.licence]));
+}
+
+// Apply each article's source licence, including to the other coverage
+// attached to clustered stories
+async function licenseArticles(articles) {
+  if (articles.length === 0) {
+    return articles;
+  }
+  const licences = await licencesByName();
+  const licenceFor = name => licences.get(name) || sourceRegistry.DEFAULT_LICENCE;
+
+  return articles.map((article) => {
+    const licensed = applyLicence(article, licenceFor(article.source));
+    if (article.cluster) {
+      licensed.cluster = {
+        ...article.cluster,
+        alsoCoveredBy: article.cluster.alsoCoveredBy.map(other => ({
+          ...other,
+          link: formatLink(other.link, licenceFor(other.source))
+        }))
+      };
+    }
+    return licensed;
+  });
+}
+
+// Licence for a page on a source's site (reader view): the strictest of the
+// sources whose feed or homepage shares the page's registrable domain, with
+// the attribution and link format of the first of them
+async function licenceForUrl(url) {
+  const domain = registrableDomain(new URL(url).hostname);
+  const sources = (await sourceRegistry.listSources({ enabledOnly: true })).filter(source =>
+    [source.url, source.homepage].filter(Boolean).some((value) => {
+      try {
+        return registrableDomain(new URL(value).hostname) === domain;
+      } catch (error) {
+        return false;
+      }
+    }));
+  return {
+    source: sources.length ? sources[0].name : null,
+    licence: strictest(sources.map(source => source.licence))
+  };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Apply a licence to an extracted article (see articleExtractor). Without a
+// full-text licence only an excerpt of snippet length is kept.
+function licenseExtract(extracted, licence) {
+  const licensed = { ...extracted, truncated: false };
+  if (!licence.images) {
+    licensed.leadImage = null;
+  }
+  if (licence.fullText) {
+    return licensed;
+  }
+
+  const excerpt = truncateText(extracted.content ? extracted.content.text : null, licence.snippetLength);
+  licensed.content = {
+    html: excerpt ? `<p>${escapeHtml(excerpt)}</p>` : '',
+    text: excerpt || ''
+  };
+  licensed.blocks = excerpt ? [{ type: 'paragraph', text: excerpt }] : [];
+  licensed.truncated = Boolean(extracted.content && extracted.content.text && excerpt !== extracted.content.text);
+  return licensed;
+}
+
+module.exports = {
+  truncateText,
+  formatLink,
+  attributionText,
+  applyLicence,
+  licenseArticles,
+  licenceForUrl,
+  licenseExtract
+};
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const db = require('./database');
+const consentRecords = require('./consentRecords');
+
+// Outgoing email. Messages are queued in the email_outbox table and sent by
+// flushOutbox, with retries. With SMTP_HOST set they go out over SMTP (point
+// it at a local catch-all such as MailHog or smtp4dev when testing);
+// without it they are written as .eml files to MAIL_DIR and never leave the
+// machine.
+
+const MAIL_FROM = process.env.MAIL_FROM || 'UK Compliant News Aggregator <digest@newsaggregator.co.uk>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'data', 'mail');
+
+// Consent each kind of email depends on, checked again right before sending
+const REQUIRED_CONSENT = {
+  digest: 'marketing'
+};
+
+// Delay before each retry of a failed send
+const RETRY_DELAYS_MS = [5 * 60, 30 * 60, 2 * 60 * 60].map(seconds => seconds * 1000);
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const SEND_BATCH = 20;
+
+// Sent, failed and cancelled emails (with their contents) are kept this long
+const OUTBOX_RETENTION_DAYS = 7;
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    transport = process.env.SMTP_HOST
+      ? nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587', 10),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      })
+      : nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+  return transport;
+}
+
+async function sendMessage(row) {
+  const info = await getTransport().sendMail({
+    from: MAIL_FROM,
+    to: row.recipient,
+    subject: row.subject,
+    html: row.html,
+    text: row.text,
+    headers: JSON.parse(row.headers)
+  });
+
+  // Stream transport: keep the message as a file instead of sending it
+  if (Buffer.isBuffer(info.message)) {
+    await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(MAIL_DIR, `${row.id}-${row.purpose}.eml`), info.message);
+  }
+}
+
+// Queue an email; it is sent on the next flushOutbox
+async function enqueueEmail({ userId = null, purpose, to, subject, html, text, headers = {} }) {
+  const now = new Date().toISOString();
+  const result = await db.run(`INSERT INTO email_outbox (
+      user_id, purpose, recipient, subject, html, text, headers, next_attempt_at, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+    userId, purpose, to, subject, html, text, JSON.stringify(headers), now, now
+  ]);
+  return result.lastID;
+}
+
+// Stop queued emails of one kind for a user, e.g. after they unsubscribe
+async function cancelPending(userId, purpose) {
+  const result = await db.run(`UPDATE email_outbox SET status = 'cancelled', last_error = ?
+    WHERE user_id = ? AND purpose = ? AND status = 'pending'`, ['Cancelled by the recipient', userId, purpose]);
+  return result.changes;
+}
+
+async function deleteForUser(userId) {
+  await db.run('DELETE FROM email_outbox WHERE user_id = ?', [userId]);
+}
+
+async function recordAttempt(row, error) {
+  const attempts = row.attempts + 1;
+  if (!error) {
+    await db.run(`UPDATE email_outbox SET status = 'sent', attempts = ?, last_error = NULL, sent_at = ?
+      WHERE id = ?`, [attempts, new Date().toISOString(), row.id]);
+    return;
+  }
+
+  const retry = attempts < MAX_ATTEMPTS;
+  await db.run(`UPDATE email_outbox SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?
+    WHERE id = ?`, [
+    retry ? 'pending' : 'failed',
+    attempts,
+    error.message,
+    retry ? new Date(Date.now() + RETRY_DELAYS_MS[attempts - 1]).toISOString() : row.next_attempt_at,
+    row.id
+  ]);
+}
+
+let flushRun = null;
+
+// Send every queued email that is due. Concurrent calls share one pass.
+// Resolves with the number of emails sent.
+function flushOutbox() {
+  if (!flushRun) {
+    flushRun = (async () => {
+      const due = await db.all(`SELECT * FROM email_outbox
+        WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY id LIMIT ?`, [new Date().toISOString(), SEND_BATCH]);
+
+      let sent = 0;
+      for (const row of due) {
+        // Consent withdrawn after the email was queued stops it here
+        const consentType = REQUIRED_CONSENT[row.purpose];
+        if (consentType && !(await consentRecords.hasConsent(row.user_id, consentType))) {
+          await db.run(`UPDATE email_outbox SET status = 'cancelled', last_error = ? WHERE id = ?`,
+            [`No ${consentType} consent`, row.id]);
+          continue;
+        }
+
+        try {
+          await sendMessage(row);
+          await recordAttempt(row, null);
+          sent += 1;
+        } catch (error) {
+          console.error(`Error sending email ${row.id}:`, error.message);
+          await recordAttempt(row, error);
+        }
+      }
+
+      const cutoff = new Date(Date.now() - OUTBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      await db.run("DELETE FROM email_outbox WHERE status != 'pending' AND created_at < ?", [cutoff]);
+      return sent;
+    })().finally(() => {
+      flushRun = null;
+    });
+  }
+  return flushRun;
+}
+
+module.exports = {
+  MAIL_DIR,
+  enqueueEmail,
+  cancelPending,
+  deleteForUser,
+  flushOutbox
+};
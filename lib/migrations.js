@@ -0,0 +1,343 @@
+const defaultSources = require('./newsSources');
+
+// Schema migrations, applied in order and recorded in schema_migrations.
+// Never edit a released migration - append a new one instead.
+module.exports = [
+  {
+    id: 1,
+    name: 'create-articles',
+    up: [
+      `CREATE TABLE articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guid TEXT,
+        link TEXT NOT NULL UNIQUE,
+        title TEXT NOT NULL,
+        description TEXT,
+        content TEXT,
+        image TEXT,
+        source TEXT NOT NULL,
+        category TEXT NOT NULL,
+        trusted INTEGER NOT NULL DEFAULT 0,
+        pub_date TEXT,
+        fetched_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`,
+      'CREATE INDEX idx_articles_pub_date ON articles (pub_date DESC)',
+      'CREATE INDEX idx_articles_source ON articles (source, pub_date DESC)'
+    ]
+  },
+  {
+    id: 2,
+    name: 'create-feed-state',
+    up: [
+      `CREATE TABLE feed_state (
+        url TEXT PRIMARY KEY,
+        etag TEXT,
+        last_modified TEXT,
+        next_fetch_at TEXT,
+        skip_hours TEXT,
+        last_fetched_at TEXT
+      )`
+    ]
+  },
+  {
+    id: 3,
+    name: 'create-sources',
+    up: [
+      `CREATE TABLE sources (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        url TEXT NOT NULL UNIQUE,
+        homepage TEXT,
+        category TEXT NOT NULL,
+        trusted INTEGER NOT NULL DEFAULT 0,
+        poll_interval INTEGER NOT NULL DEFAULT 10,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`,
+      // Seed the registry with the sources that used to be hard-coded
+      ...defaultSources.map(source => [
+        `INSERT INTO sources (name, url, homepage, category, trusted, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`,
+        [source.name, source.url, source.homepage || null, source.category, source.trusted ? 1 : 0]
+      ])
+    ]
+  },
+  {
+    id: 4,
+    name: 'create-articles-fts',
+    up: [
+      'ALTER TABLE articles ADD COLUMN body_text TEXT',
+      // External-content full-text index over the articles table
+      `CREATE VIRTUAL TABLE articles_fts USING fts5(
+        title, description, body_text,
+        content='articles', content_rowid='id',
+        tokenize='porter unicode61 remove_diacritics 2'
+      )`,
+      `CREATE TRIGGER articles_fts_insert AFTER INSERT ON articles BEGIN
+        INSERT INTO articles_fts (rowid, title, description, body_text)
+          VALUES (new.id, new.title, new.description, new.body_text);
+      END`,
+      `CREATE TRIGGER articles_fts_delete AFTER DELETE ON articles BEGIN
+        INSERT INTO articles_fts (articles_fts, rowid, title, description, body_text)
+          VALUES ('delete', old.id, old.title, old.description, old.body_text);
+      END`,
+      `CREATE TRIGGER articles_fts_update AFTER UPDATE ON articles BEGIN
+        INSERT INTO articles_fts (articles_fts, rowid, title, description, body_text)
+          VALUES ('delete', old.id, old.title, old.description, old.body_text);
+        INSERT INTO articles_fts (rowid, title, description, body_text)
+          VALUES (new.id, new.title, new.description, new.body_text);
+      END`,
+      "INSERT INTO articles_fts (articles_fts) VALUES ('rebuild')"
+    ]
+  },
+  {
+    id: 5,
+    name: 'backfill-article-pub-dates',
+    up: [
+      // Keyset pagination needs every article to have a publication date
+      'UPDATE articles SET pub_date = fetched_at WHERE pub_date IS NULL'
+    ]
+  },
+  {
+    id: 6,
+    name: 'add-article-topics',
+    up: [
+      // JSON array of sub-topic slugs assigned by the topic classifier
+      'ALTER TABLE articles ADD COLUMN topics TEXT',
+      'CREATE INDEX IF NOT EXISTS idx_articles_category_pub_date ON articles(category, pub_date)'
+    ]
+  },
+  {
+    id: 7,
+    name: 'create-source-health',
+    up: [
+      `CREATE TABLE source_health (
+        source_id INTEGER PRIMARY KEY REFERENCES sources(id) ON DELETE CASCADE,
+        last_success_at TEXT,
+        last_error_at TEXT,
+        last_error TEXT,
+        consecutive_failures INTEGER NOT NULL DEFAULT 0,
+        total_fetches INTEGER NOT NULL DEFAULT 0,
+        total_failures INTEGER NOT NULL DEFAULT 0,
+        average_latency_ms INTEGER,
+        last_item_count INTEGER,
+        total_items INTEGER NOT NULL DEFAULT 0,
+        retry_at TEXT,
+        updated_at TEXT NOT NULL
+      )`
+    ]
+  },
+  {
+    id: 8,
+    name: 'create-crawl-skips',
+    up: [
+      // Page fetches we chose not to make (robots.txt, meta directives, crawl delay)
+      `CREATE TABLE crawl_skips (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        host TEXT NOT NULL,
+        url TEXT NOT NULL,
+        purpose TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )`,
+      'CREATE INDEX idx_crawl_skips_host ON crawl_skips(host, created_at)'
+    ]
+  },
+  {
+    id: 9,
+    name: 'add-article-entities',
+    up: [
+      // JSON arrays from the enrichment step; existing rows are filled in
+      // when their feeds are next polled
+      'ALTER TABLE articles ADD COLUMN entities TEXT',
+      'ALTER TABLE articles ADD COLUMN key_phrases TEXT'
+    ]
+  },
+  {
+    id: 10,
+    name: 'add-article-text-analysis',
+    up: [
+      'ALTER TABLE articles ADD COLUMN language TEXT',
+      'ALTER TABLE articles ADD COLUMN reading_time INTEGER',
+      'ALTER TABLE articles ADD COLUMN lede TEXT',
+      'ALTER TABLE articles ADD COLUMN summary TEXT',
+      'ALTER TABLE articles ADD COLUMN keywords TEXT'
+    ]
+  },
+  {
+    id: 11,
+    name: 'create-alerts',
+    up: [
+      `CREATE TABLE alert_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        keywords TEXT NOT NULL DEFAULT '[]',
+        expression TEXT,
+        sources TEXT,
+        category TEXT,
+        webhook_url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        last_matched_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`,
+      'CREATE INDEX idx_alert_rules_user ON alert_rules(user_id)',
+      // Outbox and delivery log in one: a row per matched article per rule.
+      // Articles are pruned independently, so the log keeps its own copy.
+      `CREATE TABLE alert_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id INTEGER NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+        article_id INTEGER NOT NULL,
+        article_title TEXT NOT NULL,
+        article_link TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        last_error TEXT,
+        next_attempt_at TEXT,
+        delivered_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (rule_id, article_id)
+      )`,
+      'CREATE INDEX idx_alert_deliveries_due ON alert_deliveries(status, next_attempt_at)',
+      'CREATE INDEX idx_alert_deliveries_rule ON alert_deliveries(rule_id, id)'
+    ]
+  },
+  {
+    id: 12,
+    name: 'create-digests',
+    up: [
+      // One digest subscription per user; last_run_at is the last scheduled
+      // run, whether or not it found stories to send
+      `CREATE TABLE digest_subscriptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL UNIQUE,
+        email TEXT NOT NULL,
+        frequency TEXT NOT NULL,
+        send_time TEXT NOT NULL,
+        send_day INTEGER,
+        timezone TEXT NOT NULL,
+        categories TEXT NOT NULL,
+        sources TEXT,
+        unsubscribe_token TEXT NOT NULL UNIQUE,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        last_run_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`,
+      // Emails waiting to be sent, and a short record of those that were
+      `CREATE TABLE email_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT,
+        purpose TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        html TEXT NOT NULL,
+        text TEXT NOT NULL,
+        headers TEXT NOT NULL DEFAULT '{}',
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TEXT NOT NULL,
+        sent_at TEXT,
+        created_at TEXT NOT NULL
+      )`,
+      'CREATE INDEX idx_email_outbox_due ON email_outbox(status, next_attempt_at)'
+    ]
+  },
+  {
+    id: 13,
+    name: 'add-source-licences',
+    up: [
+      // Per-publisher licensing policy as JSON; NULL means the defaults
+      'ALTER TABLE sources ADD COLUMN licence TEXT'
+    ]
+  },
+  {
+    id: 14,
+    name: 'create-users-and-consent-records',
+    up: [
+      // Accounts; emails are stored normalised and unique regardless of case
+      `CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        age INTEGER,
+        data_processing_consent INTEGER NOT NULL DEFAULT 0,
+        consent_at TEXT,
+        consent_ip TEXT,
+        created_at TEXT NOT NULL,
+        last_login TEXT,
+        retention_expires_at TEXT,
+        retention_purpose TEXT
+      )`,
+      'CREATE UNIQUE INDEX idx_users_email ON users(email)',
+      // Consent records (GDPR Article 7), kept for 7 years; details holds the
+      // remaining fields of the record as JSON
+      `CREATE TABLE consent_records (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        consent_type TEXT NOT NULL,
+        consent INTEGER NOT NULL,
+        purpose TEXT,
+        cookie_type TEXT,
+        ip_address TEXT,
+        user_agent TEXT,
+        created_at TEXT NOT NULL,
+        withdrawn_at TEXT,
+        withdrawal_ip TEXT,
+        details TEXT NOT NULL DEFAULT '{}'
+      )`,
+      'CREATE INDEX idx_consent_records_user ON consent_records(user_id, consent_type)'
+    ]
+  },
+  {
+    id: 15,
+    name: 'create-auth-sessions',
+    up: [
+      // One row per sign-in (a refresh token family). Only hashes of the
+      // family's current refresh token and the one it replaced are kept;
+      // access tokens name the session so revoking it signs them out
+      // straight away.
+      `CREATE TABLE auth_sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        token_hash TEXT NOT NULL,
+        previous_token_hash TEXT,
+        created_at TEXT NOT NULL,
+        rotated_at TEXT,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT,
+        revoked_reason TEXT,
+        ip_address TEXT,
+        user_agent TEXT
+      )`,
+      'CREATE INDEX idx_auth_sessions_user ON auth_sessions(user_id)'
+    ]
+  },
+  {
+    id: 16,
+    name: 'add-article-feed-links',
+    up: [
+      // The link a feed gave an article whose page named another as
+      // rel="canonical", so later polls recognise it without the page
+      'ALTER TABLE articles ADD COLUMN feed_link TEXT',
+      'CREATE INDEX idx_articles_feed_link ON articles(feed_link)'
+    ]
+  },
+  {
+    id: 17,
+    name: 'add-auth-session-retired-tokens',
+    up: [
+      // Hashes (JSON array, newest last) of the refresh tokens a session has
+      // replaced, so a replayed one is told apart from a forged one
+      "ALTER TABLE auth_sessions ADD COLUMN retired_token_hashes TEXT NOT NULL DEFAULT '[]'"
+    ]
+  }
+];
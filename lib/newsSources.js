@@ -0,0 +1,41 @@
+// Default news sources (UK-focused, reputable sources), seeded into the
+// source registry on first run. Manage sources through /api/news/sources.
+const newsSources = [
+  {
+    name: 'BBC News',
+    url: 'http://feeds.bbci.co.uk/news/rss.xml',
+    homepage: 'https://www.bbc.co.uk/news',
+    category: 'general',
+    trusted: true
+  },
+  {
+    name: 'The Guardian',
+    url: 'https://www.theguardian.com/uk/rss',
+    homepage: 'https://www.theguardian.com/uk',
+    category: 'general',
+    trusted: true
+  },
+  {
+    name: 'Sky News',
+    url: 'http://feeds.skynews.com/feeds/rss/uk.xml',
+    homepage: 'https://news.sky.com',
+    category: 'general',
+    trusted: true
+  },
+  {
+    name: 'Financial Times',
+    url: 'https://www.ft.com/rss/home/uk',
+    homepage: 'https://www.ft.com',
+    category: 'business',
+    trusted: true
+  },
+  {
+    name: 'Reuters UK',
+    url: 'https://feeds.reuters.com/reuters/UKdomesticNews',
+    homepage: 'https://www.reuters.com/world/uk/',
+    category: 'general',
+    trusted: true
+  }
+];
+
+module.exports = newsSources;
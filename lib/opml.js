@@ -0,0 +1,215 @@
+const cheerio = require('cheerio');
+const sourceRegistry = require('./sourceRegistry');
+const { escapeXml } = require('./syndication');
+
+// OPML import and export of the news sources, for moving source lists
+// between the aggregator and feed readers.
+
+// Largest number of feeds accepted in one import, and how many of them are
+// fetched and checked at once
+const MAX_IMPORT_FEEDS = 200;
+const IMPORT_CONCURRENCY = 6;
+
+// OPML category and folder names mapped onto our categories
+const CATEGORY_KEYWORDS = {
+  technology: ['tech', 'technology', 'science', 'computing', 'gadgets', 'cyber', 'security', 'ai', 'software', 'digital'],
+  sports: ['sport', 'sports', 'football', 'soccer', 'cricket', 'rugby', 'tennis', 'golf', 'f1', 'formula 1'],
+  politics: ['politics', 'political', 'government', 'election', 'elections', 'parliament', 'policy', 'westminster'],
+  business: ['business', 'finance', 'financial', 'economy', 'economics', 'markets', 'money', 'companies']
+};
+
+class OpmlError extends Error {}
+
+// Our category for a list of OPML labels, most specific first
+function mapCategory(labels) {
+  for (const label of labels) {
+    const value = String(label).trim().toLowerCase();
+    if (sourceRegistry.CATEGORIES.includes(value)) {
+      return value;
+    }
+    const match = Object.keys(CATEGORY_KEYWORDS).find(category => CATEGORY_KEYWORDS[category].includes(value));
+    if (match) {
+      return match;
+    }
+  }
+  return 'general';
+}
+
+// Attribute lookup ignoring case; files in the wild use xmlUrl and xmlurl
+function attribute(element, name) {
+  const key = Object.keys(element.attribs || {}).find(attr => attr.toLowerCase() === name.toLowerCase());
+  return key ? element.attribs[key].trim() : '';
+}
+
+// Labels from a `category` attribute: comma-separated, each possibly a
+// slash-delimited path ("/News/Technology")
+function categoryLabels(value) {
+  return value.split(',')
+    .map(path => path.split('/').filter(Boolean).reverse())
+    .reduce((all, labels) => all.concat(labels), []);
+}
+
+// Feed outlines in document order. Each has the outline's title, feed and
+// site URLs, and category labels from its own attribute and enclosing folders.
+function parseOpml(xml) {
+  const $ = cheerio.load(String(xml || ''), { xml: true });
+  if ($('opml').length === 0 || $('opml > body').length === 0) {
+    throw new OpmlError('Not an OPML document');
+  }
+
+  const outlines = [];
+  $('opml > body outline').each((index, element) => {
+    const xmlUrl = attribute(element, 'xmlUrl');
+    const type = attribute(element, 'type').toLowerCase();
+    // Folders have neither a feed URL nor a feed type
+    if (!xmlUrl && type !== 'rss' && type !== 'atom') {
+      return;
+    }
+
+    const folders = $(element).parents('outline').toArray()
+      .map(parent => attribute(parent, 'text') || attribute(parent, 'title'))
+      .filter(Boolean);
+
+    outlines.push({
+      title: attribute(element, 'title') || attribute(element, 'text') || null,
+      xmlUrl: xmlUrl || null,
+      htmlUrl: attribute(element, 'htmlUrl') || null,
+      labels: [...categoryLabels(attribute(element, 'category')), ...folders]
+    });
+  });
+
+  return outlines;
+}
+
+function httpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Run `task` for each item, at most `limit` at a time
+async function eachLimited(items, limit, task) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      await task(items[next++]);
+    }
+  });
+  await Promise.all(workers);
+}
+
+// Add the feeds in an OPML document as sources. Every outline gets a result
+// ({ title, url, status: 'added' | 'duplicate' | 'invalid', reason, source });
+// one bad outline never fails the rest. Rejects with OpmlError only when the
+// document itself is unusable.
+async function importOpml(xml) {
+  const outlines = parseOpml(xml);
+  if (outlines.length === 0) {
+    throw new OpmlError('The OPML document contains no feeds');
+  }
+  if (outlines.length > MAX_IMPORT_FEEDS) {
+    throw new OpmlError(`At most ${MAX_IMPORT_FEEDS} feeds can be imported at once`);
+  }
+
+  const seenUrls = new Set();
+  const results = outlines.map((outline) => {
+    const result = { title: outline.title, url: outline.xmlUrl, status: null, reason: null };
+    const url = httpUrl(outline.xmlUrl);
+    if (!url) {
+      return { ...result, status: 'invalid', reason: 'Missing or invalid feed URL' };
+    }
+    if (seenUrls.has(url)) {
+      return { ...result, url, status: 'duplicate', reason: 'Feed appears earlier in the file' };
+    }
+    seenUrls.add(url);
+    return { ...result, url, category: mapCategory(outline.labels), homepage: httpUrl(outline.htmlUrl) };
+  });
+
+  // Check the remaining feeds a few at a time; adding them is sequential so
+  // name clashes within the file are caught
+  const pending = results.filter(result => !result.status);
+  await eachLimited(pending, IMPORT_CONCURRENCY, async (result) => {
+    if (await sourceRegistry.findByUrl(result.url)) {
+      result.status = 'duplicate';
+      result.reason = 'A source with this feed URL already exists';
+      return;
+    }
+    try {
+      result.feedTitle = (await sourceRegistry.checkFeed(result.url)).title;
+    } catch (error) {
+      result.status = 'invalid';
+      result.reason = `The feed URL could not be fetched or parsed: ${error.message}`;
+    }
+  });
+
+  for (const result of pending.filter(result => !result.status)) {
+    const name = (result.title || result.feedTitle || new URL(result.url).hostname).slice(0, 100);
+    if (await sourceRegistry.findByName(name)) {
+      result.status = 'duplicate';
+      result.reason = 'A source with this name already exists';
+      continue;
+    }
+
+    result.source = await sourceRegistry.createSource({
+      name,
+      url: result.url,
+      homepage: result.homepage,
+      category: result.category
+    });
+    result.status = 'added';
+  }
+
+  return results.map(result => ({
+    title: result.title,
+    url: result.url,
+    status: result.status,
+    reason: result.reason,
+    source: result.source || null
+  }));
+}
+
+// OPML 2.0 document listing the sources, grouped into category folders
+function buildOpml(sources, { title = 'UK Compliant News Aggregator sources' } = {}) {
+  const folders = sourceRegistry.CATEGORIES
+    .map(category => ({ category, sources: sources.filter(source => source.category === category) }))
+    .filter(folder => folder.sources.length > 0)
+    .map(folder => [
+      `    <outline text="${escapeXml(folder.category)}" title="${escapeXml(folder.category)}">`,
+      ...folder.sources.map(source => [
+        '      <outline type="rss"',
+        ` text="${escapeXml(source.name)}"`,
+        ` title="${escapeXml(source.name)}"`,
+        ` xmlUrl="${escapeXml(source.url)}"`,
+        source.homepage ? ` htmlUrl="${escapeXml(source.homepage)}"` : '',
+        ` category="/${escapeXml(source.category)}"/>`
+      ].join('')),
+      '    </outline>'
+    ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+    ...folders,
+    '  </body>',
+    '</opml>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  MAX_IMPORT_FEEDS,
+  IMPORT_CONCURRENCY,
+  OpmlError,
+  mapCategory,
+  parseOpml,
+  importOpml,
+  buildOpml
+};
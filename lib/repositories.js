@@ -0,0 +1,445 @@
+const db = require('./database');
+const { createStorage } = require('./storage');
+
+// Repositories for accounts, consent records and sign-in sessions, the data
+// that must outlive a server process or a serverless function instance.
+// lib/users.js, lib/consentRecords.js and lib/sessions.js go through them;
+// nothing else should.
+//
+// STORAGE_BACKEND picks the implementation:
+//   sqlite        - tables in the local SQLite database (default)
+//   netlify-blobs - Netlify Blobs (via lib/storage.js), for the Netlify
+//                   deployment, where the SQLite file is per function
+//                   instance and short-lived
+//   memory        - this process only (via lib/storage.js); for tests
+//
+// users:
+//   findById(id), findByEmail(email) -> user, or null
+//   create(user)                     -> user; DuplicateUserError if the email is taken
+//   update(id, changes)              -> updated user, or null
+//   delete(id)                       -> whether the user existed
+// consents:
+//   add(records)                     -> records, written together
+//   forUser(userId)                  -> the user's records, oldest first
+//   withdraw(userId, consentType, { withdrawnAt, ipAddress })
+//                                    -> the withdrawn records, or null when the
+//                                       user never gave this type of consent
+// sessions:
+//   create(session)                  -> session
+//   findById(id)                     -> session, or null
+//   rotate(id, fromHash, { tokenHash, rotatedAt, expiresAt, retiredTokenHashes })
+//                                    -> whether the session was live and its
+//                                       current token hash was fromHash, which
+//                                       becomes its previousTokenHash;
+//                                       retiredTokenHashes replaces the list
+//                                       of tokens it has replaced
+//   revoke(id, { revokedAt, reason })
+//   delete(id)
+//   revokeForUser(userId, { revokedAt, reason })
+//   deleteForUser(userId)
+
+class DuplicateUserError extends Error {}
+
+function isGiven(record) {
+  return (record.consent === true || record.consent === 'true') && !record.withdrawnAt;
+}
+
+function withdrawnCopy(record, { withdrawnAt, ipAddress }) {
+  return { ...record, consent: false, withdrawnAt, withdrawalIp: ipAddress };
+}
+
+function userFromRow(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    password: row.password_hash,
+    consent: {
+      dataProcessing: Boolean(row.data_processing_consent),
+      timestamp: row.consent_at,
+      ipAddress: row.consent_ip
+    },
+    age: row.age,
+    createdAt: row.created_at,
+    lastLogin: row.last_login,
+    dataRetention: {
+      expiresAt: row.retention_expires_at,
+      purpose: row.retention_purpose
+    }
+  };
+}
+
+function userParams(user) {
+  const consent = user.consent || {};
+  const retention = user.dataRetention || {};
+  return [
+    user.email,
+    user.password,
+    user.age === undefined || user.age === null ? null : Number(user.age),
+    consent.dataProcessing ? 1 : 0,
+    consent.timestamp || null,
+    consent.ipAddress || null,
+    user.createdAt,
+    user.lastLogin || null,
+    retention.expiresAt || null,
+    retention.purpose || null,
+    user.id
+  ];
+}
+
+function consentFromRow(row) {
+  const record = {
+    id: row.id,
+    userId: row.user_id,
+    consentType: row.consent_type,
+    consent: Boolean(row.consent),
+    purpose: row.purpose,
+    timestamp: row.created_at,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    ...JSON.parse(row.details)
+  };
+  if (row.cookie_type) {
+    record.cookieType = row.cookie_type;
+  }
+  if (row.withdrawn_at) {
+    record.withdrawnAt = row.withdrawn_at;
+    record.withdrawalIp = row.withdrawal_ip;
+  }
+  return record;
+}
+
+function sessionFromRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    tokenHash: row.token_hash,
+    previousTokenHash: row.previous_token_hash,
+    retiredTokenHashes: JSON.parse(row.retired_token_hashes || '[]'),
+    createdAt: row.created_at,
+    rotatedAt: row.rotated_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    revokedReason: row.revoked_reason,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent
+  };
+}
+
+function createSqliteRepositories() {
+  const users = {
+    async findById(id) {
+      const row = await db.get('SELECT * FROM users WHERE id = ?', [String(id)]);
+      return row ? userFromRow(row) : null;
+    },
+
+    async findByEmail(email) {
+      const row = await db.get('SELECT * FROM users WHERE email = ?', [String(email)]);
+      return row ? userFromRow(row) : null;
+    },
+
+    async create(user) {
+      try {
+        await db.run(`INSERT INTO users (email, password_hash, age, data_processing_consent, consent_at,
+          consent_ip, created_at, last_login, retention_expires_at, retention_purpose, id)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, userParams(user));
+      } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT' && error.message.includes('users.email')) {
+          throw new DuplicateUserError(`An account already exists for ${user.email}`);
+        }
+        throw error;
+      }
+      return users.findById(user.id);
+    },
+
+    update(id, changes) {
+      return db.transaction(async () => {
+        const user = await users.findById(id);
+        if (!user) {
+          return null;
+        }
+        const updated = { ...user, ...changes };
+        await db.run(`UPDATE users SET email = ?, password_hash = ?, age = ?, data_processing_consent = ?,
+          consent_at = ?, consent_ip = ?, created_at = ?, last_login = ?, retention_expires_at = ?,
+          retention_purpose = ? WHERE id = ?`, userParams(updated));
+        return updated;
+      });
+    },
+
+    async delete(id) {
+      const { changes } = await db.run('DELETE FROM users WHERE id = ?', [String(id)]);
+      return changes > 0;
+    }
+  };
+
+  const consents = {
+    add(records) {
+      return db.transaction(async () => {
+        for (const record of records) {
+          const {
+            id, userId, consentType, consent, purpose, timestamp, ipAddress, userAgent,
+            cookieType, withdrawnAt, withdrawalIp, ...details
+          } = record;
+          await db.run(`INSERT INTO consent_records (id, user_id, consent_type, consent, purpose, cookie_type,
+            ip_address, user_agent, created_at, withdrawn_at, withdrawal_ip, details)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+            id,
+            String(userId),
+            consentType,
+            consent === true || consent === 'true' ? 1 : 0,
+            purpose || null,
+            cookieType || null,
+            ipAddress || null,
+            userAgent || null,
+            timestamp,
+            withdrawnAt || null,
+            withdrawalIp || null,
+            JSON.stringify(details)
+          ]);
+        }
+        return records;
+      });
+    },
+
+    async forUser(userId) {
+      const rows = await db.all('SELECT * FROM consent_records WHERE user_id = ? ORDER BY created_at, rowid', [String(userId)]);
+      return rows.map(consentFromRow);
+    },
+
+    withdraw(userId, consentType, { withdrawnAt, ipAddress }) {
+      return db.transaction(async () => {
+        const rows = await db.all(`SELECT * FROM consent_records WHERE user_id = ? AND consent_type = ?
+          ORDER BY created_at, rowid`, [String(userId), consentType]);
+        if (rows.length === 0) {
+          return null;
+        }
+
+        const standing = rows.map(consentFromRow).filter(isGiven);
+        await db.run(`UPDATE consent_records SET consent = 0, withdrawn_at = ?, withdrawal_ip = ?
+          WHERE user_id = ? AND consent_type = ? AND consent = 1 AND withdrawn_at IS NULL`,
+        [withdrawnAt, ipAddress || null, String(userId), consentType]);
+        return standing.map(record => withdrawnCopy(record, { withdrawnAt, ipAddress }));
+      });
+    }
+  };
+
+  const sessions = {
+    async create(session) {
+      await db.run(`INSERT INTO auth_sessions (id, user_id, token_hash, created_at, expires_at, ip_address, user_agent)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`, [
+        session.id,
+        String(session.userId),
+        session.tokenHash,
+        session.createdAt,
+        session.expiresAt,
+        session.ipAddress || null,
+        session.userAgent || null
+      ]);
+      return sessions.findById(session.id);
+    },
+
+    async findById(id) {
+      const row = await db.get('SELECT * FROM auth_sessions WHERE id = ?', [String(id)]);
+      return row ? sessionFromRow(row) : null;
+    },
+
+    // A single conditional update, so two uses of one token cannot both win
+    async rotate(id, fromHash, { tokenHash, rotatedAt, expiresAt, retiredTokenHashes = [] }) {
+      const { changes } = await db.run(`UPDATE auth_sessions SET token_hash = ?, previous_token_hash = token_hash,
+        retired_token_hashes = ?, rotated_at = ?, expires_at = ? WHERE id = ? AND token_hash = ? AND revoked_at IS NULL`,
+      [tokenHash, JSON.stringify(retiredTokenHashes), rotatedAt, expiresAt, String(id), fromHash]);
+      return changes > 0;
+    },
+
+    async revoke(id, { revokedAt, reason }) {
+      await db.run('UPDATE auth_sessions SET revoked_at = ?, revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+        [revokedAt, reason, String(id)]);
+    },
+
+    async delete(id) {
+      await db.run('DELETE FROM auth_sessions WHERE id = ?', [String(id)]);
+    },
+
+    async revokeForUser(userId, { revokedAt, reason }) {
+      await db.run('UPDATE auth_sessions SET revoked_at = ?, revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL',
+        [revokedAt, reason, String(userId)]);
+    },
+
+    async deleteForUser(userId) {
+      await db.run('DELETE FROM auth_sessions WHERE user_id = ?', [String(userId)]);
+    }
+  };
+
+  return { name: 'sqlite', users, consents, sessions };
+}
+
+// Accounts, consent records and sessions over a key-value store: a users
+// collection keyed by id, a second one mapping each email address to its
+// account, one entry per consent record, keyed by user and then by record id
+// so a user's records list in order, and sessions keyed by id with a second
+// collection listing each user's sessions. Key-value stores have no transactions, so
+// writes are ordered to leave nothing dangling if one fails.
+function createKeyValueRepositories(storage) {
+  const USERS = 'users';
+  const EMAILS = 'user-emails';
+  const CONSENTS = 'consent-records';
+  const SESSIONS = 'auth-sessions';
+  const USER_SESSIONS = 'user-sessions';
+
+  const userPrefix = userId => `${encodeURIComponent(userId)}/`;
+  const recordKey = record => `${userPrefix(record.userId)}${record.id}`;
+
+  const users = {
+    findById(id) {
+      return storage.get(USERS, String(id));
+    },
+
+    async findByEmail(email) {
+      const id = await storage.get(EMAILS, String(email).toLowerCase());
+      return id ? users.findById(id) : null;
+    },
+
+    async create(user) {
+      if (await storage.get(EMAILS, user.email.toLowerCase())) {
+        throw new DuplicateUserError(`An account already exists for ${user.email}`);
+      }
+      await storage.set(USERS, user.id, user);
+      await storage.set(EMAILS, user.email.toLowerCase(), user.id);
+      return user;
+    },
+
+    async update(id, changes) {
+      const user = await users.findById(id);
+      if (!user) {
+        return null;
+      }
+      const updated = { ...user, ...changes };
+      await storage.set(USERS, user.id, updated);
+      return updated;
+    },
+
+    async delete(id) {
+      const user = await users.findById(id);
+      if (!user) {
+        return false;
+      }
+      await storage.delete(EMAILS, user.email.toLowerCase());
+      await storage.delete(USERS, user.id);
+      return true;
+    }
+  };
+
+  const consents = {
+    async add(records) {
+      await Promise.all(records.map(record => storage.set(CONSENTS, recordKey(record), record)));
+      return records;
+    },
+
+    async forUser(userId) {
+      const entries = await storage.list(CONSENTS, userPrefix(userId));
+      return entries.map(entry => entry.value);
+    },
+
+    async withdraw(userId, consentType, { withdrawnAt, ipAddress }) {
+      const records = (await consents.forUser(userId)).filter(record => record.consentType === consentType);
+      if (records.length === 0) {
+        return null;
+      }
+      const withdrawn = records.filter(isGiven).map(record => withdrawnCopy(record, { withdrawnAt, ipAddress }));
+      return consents.add(withdrawn);
+    }
+  };
+
+  const userSessionIds = async userId => (await storage.list(USER_SESSIONS, userPrefix(userId)))
+    .map(entry => entry.value);
+
+  const sessions = {
+    async create(session) {
+      const created = {
+        previousTokenHash: null,
+        retiredTokenHashes: [],
+        rotatedAt: null,
+        revokedAt: null,
+        revokedReason: null,
+        ...session
+      };
+      await storage.set(SESSIONS, session.id, created);
+      await storage.set(USER_SESSIONS, `${userPrefix(session.userId)}${session.id}`, session.id);
+      return created;
+    },
+
+    findById(id) {
+      return storage.get(SESSIONS, String(id));
+    },
+
+    async rotate(id, fromHash, changes) {
+      const session = await sessions.findById(id);
+      if (!session || session.revokedAt || session.tokenHash !== fromHash) {
+        return false;
+      }
+      await storage.set(SESSIONS, session.id, { ...session, ...changes, previousTokenHash: fromHash });
+      // No compare-and-set here: if a concurrent rotation overwrote this
+      // one, it wins and this caller falls in the grace window
+      const stored = await sessions.findById(id);
+      return Boolean(stored) && stored.tokenHash === changes.tokenHash;
+    },
+
+    async revoke(id, { revokedAt, reason }) {
+      const session = await sessions.findById(id);
+      if (session && !session.revokedAt) {
+        await storage.set(SESSIONS, session.id, { ...session, revokedAt, revokedReason: reason });
+      }
+    },
+
+    async delete(id) {
+      const session = await sessions.findById(id);
+      if (session) {
+        await storage.delete(USER_SESSIONS, `${userPrefix(session.userId)}${session.id}`);
+        await storage.delete(SESSIONS, session.id);
+      }
+    },
+
+    async revokeForUser(userId, revocation) {
+      await Promise.all((await userSessionIds(userId)).map(id => sessions.revoke(id, revocation)));
+    },
+
+    async deleteForUser(userId) {
+      for (const id of await userSessionIds(userId)) {
+        await storage.delete(SESSIONS, id);
+        await storage.delete(USER_SESSIONS, `${userPrefix(userId)}${id}`);
+      }
+    }
+  };
+
+  return { name: storage.name, users, consents, sessions };
+}
+
+function createRepositories(backend) {
+  if (backend === 'sqlite') {
+    return createSqliteRepositories();
+  }
+  return createKeyValueRepositories(createStorage(backend));
+}
+
+let repositories = null;
+
+// The configured repositories, created on first use
+function getRepositories() {
+  if (!repositories) {
+    repositories = createRepositories(process.env.STORAGE_BACKEND || 'sqlite');
+  }
+  return repositories;
+}
+
+// Replace the repositories: a backend name or an object implementing the
+// interface above
+function useRepositories(backend) {
+  repositories = typeof backend === 'string' ? createRepositories(backend) : backend;
+  return repositories;
+}
+
+module.exports = {
+  DuplicateUserError,
+  createRepositories,
+  getRepositories,
+  useRepositories
+};
@@ -0,0 +1,277 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const ipaddr = require('ipaddr.js');
+const { getDomain } = require('tldts');
+
+// Hardened HTTP fetching for URLs that come from outside (feeds, users).
+// Every request, including each redirect hop, must be http(s) on a
+// standard port, optionally on an allowed registrable domain, and must
+// resolve only to public addresses. The connection is pinned to the
+// address that was checked, so DNS cannot change between check and use.
+
+const USER_AGENT = 'UK-Compliant-News-Aggregator/1.0 (GDPR Compliant)';
+
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_MAX_REDIRECTS = 5;
+
+const DEFAULT_PORTS = {
+  'http:': [80],
+  'https:': [443]
+};
+
+class UnsafeUrlError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.reason = reason;
+  }
+}
+
+// Registrable domain ("bbc.co.uk" for "www.bbc.co.uk"); null for IP
+// addresses and hosts without a public suffix
+function registrableDomain(hostname) {
+  return getDomain(String(hostname || '').toLowerCase(), { allowPrivateDomains: false }) || null;
+}
+
+// Only globally routable unicast addresses are allowed (no private,
+// loopback, link-local, CGNAT, multicast, reserved or unspecified ranges)
+function isPublicAddress(address) {
+  try {
+    return ipaddr.process(address).range() === 'unicast';
+  } catch (error) {
+    return false;
+  }
+}
+
+const DEFAULT_POLICY = {
+  lookup: (hostname) => dns.promises.lookup(hostname, { all: true, verbatim: true }),
+  ports: DEFAULT_PORTS,
+  isAllowedAddress: isPublicAddress
+};
+
+// Parse and check a URL against the policy and domain allowlist
+function checkUrl(value, { allowedDomains, policy }) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new UnsafeUrlError('Malformed URL', 'url');
+  }
+
+  const ports = policy.ports[url.protocol];
+  if (!ports) {
+    throw new UnsafeUrlError(`Protocol not allowed: ${url.protocol}`, 'protocol');
+  }
+  const port = url.port ? parseInt(url.port, 10) : (url.protocol === 'https:' ? 443 : 80);
+  if (!ports.includes(port)) {
+    throw new UnsafeUrlError(`Port not allowed: ${port}`, 'port');
+  }
+  if (url.username || url.password) {
+    throw new UnsafeUrlError('Credentials in URLs are not allowed', 'url');
+  }
+
+  if (allowedDomains) {
+    const domain = registrableDomain(url.hostname);
+    if (!domain || !allowedDomains.has(domain)) {
+      throw new UnsafeUrlError(`Domain not allowed: ${url.hostname}`, 'domain');
+    }
+  }
+
+  return { url, port };
+}
+
+// Resolve the host and check every address it maps to
+async function resolveHost(hostname, policy) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (ipaddr.isValid(host)) {
+    addresses = [{ address: host, family: ipaddr.parse(host).kind() === 'ipv6' ? 6 : 4 }];
+  } else {
+    try {
+      addresses = await policy.lookup(host);
+    } catch (error) {
+      throw new UnsafeUrlError(`Host could not be resolved: ${host}`, 'dns');
+    }
+  }
+
+  if (!addresses.length) {
+    throw new UnsafeUrlError(`Host could not be resolved: ${host}`, 'dns');
+  }
+  // One bad record is enough to refuse: the resolver may hand out any of them
+  if (addresses.some(({ address }) => !policy.isAllowedAddress(address))) {
+    throw new UnsafeUrlError(`Address not allowed for ${host}`, 'address');
+  }
+  return addresses[0];
+}
+
+function decoderFor(encoding) {
+  switch (String(encoding || '').toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.createGunzip();
+    case 'deflate':
+      return zlib.createInflate();
+    case 'br':
+      return zlib.createBrotliDecompress();
+    default:
+      return null;
+  }
+}
+
+// One request to an already checked URL, connecting only to `target`
+function request(url, port, target, { method, body: payload, headers, timeout, maxBytes }) {
+  return new Promise((resolve, reject) => {
+    const transport = url.protocol === 'https:' ? https : http;
+    const pinnedLookup = (hostname, options, callback) => {
+      if (options && options.all) {
+        return callback(null, [{ address: target.address, family: target.family }]);
+      }
+      callback(null, target.address, target.family);
+    };
+
+    const req = transport.request({
+      protocol: url.protocol,
+      hostname: url.hostname.replace(/^\[|\]$/g, ''),
+      port,
+      path: `${url.pathname}${url.search}`,
+      method,
+      headers,
+      lookup: pinnedLookup,
+      timeout
+    }, (res) => {
+      const status = res.statusCode;
+      if (status >= 300 && status < 400 && res.headers.location) {
+        res.resume();
+        return resolve({ status, headers: res.headers, redirect: res.headers.location });
+      }
+
+      const declared = parseInt(res.headers['content-length'], 10);
+      if (!isNaN(declared) && declared > maxBytes) {
+        res.destroy();
+        return reject(new UnsafeUrlError('Response is too large', 'size'));
+      }
+
+      const decoder = decoderFor(res.headers['content-encoding']);
+      const body = decoder ? res.pipe(decoder) : res;
+      const chunks = [];
+      let size = 0;
+
+      body.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          res.destroy();
+          body.destroy();
+          reject(new UnsafeUrlError('Response is too large', 'size'));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      body.on('end', () => resolve({ status, headers: res.headers, body: Buffer.concat(chunks) }));
+      body.on('error', reject);
+      if (decoder) {
+        res.on('error', reject);
+      }
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new UnsafeUrlError('Request timed out', 'timeout'));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+function contentTypeOf(headers) {
+  return String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+}
+
+// Build a fetch function for a policy ({ lookup, ports, isAllowedAddress });
+// tests use this to point hostnames at a local stand-in server.
+function createSafeFetch(policy = DEFAULT_POLICY) {
+  policy = { ...DEFAULT_POLICY, ...policy };
+
+  // Fetch a URL. Options:
+  //   allowedDomains - Set of registrable domains every hop must be on
+  //   contentTypes   - accepted media types (e.g. ['text/html']); any if empty
+  //   responseType   - 'text' (default) or 'buffer'
+  //   notModified    - resolve a 304 (to a conditional GET) rather than reject
+  //   method, body   - for requests other than GET; redirects are only
+  //                    followed for GET, anything else rejects on a 3xx
+  //   maxBytes, timeout, maxRedirects, headers
+  // Resolves with { status, headers, data, url } for 2xx responses; rejects
+  // with UnsafeUrlError when a check fails and Error for HTTP errors.
+  return async function safeFetch(value, {
+    allowedDomains = null,
+    contentTypes = [],
+    responseType = 'text',
+    maxBytes = DEFAULT_MAX_BYTES,
+    timeout = DEFAULT_TIMEOUT,
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    notModified = false,
+    method = 'GET',
+    body = null,
+    headers = {}
+  } = {}) {
+    const requestHeaders = {
+      'User-Agent': USER_AGENT,
+      'Accept-Encoding': 'gzip, deflate, br',
+      ...headers
+    };
+    if (body !== null) {
+      requestHeaders['Content-Length'] = Buffer.byteLength(body);
+    }
+    // Replaying a POST at a new location could deliver it twice, or somewhere
+    // the sender never chose
+    if (method !== 'GET') {
+      maxRedirects = 0;
+    }
+
+    let current = value;
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+      const { url, port } = checkUrl(current, { allowedDomains, policy });
+      const target = await resolveHost(url.hostname, policy);
+      const response = await request(url, port, target, { method, body, headers: requestHeaders, timeout, maxBytes });
+
+      if (response.redirect) {
+        current = new URL(response.redirect, url).toString();
+        continue;
+      }
+
+      if (response.status === 304 && notModified) {
+        return { status: 304, headers: response.headers, data: null, url: url.toString() };
+      }
+
+      if (response.status < 200 || response.status >= 300) {
+        const error = new Error(`Request failed with status code ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const contentType = contentTypeOf(response.headers);
+      if (contentTypes.length && !contentTypes.includes(contentType)) {
+        throw new UnsafeUrlError(`Content type not allowed: ${contentType || 'unknown'}`, 'content-type');
+      }
+
+      return {
+        status: response.status,
+        headers: response.headers,
+        data: responseType === 'buffer' ? response.body : response.body.toString('utf8'),
+        url: url.toString()
+      };
+    }
+
+    throw new UnsafeUrlError(`Too many redirects (more than ${maxRedirects})`, 'redirect');
+  };
+}
+
+const safeFetch = createSafeFetch();
+
+module.exports = {
+  UnsafeUrlError,
+  registrableDomain,
+  isPublicAddress,
+  createSafeFetch,
+  safeFetch
+};
@@ -0,0 +1,158 @@
+const db = require('./database');
+const { toArticle } = require('./articleStore');
+
+// Column weights for bm25(): title, description, body text
+const COLUMN_WEIGHTS = [10.0, 4.0, 1.0];
+
+// Private-use markers wrapped around matches by FTS5, swapped for <mark>
+// once the surrounding text has been HTML-escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+const MAX_TERMS = 12;
+
+class SearchQueryError extends Error {}
+
+// Parse a user query into FTS5 syntax. Supports bare terms, "quoted
+// phrases", trailing * prefixes and -exclusions (-term, -"phrase").
+function parseQuery(input) {
+  const included = [];
+  const excluded = [];
+  const pattern = /(-?)(?:"([^"]*)"|(\S+))/g;
+  let match;
+
+  while ((match = pattern.exec(String(input || ''))) !== null) {
+    const negated = match[1] === '-';
+    const isPhrase = match[2] !== undefined;
+    let text = (isPhrase ? match[2] : match[3]).trim();
+    let prefix = false;
+
+    if (!isPhrase && text.endsWith('*')) {
+      prefix = true;
+      text = text.replace(/\*+$/, '');
+    }
+
+    // Keep word characters only; quoting neutralises FTS5 operators
+    const words = text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (words.length === 0) {
+      continue;
+    }
+
+    const expression = `"${words.join(' ')}"${prefix ? '*' : ''}`;
+    (negated ? excluded : included).push({ expression, text: words.join(' ') });
+  }
+
+  if (included.length === 0) {
+    throw new SearchQueryError('Search query must contain at least one term to look for');
+  }
+  if (included.length + excluded.length > MAX_TERMS) {
+    throw new SearchQueryError(`Search query may contain at most ${MAX_TERMS} terms`);
+  }
+
+  let expression = included.map(term => term.expression).join(' AND ');
+  if (excluded.length) {
+    expression = `(${expression}) NOT (${excluded.map(term => term.expression).join(' OR ')})`;
+  }
+
+  return {
+    match: expression,
+    terms: included.map(term => term.text),
+    excluded: excluded.map(term => term.text)
+  };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// HTML-safe text with matches wrapped in <mark>
+function markMatches(text) {
+  if (!text) {
+    return null;
+  }
+  return escapeHtml(text)
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+}
+
+function buildFilters({ sources, category, from, to, maxId }) {
+  const clauses = [];
+  const params = [];
+
+  if (sources) {
+    clauses.push(sources.length ? `a.source IN (${sources.map(() => '?').join(', ')})` : '0');
+    params.push(...sources);
+  }
+  if (category) {
+    clauses.push('a.category = ?');
+    params.push(category);
+  }
+  if (from) {
+    clauses.push('a.pub_date >= ?');
+    params.push(new Date(from).toISOString());
+  }
+  if (to) {
+    clauses.push('a.pub_date <= ?');
+    params.push(new Date(to).toISOString());
+  }
+  if (maxId) {
+    clauses.push('a.id <= ?');
+    params.push(maxId);
+  }
+
+  return { sql: clauses.map(clause => ` AND ${clause}`).join(''), params };
+}
+
+// Relevance-ranked full-text search over stored articles. `maxId` pins the
+// results to articles that existed when pagination started.
+async function searchArticles({ q, sources, category, from, to, maxId, limit = 20, offset = 0 }) {
+  const query = parseQuery(q);
+  const filters = buildFilters({ sources, category, from, to, maxId });
+
+  const rows = await db.all(`SELECT a.*,
+      bm25(articles_fts, ${COLUMN_WEIGHTS.join(', ')}) AS rank,
+      highlight(articles_fts, 0, ?, ?) AS title_highlight,
+      snippet(articles_fts, -1, ?, ?, '…', 24) AS snippet
+    FROM articles_fts
+    JOIN articles a ON a.id = articles_fts.rowid
+    WHERE articles_fts MATCH ?${filters.sql}
+    ORDER BY rank, a.pub_date DESC
+    LIMIT ? OFFSET ?`, [
+    MATCH_START, MATCH_END,
+    MATCH_START, MATCH_END,
+    query.match,
+    ...filters.params,
+    limit,
+    offset
+  ]);
+
+  const { total } = await db.get(`SELECT COUNT(*) AS total
+    FROM articles_fts
+    JOIN articles a ON a.id = articles_fts.rowid
+    WHERE articles_fts MATCH ?${filters.sql}`, [query.match, ...filters.params]);
+
+  return {
+    query,
+    total,
+    articles: rows.map(row => ({
+      ...toArticle(row),
+      // bm25 is lower-is-better; flip it so higher scores rank first
+      score: Math.round(-row.rank * 1000) / 1000,
+      highlights: {
+        title: markMatches(row.title_highlight),
+        snippet: markMatches(row.snippet)
+      }
+    }))
+  };
+}
+
+module.exports = {
+  SearchQueryError,
+  parseQuery,
+  searchArticles
+};
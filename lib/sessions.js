@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { getRepositories } = require('./repositories');
+
+// Sign-in sessions. Each login starts a session: a family of refresh tokens
+// of which only the latest is valid. Using a refresh token swaps it for a
+// new one; presenting one that was already swapped means it leaked, so the
+// whole session is revoked. A token the family never issued revokes
+// nothing, so knowing a session id is not enough to sign its user out.
+// Access tokens carry the session id and are refused once the session is
+// revoked (see middleware/auth.js).
+//
+// Two tabs sharing a refresh token may both use it at once. The token just
+// replaced therefore still earns an access token (but no new refresh token)
+// for REUSE_GRACE_MS after the swap.
+//
+// Refresh tokens are "<session id>.<secret>"; only their SHA-256 is stored.
+
+// How long a refresh token stays usable without being used
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const REUSE_GRACE_MS = 30 * 1000;
+
+// Replaced tokens remembered per session, to recognise replays
+const RETIRED_TOKEN_LIMIT = 100;
+
+class RefreshTokenError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.reason = reason;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function sessionIdOf(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  return sessionId && secret ? sessionId : null;
+}
+
+function refreshExpiry(now) {
+  return new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function isLive(session, now = new Date()) {
+  return Boolean(session && !session.revokedAt && new Date(session.expiresAt) > now);
+}
+
+// Resolves with { session, refreshToken }
+async function startSession(userId, { ipAddress, userAgent } = {}) {
+  const now = new Date();
+  const id = crypto.randomUUID();
+  const refreshToken = newRefreshToken(id);
+  const session = await getRepositories().sessions.create({
+    id,
+    userId: String(userId),
+    tokenHash: hashToken(refreshToken),
+    createdAt: now.toISOString(),
+    expiresAt: refreshExpiry(now),
+    ipAddress,
+    userAgent
+  });
+  return { session, refreshToken };
+}
+
+function withinGrace(session, tokenHash, now) {
+  return isLive(session, now)
+    && session.previousTokenHash === tokenHash
+    && now - new Date(session.rotatedAt) <= REUSE_GRACE_MS;
+}
+
+// Swap a refresh token for a new one. Resolves with { session, refreshToken },
+// where refreshToken is null inside the grace window, or rejects with a
+// RefreshTokenError.
+async function rotate(refreshToken) {
+  const sessions = getRepositories().sessions;
+  const sessionId = sessionIdOf(refreshToken);
+  const session = sessionId && await sessions.findById(sessionId);
+  if (!session) {
+    throw new RefreshTokenError('Unknown refresh token', 'unknown');
+  }
+
+  const now = new Date();
+  if (!isLive(session, now)) {
+    throw new RefreshTokenError('Session has ended', session.revokedAt ? 'revoked' : 'expired');
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const next = newRefreshToken(session.id);
+  const rotated = await sessions.rotate(session.id, tokenHash, {
+    tokenHash: hashToken(next),
+    rotatedAt: now.toISOString(),
+    expiresAt: refreshExpiry(now),
+    retiredTokenHashes: [...(session.retiredTokenHashes || []), tokenHash].slice(-RETIRED_TOKEN_LIMIT)
+  });
+  if (!rotated) {
+    const current = await sessions.findById(session.id);
+    if (withinGrace(current, tokenHash, now)) {
+      return { session: current, refreshToken: null };
+    }
+    if (!current || !(current.retiredTokenHashes || []).includes(tokenHash)) {
+      throw new RefreshTokenError('Unknown refresh token', 'unknown');
+    }
+    // An older token from this family, or the previous one after the grace
+    // window: more than one holder
+    await sessions.revoke(session.id, { revokedAt: now.toISOString(), reason: 'refresh-token-reuse' });
+    throw new RefreshTokenError('Refresh token was already used', 'reused');
+  }
+  return { session: await sessions.findById(session.id), refreshToken: next };
+}
+
+// Whether an access token naming this session may still be used
+async function isActive(sessionId, userId) {
+  const session = sessionId ? await getRepositories().sessions.findById(sessionId) : null;
+  return isLive(session) && session.userId === String(userId);
+}
+
+// Sign out: the session is deleted, so nothing about it is kept
+function endSession(sessionId) {
+  return getRepositories().sessions.delete(sessionId);
+}
+
+// End the session a refresh token belongs to. The token must be its current
+// one or the one it replaced; the session id alone is not enough.
+async function endSessionFor(refreshToken) {
+  const sessionId = sessionIdOf(refreshToken);
+  const session = sessionId && await getRepositories().sessions.findById(sessionId);
+  if (!session) {
+    return false;
+  }
+  const tokenHash = hashToken(refreshToken);
+  if (tokenHash !== session.tokenHash && tokenHash !== session.previousTokenHash) {
+    return false;
+  }
+  await endSession(session.id);
+  return true;
+}
+
+// Revoke every session of a user, such as after a password change; the
+// sessions are kept, revoked, until the account is deleted
+function endAllSessions(userId, reason) {
+  return getRepositories().sessions.revokeForUser(userId, { revokedAt: new Date().toISOString(), reason });
+}
+
+function deleteSessions(userId) {
+  return getRepositories().sessions.deleteForUser(userId);
+}
+
+module.exports = {
+  RefreshTokenError,
+  startSession,
+  rotate,
+  isActive,
+  endSession,
+  endSessionFor,
+  endAllSessions,
+  deleteSessions
+};
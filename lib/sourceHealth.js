@@ -0,0 +1,202 @@
+const db = require('./database');
+
+// Fetch health per source, plus a circuit breaker that stops polling a feed
+// after repeated failures and retries it with exponential backoff.
+
+// Consecutive failures that open the circuit
+const FAILURE_THRESHOLD = 3;
+
+// Backoff once the circuit is open, doubling per further failure
+const BASE_BACKOFF_MS = 5 * 60 * 1000;
+const MAX_BACKOFF_MS = 24 * 60 * 60 * 1000;
+
+// Weight of the newest sample in the moving average latency
+const LATENCY_SMOOTHING = 0.3;
+
+// Longest error message kept
+const MAX_ERROR_LENGTH = 500;
+
+function toHealth(row) {
+  return {
+    sourceId: row.source_id,
+    lastSuccessAt: row.last_success_at,
+    lastErrorAt: row.last_error_at,
+    lastError: row.last_error,
+    consecutiveFailures: row.consecutive_failures,
+    totalFetches: row.total_fetches,
+    totalFailures: row.total_failures,
+    averageLatencyMs: row.average_latency_ms,
+    lastItemCount: row.last_item_count,
+    totalItems: row.total_items,
+    retryAt: row.retry_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Health record for a source that has never been polled
+function emptyHealth(sourceId) {
+  return {
+    sourceId,
+    lastSuccessAt: null,
+    lastErrorAt: null,
+    lastError: null,
+    consecutiveFailures: 0,
+    totalFetches: 0,
+    totalFailures: 0,
+    averageLatencyMs: null,
+    lastItemCount: null,
+    totalItems: 0,
+    retryAt: null,
+    updatedAt: null
+  };
+}
+
+async function getHealth(sourceId) {
+  const row = await db.get('SELECT * FROM source_health WHERE source_id = ?', [sourceId]);
+  return row ? toHealth(row) : emptyHealth(sourceId);
+}
+
+// Health of every source that has been polled, keyed by source id
+async function listHealth() {
+  const rows = await db.all('SELECT * FROM source_health');
+  return new Map(rows.map(row => [row.source_id, toHealth(row)]));
+}
+
+// 'closed' (polling normally), 'open' (backing off until retryAt) or
+// 'half-open' (backoff elapsed; the next poll is a trial)
+function circuitState(health, now = Date.now()) {
+  if (health.consecutiveFailures < FAILURE_THRESHOLD) {
+    return 'closed';
+  }
+  return health.retryAt && now < new Date(health.retryAt).getTime() ? 'open' : 'half-open';
+}
+
+// Whether the circuit breaker allows polling the source now
+function isAvailable(health, now = Date.now()) {
+  return circuitState(health, now) !== 'open';
+}
+
+// Summary status for display: unknown, healthy, degraded or failing
+function healthStatus(health) {
+  if (health.totalFetches === 0) {
+    return 'unknown';
+  }
+  if (health.consecutiveFailures >= FAILURE_THRESHOLD) {
+    return 'failing';
+  }
+  return health.consecutiveFailures > 0 ? 'degraded' : 'healthy';
+}
+
+function averageLatency(previous, latencyMs) {
+  if (previous === null || previous === undefined) {
+    return Math.round(latencyMs);
+  }
+  return Math.round(previous + LATENCY_SMOOTHING * (latencyMs - previous));
+}
+
+async function saveHealth(health) {
+  await db.run(`INSERT INTO source_health (
+      source_id, last_success_at, last_error_at, last_error, consecutive_failures, total_fetches,
+      total_failures, average_latency_ms, last_item_count, total_items, retry_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(source_id) DO UPDATE SET
+      last_success_at = excluded.last_success_at,
+      last_error_at = excluded.last_error_at,
+      last_error = excluded.last_error,
+      consecutive_failures = excluded.consecutive_failures,
+      total_fetches = excluded.total_fetches,
+      total_failures = excluded.total_failures,
+      average_latency_ms = excluded.average_latency_ms,
+      last_item_count = excluded.last_item_count,
+      total_items = excluded.total_items,
+      retry_at = excluded.retry_at,
+      updated_at = excluded.updated_at`, [
+    health.sourceId,
+    health.lastSuccessAt,
+    health.lastErrorAt,
+    health.lastError,
+    health.consecutiveFailures,
+    health.totalFetches,
+    health.totalFailures,
+    health.averageLatencyMs,
+    health.lastItemCount,
+    health.totalItems,
+    health.retryAt,
+    health.updatedAt
+  ]);
+}
+
+// A poll that reached the feed. `itemCount` is null when the feed was
+// unchanged (304), which keeps the previous count.
+async function recordSuccess(sourceId, { latencyMs, itemCount = null }) {
+  const health = await getHealth(sourceId);
+  const now = new Date().toISOString();
+
+  await saveHealth({
+    ...health,
+    lastSuccessAt: now,
+    consecutiveFailures: 0,
+    totalFetches: health.totalFetches + 1,
+    averageLatencyMs: averageLatency(health.averageLatencyMs, latencyMs),
+    lastItemCount: itemCount === null ? health.lastItemCount : itemCount,
+    totalItems: health.totalItems + (itemCount || 0),
+    retryAt: null,
+    updatedAt: now
+  });
+}
+
+// A failed poll; opens the circuit once the failure threshold is reached
+async function recordFailure(sourceId, { latencyMs, error }) {
+  const health = await getHealth(sourceId);
+  const now = new Date();
+  const failures = health.consecutiveFailures + 1;
+
+  let retryAt = null;
+  if (failures >= FAILURE_THRESHOLD) {
+    const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (failures - FAILURE_THRESHOLD), MAX_BACKOFF_MS);
+    retryAt = new Date(now.getTime() + backoff).toISOString();
+  }
+
+  await saveHealth({
+    ...health,
+    lastErrorAt: now.toISOString(),
+    lastError: String((error && error.message) || error || 'Unknown error').slice(0, MAX_ERROR_LENGTH),
+    consecutiveFailures: failures,
+    totalFetches: health.totalFetches + 1,
+    totalFailures: health.totalFailures + 1,
+    averageLatencyMs: latencyMs === undefined ? health.averageLatencyMs : averageLatency(health.averageLatencyMs, latencyMs),
+    retryAt,
+    updatedAt: now.toISOString()
+  });
+}
+
+// Health fields for the API
+function toPublicHealth(health, now = Date.now()) {
+  return {
+    status: healthStatus(health),
+    circuit: circuitState(health, now),
+    lastSuccessAt: health.lastSuccessAt,
+    lastErrorAt: health.lastErrorAt,
+    lastError: health.lastError,
+    consecutiveFailures: health.consecutiveFailures,
+    totalFetches: health.totalFetches,
+    totalFailures: health.totalFailures,
+    averageLatencyMs: health.averageLatencyMs,
+    lastItemCount: health.lastItemCount,
+    totalItems: health.totalItems,
+    retryAt: health.retryAt
+  };
+}
+
+module.exports = {
+  FAILURE_THRESHOLD,
+  emptyHealth,
+  getHealth,
+  listHealth,
+  circuitState,
+  isAvailable,
+  healthStatus,
+  recordSuccess,
+  recordFailure,
+  toPublicHealth
+};
@@ -0,0 +1,224 @@
+const db = require('./database');
+const { fetchFeed } = require('./feedFetcher');
+const { registrableDomain } = require('./safeFetch');
+
+// Categories a source (and the news filters) may use
+const CATEGORIES = ['general', 'business', 'technology', 'sports', 'politics'];
+
+// Default and allowed polling intervals, in minutes
+const DEFAULT_POLL_INTERVAL = 10;
+const MIN_POLL_INTERVAL = 5;
+const MAX_POLL_INTERVAL = 24 * 60;
+
+// Licensing policy for sources without their own. Publisher text is limited
+// to short snippets and the reader view to an excerpt unless a publisher
+// licenses more.
+//   snippetLength: most characters of the publisher's text in any one field
+//   fullText:      the reader view may show the whole article
+//   images:        the publisher's images may be shown
+//   readerView:    the reader view (/api/news/article) may be used at all
+//   attribution:   credit shown with every item; {source} is the source name
+//   linkFormat:    how links to the publisher are written; {url} is the
+//                  article URL, optionally followed by query parameters
+const DEFAULT_LICENCE = {
+  snippetLength: 300,
+  fullText: false,
+  images: true,
+  readerView: true,
+  attribution: 'Published by {source}',
+  linkFormat: '{url}'
+};
+const MAX_SNIPPET_LENGTH = 2000;
+
+// Stored policy merged over the defaults
+function toLicence(value) {
+  const stored = value ? JSON.parse(value) : {};
+  const licence = { ...DEFAULT_LICENCE };
+  Object.keys(DEFAULT_LICENCE).forEach((key) => {
+    if (stored[key] !== undefined && stored[key] !== null) {
+      licence[key] = stored[key];
+    }
+  });
+  return licence;
+}
+
+// Only the settings that differ from the defaults are stored
+function storedLicence(licence) {
+  if (!licence) {
+    return null;
+  }
+  const changed = {};
+  Object.keys(DEFAULT_LICENCE).forEach((key) => {
+    if (licence[key] !== undefined && licence[key] !== DEFAULT_LICENCE[key]) {
+      changed[key] = licence[key];
+    }
+  });
+  return Object.keys(changed).length ? JSON.stringify(changed) : null;
+}
+
+function toSource(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    homepage: row.homepage,
+    category: row.category,
+    trusted: Boolean(row.trusted),
+    pollInterval: row.poll_interval,
+    enabled: Boolean(row.enabled),
+    licence: toLicence(row.licence),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Fields safe to show to anonymous users
+function toPublicSource(source) {
+  return {
+    id: source.id,
+    name: source.name,
+    homepage: source.homepage,
+    category: source.category,
+    trusted: source.trusted
+  };
+}
+
+async function listSources({ enabledOnly = false } = {}) {
+  const where = enabledOnly ? 'WHERE enabled = 1' : '';
+  const rows = await db.all(`SELECT * FROM sources ${where} ORDER BY name`);
+  return rows.map(toSource);
+}
+
+async function getSource(id) {
+  const row = await db.get('SELECT * FROM sources WHERE id = ?', [id]);
+  return row ? toSource(row) : null;
+}
+
+async function findByUrl(url) {
+  const row = await db.get('SELECT * FROM sources WHERE url = ?', [url]);
+  return row ? toSource(row) : null;
+}
+
+async function findByName(name) {
+  const row = await db.get('SELECT * FROM sources WHERE name = ? COLLATE NOCASE', [name]);
+  return row ? toSource(row) : null;
+}
+
+// Fetch and parse a candidate feed; rejects if it is unreachable or not a feed
+async function checkFeed(url) {
+  const result = await fetchFeed(url);
+  if (result.status !== 'ok' || !result.feed || !Array.isArray(result.feed.items)) {
+    throw new Error('Feed could not be parsed');
+  }
+  return {
+    title: result.feed.title || null,
+    itemCount: result.feed.items.length
+  };
+}
+
+async function createSource(data) {
+  const now = new Date().toISOString();
+  const result = await db.run(`INSERT INTO sources (
+      name, url, homepage, category, trusted, poll_interval, enabled, licence, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, [
+    data.name,
+    data.url,
+    data.homepage || null,
+    data.category,
+    data.trusted ? 1 : 0,
+    data.pollInterval || DEFAULT_POLL_INTERVAL,
+    data.enabled === false ? 0 : 1,
+    storedLicence(data.licence),
+    now,
+    now
+  ]);
+  return getSource(result.lastID);
+}
+
+// Partial update; stored articles follow a renamed source
+async function updateSource(id, changes) {
+  const existing = await getSource(id);
+  if (!existing) {
+    return null;
+  }
+
+  // Licence changes may be partial too
+  const source = {
+    ...existing,
+    ...changes,
+    licence: { ...existing.licence, ...changes.licence }
+  };
+
+  await db.transaction(async () => {
+    await db.run(`UPDATE sources SET
+        name = ?, url = ?, homepage = ?, category = ?, trusted = ?, poll_interval = ?, enabled = ?, licence = ?,
+        updated_at = ?
+      WHERE id = ?`, [
+      source.name,
+      source.url,
+      source.homepage || null,
+      source.category,
+      source.trusted ? 1 : 0,
+      source.pollInterval,
+      source.enabled ? 1 : 0,
+      storedLicence(source.licence),
+      new Date().toISOString(),
+      id
+    ]);
+
+    if (source.name !== existing.name) {
+      await db.run('UPDATE articles SET source = ? WHERE source = ?', [source.name, existing.name]);
+    }
+
+    // A new feed URL starts with a clean health record
+    if (source.url !== existing.url) {
+      await db.run('DELETE FROM source_health WHERE source_id = ?', [id]);
+    }
+  });
+
+  return getSource(id);
+}
+
+// Registrable domains of the enabled sources' feeds and homepages; pages
+// are only fetched on users' behalf from these
+async function trustedDomains() {
+  const sources = await listSources({ enabledOnly: true });
+  const domains = new Set();
+  sources.forEach((source) => {
+    [source.url, source.homepage].filter(Boolean).forEach((value) => {
+      try {
+        const domain = registrableDomain(new URL(value).hostname);
+        if (domain) {
+          domains.add(domain);
+        }
+      } catch (error) {
+        // Ignore malformed URLs
+      }
+    });
+  });
+  return domains;
+}
+
+async function deleteSource(id) {
+  const result = await db.run('DELETE FROM sources WHERE id = ?', [id]);
+  return result.changes > 0;
+}
+
+module.exports = {
+  CATEGORIES,
+  DEFAULT_POLL_INTERVAL,
+  MIN_POLL_INTERVAL,
+  MAX_POLL_INTERVAL,
+  DEFAULT_LICENCE,
+  MAX_SNIPPET_LENGTH,
+  toPublicSource,
+  listSources,
+  getSource,
+  findByUrl,
+  findByName,
+  checkFeed,
+  createSource,
+  updateSource,
+  deleteSource,
+  trustedDomains
+};
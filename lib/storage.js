@@ -0,0 +1,113 @@
+// Key-value storage behind the account and consent repositories when they
+// are not in SQLite (see lib/repositories.js). Values are JSON; keys are
+// grouped into named collections.
+//
+// Adapters:
+//   netlify-blobs - Netlify Blobs, for the Netlify deployment, where the
+//                   SQLite file is per function instance and short-lived
+//   memory        - this process only; for tests
+//
+// Each adapter implements:
+//   get(collection, key)          -> value, or null
+//   set(collection, key, value)
+//   delete(collection, key)       -> whether the key existed
+//   list(collection, prefix = '') -> [{ key, value }] in key order
+
+class StorageConfigError extends Error {}
+
+function createMemoryStorage() {
+  const collections = new Map();
+  const entries = collection => {
+    if (!collections.has(collection)) {
+      collections.set(collection, new Map());
+    }
+    return collections.get(collection);
+  };
+  // Values are copied in and out, as they would be by a real store
+  const copy = value => JSON.parse(JSON.stringify(value));
+
+  return {
+    name: 'memory',
+
+    async get(collection, key) {
+      const value = entries(collection).get(key);
+      return value === undefined ? null : copy(value);
+    },
+
+    async set(collection, key, value) {
+      entries(collection).set(key, copy(value));
+    },
+
+    async delete(collection, key) {
+      return entries(collection).delete(key);
+    },
+
+    async list(collection, prefix = '') {
+      return [...entries(collection).entries()]
+        .filter(([key]) => key.startsWith(prefix))
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, value]) => ({ key, value: copy(value) }));
+    }
+  };
+}
+
+// Netlify Blobs, one store per collection. Reads are strongly consistent so
+// a consent withdrawal is seen by every function instance straight away.
+function createNetlifyBlobsStorage() {
+  const { getStore } = require('@netlify/blobs');
+  const store = collection => getStore({ name: collection, consistency: 'strong' });
+
+  return {
+    name: 'netlify-blobs',
+
+    async get(collection, key) {
+      const value = await store(collection).get(key, { type: 'json' });
+      return value === undefined ? null : value;
+    },
+
+    async set(collection, key, value) {
+      await store(collection).setJSON(key, value);
+    },
+
+    async delete(collection, key) {
+      const existing = await store(collection).getMetadata(key);
+      await store(collection).delete(key);
+      return Boolean(existing);
+    },
+
+    async list(collection, prefix = '') {
+      const { blobs } = await store(collection).list({ prefix });
+      const keys = blobs.map(blob => blob.key).sort();
+      const values = await Promise.all(keys.map(key => store(collection).get(key, { type: 'json' })));
+      return keys
+        .map((key, index) => ({ key, value: values[index] }))
+        .filter(entry => entry.value !== null && entry.value !== undefined);
+    }
+  };
+}
+
+const BACKENDS = {
+  memory: createMemoryStorage,
+  'netlify-blobs': createNetlifyBlobsStorage
+};
+
+function createStorage(backend) {
+  const create = BACKENDS[backend];
+  if (!create) {
+    throw new StorageConfigError(`Unknown storage backend "${backend}" (expected ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return create();
+}
+
+// Netlify Blobs finds its credentials in the incoming function event
+function connectLambda(event) {
+  if (process.env.STORAGE_BACKEND === 'netlify-blobs') {
+    require('@netlify/blobs').connectLambda(event);
+  }
+}
+
+module.exports = {
+  StorageConfigError,
+  createStorage,
+  connectLambda
+};
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+
+// Renders stored articles as RSS 2.0, Atom 1.0 and JSON Feed 1.1. Items keep
+// the publisher's own link and name the publisher as their source; we only
+// ever republish titles and the feed's own summaries, as licensed (see
+// licensing.js), with the publisher's attribution.
+
+const AGGREGATOR = 'UK-Compliant-News-Aggregator';
+
+const FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    // Characters not allowed anywhere in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function validDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : null;
+}
+
+// Newest publication date among the items; the feed changes when this does
+function lastModified(articles) {
+  const times = articles.map(article => validDate(article.pubDate)).filter(Boolean).map(date => date.getTime());
+  return times.length ? new Date(Math.max(...times)) : null;
+}
+
+// Validators for conditional GET: a strong ETag over the rendered body and
+// the newest item's date
+function validators(body, articles) {
+  const modified = lastModified(articles);
+  return {
+    etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+    lastModified: modified ? modified.toUTCString() : null
+  };
+}
+
+// Stable identifier for an item that does not change if the store is rebuilt
+function itemId(article) {
+  return `tag:uk-compliant-news-aggregator,2024:${crypto.createHash('sha1').update(article.link).digest('hex')}`;
+}
+
+// Category and topics, without repeats
+function itemTags(article) {
+  return [article.category, ...(article.topics || [])]
+    .filter((value, index, all) => value && all.indexOf(value) === index);
+}
+
+function renderRss(feed) {
+  const updated = lastModified(feed.articles);
+  const items = feed.articles.map((article) => {
+    const source = feed.sources.get(article.source);
+    const pubDate = validDate(article.pubDate);
+    return [
+      '    <item>',
+      `      <title>${escapeXml(article.title)}</title>`,
+      `      <link>${escapeXml(article.link)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(itemId(article))}</guid>`,
+      article.description ? `      <description>${escapeXml(article.description)}</description>` : null,
+      pubDate ? `      <pubDate>${pubDate.toUTCString()}</pubDate>` : null,
+      ...itemTags(article).map(value => `      <category>${escapeXml(value)}</category>`),
+      source
+        ? `      <source url="${escapeXml(source.url)}">${escapeXml(source.name)}</source>`
+        : null,
+      `      <dc:creator>${escapeXml(article.source)}</dc:creator>`,
+      article.attribution ? `      <dc:rights>${escapeXml(article.attribution.text)}</dc:rights>` : null,
+      '    </item>'
+    ].filter(line => line !== null).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homepage)}</link>`,
+    `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    '    <language>en-gb</language>',
+    updated ? `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>` : null,
+    `    <generator>${AGGREGATOR}</generator>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+function renderAtom(feed) {
+  // Atom requires a date; an empty feed uses a fixed one so its ETag is stable
+  const updated = lastModified(feed.articles) || new Date(0);
+  const entries = feed.articles.map((article) => {
+    const source = feed.sources.get(article.source);
+    const published = validDate(article.pubDate) || updated;
+    return [
+      '  <entry>',
+      `    <id>${escapeXml(itemId(article))}</id>`,
+      `    <title type="text">${escapeXml(article.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(article.link)}"/>`,
+      `    <published>${published.toISOString()}</published>`,
+      `    <updated>${published.toISOString()}</updated>`,
+      `    <author><name>${escapeXml(article.source)}</name></author>`,
+      article.attribution ? `    <rights type="text">${escapeXml(article.attribution.text)}</rights>` : null,
+      article.description ? `    <summary type="text">${escapeXml(article.description)}</summary>` : null,
+      ...itemTags(article).map(value => `    <category term="${escapeXml(value)}"/>`),
+      source ? [
+        '    <source>',
+        `      <id>${escapeXml(source.url)}</id>`,
+        `      <title>${escapeXml(source.name)}</title>`,
+        source.homepage ? `      <link rel="alternate" href="${escapeXml(source.homepage)}"/>` : null,
+        `      <link rel="self" href="${escapeXml(source.url)}"/>`,
+        '    </source>'
+      ].filter(line => line !== null).join('\n') : null,
+      '  </entry>'
+    ].filter(line => line !== null).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-GB">',
+    `  <id>${escapeXml(feed.selfUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homepage)}"/>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    `  <author><name>${AGGREGATOR}</name></author>`,
+    `  <generator>${AGGREGATOR}</generator>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homepage,
+    feed_url: feed.selfUrl,
+    description: feed.description,
+    language: 'en-GB',
+    items: feed.articles.map((article) => {
+      const source = feed.sources.get(article.source);
+      const pubDate = validDate(article.pubDate);
+      return {
+        id: itemId(article),
+        url: article.link,
+        title: article.title,
+        content_text: article.description || article.title,
+        summary: article.description || undefined,
+        date_published: pubDate ? pubDate.toISOString() : undefined,
+        authors: [{ name: article.source, url: source ? source.homepage || undefined : undefined }],
+        tags: itemTags(article),
+        _attribution: article.attribution ? article.attribution.text : undefined,
+        // JSON Feed has no source element; extensions are prefixed with "_"
+        _source: source ? {
+          name: source.name,
+          home_page_url: source.homepage || undefined,
+          feed_url: source.url
+        } : undefined
+      };
+    })
+  }, null, 2);
+}
+
+const RENDERERS = {
+  rss: renderRss,
+  atom: renderAtom,
+  json: renderJsonFeed
+};
+
+// Render `feed` ({ title, description, homepage, selfUrl, articles, sources:
+// Map of source name to source }) in one of FORMATS. Returns the body,
+// content type and conditional GET validators.
+function renderFeed(format, feed) {
+  const body = RENDERERS[format](feed);
+  return {
+    body,
+    contentType: FORMATS[format],
+    ...validators(body, feed.articles)
+  };
+}
+
+module.exports = {
+  FORMATS,
+  escapeXml,
+  renderFeed
+};
@@ -0,0 +1,224 @@
+const { htmlToText } = require('./feedNormalizer');
+
+// Local text analysis for article cards: language, reading time, a clean
+// lede, an extractive summary and keywords. Everything is computed from the
+// feed's own text; nothing is sent to a third-party service.
+
+// Common function words per language, used both to guess the language and
+// as that language's stopword list. Welsh and Irish are here because UK and
+// Irish outlets publish in them.
+const LANGUAGE_WORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'that', 'for', 'it', 'with', 'as', 'was', 'on', 'are', 'be',
+    'by', 'this', 'have', 'from', 'at', 'or', 'an', 'but', 'not', 'they', 'his', 'her', 'has', 'had',
+    'been', 'were', 'which', 'will', 'would', 'their', 'there', 'who', 'said', 'says', 'its', 'we', 'he',
+    'she', 'you', 'i', 'a', 'after', 'about', 'over', 'into', 'more', 'than', 'also', 'could', 'can',
+    'up', 'out', 'new', 'what', 'when', 'how', 'why', 'all', 'one', 'two', 'no', 'so', 'if', 'our',
+    'them', 'some', 'being', 'do', 'did', 'may', 'other', 'just', 'any', 'only', 'very', 'should',
+    'these', 'those', 'while', 'where', 'before', 'under', 'amid', 'against', 'between', 'during', 'year',
+    'years', 'told', 'added', 'including', 'per', 'cent', 'mr', 'mrs', 'ms', 'dr',
+    // Halves of contractions, which are split at the apostrophe
+    'don', 'doesn', 'didn', 'isn', 'wasn', 'aren', 'weren', 'hasn', 'haven', 'won', 'couldn', 'wouldn',
+    'shouldn'],
+  cy: ['y', 'yr', 'a', 'ac', 'i', 'o', 'yn', 'ar', 'am', 'mae', 'wedi', 'bod', 'ei', 'eu', 'ond', 'fel',
+    'gan', 'hyn', 'sy', 'oedd', 'roedd', 'ddim', 'fod', 'gyda', 'hefyd', 'ein', 'nhw', 'hi', 'fe', 'mewn'],
+  ga: ['an', 'na', 'agus', 'ar', 'is', 'sa', 'le', 'go', 'ag', 'bhí', 'tá', 'seo', 'sin', 'ach', 'nach',
+    'ó', 'faoi', 'mar', 'níl', 'atá', 'leis', 'don', 'den', 'ina', 'chun', 'siad'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'du', 'et', 'en', 'un', 'une', 'est', 'que', 'qui', 'dans', 'pour',
+    'pas', 'sur', 'au', 'aux', 'avec', 'par', 'il', 'elle', 'sont', 'ont', 'ce', 'cette', 'mais', 'plus',
+    'ses', 'son', 'été', 'nous', 'vous'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'zu', 'den', 'von', 'mit', 'sich', 'des', 'auf', 'für',
+    'im', 'dem', 'ein', 'eine', 'einen', 'auch', 'es', 'an', 'als', 'wird', 'werden', 'hat', 'aus', 'bei',
+    'nach', 'sie', 'wie', 'oder', 'aber', 'noch'],
+  es: ['el', 'la', 'los', 'las', 'de', 'del', 'y', 'en', 'un', 'una', 'que', 'es', 'por', 'con', 'para',
+    'se', 'no', 'su', 'sus', 'al', 'lo', 'como', 'más', 'pero', 'fue', 'ha', 'han', 'este', 'esta', 'entre'],
+  it: ['il', 'lo', 'la', 'gli', 'le', 'di', 'del', 'della', 'e', 'che', 'è', 'per', 'un', 'una', 'in',
+    'con', 'non', 'si', 'da', 'dei', 'nel', 'alla', 'sono', 'ha', 'anche', 'come', 'più', 'ma', 'questo'],
+  pt: ['o', 'os', 'a', 'as', 'de', 'do', 'da', 'dos', 'das', 'e', 'que', 'em', 'um', 'uma', 'para', 'com',
+    'não', 'por', 'no', 'na', 'se', 'mais', 'foi', 'ao', 'como', 'mas', 'seu', 'sua', 'são', 'pelo'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'in', 'is', 'dat', 'op', 'te', 'zijn', 'voor', 'met', 'niet',
+    'die', 'aan', 'er', 'ook', 'als', 'bij', 'door', 'wordt', 'om', 'maar', 'nog', 'naar', 'heeft', 'werd']
+};
+
+const STOPWORDS = Object.fromEntries(
+  Object.entries(LANGUAGE_WORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+// Fewer function words than this and the language is left undetermined
+const MIN_LANGUAGE_HITS = 3;
+
+// Adult silent reading speed for news prose, in words per minute
+const WORDS_PER_MINUTE = 230;
+
+// Below this many words a feed carries a teaser rather than the article, so
+// there is nothing to base a reading time on
+const MIN_BODY_WORDS = 120;
+
+const MAX_LEDE_LENGTH = 300;
+const MAX_KEYWORDS = 5;
+
+// Abbreviations that end in a full stop without ending the sentence
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sir', 'st', 'rev', 'gen', 'col', 'lt', 'sgt', 'capt', 'gov', 'sen',
+  'rep', 'no', 'vs', 'etc', 'inc', 'ltd', 'co', 'corp', 'jr', 'sr', 'jan', 'feb', 'mar', 'apr', 'aug',
+  'sept', 'sep', 'oct', 'nov', 'dec', 'approx', 'e.g', 'i.e', 'u.s', 'u.k', 'u.n'
+]);
+
+// Publisher boilerplate appended to feed descriptions
+const BOILERPLATE = [
+  /\s*The post .{1,200} appeared first on .{1,200}$/i,
+  /\s*(Continue reading|Read more|Read the full (story|article))\b.{0,40}$/i,
+  /\s*\[(…|\.\.\.|&hellip;)\]\s*$/
+];
+
+function cleanText(value) {
+  const text = htmlToText(value ? String(value) : null) || '';
+  return BOILERPLATE.reduce((cleaned, pattern) => cleaned.replace(pattern, ''), text).trim();
+}
+
+// Lower-case words. Apostrophes split words, so elisions such as "l'État"
+// and "mae’r" yield the word itself; English possessives are dropped.
+function words(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [])
+    .map(word => word.replace(/['’]s$/, ''))
+    .reduce((all, word) => all.concat(word.split(/['’]/).filter(Boolean)), []);
+}
+
+// Split prose into sentences, keeping "Mr. Smith" and "U.S. forces" whole
+function sentences(text) {
+  const parts = text.split(/(?<=[.!?…][”"’')\]]*)\s+(?=[“"‘'(\[]?[\p{Lu}\p{N}])/u);
+  return parts.reduce((merged, part) => {
+    const previous = merged[merged.length - 1];
+    const lastWord = previous ? previous.split(/\s+/).pop().replace(/\.$/, '') : '';
+    // An abbreviation or an initial ("J. K. Rowling")
+    if (previous && (ABBREVIATIONS.has(lastWord.toLowerCase()) || /^\p{Lu}$/u.test(lastWord))) {
+      merged[merged.length - 1] = `${previous} ${part}`;
+    } else {
+      merged.push(part.trim());
+    }
+    return merged;
+  }, []).filter(Boolean);
+}
+
+// ISO 639-1 code of the language with the most function words in the
+// text, or null when there is too little text to tell
+function detectLanguage(text) {
+  const tokens = words(text);
+  const scores = Object.entries(STOPWORDS).map(([language, stopwords]) => ({
+    language,
+    hits: tokens.filter(token => stopwords.has(token)).length
+  }));
+  const best = scores.sort((a, b) => b.hits - a.hits)[0];
+  return best.hits >= MIN_LANGUAGE_HITS ? best.language : null;
+}
+
+// Whole minutes to read the full text, or null when we only have a teaser
+function readingTime(bodyText) {
+  const count = words(bodyText || '').length;
+  return count >= MIN_BODY_WORDS ? Math.max(1, Math.round(count / WORDS_PER_MINUTE)) : null;
+}
+
+// At most `max` characters, cut at a sentence end when one is close enough,
+// otherwise at a word boundary
+function truncate(text, max) {
+  if (text.length <= max) {
+    return text;
+  }
+  const cut = text.slice(0, max);
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('? '), cut.lastIndexOf('! '));
+  if (sentenceEnd > max * 0.6) {
+    return cut.slice(0, sentenceEnd + 1);
+  }
+  return `${cut.slice(0, cut.lastIndexOf(' ')).replace(/[\s,;:.–—-]+$/, '')}…`;
+}
+
+function contentWords(text, stopwords) {
+  return words(text).filter(word => word.length > 2 && !stopwords.has(word) && !/^\d+$/.test(word));
+}
+
+// Share of the sentence's words that are also in the title
+function titleOverlap(sentence, titleWords) {
+  const tokens = new Set(words(sentence));
+  if (tokens.size === 0) {
+    return 0;
+  }
+  return [...tokens].filter(token => titleWords.has(token)).length / tokens.size;
+}
+
+// The 2–3 sentences that best cover the text's most frequent content words,
+// in their original order. Opening sentences get a boost, as news writing
+// puts the key facts first; sentences that just repeat the headline are
+// skipped.
+function summarize({ title, text, stopwords }) {
+  // Feeds sometimes repeat a paragraph
+  const all = [...new Set(sentences(text))];
+  if (all.length <= 2) {
+    return all.join(' ');
+  }
+
+  const titleWords = new Set(words(title || ''));
+  const frequency = new Map();
+  contentWords(text, stopwords).forEach(word => frequency.set(word, (frequency.get(word) || 0) + 1));
+  contentWords(title || '', stopwords).forEach(word => frequency.set(word, (frequency.get(word) || 0) + 2));
+  const top = Math.max(1, ...frequency.values());
+
+  const candidates = all
+    .map((sentence, index) => {
+      const tokens = [...new Set(contentWords(sentence, stopwords))];
+      const length = words(sentence).length;
+      const coverage = tokens.reduce((sum, token) => sum + (frequency.get(token) || 0) / top, 0);
+      const position = index === 0 ? 1.5 : index === 1 ? 1.2 : 1;
+      return { sentence, index, length, score: (coverage / Math.sqrt(Math.max(length, 1))) * position };
+    })
+    .filter(candidate => candidate.length >= 6 && candidate.length <= 60)
+    .filter(candidate => titleOverlap(candidate.sentence, titleWords) < 0.8);
+
+  const count = all.length >= 8 ? 3 : 2;
+  const chosen = (candidates.length ? candidates : all.map((sentence, index) => ({ sentence, index, score: 0 })))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, count)
+    .sort((a, b) => a.index - b.index);
+  return chosen.map(candidate => candidate.sentence).join(' ');
+}
+
+// Most frequent content words, with words from the title counting extra
+function keywords({ title, text, stopwords }) {
+  const frequency = new Map();
+  const add = (word, weight) => frequency.set(word, (frequency.get(word) || 0) + weight);
+  contentWords(title || '', stopwords).forEach(word => add(word, 3));
+  contentWords(text, stopwords).forEach(word => add(word, 1));
+
+  return [...frequency.entries()]
+    .filter(([, count]) => count >= 2)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_KEYWORDS)
+    .map(([word]) => word);
+}
+
+// Language, reading time, lede, summary and keywords for an article with
+// the feed's title, description (plain or HTML) and full-text bodyText
+function analyzeArticle({ title, description, bodyText }) {
+  const titleText = cleanText(title);
+  const descriptionText = cleanText(description);
+  const body = bodyText ? String(bodyText).replace(/\s+/g, ' ').trim() : '';
+
+  // The fuller text wins: a feed carrying the whole article summarises better
+  // than its one-line teaser
+  const text = sentences(body).length >= 3 ? body : descriptionText || body;
+  const language = detectLanguage(`${titleText} ${text}`);
+  const stopwords = STOPWORDS[language] || STOPWORDS.en;
+
+  return {
+    language,
+    readingTime: readingTime(body),
+    lede: truncate(descriptionText || sentences(body).slice(0, 2).join(' '), MAX_LEDE_LENGTH) || null,
+    summary: text ? summarize({ title: titleText, text, stopwords }) || null : null,
+    keywords: keywords({ title: titleText, text, stopwords })
+  };
+}
+
+module.exports = {
+  sentences,
+  detectLanguage,
+  readingTime,
+  analyzeArticle
+};
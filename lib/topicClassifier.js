@@ -0,0 +1,240 @@
+// Per-article topic classification. Sources only carry a single category, so
+// articles from general feeds are sorted into topics using (in order of
+// trust) the feed's own <category> elements, the article URL's path segments
+// and a small naive Bayes classifier over the title and description.
+
+// Topics, the feed category / URL slugs that name them, and the keywords the
+// classifier is trained on. Sub-topics are named by their key and detected
+// in text by their phrases.
+const TOPICS = {
+  technology: {
+    slugs: ['technology', 'tech', 'science', 'science-environment', 'science-and-environment', 'computing', 'internet', 'digital'],
+    keywords: [
+      'technology', 'tech', 'software', 'app', 'apps', 'computer', 'computing', 'internet', 'online', 'digital',
+      'startup', 'google', 'microsoft', 'apple', 'amazon', 'meta', 'facebook', 'tiktok', 'smartphone', 'iphone',
+      'android', 'chip', 'chips', 'semiconductor', 'data', 'cyber', 'hackers', 'hack', 'ransomware', 'ai',
+      'artificial', 'intelligence', 'robot', 'robots', 'algorithm', 'broadband', 'telecoms', 'scientists',
+      'science', 'research', 'space', 'nasa', 'satellite', 'rocket', 'electric', 'battery', 'quantum', 'gaming'
+    ],
+    subtopics: {
+      ai: ['ai', 'artificial intelligence', 'machine learning', 'chatbot', 'chatgpt', 'openai', 'deepmind'],
+      cybersecurity: ['cybersecurity', 'cyber', 'cyber-attack', 'hackers', 'ransomware', 'data breach', 'malware'],
+      gadgets: ['gadgets', 'iphone', 'smartphone', 'android', 'wearable', 'games console'],
+      space: ['space', 'nasa', 'spacex', 'satellite', 'rocket', 'astronaut']
+    }
+  },
+  sports: {
+    slugs: ['sport', 'sports'],
+    keywords: [
+      'sport', 'football', 'cricket', 'rugby', 'tennis', 'golf', 'boxing', 'athletics', 'olympic', 'olympics',
+      'match', 'goal', 'goals', 'striker', 'midfielder', 'manager', 'league', 'premier', 'cup', 'final',
+      'semi-final', 'championship', 'tournament', 'win', 'wins', 'victory', 'defeat', 'draw', 'coach', 'squad',
+      'season', 'fixture', 'fixtures', 'wicket', 'innings', 'grand', 'prix', 'f1', 'formula',
+      'wimbledon', 'arsenal', 'chelsea', 'liverpool', 'tottenham', 'scored', 'player', 'players'
+    ],
+    subtopics: {
+      football: ['football', 'premier league', 'championship', 'fa cup', 'striker', 'midfielder', 'goalkeeper'],
+      cricket: ['cricket', 'wicket', 'innings', 'ashes', 'test match', 't20'],
+      rugby: ['rugby', 'rugby union', 'rugby league', 'six nations'],
+      tennis: ['tennis', 'wimbledon', 'grand slam', 'atp', 'wta'],
+      golf: ['golf', 'ryder cup', 'pga', 'open championship'],
+      'formula-1': ['formula-1', 'formula one', 'formula1', 'f1', 'grand prix'],
+      boxing: ['boxing', 'heavyweight', 'title fight']
+    }
+  },
+  politics: {
+    slugs: ['politics', 'uk-politics', 'world-politics', 'government', 'parliament', 'election', 'elections', 'westminster'],
+    keywords: [
+      'politics', 'political', 'government', 'minister', 'ministers', 'prime', 'mp', 'mps', 'parliament',
+      'commons', 'lords', 'labour', 'conservative', 'conservatives', 'tory', 'tories', 'lib', 'dem', 'reform',
+      'snp', 'plaid', 'election', 'elections', 'vote', 'voters', 'ballot', 'poll', 'polls', 'campaign',
+      'starmer', 'downing', 'westminster', 'whitehall', 'cabinet', 'chancellor', 'secretary',
+      'policy', 'bill', 'legislation', 'council', 'mayor', 'president', 'senate', 'congress', 'referendum'
+    ],
+    subtopics: {
+      elections: ['election', 'elections', 'by-election', 'general election', 'polling', 'voters', 'ballot'],
+      parliament: ['parliament', 'house of commons', 'house of lords', 'mps', 'select committee'],
+      'local-government': ['council', 'councils', 'mayor', 'local elections', 'devolution'],
+      international: ['white house', 'president', 'senate', 'congress', 'european union', 'nato', 'united nations']
+    }
+  },
+  business: {
+    slugs: ['business', 'money', 'economy', 'markets', 'finance', 'companies', 'your-money'],
+    keywords: [
+      'business', 'economy', 'economic', 'inflation', 'interest', 'rates', 'bank', 'banks', 'mortgage',
+      'mortgages', 'market', 'markets', 'shares', 'stocks', 'ftse', 'investors', 'profit', 'profits', 'sales',
+      'revenue', 'company', 'companies', 'firm', 'firms', 'retailer', 'retail', 'jobs', 'workers', 'pay',
+      'wages', 'prices', 'energy', 'bills', 'tax', 'taxes', 'budget', 'debt', 'growth', 'recession', 'gdp',
+      'pound', 'sterling', 'takeover', 'merger', 'ceo', 'chief', 'executive', 'pension', 'pensions', 'savings'
+    ],
+    subtopics: {
+      economy: ['economy', 'inflation', 'interest rates', 'gdp', 'recession', 'bank of england'],
+      markets: ['markets', 'ftse', 'shares', 'stocks', 'investors', 'bond'],
+      companies: ['companies', 'takeover', 'merger', 'profits', 'chief executive'],
+      'personal-finance': ['personal-finance', 'your-money', 'mortgage', 'mortgages', 'pension', 'pensions', 'savings', 'energy bills']
+    }
+  }
+};
+
+// The classifier only assigns a topic when it is this confident
+const MIN_CONFIDENCE = 0.6;
+
+// ...and has seen at least this many words it was trained on
+const MIN_KNOWN_WORDS = 2;
+
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .trim()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/&[a-z]+;|<[^>]*>/g, ' ')
+    .split(/[^a-z0-9-]+/)
+    .map(token => token.replace(/^-+|-+$/g, ''))
+    .filter(Boolean);
+}
+
+// slug -> { category, topic } for feed categories and URL path segments
+const SLUG_INDEX = new Map();
+Object.entries(TOPICS).forEach(([category, definition]) => {
+  definition.slugs.forEach(slug => SLUG_INDEX.set(slug, { category, topic: null }));
+  Object.keys(definition.subtopics).forEach(topic => SLUG_INDEX.set(topic, { category, topic }));
+});
+
+// Multinomial naive Bayes model trained on the keyword lists, with
+// add-one smoothing and a uniform prior across topics
+function trainModel() {
+  const vocabulary = new Set();
+  const counts = {};
+
+  Object.entries(TOPICS).forEach(([category, definition]) => {
+    const words = [
+      ...definition.keywords,
+      ...Object.values(definition.subtopics).flatMap(phrases => phrases.flatMap(tokenize))
+    ];
+    counts[category] = new Map();
+    words.forEach((word) => {
+      vocabulary.add(word);
+      counts[category].set(word, (counts[category].get(word) || 0) + 1);
+    });
+  });
+
+  const model = { vocabulary, likelihoods: {} };
+  Object.entries(counts).forEach(([category, wordCounts]) => {
+    let total = 0;
+    wordCounts.forEach(count => { total += count; });
+    model.likelihoods[category] = word => Math.log(((wordCounts.get(word) || 0) + 1) / (total + vocabulary.size));
+  });
+  return model;
+}
+
+const MODEL = trainModel();
+
+// Topic probabilities for a piece of text, or null when too few known words
+function scoreText(text) {
+  const words = tokenize(text).filter(word => MODEL.vocabulary.has(word));
+  if (words.length < MIN_KNOWN_WORDS) {
+    return null;
+  }
+
+  const logScores = Object.keys(MODEL.likelihoods).map(category => ({
+    category,
+    score: words.reduce((sum, word) => sum + MODEL.likelihoods[category](word), 0)
+  }));
+
+  // Normalise to probabilities (softmax over the log scores)
+  const best = Math.max(...logScores.map(entry => entry.score));
+  const exps = logScores.map(entry => ({ category: entry.category, weight: Math.exp(entry.score - best) }));
+  const total = exps.reduce((sum, entry) => sum + entry.weight, 0);
+  return exps
+    .map(entry => ({ category: entry.category, probability: entry.weight / total }))
+    .sort((a, b) => b.probability - a.probability);
+}
+
+// Topic named by one of the feed's own category labels
+function fromFeedCategories(categories) {
+  for (const name of categories || []) {
+    const match = SLUG_INDEX.get(slugify(name));
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+}
+
+// Topic named by a path segment, e.g. /sport/football/123 or /news/technology-123
+function fromUrl(link) {
+  let segments;
+  try {
+    segments = new URL(link).pathname.split('/').map(slugify).filter(Boolean);
+  } catch (error) {
+    return null;
+  }
+
+  // Most specific (deepest) segment first
+  for (const segment of segments.reverse()) {
+    const stem = segment.replace(/-\d+$/, '');
+    const match = SLUG_INDEX.get(segment) || SLUG_INDEX.get(stem);
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+}
+
+function fromText(text) {
+  const scores = scoreText(text);
+  if (!scores || scores[0].probability < MIN_CONFIDENCE) {
+    return null;
+  }
+  return { category: scores[0].category, topic: null };
+}
+
+// Sub-topics of `category` mentioned in the text or named by the other signals
+function findSubtopics(category, text, named) {
+  const definition = TOPICS[category];
+  if (!definition) {
+    return [];
+  }
+
+  const haystack = ` ${tokenize(text).join(' ')} `;
+  const topics = new Set(named.filter(match => match && match.category === category && match.topic).map(match => match.topic));
+
+  Object.entries(definition.subtopics).forEach(([topic, phrases]) => {
+    if (phrases.some(phrase => haystack.includes(` ${tokenize(phrase).join(' ')} `))) {
+      topics.add(topic);
+    }
+  });
+  return [...topics];
+}
+
+// Classify an article. `sourceCategory` wins when the source is already
+// topical; otherwise feed categories, then the URL, then the text decide.
+// Returns { category, topics } where topics are sub-topic slugs.
+function classifyArticle({ title, description, link, categories }, sourceCategory = 'general') {
+  const text = `${title || ''} ${title || ''} ${description || ''}`;
+  const named = [fromFeedCategories(categories), fromUrl(link)];
+
+  let category = sourceCategory;
+  if (!TOPICS[category]) {
+    const match = named.find(Boolean) || fromText(text);
+    category = match ? match.category : 'general';
+  }
+
+  return {
+    category,
+    topics: findSubtopics(category, text, named)
+  };
+}
+
+module.exports = {
+  TOPICS,
+  classifyArticle,
+  scoreText
+};
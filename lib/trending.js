@@ -0,0 +1,190 @@
+const articleStore = require('./articleStore');
+const { extractTerms, termKey } = require('./entityExtractor');
+
+// Trending topics: the entities and key phrases that the most outlets are
+// covering right now, compared with how much they were covered just before.
+// A term one outlet repeats all day never trends; a term five outlets picked
+// up in the last hour does.
+
+const WINDOWS = {
+  '1h': 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000
+};
+
+// Earlier windows of the same length that make up the baseline
+const BASELINE_WINDOWS = 4;
+
+// A topic needs coverage from this many distinct sources in the window
+const MIN_SOURCES = 2;
+
+// Cap on the growth factor, so a term with no baseline at all does not drown
+// out one that many more outlets are covering
+const MAX_GROWTH = 4;
+
+// Most articles read per request; the busiest 24h baseline stays well below
+const MAX_ARTICLES = 5000;
+
+// Results are recomputed at most this often per set of filters
+const CACHE_MS = 60 * 1000;
+const cache = new Map();
+
+// Terms mentioned by an article, one per key. Articles stored before
+// enrichment existed are enriched on the fly.
+function articleTerms(article) {
+  const hasTerms = article.entities.length > 0 || article.keyPhrases.length > 0;
+  const { entities, keyPhrases } = hasTerms ? article : extractTerms(article);
+
+  const terms = new Map();
+  entities.forEach(entity => terms.set(termKey(entity.name), { label: entity.name, type: entity.type }));
+  keyPhrases.forEach((phrase) => {
+    const key = termKey(phrase);
+    if (!terms.has(key)) {
+      terms.set(key, { label: phrase, type: 'phrase' });
+    }
+  });
+  terms.delete('');
+  return terms;
+}
+
+function emptyStats() {
+  return { labels: new Map(), types: new Map(), sources: new Set(), mentions: 0, baseline: 0 };
+}
+
+function increment(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+function mostCommon(map) {
+  return [...map.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Fold a lone surname ("Starmer") into the one full name it belongs to
+// ("Keir Starmer"); ambiguous surnames are left alone
+function mergeSurnames(stats) {
+  const people = [...stats.keys()].filter(key => key.includes(' ') && stats.get(key).types.has('person'));
+  for (const [key, term] of stats) {
+    if (key.includes(' ') || !term.types.has('person')) {
+      continue;
+    }
+    const owners = people.filter(person => person.endsWith(` ${key}`));
+    if (owners.length !== 1) {
+      continue;
+    }
+    const owner = stats.get(owners[0]);
+    term.sources.forEach(source => owner.sources.add(source));
+    owner.mentions += term.mentions;
+    owner.baseline += term.baseline;
+    stats.delete(key);
+  }
+}
+
+function toTopic(key, term) {
+  const label = mostCommon(term.labels);
+  // Entities win over key phrases when a term was seen as both
+  const entityTypes = new Map([...term.types].filter(([type]) => type !== 'phrase'));
+  const growth = Math.min(MAX_GROWTH, (term.mentions + 1) / (term.baseline / BASELINE_WINDOWS + 1));
+  const score = term.sources.size * Math.log2(1 + term.mentions) * growth;
+
+  return {
+    term: key,
+    label,
+    type: entityTypes.size ? mostCommon(entityTypes) : 'phrase',
+    score: Math.round(score * 100) / 100,
+    sourceCount: term.sources.size,
+    sources: [...term.sources].sort(),
+    mentions: term.mentions,
+    growth: Math.round(growth * 100) / 100,
+    // Search query for the topic; multi-word terms are searched as a phrase
+    query: label.includes(' ') ? `"${label.replace(/"/g, '')}"` : label
+  };
+}
+
+// True when one term is part of the other, word for word
+function overlaps(a, b) {
+  return ` ${a} `.includes(` ${b} `) || ` ${b} `.includes(` ${a} `);
+}
+
+async function computeTrending({ window, sources, category, limit }) {
+  const windowMs = WINDOWS[window];
+  const now = Date.now();
+  const windowStart = now - windowMs;
+
+  const articles = await articleStore.getArticles({
+    sources,
+    category,
+    from: windowStart - windowMs * BASELINE_WINDOWS,
+    to: now,
+    limit: MAX_ARTICLES
+  });
+
+  const stats = new Map();
+  articles.forEach((article) => {
+    const current = new Date(article.pubDate).getTime() >= windowStart;
+    articleTerms(article).forEach((term, key) => {
+      if (!stats.has(key)) {
+        stats.set(key, emptyStats());
+      }
+      const entry = stats.get(key);
+      if (!current) {
+        entry.baseline += 1;
+        return;
+      }
+      entry.mentions += 1;
+      entry.sources.add(article.source);
+      increment(entry.labels, term.label);
+      increment(entry.types, term.type);
+    });
+  });
+
+  mergeSurnames(stats);
+
+  const ranked = [...stats.entries()]
+    .filter(([, term]) => term.sources.size >= MIN_SOURCES)
+    .map(([key, term]) => toTopic(key, term))
+    .sort((a, b) => b.score - a.score || b.sourceCount - a.sourceCount || a.term.localeCompare(b.term));
+
+  // "interest rates" and "interest rates rise" are one topic; keep the higher ranked
+  const topics = [];
+  for (const topic of ranked) {
+    if (topics.length >= limit) {
+      break;
+    }
+    if (!topics.some(kept => overlaps(kept.term, topic.term))) {
+      topics.push(topic);
+    }
+  }
+
+  return {
+    window,
+    from: new Date(windowStart).toISOString(),
+    to: new Date(now).toISOString(),
+    articleCount: articles.filter(article => new Date(article.pubDate).getTime() >= windowStart).length,
+    topics
+  };
+}
+
+// Trending topics over the last `window` ('1h', '6h' or '24h'), optionally
+// limited to some sources (by name) or one category
+async function getTrending({ window = '6h', sources, category, limit = 10 } = {}) {
+  const key = JSON.stringify([window, sources || null, category || null, limit]);
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.result;
+  }
+
+  const result = await computeTrending({ window, sources, category, limit });
+  cache.set(key, { result, expiresAt: Date.now() + CACHE_MS });
+  // Drop expired entries so varied filters cannot grow the cache forever
+  for (const [cachedKey, entry] of cache) {
+    if (entry.expiresAt <= Date.now()) {
+      cache.delete(cachedKey);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  WINDOWS,
+  getTrending
+};
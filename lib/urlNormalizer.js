@@ -0,0 +1,152 @@
+const { createSafeFetch, registrableDomain } = require('./safeFetch');
+
+// Article URL normalisation. Links are stored and served in canonical form:
+// absolute, https where the site supports it, following the page's
+// rel="canonical" when we have fetched it, and without the tracking
+// parameters publishers add to tag readers for analytics. Deduplication,
+// clustering and caching all key on this form.
+
+// Query parameters that never identify an article; `*` matches any suffix.
+// Generic names such as `ref` and `src` are left out, since some sites use
+// them to pick the article. TRACKING_PARAMS adds to the list (comma-separated).
+const DEFAULT_TRACKING_PARAMS = [
+  'utm_*', 'at_*', 'ns_*', 'cmp', 'ito', 'ocid', 'fbclid', 'gclid', 'dclid', 'msclkid', 'igshid',
+  'yclid', 'twclid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok'
+];
+
+function paramPattern(names) {
+  const alternatives = names.map(name => name.toLowerCase()
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*$/, '.*'));
+  return new RegExp(`^(${alternatives.join('|')})$`, 'i');
+}
+
+const TRACKING_PARAMS = [
+  ...DEFAULT_TRACKING_PARAMS,
+  ...(process.env.TRACKING_PARAMS || '').split(',').map(name => name.trim()).filter(Boolean)
+];
+const TRACKING_PATTERN = paramPattern(TRACKING_PARAMS);
+
+// How long an https check is trusted, and how long the probe may take
+const HTTPS_CHECK_TTL_MS = 24 * 60 * 60 * 1000;
+const HTTPS_FAILURE_TTL_MS = 60 * 60 * 1000;
+const HTTPS_PROBE_TIMEOUT = 5000;
+
+const probeFetch = createSafeFetch();
+const httpsHosts = new Map();
+
+function isTrackingParam(name) {
+  return TRACKING_PATTERN.test(name);
+}
+
+// Absolute http(s) URL for `value`, resolved against `base` when relative
+// (including protocol-relative "//host/path"). Null for anything else.
+function resolveUrl(value, base) {
+  if (!value) {
+    return null;
+  }
+  try {
+    const url = base ? new URL(String(value).trim(), base) : new URL(String(value).trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Resolve `value` and drop tracking parameters and the fragment. Null when
+// it is not an http(s) URL.
+function normalizeUrl(value, { base } = {}) {
+  const resolved = resolveUrl(value, base);
+  if (!resolved) {
+    return null;
+  }
+  const url = new URL(resolved);
+  [...url.searchParams.keys()].forEach((name) => {
+    if (isTrackingParam(name)) {
+      url.searchParams.delete(name);
+    }
+  });
+  url.hash = '';
+  return url.toString().replace(/\?$/, '');
+}
+
+// Whether a host answers over https with a valid certificate. Any HTTP
+// response counts, errors and redirects included; results are cached.
+function httpsSupported(hostname) {
+  const cached = httpsHosts.get(hostname);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.pending;
+  }
+
+  const pending = probeFetch(`https://${hostname}/`, {
+    method: 'HEAD',
+    timeout: HTTPS_PROBE_TIMEOUT,
+    maxBytes: 1024
+  }).then(() => true, error => Boolean(error.status) || error.reason === 'redirect');
+
+  const entry = { pending, expiresAt: Date.now() + HTTPS_CHECK_TTL_MS };
+  httpsHosts.set(hostname, entry);
+  pending.then((supported) => {
+    if (!supported) {
+      entry.expiresAt = Date.now() + HTTPS_FAILURE_TTL_MS;
+    }
+  });
+  return pending;
+}
+
+// Switch an http URL to https when the host supports it
+async function upgradeUrl(value) {
+  if (!value || !value.startsWith('http:')) {
+    return value;
+  }
+  const url = new URL(value);
+  if (url.port || !(await httpsSupported(url.hostname))) {
+    return value;
+  }
+  url.protocol = 'https:';
+  return url.toString();
+}
+
+// Canonical form of an article link from a feed (see above)
+async function canonicalUrl(value, { base } = {}) {
+  return upgradeUrl(normalizeUrl(value, { base }));
+}
+
+// The page's own rel="canonical" URL, if it is on the same site
+function canonicalFromPage($, pageUrl) {
+  const href = $('link[rel~="canonical"][href]').first().attr('href');
+  const canonical = normalizeUrl(href, { base: pageUrl });
+  if (!canonical) {
+    return null;
+  }
+  const sameSite = registrableDomain(new URL(canonical).hostname) === registrableDomain(new URL(pageUrl).hostname);
+  return sameSite ? canonical : null;
+}
+
+// Comparable form of an article URL: no scheme, www., fragment, tracking
+// parameters or trailing slash, remaining parameters sorted
+function canonicalKey(link) {
+  try {
+    const url = new URL(link);
+    const params = [...url.searchParams.entries()]
+      .filter(([name]) => !isTrackingParam(name))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length ? '?' + new URLSearchParams(params).toString() : '';
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    return host + url.pathname.replace(/\/+$/, '') + query;
+  } catch (error) {
+    return String(link || '').trim().toLowerCase();
+  }
+}
+
+module.exports = {
+  TRACKING_PARAMS,
+  isTrackingParam,
+  resolveUrl,
+  normalizeUrl,
+  httpsSupported,
+  upgradeUrl,
+  canonicalUrl,
+  canonicalFromPage,
+  canonicalKey
+};
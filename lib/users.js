@@ -0,0 +1,32 @@
+const { getRepositories, DuplicateUserError } = require('./repositories');
+
+// User accounts, kept by the configured repository (see lib/repositories.js)
+
+function findById(id) {
+  return getRepositories().users.findById(id);
+}
+
+function findByEmail(email) {
+  return getRepositories().users.findByEmail(email);
+}
+
+function createUser(user) {
+  return getRepositories().users.create(user);
+}
+
+function updateUser(id, changes) {
+  return getRepositories().users.update(id, changes);
+}
+
+function deleteUser(id) {
+  return getRepositories().users.delete(id);
+}
+
+module.exports = {
+  DuplicateUserError,
+  findById,
+  findByEmail,
+  createUser,
+  updateUser,
+  deleteUser
+};
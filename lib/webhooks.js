@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const { createSafeFetch, UnsafeUrlError } = require('./safeFetch');
+
+// Outbound webhooks. Each request carries an HMAC-SHA256 signature of
+// "<timestamp>.<body>" made with the receiver's secret, so receivers can
+// check the payload came from us and reject replays of old requests:
+//
+//   X-Webhook-Id:        delivery id, the same on every retry
+//   X-Webhook-Timestamp: Unix seconds when this attempt was sent
+//   X-Webhook-Signature: sha256=<hex HMAC>
+
+// HTTPS on the standard port only; safeFetch refuses private addresses
+const webhookFetch = createSafeFetch({ ports: { 'https:': [443] } });
+
+const TIMEOUT = 10000;
+
+// Receivers only need to acknowledge; anything longer is ignored
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+// Statuses worth retrying; other 4xx responses will not change on retry
+const RETRYABLE_STATUSES = [408, 425, 429];
+
+// Refusals that can clear up by themselves
+const RETRYABLE_REFUSALS = ['dns', 'timeout'];
+
+function createSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// POST `body` (a JSON string) to `url`. Resolves with { ok, status, error,
+// retryable }; never rejects.
+async function sendWebhook(url, secret, { id, body }) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const response = await webhookFetch(url, {
+      method: 'POST',
+      body,
+      timeout: TIMEOUT,
+      maxBytes: MAX_RESPONSE_BYTES,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': String(id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(secret, timestamp, body)
+      }
+    });
+    return { ok: true, status: response.status, error: null, retryable: false };
+  } catch (error) {
+    if (error instanceof UnsafeUrlError) {
+      return {
+        ok: false,
+        status: null,
+        error: `Webhook refused: ${error.message}`,
+        retryable: RETRYABLE_REFUSALS.includes(error.reason)
+      };
+    }
+    if (error.status) {
+      return {
+        ok: false,
+        status: error.status,
+        error: error.message,
+        retryable: error.status >= 500 || RETRYABLE_STATUSES.includes(error.status)
+      };
+    }
+    // Connection reset, TLS failure and the like
+    return { ok: false, status: null, error: error.message, retryable: true };
+  }
+}
+
+module.exports = {
+  createSecret,
+  sign,
+  sendWebhook
+};
@@ -0,0 +1,121 @@
+const jwt = require('jsonwebtoken');
+const sessions = require('../lib/sessions');
+
+// JWT secret (in production, use environment variable)
+const JWT_SECRET = process.env.JWT_SECRET || 'your-jwt-secret-change-in-production';
+
+// Accounts granted the admin role at login (comma-separated emails)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// Access tokens are short-lived; clients renew them with a refresh token
+// (see lib/sessions.js)
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+function roleFor(email) {
+  return ADMIN_EMAILS.includes(String(email).toLowerCase()) ? 'admin' : 'user';
+}
+
+// Access token for a user's session
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      userId: user.id,
+      email: user.email,
+      role: roleFor(user.email),
+      sid: sessionId
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function bearerToken(headers) {
+  const authHeader = headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+}
+
+// The signed-in user for a request's headers, as { user }, or the error
+// response as { status, body }. Shared by the Express middleware below and
+// the framework-neutral handlers. Tokens from a revoked session (logout,
+// password change, account deletion) are refused at once.
+async function verifyRequest(headers) {
+  const token = bearerToken(headers);
+
+  if (!token) {
+    return { status: 401, body: { error: 'Access token required' } };
+  }
+
+  let user;
+  try {
+    user = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return { status: 403, body: { error: 'Invalid or expired token' } };
+  }
+
+  if (!(await sessions.isActive(user.sid, user.userId))) {
+    return { status: 403, body: { error: 'Invalid or expired token' } };
+  }
+  return { user };
+}
+
+// The session named by a request's access token, even an expired one, or
+// null; for signing out
+function sessionIdOf(headers) {
+  const token = bearerToken(headers);
+  try {
+    return token ? jwt.verify(token, JWT_SECRET, { ignoreExpiration: true }).sid || null : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Error response for a user who is not an admin, or null
+function adminRequired(user) {
+  if (!user || user.role !== 'admin') {
+    return {
+      status: 403,
+      body: {
+        error: 'Admin access required',
+        message: 'This action is restricted to administrators'
+      }
+    };
+  }
+  return null;
+}
+
+// Middleware to authenticate JWT token
+async function authenticateToken(req, res, next) {
+  try {
+    const { user, status, body } = await verifyRequest(req.headers);
+    if (!user) {
+      return res.status(status).json(body);
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Must follow authenticateToken
+function requireAdmin(req, res, next) {
+  const refused = adminRequired(req.user);
+  if (refused) {
+    return res.status(refused.status).json(refused.body);
+  }
+  next();
+}
+
+module.exports = {
+  JWT_SECRET,
+  roleFor,
+  signAccessToken,
+  verifyRequest,
+  sessionIdOf,
+  adminRequired,
+  authenticateToken,
+  requireAdmin
+};
@@ -0,0 +1,7 @@
+const { netlifyFunction, expressOnly } = require('../../lib/httpHandlers');
+
+// Keyword alerts run from the Express server's ingestion job (see
+// routes/alerts.js); every path answers 501 here
+const unavailable = expressOnly('Keyword alerts');
+
+exports.handler = netlifyFunction(['GET', 'POST', 'PUT', 'DELETE'].map(method => [method, '/:path(.*)', unavailable]));
@@ -0,0 +1,7 @@
+const { netlifyFunction, expressOnly } = require('../../lib/httpHandlers');
+
+// Email digests are sent by the Express server's scheduler (see
+// routes/digests.js); every path answers 501 here
+const unavailable = expressOnly('Email digests');
+
+exports.handler = netlifyFunction(['GET', 'POST', 'PUT', 'DELETE'].map(method => [method, '/:path(.*)', unavailable]));
@@ -0,0 +1,8 @@
+const { netlifyFunction, expressOnly } = require('../../lib/httpHandlers');
+
+// Article ids belong to the database of the instance that stored them, so
+// another instance cannot look the image up; the page links images directly
+// (the news function's features report imageProxy: false).
+exports.handler = netlifyFunction([
+  ['GET', '/:id', expressOnly('Image proxy')]
+]);
@@ -6,6 +6,19 @@ class NewsAggregator {
         this.apiBase = '/api';
         this.currentUser = null;
         this.consentGiven = false;
+        this.currentQuery = '';
+        this.pageSize = 20;
+        this.nextCursor = null;
+        this.stream = null;
+        this.streamFilters = null;
+        this.newStories = 0;
+        this.imageProxy = false;
+        this.features = this.loadFeatures();
+        this.auth = new AuthClient(this.apiBase);
+        this.auth.onSignedOut = () => {
+            this.currentUser = null;
+            this.updateAuthUI();
+        };
         this.init();
     }
 
@@ -19,12 +32,25 @@ class NewsAggregator {
     }
 
     setupEventListeners() {
-        // News loading
-        document.getElementById('load-news')?.addEventListener('click', () => this.loadNews());
+        // News loading (leaves any active search)
+        document.getElementById('load-news')?.addEventListener('click', () => this.clearSearch());
         
         // Category and source changes
         document.getElementById('category-select')?.addEventListener('change', () => this.updateSources());
-        document.getElementById('source-select')?.addEventListener('change', () => this.loadNews());
+        document.getElementById('source-select')?.addEventListener('change', () => this.refresh());
+
+        // Search
+        document.getElementById('search-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.searchNews(document.getElementById('search-input')?.value || '');
+        });
+        document.getElementById('clear-search')?.addEventListener('click', () => this.clearSearch());
+
+        // Pagination
+        document.getElementById('load-more')?.addEventListener('click', () => this.loadMore());
+
+        // Live updates
+        document.getElementById('show-new-stories')?.addEventListener('click', () => this.showNewStories());
         
         // Check if user is logged in
         this.checkAuthStatus();
@@ -68,22 +94,34 @@ class NewsAggregator {
         });
     }
 
-    async loadNews() {
+    // Load the first page for the current filters, or the next page when appending
+    async loadNews({ append = false } = {}) {
         const category = document.getElementById('category-select')?.value || 'general';
         const source = document.getElementById('source-select')?.value || '';
-        const limit = 20;
+        const q = this.currentQuery;
+
+        if (!append) {
+            this.nextCursor = null;
+        }
 
         this.showLoading(true);
+        this.setLoadMore(false);
         
         try {
             const params = new URLSearchParams({
                 category,
-                limit: limit.toString()
+                limit: this.pageSize.toString()
             });
             
             if (source) {
                 params.append('source', source);
             }
+            if (q) {
+                params.append('q', q);
+            }
+            if (append && this.nextCursor) {
+                params.append('cursor', this.nextCursor);
+            }
 
             const response = await fetch(`${this.apiBase}/news?${params}`, {
                 method: 'GET',
@@ -93,35 +131,247 @@ class NewsAggregator {
                 }
             });
 
+            const data = await response.json();
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                throw new Error(data.message || `HTTP error! status: ${response.status}`);
             }
 
-            const data = await response.json();
-            this.displayNews(data.articles);
+            this.nextCursor = data.next_cursor;
+            this.imageProxy = (await this.features).imageProxy !== false;
+            this.displayNews(data.articles, { append });
+            this.setLoadMore(Boolean(this.nextCursor));
+
+            // New articles arrive live for the latest news, not for search results
+            if (!append) {
+                this.loadTrending(category, source);
+                this.clearNewStories();
+                if (q) {
+                    this.unsubscribe();
+                } else {
+                    this.subscribe(category, source);
+                }
+            }
+
+            if (q) {
+                this.setSearchStatus(`Results for “${q}”, best matches first`);
+                document.getElementById('clear-search')?.removeAttribute('hidden');
+            }
             
             // Log data processing for GDPR compliance
             console.log('News loaded:', {
                 timestamp: new Date().toISOString(),
                 category,
                 source,
+                query: q,
                 articleCount: data.articles.length,
                 compliance: data.compliance
             });
 
         } catch (error) {
             console.error('Error loading news:', error);
-            this.showError('Failed to load news. Please try again later.');
+            if (append) {
+                this.setLoadMore(true);
+            } else {
+                this.showError(q ? (error.message || 'Search failed. Please try again later.') : 'Failed to load news. Please try again later.');
+            }
         } finally {
             this.showLoading(false);
         }
     }
 
-    displayNews(articles) {
+    loadMore() {
+        if (this.nextCursor) {
+            this.loadNews({ append: true });
+        }
+    }
+
+    setLoadMore(visible) {
+        const button = document.getElementById('load-more');
+        if (button) {
+            button.hidden = !visible;
+        }
+    }
+
+    // Re-run whatever the user is looking at with the current filters
+    refresh() {
+        this.loadNews();
+    }
+
+    searchNews(query) {
+        const q = query.trim();
+        if (!q) {
+            this.clearSearch();
+            return;
+        }
+
+        this.currentQuery = q;
+        this.loadNews();
+    }
+
+    clearSearch() {
+        this.currentQuery = '';
+        const input = document.getElementById('search-input');
+        if (input) {
+            input.value = '';
+        }
+        document.getElementById('clear-search')?.setAttribute('hidden', '');
+        this.setSearchStatus('');
+        this.loadNews();
+    }
+
+    // Topics trending across sources for the current filters, shown as chips
+    // that search for the topic
+    async loadTrending(category, source) {
+        const section = document.getElementById('trending');
+        const list = document.getElementById('trending-list');
+        if (!section || !list) return;
+
+        try {
+            const params = new URLSearchParams({ category, limit: '8' });
+            if (source) {
+                params.append('source', source);
+            }
+
+            const response = await fetch(`${this.apiBase}/news/trending?${params}`, {
+                headers: { 'X-Requested-With': 'XMLHttpRequest' }
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+
+            list.replaceChildren(...data.topics.map((topic) => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'trending-chip';
+                chip.textContent = topic.label;
+                chip.title = `${topic.sourceCount} sources: ${topic.sources.join(', ')}`;
+                chip.setAttribute('aria-pressed', String(this.currentQuery === topic.query));
+                chip.addEventListener('click', () => {
+                    const input = document.getElementById('search-input');
+                    if (input) {
+                        input.value = topic.query;
+                    }
+                    this.searchNews(topic.query);
+                });
+
+                const item = document.createElement('li');
+                item.appendChild(chip);
+                return item;
+            }));
+            section.hidden = data.topics.length === 0;
+        } catch (error) {
+            console.error('Error loading trending topics:', error);
+            section.hidden = true;
+        }
+    }
+
+    // Which optional features the server offers. The Netlify functions have
+    // no live updates or image proxy; servers that predate the list have them all.
+    async loadFeatures() {
+        try {
+            const response = await fetch(`${this.apiBase}/news/features`);
+            if (response.ok) {
+                return (await response.json()).features;
+            }
+        } catch (error) {
+            console.error('Error loading features:', error);
+        }
+        return { liveUpdates: true };
+    }
+
+    // Listen for newly ingested articles matching the filters. EventSource
+    // reconnects by itself and resumes from the last article received.
+    async subscribe(category, source) {
+        if (typeof EventSource === 'undefined') return;
+        if (!(await this.features).liveUpdates) return;
+
+        const params = new URLSearchParams({ category });
+        if (source) {
+            params.append('source', source);
+        }
+        const filters = params.toString();
+        if (this.stream && this.streamFilters === filters) return;
+
+        this.unsubscribe();
+        this.streamFilters = filters;
+        this.stream = new EventSource(`${this.apiBase}/news/stream?${filters}`);
+        this.stream.addEventListener('article', (event) => {
+            try {
+                this.addLiveArticle(JSON.parse(event.data));
+            } catch (error) {
+                console.error('Error reading live update:', error);
+            }
+        });
+    }
+
+    unsubscribe() {
+        if (this.stream) {
+            this.stream.close();
+            this.stream = null;
+            this.streamFilters = null;
+        }
+    }
+
+    // Insert a live article at the top without re-rendering the list. The
+    // container is marked busy so screen readers don't read out each card;
+    // the new-stories banner announces the count instead.
+    addLiveArticle(article) {
+        const container = document.getElementById('news-container');
+        if (!container || container.querySelector(`[data-article-id="${Number(article.id)}"]`)) return;
+
+        container.setAttribute('aria-busy', 'true');
+        container.querySelector('.no-news')?.remove();
+        container.insertAdjacentHTML('afterbegin', this.createArticleHTML(article));
+        container.firstElementChild?.classList.add('news-article-new');
+        setTimeout(() => container.removeAttribute('aria-busy'), 0);
+
+        this.newStories++;
+        this.updateNewStoriesBanner();
+    }
+
+    updateNewStoriesBanner() {
+        const banner = document.getElementById('new-stories');
+        const text = document.getElementById('new-stories-text');
+        const button = document.getElementById('show-new-stories');
+        if (!banner || !text) return;
+
+        banner.classList.toggle('new-stories-active', this.newStories > 0);
+        if (button) {
+            button.hidden = this.newStories === 0;
+        }
+        text.textContent = this.newStories === 0
+            ? ''
+            : `${this.newStories} new ${this.newStories === 1 ? 'story' : 'stories'} added at the top`;
+    }
+
+    // Scroll to the newest story and move focus to it
+    showNewStories() {
+        const container = document.getElementById('news-container');
+        const newest = container?.querySelector('.news-article-new .article-title a');
+        container?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        newest?.focus({ preventScroll: true });
+        this.clearNewStories();
+    }
+
+    clearNewStories() {
+        this.newStories = 0;
+        document.querySelectorAll('.news-article-new').forEach(card => card.classList.remove('news-article-new'));
+        this.updateNewStoriesBanner();
+    }
+
+    setSearchStatus(message) {
+        const status = document.getElementById('search-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    displayNews(articles, { append = false } = {}) {
         const container = document.getElementById('news-container');
         if (!container) return;
 
-        if (articles.length === 0) {
+        if (articles.length === 0 && !append) {
             container.innerHTML = `
                 <div class="no-news" role="status" aria-live="polite">
                     <p>No news articles found for the selected criteria.</p>
@@ -141,15 +391,22 @@ class NewsAggregator {
             });
         });
 
+        // Each entry is one story; duplicates from other outlets arrive in article.cluster
         const articlesHTML = articles.map(article => this.createArticleHTML(article)).join('');
-        container.innerHTML = articlesHTML;
+        if (append) {
+            container.insertAdjacentHTML('beforeend', articlesHTML);
+        } else {
+            container.innerHTML = articlesHTML;
+        }
+
+        const reports = articles.reduce((count, article) => count + (article.cluster ? article.cluster.size : 1), 0);
 
         // Announce to screen readers
         const announcement = document.createElement('div');
         announcement.setAttribute('aria-live', 'polite');
         announcement.setAttribute('aria-atomic', 'true');
         announcement.className = 'sr-only';
-        announcement.textContent = `Loaded ${articles.length} news articles`;
+        announcement.textContent = `Loaded ${articles.length} news stories from ${reports} reports`;
         document.body.appendChild(announcement);
         
         setTimeout(() => {
@@ -157,6 +414,15 @@ class NewsAggregator {
         }, 1000);
     }
 
+    // Stored articles go through the image proxy where the server has one
+    proxiesImage(article) {
+        return Boolean(article.id) && this.imageProxy;
+    }
+
+    imageUrl(article, size) {
+        return this.proxiesImage(article) ? `${this.apiBase}/images/${article.id}?size=${size}` : article.image;
+    }
+
     createArticleHTML(article) {
         const pubDate = new Date(article.pubDate).toLocaleDateString('en-GB', {
             year: 'numeric',
@@ -166,10 +432,13 @@ class NewsAggregator {
             minute: '2-digit'
         });
 
-        // Create image HTML if image exists
+        // Create image HTML if image exists; where the server has an image proxy,
+        // stored articles go through it so the publisher never sees the reader's IP address
         const imageHTML = article.image ? `
             <div class="article-image-container">
-                <img src="${article.image}" 
+                <img src="${this.escapeHtml(this.imageUrl(article, 'medium'))}" 
+                     ${this.proxiesImage(article) ? `srcset="${this.imageUrl(article, 'small')} 320w, ${this.imageUrl(article, 'medium')} 640w, ${this.imageUrl(article, 'large')} 1024w"
+                     sizes="(max-width: 700px) 100vw, 400px"` : ''}
                      alt="${this.escapeHtml(article.title)}" 
                      class="article-image"
                      loading="lazy"
@@ -184,24 +453,66 @@ class NewsAggregator {
             </div>
         `;
 
+        // Other outlets covering the same story
+        const coverage = (article.cluster && article.cluster.alsoCoveredBy) || [];
+        const coverageHTML = coverage.length ? `
+            <div class="article-coverage">
+                <span class="coverage-label" id="coverage-${article.cluster.id}">Also covered by:</span>
+                <ul class="coverage-list" aria-labelledby="coverage-${article.cluster.id}">
+                    ${coverage.map(other => `
+                        <li>
+                            <a href="${this.escapeHtml(other.link)}" target="_blank" rel="noopener noreferrer"
+                               title="${this.escapeHtml(other.title)}"
+                               aria-label="${this.escapeHtml(other.source)}: ${this.escapeHtml(other.title)}">
+                                ${this.escapeHtml(other.source)}
+                            </a>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        ` : '';
+
+        // Search results carry server-escaped HTML with <mark> around matches
+        const highlights = article.highlights || {};
+        const titleHTML = highlights.title || this.escapeHtml(article.title);
+        // Otherwise the server's extractive summary, falling back to the plain-text lede
+        const summary = article.summary || article.lede || article.description;
+        const descriptionHTML = highlights.snippet || (summary ? this.escapeHtml(summary) : '');
+        const readingTimeHTML = article.readingTime
+            ? `<span class="article-reading-time">${Number(article.readingTime)} min read</span>`
+            : '';
+        // Lets screen readers switch voice for Welsh, Irish and other non-English articles
+        const langAttribute = article.language && article.language !== 'en'
+            ? ` lang="${this.escapeHtml(article.language)}"`
+            : '';
+
+        // Sub-topics assigned by the server's topic classifier
+        const topicsHTML = (article.topics || [])
+            .map(topic => `<span class="article-topic">${this.escapeHtml(topic.replace(/-/g, ' '))}</span>`)
+            .join('');
+
         return `
-            <article class="news-article" role="article">
+            <article class="news-article" role="article"${article.id ? ` data-article-id="${Number(article.id)}"` : ''}${langAttribute}>
                 ${imageHTML}
                 <div class="article-content">
                     <div class="article-header">
                         <h3 class="article-title">
                             <a href="${article.link}" target="_blank" rel="noopener noreferrer" 
-                               aria-label="Read full article: ${article.title}">
-                                ${this.escapeHtml(article.title)}
+                               aria-label="Read full article: ${this.escapeHtml(article.title)}">
+                                ${titleHTML}
                             </a>
                         </h3>
                         <div class="article-meta">
-                            <span class="article-source">${this.escapeHtml(article.source)}</span>
+                            <span class="article-source">${this.escapeHtml(article.attribution ? article.attribution.text : article.source)}</span>
                             <time class="article-date" datetime="${article.pubDate}">${pubDate}</time>
+                            ${readingTimeHTML}
+                            ${topicsHTML}
                         </div>
+                        ${descriptionHTML ? `
                         <div class="article-description">
-                            ${this.escapeHtml(article.description || 'No description available.')}
-                        </div>
+                            ${descriptionHTML}
+                        </div>` : ''}
+                        ${coverageHTML}
                     </div>
                     <div class="article-footer">
                         <a href="${article.link}" target="_blank" rel="noopener noreferrer" 
@@ -217,7 +528,8 @@ class NewsAggregator {
 
     async loadSources() {
         try {
-            const response = await fetch(`${this.apiBase}/news/sources`);
+            // The health listing includes each source's fetch status
+            const response = await fetch(`${this.apiBase}/news/sources/health`);
             if (!response.ok) throw new Error('Failed to load sources');
             
             const data = await response.json();
@@ -241,13 +553,29 @@ class NewsAggregator {
             if (source.trusted) {
                 option.textContent += ' (Trusted)';
             }
+            const status = source.health && this.sourceStatusLabel(source.health);
+            if (status) {
+                option.textContent += ` - ${status}`;
+                option.title = source.health.lastError ? `Last error: ${source.health.lastError}` : status;
+            }
             select.appendChild(option);
         });
     }
 
+    // Short label for sources that are not fetching normally
+    sourceStatusLabel(health) {
+        if (health.status === 'failing') {
+            return health.circuit === 'open' ? 'unavailable, retrying later' : 'unavailable';
+        }
+        if (health.status === 'degraded') {
+            return 'having problems';
+        }
+        return '';
+    }
+
     updateSources() {
         // This could be enhanced to filter sources by category
-        this.loadNews();
+        this.refresh();
     }
 
     showLoading(show) {
@@ -334,12 +662,21 @@ class NewsAggregator {
         }
     }
 
-    checkAuthStatus() {
+    async checkAuthStatus() {
         // Check if user is logged in
-        const token = localStorage.getItem('auth-token');
-        if (token) {
+        if (this.auth.isSignedIn()) {
             this.currentUser = { loggedIn: true };
             this.updateAuthUI();
+
+            // The session may have ended elsewhere (logout, password change)
+            try {
+                const response = await this.auth.fetch(`${this.apiBase}/auth/profile`);
+                if (response.ok) {
+                    this.currentUser = (await response.json()).user;
+                }
+            } catch (error) {
+                console.error('Auth status error:', error);
+            }
         }
     }
 
@@ -375,7 +712,7 @@ class NewsAggregator {
             
             if (response.ok) {
                 this.currentUser = result.user;
-                localStorage.setItem('auth-token', result.token);
+                this.auth.saveTokens(result);
                 this.closeModal('login-modal');
                 this.updateAuthUI();
                 this.showSuccess('Login successful!');
@@ -459,18 +796,10 @@ class NewsAggregator {
 
     async handleLogout() {
         try {
-            await fetch(`${this.apiBase}/auth/logout`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${localStorage.getItem('auth-token')}`
-                }
-            });
+            await this.auth.logout();
         } catch (error) {
             console.error('Logout error:', error);
         } finally {
-            this.currentUser = null;
-            localStorage.removeItem('auth-token');
-            this.updateAuthUI();
             this.showSuccess('Logged out successfully');
         }
     }
@@ -0,0 +1,133 @@
+// UK Compliant News Aggregator - Sign-in tokens shared by every page
+// Access tokens are short-lived and renewed with the refresh token. Each
+// refresh token works once, so tabs take turns renewing through a lock.
+
+class AuthClient {
+    constructor(apiBase = '/api') {
+        this.apiBase = apiBase;
+        this.refreshing = null;
+        this.onSignedOut = null;
+    }
+
+    get token() {
+        return localStorage.getItem('auth-token');
+    }
+
+    isSignedIn() {
+        return Boolean(this.token);
+    }
+
+    // The signed-in user's id, as named in the access token
+    userId() {
+        const token = this.token;
+        if (!token) {
+            return null;
+        }
+        try {
+            const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(atob(payload)).userId || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveTokens(result) {
+        localStorage.setItem('auth-token', result.token);
+        // No new refresh token when another tab had just renewed it
+        if (result.refreshToken) {
+            localStorage.setItem('refresh-token', result.refreshToken);
+        }
+    }
+
+    clear() {
+        localStorage.removeItem('auth-token');
+        localStorage.removeItem('refresh-token');
+        if (this.onSignedOut) {
+            this.onSignedOut();
+        }
+    }
+
+    // Swap the refresh token for new tokens. Callers in this tab share one
+    // request; other tabs wait for the lock and then use what it stored.
+    refresh() {
+        if (!this.refreshing) {
+            const staleToken = this.token;
+            const attempt = navigator.locks
+                ? navigator.locks.request('auth-refresh', () => this.refreshOnce(staleToken))
+                : this.refreshOnce(staleToken);
+
+            this.refreshing = attempt.catch((error) => {
+                console.error('Token refresh error:', error);
+                return false;
+            }).then((refreshed) => {
+                this.refreshing = null;
+                if (!refreshed) {
+                    this.clear();
+                }
+                return refreshed;
+            });
+        }
+        return this.refreshing;
+    }
+
+    async refreshOnce(staleToken) {
+        // Another tab renewed the tokens while this one waited
+        if (this.token && this.token !== staleToken) {
+            return true;
+        }
+
+        const refreshToken = localStorage.getItem('refresh-token');
+        if (!refreshToken) {
+            return false;
+        }
+        const response = await fetch(`${this.apiBase}/auth/refresh`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ refreshToken })
+        });
+        if (!response.ok) {
+            return false;
+        }
+        this.saveTokens(await response.json());
+        return true;
+    }
+
+    // fetch() with the access token, renewed and retried once if it has expired
+    async fetch(url, options = {}) {
+        const send = () => fetch(url, {
+            ...options,
+            headers: {
+                ...options.headers,
+                'Authorization': `Bearer ${this.token}`
+            }
+        });
+
+        const response = await send();
+        if (response.status !== 401 && response.status !== 403) {
+            return response;
+        }
+        const result = await response.clone().json().catch(() => ({}));
+        if (result.error !== 'Invalid or expired token' || !(await this.refresh())) {
+            return response;
+        }
+        return send();
+    }
+
+    // Ends the session on the server, so neither token works again
+    async logout() {
+        try {
+            await fetch(`${this.apiBase}/auth/logout`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.token}`
+                },
+                body: JSON.stringify({ refreshToken: localStorage.getItem('refresh-token') })
+            });
+        } finally {
+            this.clear();
+        }
+    }
+}
@@ -0,0 +1,274 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const alerts = require('../lib/alerts');
+const { AlertExpressionError } = require('../lib/alertExpression');
+const sourceRegistry = require('../lib/sourceRegistry');
+const router = express.Router();
+
+// Keyword alerts belong to the signed-in user; other users' rules are
+// reported as not found
+router.use(authenticateToken);
+
+const validateRule = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Alert name required'),
+    body('keywords').optional().isArray({ max: 20 }).withMessage('At most 20 keywords'),
+    body('keywords.*').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Keywords must be 1-100 characters'),
+    body('expression').optional({ nullable: true }).isString().trim().isLength({ max: 500 }),
+    body('sources').optional({ nullable: true }).isArray({ max: 50 }),
+    body('sources.*').isString().trim().isLength({ min: 1, max: 100 }),
+    body('category').optional({ nullable: true }).isIn(sourceRegistry.CATEGORIES).withMessage('Valid category required'),
+    field('webhookUrl').isURL({ protocols: ['https'], require_protocol: true }).withMessage('Valid HTTPS webhook URL required'),
+    body('enabled').optional().isBoolean().toBoolean()
+  ];
+};
+
+function ruleChanges(reqBody) {
+  const fields = ['name', 'keywords', 'expression', 'sources', 'category', 'webhookUrl', 'enabled'];
+  const changes = {};
+  fields.forEach(field => {
+    if (reqBody[field] !== undefined) {
+      changes[field] = reqBody[field];
+    }
+  });
+  return changes;
+}
+
+// How receivers verify requests, returned with every new secret
+const SIGNING = {
+  algorithm: 'HMAC-SHA256',
+  signedContent: '<X-Webhook-Timestamp>.<raw request body>',
+  headers: ['X-Webhook-Id', 'X-Webhook-Timestamp', 'X-Webhook-Signature']
+};
+
+function invalidExpression(res, error) {
+  return res.status(400).json({
+    error: 'Invalid alert expression',
+    message: error.message
+  });
+}
+
+// List the user's alert rules
+router.get('/', async (req, res) => {
+  try {
+    const rules = await alerts.listRules(req.user.userId);
+    res.json({
+      rules,
+      total: rules.length,
+      limit: alerts.MAX_RULES_PER_USER
+    });
+  } catch (error) {
+    console.error('Error listing alerts:', error);
+    res.status(500).json({
+      error: 'Failed to list alerts',
+      message: 'Please try again later'
+    });
+  }
+});
+
+// Create a rule; the response carries the webhook signing secret, which is
+// not shown again
+router.post('/', validateRule(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid alert',
+        details: errors.array()
+      });
+    }
+
+    if (await alerts.countRules(req.user.userId) >= alerts.MAX_RULES_PER_USER) {
+      return res.status(409).json({
+        error: 'Too many alerts',
+        message: `An account can have at most ${alerts.MAX_RULES_PER_USER} alerts`
+      });
+    }
+
+    const { rule, secret } = await alerts.createRule(req.user.userId, ruleChanges(req.body));
+
+    // GDPR compliance: Log data processing (rule contents are not logged)
+    console.log(`Alert created: ${rule.id} by ${req.user.email}, IP: ${req.ip}`);
+
+    res.status(201).json({
+      message: 'Alert created successfully',
+      rule,
+      secret,
+      signing: SIGNING
+    });
+
+  } catch (error) {
+    if (error instanceof AlertExpressionError) {
+      return invalidExpression(res, error);
+    }
+    console.error('Error creating alert:', error);
+    res.status(500).json({
+      error: 'Failed to create alert',
+      message: 'Please try again later'
+    });
+  }
+});
+
+router.get('/:id', [
+  param('id').isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid alert id', details: errors.array() });
+    }
+
+    const rule = await alerts.getRule(req.params.id, req.user.userId);
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    res.json({ rule });
+
+  } catch (error) {
+    console.error('Error fetching alert:', error);
+    res.status(500).json({
+      error: 'Failed to fetch alert',
+      message: 'Please try again later'
+    });
+  }
+});
+
+router.put('/:id', [
+  param('id').isInt().toInt(),
+  ...validateRule(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid alert',
+        details: errors.array()
+      });
+    }
+
+    const rule = await alerts.updateRule(req.params.id, req.user.userId, ruleChanges(req.body));
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    console.log(`Alert updated: ${rule.id} by ${req.user.email}, IP: ${req.ip}`);
+
+    res.json({
+      message: 'Alert updated successfully',
+      rule
+    });
+
+  } catch (error) {
+    if (error instanceof AlertExpressionError) {
+      return invalidExpression(res, error);
+    }
+    console.error('Error updating alert:', error);
+    res.status(500).json({
+      error: 'Failed to update alert',
+      message: 'Please try again later'
+    });
+  }
+});
+
+// Replace the signing secret; the old one stops working immediately
+router.post('/:id/secret', [
+  param('id').isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid alert id', details: errors.array() });
+    }
+
+    const secret = await alerts.rotateSecret(req.params.id, req.user.userId);
+    if (!secret) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    console.log(`Alert secret rotated: ${req.params.id} by ${req.user.email}, IP: ${req.ip}`);
+
+    res.json({
+      message: 'Signing secret rotated',
+      secret,
+      signing: SIGNING
+    });
+
+  } catch (error) {
+    console.error('Error rotating alert secret:', error);
+    res.status(500).json({
+      error: 'Failed to rotate secret',
+      message: 'Please try again later'
+    });
+  }
+});
+
+// Delivery log, newest first
+router.get('/:id/deliveries', [
+  param('id').isInt().toInt(),
+  query('before').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid delivery log parameters', details: errors.array() });
+    }
+
+    const rule = await alerts.getRule(req.params.id, req.user.userId);
+    if (!rule) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    const { before, limit = 50 } = req.query;
+    const deliveries = await alerts.listDeliveries(rule.id, { before, limit });
+    res.json({
+      rule: { id: rule.id, name: rule.name },
+      deliveries,
+      next_before: deliveries.length === limit ? deliveries[deliveries.length - 1].id : null,
+      maxAttempts: alerts.MAX_ATTEMPTS
+    });
+
+  } catch (error) {
+    console.error('Error fetching alert deliveries:', error);
+    res.status(500).json({
+      error: 'Failed to fetch deliveries',
+      message: 'Please try again later'
+    });
+  }
+});
+
+router.delete('/:id', [
+  param('id').isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid alert id', details: errors.array() });
+    }
+
+    const deleted = await alerts.deleteRule(req.params.id, req.user.userId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    console.log(`Alert deleted: ${req.params.id} by ${req.user.email}, IP: ${req.ip}`);
+
+    res.json({
+      message: 'Alert deleted successfully',
+      gdpr: {
+        dataProcessing: 'Alert rule and its delivery log permanently deleted'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error deleting alert:', error);
+    res.status(500).json({
+      error: 'Failed to delete alert',
+      message: 'Please try again later'
+    });
+  }
+});
+
+module.exports = router;
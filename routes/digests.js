@@ -0,0 +1,208 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const digests = require('../lib/digests');
+const consentRecords = require('../lib/consentRecords');
+const sourceRegistry = require('../lib/sourceRegistry');
+const router = express.Router();
+
+const validateToken = param('token').isString().isLength({ min: 20, max: 64 }).matches(/^[A-Za-z0-9_-]+$/);
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unsubscribePage(title, message, form) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;max-width:480px;margin:48px auto;padding:0 16px">
+<h1 style="font-size:22px">${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+${form || ''}
+</body>
+</html>`;
+}
+
+// Unsubscribe links work without signing in. Opening the link only asks
+// for confirmation, since mail scanners follow links in emails; the POST
+// (also used by one-click unsubscribe in mail clients) does the work.
+router.get('/unsubscribe/:token', [validateToken], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(404).type('html').send(unsubscribePage('Link not recognised', 'This unsubscribe link is not valid.'));
+  }
+
+  const action = `${req.baseUrl}/unsubscribe/${encodeURIComponent(req.params.token)}`;
+  res.type('html').send(unsubscribePage(
+    'Unsubscribe from news digests',
+    'You will stop receiving digest emails and your marketing consent will be withdrawn.',
+    `<form method="post" action="${escapeHtml(action)}"><button type="submit">Unsubscribe</button></form>`
+  ));
+});
+
+router.post('/unsubscribe/:token', [validateToken], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const found = errors.isEmpty() && await digests.unsubscribeByToken(req.params.token, { ipAddress: req.ip });
+    if (!found) {
+      return res.status(404).type('html').send(unsubscribePage('Link not recognised', 'This unsubscribe link is not valid.'));
+    }
+
+    // GDPR compliance: Log consent withdrawal
+    console.log(`Digest unsubscribed by link, IP: ${req.ip}`);
+
+    res.type('html').send(unsubscribePage(
+      'You have been unsubscribed',
+      'You will not receive any more digest emails. You can subscribe again from your account at any time.'
+    ));
+
+  } catch (error) {
+    console.error('Error unsubscribing from digest:', error);
+    res.status(500).type('html').send(unsubscribePage('Something went wrong', 'Please try again later.'));
+  }
+});
+
+// Everything else belongs to the signed-in user
+router.use(authenticateToken);
+
+router.get('/subscription', async (req, res) => {
+  try {
+    const subscription = await digests.getSubscription(req.user.userId);
+    res.json({
+      subscription,
+      consent: await consentRecords.hasConsent(req.user.userId, 'marketing')
+    });
+  } catch (error) {
+    console.error('Error fetching digest subscription:', error);
+    res.status(500).json({
+      error: 'Failed to fetch digest subscription',
+      message: 'Please try again later'
+    });
+  }
+});
+
+// Opt in (or change settings). Opting in records marketing consent.
+router.put('/subscription', [
+  body('frequency').isIn(digests.FREQUENCIES).withMessage('Frequency must be daily or weekly'),
+  body('sendTime').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Send time must be HH:MM (24-hour)'),
+  body('sendDay').if(body('frequency').equals('weekly'))
+    .isInt({ min: 0, max: 6 }).withMessage('Weekly digests need a send day (0 = Sunday to 6 = Saturday)').toInt(),
+  body('timezone').optional().isString().custom(digests.isValidTimezone).withMessage('Valid IANA time zone required'),
+  body('categories').isArray({ min: 1, max: sourceRegistry.CATEGORIES.length }).withMessage('Choose at least one category'),
+  body('categories.*').isIn(sourceRegistry.CATEGORIES).withMessage('Valid category required'),
+  body('sources').optional({ nullable: true }).isArray({ max: 50 }),
+  body('sources.*').isString().trim().isLength({ min: 1, max: 100 }),
+  body('consent').custom(value => value === true || value === 'true')
+    .withMessage('Consent to receive digest emails is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid digest subscription',
+        details: errors.array()
+      });
+    }
+
+    const { frequency, sendTime, sendDay, timezone, sources } = req.body;
+    const categories = [...new Set(req.body.categories)];
+
+    const consentRecord = await consentRecords.recordConsent({
+      userId: req.user.userId,
+      consentType: 'marketing',
+      consent: true,
+      purpose: `Email news digest (${frequency})`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    const subscription = await digests.saveSubscription(req.user.userId, {
+      email: req.user.email,
+      frequency,
+      sendTime,
+      sendDay,
+      timezone,
+      categories,
+      sources
+    });
+
+    // GDPR compliance: Log consent and data processing
+    console.log(`Digest subscription saved: User ${req.user.userId}, Frequency: ${frequency}, IP: ${req.ip}`);
+
+    res.json({
+      message: 'Digest subscription saved',
+      subscription,
+      consent: {
+        id: consentRecord.id,
+        type: 'marketing',
+        timestamp: consentRecord.timestamp
+      },
+      gdpr: {
+        compliance: 'Consent recorded in accordance with GDPR Article 7',
+        withdrawal: 'Every digest email has a one-click unsubscribe link'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error saving digest subscription:', error);
+    res.status(500).json({
+      error: 'Failed to save digest subscription',
+      message: 'Please try again later'
+    });
+  }
+});
+
+// The next digest as it would be sent now
+router.get('/preview', async (req, res) => {
+  try {
+    const digest = await digests.previewDigest(req.user.userId);
+    if (!digest) {
+      return res.status(404).json({ error: 'No digest subscription' });
+    }
+    res.json({
+      subject: digest.subject,
+      html: digest.html,
+      text: digest.text
+    });
+  } catch (error) {
+    console.error('Error previewing digest:', error);
+    res.status(500).json({
+      error: 'Failed to preview digest',
+      message: 'Please try again later'
+    });
+  }
+});
+
+// Opt out: stops sends immediately and withdraws marketing consent
+router.delete('/subscription', async (req, res) => {
+  try {
+    const disabled = await digests.disableSubscription(req.user.userId, { ipAddress: req.ip });
+    if (!disabled) {
+      return res.status(404).json({ error: 'No digest subscription' });
+    }
+
+    console.log(`Digest unsubscribed: User ${req.user.userId}, IP: ${req.ip}`);
+
+    res.json({
+      message: 'Unsubscribed from digest emails',
+      gdpr: {
+        compliance: 'Consent withdrawal processed in accordance with GDPR Article 7(3)',
+        effect: 'No further digest emails will be sent'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error unsubscribing from digest:', error);
+    res.status(500).json({
+      error: 'Failed to unsubscribe',
+      message: 'Please try again later'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,6 @@
+const express = require('express');
+const { mountRoutes } = require('../lib/httpHandlers');
+const { routes } = require('../handlers/images');
+
+// Route logic lives in handlers/images.js, shared with the Netlify function
+module.exports = mountRoutes(express.Router(), routes);
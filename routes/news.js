@@ -1,306 +1,476 @@
 const express = require('express');
-const axios = require('axios');
-const Parser = require('rss-parser');
-const cheerio = require('cheerio');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const sourceRegistry = require('../lib/sourceRegistry');
+const { discoverFeeds } = require('../lib/feedFetcher');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const articleStore = require('../lib/articleStore');
+const ingestion = require('../lib/ingestion');
+const opml = require('../lib/opml');
+const licensing = require('../lib/licensing');
+const { mountRoutes } = require('../lib/httpHandlers');
+const { routes } = require('../handlers/news');
 const router = express.Router();
 
-// RSS Parser instance
-const parser = new Parser({
-  timeout: 10000,
-  headers: {
-    'User-Agent': 'UK-Compliant-News-Aggregator/1.0 (GDPR Compliant)'
-  }
+// Listing, search, feeds, the reader view and source reports live in
+// handlers/news.js, shared with the Netlify function
+mountRoutes(router, routes);
+
+// The optional features this server offers. The Netlify function answers
+// the same request with all of them off (see netlify/functions/news.js).
+router.get('/features', (req, res) => {
+  res.json({
+    features: {
+      liveUpdates: true,
+      sourceAdmin: true,
+      alerts: true,
+      digests: true,
+      imageProxy: true
+    }
+  });
 });
 
-// News sources configuration (UK-focused, reputable sources)
-const newsSources = [
-  {
-    name: 'BBC News',
-    url: 'http://feeds.bbci.co.uk/news/rss.xml',
-    category: 'general',
-    trusted: true
-  },
-  {
-    name: 'The Guardian',
-    url: 'https://www.theguardian.com/uk/rss',
-    category: 'general',
-    trusted: true
-  },
-  {
-    name: 'Sky News',
-    url: 'http://feeds.skynews.com/feeds/rss/uk.xml',
-    category: 'general',
-    trusted: true
-  },
-  {
-    name: 'Financial Times',
-    url: 'https://www.ft.com/rss/home/uk',
-    category: 'business',
-    trusted: true
-  },
-  {
-    name: 'Reuters UK',
-    url: 'https://feeds.reuters.com/reuters/UKdomesticNews',
-    category: 'general',
-    trusted: true
-  }
-];
+// Live update connections, and how many articles are looked up at a time
+// when sending a client what it missed
+const MAX_STREAM_CLIENTS = 500;
+const STREAM_PAGE_SIZE = 50;
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const streamClients = new Set();
+
+// Send a client every article stored since the last one it received, a
+// page at a time. Runs are queued per client so events always go out in
+// id order.
+function deliverToClient(client) {
+  client.queue = client.queue.then(async () => {
+    let articles;
+    do {
+      if (client.res.writableEnded) {
+        return;
+      }
+      articles = await licensing.licenseArticles(await articleStore.getArticlesAfterId(client.lastId, {
+        sources: client.sources,
+        category: client.category,
+        limit: STREAM_PAGE_SIZE
+      }));
+      articles.forEach((article) => {
+        client.res.write(`id: ${article.id}\nevent: article\ndata: ${JSON.stringify(article)}\n\n`);
+        client.lastId = article.id;
+      });
+      if (articles.length && client.res.flush) {
+        client.res.flush();
+      }
+    } while (articles.length === STREAM_PAGE_SIZE);
+  }).catch((error) => {
+    console.error('Error sending live update:', error.message);
+  });
+  return client.queue;
+}
 
-// Validation middleware
-const validateNewsRequest = [
-  body('category').optional().isIn(['general', 'business', 'technology', 'sports', 'politics']),
-  body('limit').optional().isInt({ min: 1, max: 100 }),
-  body('source').optional().isString().trim().escape()
-];
+ingestion.events.on('articles', () => {
+  streamClients.forEach(deliverToClient);
+});
 
-// Get news from multiple sources
-router.get('/', validateNewsRequest, async (req, res) => {
+// Server-Sent Events stream of newly stored articles matching the category
+// and source filters. Event ids are article ids, so a reconnecting client's
+// Last-Event-ID resumes where it left off.
+router.get('/stream', [
+  query('category').optional().isIn(sourceRegistry.CATEGORIES),
+  query('source').optional().isString().trim(),
+  query('lastEventId').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return res.status(400).json({ 
-        error: 'Invalid request parameters',
+      return res.status(400).json({
+        error: 'Invalid stream parameters',
         details: errors.array()
       });
     }
 
-    const { category = 'general', limit = 20, source } = req.query;
-    
-    // Filter sources based on category and source preference
-    let sourcesToUse = newsSources;
-    if (category !== 'general') {
-      sourcesToUse = newsSources.filter(s => s.category === category);
+    if (streamClients.size >= MAX_STREAM_CLIENTS) {
+      res.set('Retry-After', '60');
+      return res.status(503).json({
+        error: 'Too many live connections',
+        message: 'Please try again later'
+      });
     }
+
+    const { category = 'general', source } = req.query;
+    let sourcesToUse = await sourceRegistry.listSources({ enabledOnly: true });
     if (source) {
       sourcesToUse = sourcesToUse.filter(s => s.name.toLowerCase().includes(source.toLowerCase()));
     }
 
-    const allArticles = [];
-    const promises = sourcesToUse.map(async (source) => {
-      try {
-        const feed = await parser.parseURL(source.url);
-        const articles = await Promise.all(feed.items.slice(0, 5).map(async (item) => {
-          // Extract image from RSS item
-          let imageUrl = null;
-          
-          // Try multiple methods to find images
-          if (item.enclosure && item.enclosure.type && item.enclosure.type.startsWith('image/')) {
-            imageUrl = item.enclosure.url;
-          } else if (item.content) {
-            // Try to extract image from content using regex
-            const imgMatch = item.content.match(/<img[^>]+src="([^"]+)"/i);
-            if (imgMatch) {
-              imageUrl = imgMatch[1];
-            }
-          } else if (item.contentSnippet) {
-            // Try to extract image from contentSnippet
-            const imgMatch = item.contentSnippet.match(/<img[^>]+src="([^"]+)"/i);
-            if (imgMatch) {
-              imageUrl = imgMatch[1];
-            }
-          }
-          
-          // If no image found in RSS, try to fetch from the article page
-          if (!imageUrl && item.link) {
-            try {
-              const response = await axios.get(item.link, {
-                timeout: 5000,
-                headers: {
-                  'User-Agent': 'UK-Compliant-News-Aggregator/1.0 (GDPR Compliant)'
-                }
-              });
-              
-              const $ = cheerio.load(response.data);
-              
-              // Try multiple selectors for images
-              const imgSelectors = [
-                'meta[property="og:image"]',
-                'meta[name="twitter:image"]',
-                'img[class*="hero"]',
-                'img[class*="featured"]',
-                'img[class*="main"]',
-                'img[class*="article"]',
-                'img[class*="story"]',
-                '.article img',
-                '.story img',
-                '.content img',
-                'article img'
-              ];
-              
-              for (const selector of imgSelectors) {
-                const img = $(selector).first();
-                if (img.length) {
-                  const src = img.attr('content') || img.attr('src');
-                  if (src && src.startsWith('http')) {
-                    imageUrl = src;
-                    break;
-                  }
-                }
-              }
-            } catch (error) {
-              console.log(`Could not fetch image for ${item.title}: ${error.message}`);
-            }
-          }
-
-          return {
-            title: item.title,
-            link: item.link,
-            pubDate: item.pubDate,
-            description: item.contentSnippet || item.content,
-            image: imageUrl,
-            source: source.name,
-            category: source.category,
-            trusted: source.trusted
-          };
-        }));
-        return articles;
-      } catch (error) {
-        console.error(`Error fetching from ${source.name}:`, error.message);
-        return [];
+    // Browsers send Last-Event-ID when reconnecting; new clients start from now
+    const maxId = await articleStore.getMaxId();
+    const resumeFrom = parseInt(req.get('Last-Event-ID'), 10);
+    const lastEventId = !isNaN(resumeFrom) && resumeFrom >= 0 ? resumeFrom : req.query.lastEventId;
+
+    const client = {
+      res,
+      sources: sourcesToUse.map(s => s.name),
+      category: category !== 'general' ? category : null,
+      lastId: lastEventId !== undefined ? Math.min(lastEventId, maxId) : maxId,
+      queue: Promise.resolve()
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 10000\n\n');
+    if (res.flush) {
+      res.flush();
+    }
+
+    streamClients.add(client);
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+      if (res.flush) {
+        res.flush();
       }
+    }, STREAM_HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      streamClients.delete(client);
     });
 
-    const results = await Promise.all(promises);
-    results.forEach(articles => allArticles.push(...articles));
+    // GDPR compliance: Log data processing
+    console.log(`News stream opened: category: ${category}, IP: ${req.ip}`);
+
+    // Catch up a resuming client
+    if (client.lastId < maxId) {
+      deliverToClient(client);
+    }
 
-    // Sort by publication date (newest first)
-    allArticles.sort((a, b) => new Date(b.pubDate) - new Date(a.pubDate));
+  } catch (error) {
+    console.error('Error opening news stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to open news stream',
+        message: 'Please try again later'
+      });
+    }
+  }
+});
 
-    // Apply limit
-    const limitedArticles = allArticles.slice(0, parseInt(limit));
+// Source validation (admin CRUD)
+const validateSource = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Source name required'),
+    body('url').optional().isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Valid feed URL required'),
+    body('homepage').optional({ nullable: true }).isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Valid homepage URL required'),
+    field('category').isIn(sourceRegistry.CATEGORIES).withMessage('Valid category required'),
+    body('trusted').optional().isBoolean().toBoolean(),
+    body('pollInterval').optional()
+      .isInt({ min: sourceRegistry.MIN_POLL_INTERVAL, max: sourceRegistry.MAX_POLL_INTERVAL })
+      .withMessage(`Polling interval must be ${sourceRegistry.MIN_POLL_INTERVAL}-${sourceRegistry.MAX_POLL_INTERVAL} minutes`)
+      .toInt(),
+    body('enabled').optional().isBoolean().toBoolean(),
+    body('licence').optional().isObject().withMessage('Licence must be an object'),
+    body('licence.snippetLength').optional()
+      .isInt({ min: 0, max: sourceRegistry.MAX_SNIPPET_LENGTH })
+      .withMessage(`Snippet length must be 0-${sourceRegistry.MAX_SNIPPET_LENGTH} characters`)
+      .toInt(),
+    body('licence.fullText').optional().isBoolean().toBoolean(),
+    body('licence.images').optional().isBoolean().toBoolean(),
+    body('licence.readerView').optional().isBoolean().toBoolean(),
+    body('licence.attribution').optional().isString().trim().isLength({ min: 1, max: 200 })
+      .withMessage('Attribution text must be 1-200 characters'),
+    body('licence.linkFormat').optional().matches(/^\{url\}([?&][^\s#]*)?$/)
+      .withMessage('Link format must be {url}, optionally followed by query parameters')
+  ];
+};
 
-    // GDPR compliance: Log data processing
-    console.log(`News request processed: ${limitedArticles.length} articles, category: ${category}, IP: ${req.ip}`);
+// Reject feed URLs that are already registered or do not parse as a feed
+async function checkSourceConflicts(res, { url, name }, currentId = null) {
+  if (name) {
+    const sameName = await sourceRegistry.findByName(name);
+    if (sameName && sameName.id !== currentId) {
+      res.status(409).json({
+        error: 'Duplicate source',
+        message: 'A source with this name already exists'
+      });
+      return false;
+    }
+  }
+
+  if (url) {
+    const sameUrl = await sourceRegistry.findByUrl(url);
+    if (sameUrl && sameUrl.id !== currentId) {
+      res.status(409).json({
+        error: 'Duplicate source',
+        message: 'A source with this feed URL already exists'
+      });
+      return false;
+    }
+
+    try {
+      await sourceRegistry.checkFeed(url);
+    } catch (error) {
+      res.status(422).json({
+        error: 'Invalid feed',
+        message: `The feed URL could not be fetched or parsed: ${error.message}`
+      });
+      return false;
+    }
+  }
+
+  return true;
+}
+
+function sourceChanges(reqBody) {
+  const fields = ['name', 'url', 'homepage', 'category', 'trusted', 'pollInterval', 'enabled', 'licence'];
+  const changes = {};
+  fields.forEach(field => {
+    if (reqBody[field] !== undefined) {
+      changes[field] = reqBody[field];
+    }
+  });
+  return changes;
+}
+
+// Discover the feeds advertised by a site (admin only)
+router.get('/sources/discover', authenticateToken, requireAdmin, [
+  query('url').isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Valid URL required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid URL provided',
+        details: errors.array()
+      });
+    }
+
+    const feeds = await discoverFeeds(req.query.url);
 
     res.json({
-      articles: limitedArticles,
-      total: limitedArticles.length,
-      sources: sourcesToUse.map(s => s.name),
-      timestamp: new Date().toISOString(),
-      compliance: {
-        gdpr: true,
-        dataProcessing: 'Minimal data collection for service provision',
-        retention: 'No personal data stored'
-      }
+      url: req.query.url,
+      feeds,
+      total: feeds.length
     });
 
   } catch (error) {
-    console.error('Error fetching news:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch news',
-      message: 'Please try again later'
+    console.error('Error discovering feeds:', error.message);
+    res.status(502).json({
+      error: 'Failed to discover feeds',
+      message: 'The site could not be fetched'
     });
   }
 });
 
-// Get specific article content (with proper attribution)
-router.get('/article', [
-  body('url').isURL().withMessage('Valid URL required')
-], async (req, res) => {
+// Add a news source (admin only)
+router.post('/sources', authenticateToken, requireAdmin, validateSource(false), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return res.status(400).json({ 
-        error: 'Invalid URL provided',
+      return res.status(400).json({
+        error: 'Invalid source',
         details: errors.array()
       });
     }
 
-    const { url } = req.query;
-    
-    // Verify URL is from trusted sources
-    const isTrustedSource = newsSources.some(source => 
-      url.includes(new URL(source.url).hostname)
-    );
-
-    if (!isTrustedSource) {
-      return res.status(403).json({ 
-        error: 'Content from untrusted sources not allowed',
-        message: 'Only content from verified news sources is accessible'
+    const changes = sourceChanges(req.body);
+
+    // With only a homepage, use the first feed the site advertises
+    if (!changes.url) {
+      if (!changes.homepage) {
+        return res.status(400).json({
+          error: 'Invalid source',
+          message: 'A feed URL or homepage URL is required'
+        });
+      }
+
+      const feeds = await discoverFeeds(changes.homepage).catch(() => []);
+      if (feeds.length === 0) {
+        return res.status(422).json({
+          error: 'No feed found',
+          message: 'No RSS, Atom or JSON Feed is advertised by this homepage'
+        });
+      }
+      changes.url = feeds[0].url;
+    }
+
+    if (!(await checkSourceConflicts(res, changes))) {
+      return;
+    }
+
+    const source = await sourceRegistry.createSource(changes);
+
+    console.log(`News source added: ${source.name} (${source.url}) by ${req.user.email}, IP: ${req.ip}`);
+
+    res.status(201).json({
+      message: 'Source added successfully',
+      source
+    });
+
+  } catch (error) {
+    console.error('Error adding source:', error);
+    res.status(500).json({
+      error: 'Failed to add source',
+      message: 'Please try again later'
+    });
+  }
+});
+
+// Import sources from an OPML file sent as the request body (admin only).
+// Each feed is reported as added, duplicate or invalid.
+router.post('/sources/import', authenticateToken, requireAdmin, express.text({
+  type: ['text/x-opml', 'text/xml', 'application/xml', 'application/octet-stream', 'text/plain'],
+  limit: '1mb'
+}), async (req, res) => {
+  try {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({
+        error: 'Invalid OPML',
+        message: 'Send the OPML file as the request body (Content-Type: text/x-opml)'
       });
     }
 
-    // Fetch article content
-    const response = await axios.get(url, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'UK-Compliant-News-Aggregator/1.0 (GDPR Compliant)'
-      }
+    const results = await opml.importOpml(req.body);
+    const summary = { total: results.length, added: 0, duplicate: 0, invalid: 0 };
+    results.forEach(result => {
+      summary[result.status]++;
     });
 
-    const $ = cheerio.load(response.data);
-    
-    // Extract article content with proper attribution
-    const article = {
-      title: $('h1').first().text().trim(),
-      content: $('article, .article-content, .story-body').text().trim(),
-      author: $('.byline, .author').text().trim(),
-      publishedDate: $('time, .date').attr('datetime') || $('time, .date').text().trim(),
-      source: url,
-      attribution: {
-        originalUrl: url,
-        accessedAt: new Date().toISOString(),
-        aggregator: 'UK-Compliant-News-Aggregator'
-      }
-    };
+    console.log(`News sources imported: ${summary.added} added, ${summary.duplicate} duplicate, ${summary.invalid} invalid by ${req.user.email}, IP: ${req.ip}`);
 
-    res.json(article);
+    res.status(summary.added > 0 ? 201 : 200).json({
+      message: 'OPML import processed',
+      summary,
+      results
+    });
 
   } catch (error) {
-    console.error('Error fetching article:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch article content',
+    if (error instanceof opml.OpmlError) {
+      return res.status(400).json({
+        error: 'Invalid OPML',
+        message: error.message
+      });
+    }
+    console.error('Error importing sources:', error);
+    res.status(500).json({
+      error: 'Failed to import sources',
       message: 'Please try again later'
     });
   }
 });
 
-// Get available news sources
-router.get('/sources', (req, res) => {
-  res.json({
-    sources: newsSources.map(source => ({
-      name: source.name,
-      category: source.category,
-      trusted: source.trusted
-    })),
-    total: newsSources.length,
-    compliance: {
-      gdpr: true,
-      dataProtection: 'Sources verified for content quality and reliability'
+// Export the sources as OPML (admin only; feed URLs are not public)
+router.get('/sources/export.opml', authenticateToken, requireAdmin, [
+  query('includeDisabled').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid export parameters',
+        details: errors.array()
+      });
     }
-  });
+
+    const sources = await sourceRegistry.listSources({ enabledOnly: !req.query.includeDisabled });
+
+    console.log(`News sources exported: ${sources.length} sources by ${req.user.email}, IP: ${req.ip}`);
+
+    res.set({
+      'Content-Type': 'text/x-opml; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="news-sources.opml"'
+    });
+    res.send(opml.buildOpml(sources));
+
+  } catch (error) {
+    console.error('Error exporting sources:', error);
+    res.status(500).json({
+      error: 'Failed to export sources',
+      message: 'Please try again later'
+    });
+  }
 });
 
-// Test endpoint to check image extraction
-router.get('/test-images', async (req, res) => {
+// Update a news source (admin only)
+router.put('/sources/:id', authenticateToken, requireAdmin, [
+  param('id').isInt().toInt(),
+  ...validateSource(true)
+], async (req, res) => {
   try {
-    const source = newsSources[0]; // Test with first source
-    const feed = await parser.parseURL(source.url);
-    const testItem = feed.items[0];
-    
-    console.log('Test item structure:', {
-      title: testItem.title,
-      hasEnclosure: !!testItem.enclosure,
-      hasContent: !!testItem.content,
-      hasContentSnippet: !!testItem.contentSnippet,
-      enclosure: testItem.enclosure,
-      content: testItem.content ? testItem.content.substring(0, 200) + '...' : null
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid source',
+        details: errors.array()
+      });
+    }
+
+    const existing = await sourceRegistry.getSource(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    const changes = sourceChanges(req.body);
+    const conflicts = {
+      name: changes.name !== existing.name ? changes.name : undefined,
+      url: changes.url !== existing.url ? changes.url : undefined
+    };
+    if (!(await checkSourceConflicts(res, conflicts, existing.id))) {
+      return;
+    }
+
+    const source = await sourceRegistry.updateSource(existing.id, changes);
+
+    console.log(`News source updated: ${source.name} by ${req.user.email}, IP: ${req.ip}`);
+
+    res.json({
+      message: 'Source updated successfully',
+      source
     });
-    
+
+  } catch (error) {
+    console.error('Error updating source:', error);
+    res.status(500).json({
+      error: 'Failed to update source',
+      message: 'Please try again later'
+    });
+  }
+});
+
+// Remove a news source (admin only); stored articles age out with retention
+router.delete('/sources/:id', authenticateToken, requireAdmin, [
+  param('id').isInt().toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid source id',
+        details: errors.array()
+      });
+    }
+
+    const source = await sourceRegistry.getSource(req.params.id);
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    await sourceRegistry.deleteSource(source.id);
+
+    console.log(`News source deleted: ${source.name} by ${req.user.email}, IP: ${req.ip}`);
+
     res.json({
-      item: {
-        title: testItem.title,
-        link: testItem.link,
-        hasEnclosure: !!testItem.enclosure,
-        hasContent: !!testItem.content,
-        hasContentSnippet: !!testItem.contentSnippet,
-        enclosure: testItem.enclosure,
-        contentPreview: testItem.content ? testItem.content.substring(0, 200) + '...' : null
-      }
+      message: 'Source deleted successfully',
+      source: { id: source.id, name: source.name }
     });
+
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error('Error deleting source:', error);
+    res.status(500).json({
+      error: 'Failed to delete source',
+      message: 'Please try again later'
+    });
   }
 });
 
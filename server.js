@@ -9,6 +9,9 @@ const mongoSanitize = require('express-mongo-sanitize');
 const hpp = require('hpp');
 const path = require('path');
 require('dotenv').config();
+const { startIngestion } = require('./lib/ingestion');
+const { startAlerts } = require('./lib/alerts');
+const { startDigests } = require('./lib/digests');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,7 +23,7 @@ app.use(helmet({
       defaultSrc: ["'self'"],
       styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
       fontSrc: ["'self'", "https://fonts.gstatic.com"],
-      imgSrc: ["'self'", "data:", "https:"],
+      imgSrc: ["'self'", "data:"],
       scriptSrc: ["'self'"],
       connectSrc: ["'self'"]
     }
@@ -35,6 +38,16 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  // A page of news loads a thumbnail per story; images have their own limit
+  skip: (req) => req.path.startsWith('/api/images/')
+});
+
+const imageLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 1000, // thumbnails per IP per windowMs
+  message: 'Too many requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
 });
 
 app.use(limiter);
@@ -72,9 +85,12 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 // Routes
 app.use('/api/news', require('./routes/news'));
+app.use('/api/images', imageLimiter, require('./routes/images'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/privacy', require('./routes/privacy'));
 app.use('/api/consent', require('./routes/consent'));
+app.use('/api/alerts', require('./routes/alerts'));
+app.use('/api/digests', require('./routes/digests'));
 
 // Main route
 app.get('/', (req, res) => {
@@ -98,4 +114,11 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Background feed polling into the local article store
+  if (process.env.NEWS_INGESTION_ENABLED !== 'false') {
+    startAlerts();
+    startDigests();
+    startIngestion();
+  }
 });
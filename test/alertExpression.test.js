@@ -0,0 +1,107 @@
+const { AlertExpressionError, parseExpression, compileRule } = require('../lib/alertExpression');
+
+function matches(expression, text) {
+  return compileRule({ expression })(text);
+}
+
+describe('precedence', () => {
+  test.each([
+    // a OR (b AND c)
+    ['tesco OR sainsbury aldi', 'Tesco results', true],
+    ['tesco OR sainsbury aldi', 'Sainsbury results', false],
+    ['tesco OR sainsbury aldi', 'Sainsbury and Aldi', true],
+    // (a OR b) AND c
+    ['(tesco OR sainsbury) aldi', 'Tesco results', false],
+    ['(tesco OR sainsbury) aldi', 'Tesco and Aldi', true],
+    // NOT binds tighter than AND and OR
+    ['NOT aldi OR tesco', 'Aldi and Tesco', true],
+    ['NOT aldi OR tesco', 'Aldi alone', false],
+    ['NOT (aldi OR lidl) tesco', 'Tesco and Lidl', false],
+    ['NOT (aldi OR lidl) tesco', 'Tesco alone', true],
+    // Explicit and implicit AND are the same
+    ['tesco AND aldi', 'Aldi then Tesco', true],
+    ['tesco aldi', 'Aldi then Tesco', true]
+  ])('%s on "%s"', (expression, text, expected) => {
+    expect(matches(expression, text)).toBe(expected);
+  });
+
+  test('groups AND inside OR in the parse tree', () => {
+    expect(parseExpression('a OR b c')).toEqual({
+      type: 'or',
+      operands: [
+        { type: 'term', words: ['a'], prefix: false },
+        { type: 'and', operands: [
+          { type: 'term', words: ['b'], prefix: false },
+          { type: 'term', words: ['c'], prefix: false }
+        ] }
+      ]
+    });
+  });
+});
+
+describe('terms and quoting', () => {
+  test.each([
+    ['"price war"', 'A price war breaks out', true],
+    ['"price war"', 'War over the price', false],
+    ['"Price-War"', 'a price war', true],
+    ['energ*', 'Energetic start to trading', true],
+    ['energ*', 'Synergy savings', false],
+    ['"energ*"', 'Energetic start', false],
+    ['tesco -aldi', 'Tesco results', true],
+    ['tesco -aldi', 'Tesco and Aldi', false],
+    ['tesco -"price war"', 'Tesco price war', false],
+    ['tesco -"price war"', 'Tesco price cut', true],
+    ['and', 'Fish and chips', true],
+    ['TESCO', 'tesco', true],
+    ['café', 'Café culture', true]
+  ])('%s on "%s"', (expression, text, expected) => {
+    expect(matches(expression, text)).toBe(expected);
+  });
+
+  test('operators are only operators in upper case', () => {
+    expect(matches('fish or chips', 'Fish alone')).toBe(false);
+    expect(matches('fish or chips', 'Fish or chips')).toBe(true);
+  });
+});
+
+describe('errors', () => {
+  test.each([
+    ['an empty expression', '', 'at least one term'],
+    ['only operators', 'AND OR', 'Unexpected'],
+    ['an unterminated quote', 'tesco "price war', 'Unterminated quote'],
+    ['a missing closing parenthesis', '(tesco OR aldi', 'Missing closing parenthesis'],
+    ['a stray closing parenthesis', 'tesco)', 'Unexpected closing parenthesis'],
+    ['empty parentheses', 'tesco ()', 'Unexpected closing parenthesis'],
+    ['a dangling NOT', 'tesco NOT', 'ends unexpectedly'],
+    ['NOT before punctuation', 'tesco NOT !!!', 'NOT must be followed by a term'],
+    ['a trailing OR', 'tesco OR', 'ends unexpectedly'],
+    ['only exclusions', '-aldi -lidl', 'at least one term to look for'],
+    ['only NOT', 'NOT aldi', 'at least one term to look for'],
+    ['too many terms', Array.from({ length: 31 }, (value, index) => `t${index}`).join(' '), 'at most 30 terms'],
+    ['deep nesting', `${'('.repeat(11)}tesco${')'.repeat(11)}`, 'nested at most 10 deep'],
+    ['long expressions', 'x'.repeat(501), 'at most 500 characters']
+  ])('rejects %s', (description, expression, message) => {
+    expect(() => parseExpression(expression)).toThrow(AlertExpressionError);
+    expect(() => parseExpression(expression)).toThrow(message);
+  });
+
+  test('rules need keywords or an expression', () => {
+    expect(() => compileRule({})).toThrow(AlertExpressionError);
+    expect(() => compileRule({ keywords: ['!!!'] })).toThrow(AlertExpressionError);
+  });
+});
+
+describe('compileRule', () => {
+  test('matches any keyword as a phrase', () => {
+    const matcher = compileRule({ keywords: ['interest rates', 'inflation'] });
+    expect(matcher('Inflation falls')).toBe(true);
+    expect(matcher('Interest in rates')).toBe(false);
+  });
+
+  test('needs both a keyword and the expression when given both', () => {
+    const matcher = compileRule({ keywords: ['bank of england'], expression: 'rates -mortgage' });
+    expect(matcher('Bank of England holds rates')).toBe(true);
+    expect(matcher('Bank of England holds mortgage rates')).toBe(false);
+    expect(matcher('Rates held')).toBe(false);
+  });
+});
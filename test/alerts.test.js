@@ -0,0 +1,118 @@
+process.env.DATABASE_PATH = ':memory:';
+
+jest.mock('../lib/webhooks', () => ({
+  ...jest.requireActual('../lib/webhooks'),
+  sendWebhook: jest.fn()
+}));
+
+const db = require('../lib/database');
+const articleStore = require('../lib/articleStore');
+const ingestion = require('../lib/ingestion');
+const alerts = require('../lib/alerts');
+const { sendWebhook } = require('../lib/webhooks');
+
+// After each failed attempt: 1 minute, 5 minutes, 30 minutes, 2 hours, 12 hours
+const RETRY_DELAYS_MS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 12 * 60 * 60].map(seconds => seconds * 1000);
+
+let articleCount = 0;
+
+// A stored article about `title`, and a rule matching it
+async function matchedDelivery(title) {
+  articleCount += 1;
+  const link = `https://news.test/story-${articleCount}`;
+  await articleStore.upsertArticles([{ title, link, source: 'Example News', category: 'general' }]);
+  const article = await db.get('SELECT id FROM articles WHERE link = ?', [link]);
+  const { rule } = await alerts.createRule(`user-${articleCount}`, {
+    name: title,
+    keywords: [title],
+    webhookUrl: 'https://hooks.test/alerts'
+  });
+  expect(await alerts.matchArticles([await articleStore.getArticle(article.id)])).toBe(1);
+  return rule;
+}
+
+// Make the rule's delivery due now and run a delivery pass
+async function attempt(rule) {
+  await db.run("UPDATE alert_deliveries SET next_attempt_at = '2000-01-01T00:00:00.000Z' WHERE rule_id = ? AND status = 'pending'", [rule.id]);
+  const startedAt = Date.now();
+  await alerts.deliverPending();
+  const finishedAt = Date.now();
+  return { startedAt, finishedAt, delivery: (await alerts.listDeliveries(rule.id))[0] };
+}
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  sendWebhook.mockReset();
+});
+afterAll(() => db.close());
+
+test('keeps looking up where matching starts until it can', async () => {
+  await articleStore.upsertArticles([{
+    title: 'Rail strike called off',
+    link: 'https://news.test/rail-strike',
+    source: 'Example News',
+    category: 'general'
+  }]);
+  const newest = await articleStore.getMaxId();
+
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+  const getMaxId = jest.spyOn(articleStore, 'getMaxId').mockRejectedValueOnce(new Error('SQLITE_BUSY'));
+  let matchedFrom;
+  const matching = new Promise((resolve) => {
+    matchedFrom = resolve;
+  });
+  const getArticlesAfterId = jest.spyOn(articleStore, 'getArticlesAfterId').mockImplementation(async (id) => {
+    matchedFrom(id);
+    return [];
+  });
+
+  alerts.startAlerts();
+  ingestion.events.emit('articles', { inserted: 1 });
+  await jest.advanceTimersByTimeAsync(1000);
+  expect(getArticlesAfterId).not.toHaveBeenCalled();
+
+  await jest.advanceTimersByTimeAsync(30 * 1000);
+  expect(await matching).toBe(newest);
+  expect(getMaxId).toHaveBeenCalledTimes(2);
+});
+
+describe('webhook deliveries', () => {
+  test('retry on the backoff schedule, then give up', async () => {
+    sendWebhook.mockResolvedValue({ ok: false, status: 503, error: 'Service Unavailable', retryable: true });
+    const rule = await matchedDelivery('Flood warning');
+
+    for (const [index, delay] of RETRY_DELAYS_MS.entries()) {
+      const { startedAt, finishedAt, delivery } = await attempt(rule);
+      expect(delivery).toMatchObject({ status: 'pending', attempts: index + 1, responseStatus: 503 });
+      const nextAttempt = new Date(delivery.nextAttemptAt).getTime();
+      expect(nextAttempt).toBeGreaterThanOrEqual(startedAt + delay);
+      expect(nextAttempt).toBeLessThanOrEqual(finishedAt + delay);
+    }
+
+    const { delivery } = await attempt(rule);
+    expect(delivery).toMatchObject({ status: 'failed', attempts: alerts.MAX_ATTEMPTS, nextAttemptAt: null });
+    expect(alerts.MAX_ATTEMPTS).toBe(RETRY_DELAYS_MS.length + 1);
+    expect(sendWebhook).toHaveBeenCalledTimes(alerts.MAX_ATTEMPTS);
+  });
+
+  test('give up at once on errors a retry cannot fix', async () => {
+    sendWebhook.mockResolvedValue({ ok: false, status: 404, error: 'Not Found', retryable: false });
+    const rule = await matchedDelivery('Bridge closure');
+
+    const { delivery } = await attempt(rule);
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 1, nextAttemptAt: null, lastError: 'Not Found' });
+  });
+
+  test('stop retrying once delivered', async () => {
+    sendWebhook
+      .mockResolvedValueOnce({ ok: false, status: null, error: 'socket hang up', retryable: true })
+      .mockResolvedValueOnce({ ok: true, status: 200, error: null, retryable: false });
+    const rule = await matchedDelivery('Heatwave');
+
+    expect((await attempt(rule)).delivery).toMatchObject({ status: 'pending', attempts: 1 });
+    const { delivery } = await attempt(rule);
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: 2, responseStatus: 200, nextAttemptAt: null });
+    expect(delivery.deliveredAt).not.toBeNull();
+  });
+});
@@ -0,0 +1,192 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const express = require('express');
+const db = require('../lib/database');
+const crawler = require('../lib/crawler');
+const { extractArticle } = require('../lib/articleExtractor');
+const { rulesFor } = require('../lib/extractionRules');
+
+const PARAGRAPH = 'The council said the new cycle lanes would open in the spring after a public consultation.';
+
+function page({ head = '', body }) {
+  return `<!DOCTYPE html><html><head><title>Page title | Example</title>${head}</head><body>${body}</body></html>`;
+}
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => db.close());
+
+describe('extractArticle', () => {
+  test('finds the article body among page furniture', () => {
+    const html = page({
+      body: `
+        <nav><p>Home News Sport Weather and everything else in the menu</p></nav>
+        <div class="sidebar"><p>Most read: a list of other stories that people are clicking on today</p></div>
+        <div class="story-body">
+          <h1>Cycle lanes approved</h1>
+          <p>${PARAGRAPH}</p>
+          <h2>What happens next</h2>
+          <p>Work will start in March, the council confirmed, with the first lanes finished by June.</p>
+          <p>Advertisement</p>
+          <ul><li>Three new routes into the city centre</li><li>Two hundred extra cycle stands</li></ul>
+          <script>track()</script>
+        </div>
+        <footer><p>Copyright Example News Limited, all rights reserved in every territory</p></footer>`
+    });
+    const article = extractArticle(html, 'https://news.test/cycle-lanes');
+
+    expect(article.method).toBe('heuristics');
+    expect(article.title).toBe('Cycle lanes approved');
+    expect(article.blocks.map(block => block.type)).toEqual(['paragraph', 'heading', 'paragraph', 'list-item', 'list-item']);
+    expect(article.blocks[1]).toEqual({ type: 'heading', level: 2, text: 'What happens next' });
+    expect(article.content.html).toContain('<ul>\n<li>Three new routes into the city centre</li>\n<li>Two hundred extra cycle stands</li>\n</ul>');
+    expect(article.content.text).not.toMatch(/menu|Most read|Copyright|Advertisement|track/);
+    expect(article.wordCount).toBe(article.content.text.split(/\s+/).length);
+  });
+
+  test('keeps safe inline markup only', () => {
+    const html = page({
+      body: `<article><p>${PARAGRAPH} <a href="/report" onclick="steal()">Read the <b>report</b></a>,
+        <a href="javascript:alert(1)">this</a> and <em>more</em> <span style="color:red">&lt;text&gt;</span>.</p></article>`
+    });
+    const [paragraph] = extractArticle(html, 'https://news.test/story').content.html.split('\n');
+
+    expect(paragraph).toContain('<a href="https://news.test/report" rel="nofollow noopener noreferrer">Read the <strong>report</strong></a>');
+    expect(paragraph).toContain(', this and <em>more</em> &lt;text&gt;.');
+    expect(paragraph).not.toMatch(/onclick|javascript|style|<span/);
+  });
+
+  test('reads metadata from JSON-LD first, then meta tags', () => {
+    const jsonLd = JSON.stringify({
+      '@context': 'https://schema.org',
+      '@graph': [
+        { '@type': 'WebSite', name: 'Example' },
+        {
+          '@type': ['NewsArticle'],
+          headline: 'Headline from JSON-LD',
+          author: [{ '@type': 'Person', name: 'Jane Reporter' }, 'Sam Writer'],
+          datePublished: '2026-10-18T09:00:00+01:00',
+          image: [{ url: '/images/lead.jpg' }]
+        }
+      ]
+    });
+    const fromJsonLd = extractArticle(page({
+      head: `<script type="application/ld+json">${jsonLd}</script><meta property="og:title" content="Headline from og">`,
+      body: `<article><p>${PARAGRAPH}</p></article>`
+    }), 'https://news.test/story');
+    expect(fromJsonLd).toMatchObject({
+      title: 'Headline from JSON-LD',
+      byline: 'Jane Reporter, Sam Writer',
+      publishedDate: '2026-10-18T08:00:00.000Z',
+      leadImage: 'https://news.test/images/lead.jpg'
+    });
+
+    const fromMeta = extractArticle(page({
+      head: `<script type="application/ld+json">{ not json</script>
+        <meta property="og:title" content="Headline from og">
+        <meta name="author" content="Alex Columnist">
+        <meta property="article:published_time" content="2026-10-17T12:00:00Z">
+        <meta property="og:image" content="javascript:alert(1)">`,
+      body: `<article><p>${PARAGRAPH}</p></article>`
+    }), 'https://news.test/story');
+    expect(fromMeta).toMatchObject({
+      title: 'Headline from og',
+      byline: 'Alex Columnist',
+      publishedDate: '2026-10-17T12:00:00.000Z',
+      leadImage: null
+    });
+  });
+
+  test('uses per-host rules where they find the body', () => {
+    const html = page({
+      body: `<article>
+        <h1>BBC headline</h1>
+        <div data-component="byline-block"><span>By A Correspondent</span></div>
+        <div data-component="text-block"><p>${PARAGRAPH}</p></div>
+        <div data-component="links-block"><p>Related links that should never appear in the body text</p></div>
+        <div data-component="subheadline-block"><h2>Background</h2></div>
+        <div data-component="text-block"><p>Campaigners welcomed the decision.</p></div>
+      </article>`
+    });
+    const article = extractArticle(html, 'https://www.bbc.co.uk/news/articles/abc');
+
+    expect(article.method).toBe('rules');
+    expect(article.title).toBe('BBC headline');
+    expect(article.byline).toBe('By A Correspondent');
+    expect(article.blocks.map(block => block.text)).toEqual([PARAGRAPH, 'Background', 'Campaigners welcomed the decision.']);
+  });
+
+  test('falls back to the heuristics when the rules find nothing', () => {
+    const html = page({ body: `<main><p>${PARAGRAPH}</p><p>${PARAGRAPH}</p></main>` });
+    const article = extractArticle(html, 'https://news.sky.com/story/123');
+    expect(article.method).toBe('heuristics');
+    expect(article.blocks).toHaveLength(2);
+  });
+
+  test('drops the headline when it repeats as the first heading', () => {
+    const html = page({
+      head: '<meta property="og:title" content="Storm warning">',
+      body: `<article><h2>Storm warning</h2><p>${PARAGRAPH}</p></article>`
+    });
+    expect(extractArticle(html, 'https://news.test/storm').blocks.map(block => block.type)).toEqual(['paragraph']);
+  });
+});
+
+describe('rulesFor', () => {
+  test.each([
+    ['www.bbc.co.uk', ['bbc.co.uk', 'bbc.com']],
+    ['BBC.COM', ['bbc.co.uk', 'bbc.com']],
+    ['uk.reuters.com', ['reuters.com']],
+    ['notreuters.com', null],
+    ['example.org', null]
+  ])('%s', (hostname, hosts) => {
+    const rule = rulesFor(hostname);
+    expect(rule ? rule.hosts : null).toEqual(hosts);
+  });
+});
+
+describe('GET /api/news/article', () => {
+  let base;
+  let server;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/api/news', require('../routes/news'));
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}/api/news/article`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  function serve(html, headers = {}) {
+    return jest.spyOn(crawler, 'fetchPage').mockImplementation(async url => ({ url, headers, data: html }));
+  }
+
+  test('returns the extracted article with attribution', async () => {
+    const html = page({
+      head: '<link rel="canonical" href="https://www.bbc.co.uk/news/articles/cycle-lanes">',
+      body: `<article><h1>Cycle lanes approved</h1><div data-component="text-block"><p>${PARAGRAPH}</p></div></article>`
+    });
+    const fetchPage = serve(html);
+
+    const response = await fetch(`${base}?url=${encodeURIComponent('https://www.bbc.co.uk/news/articles/cycle-lanes?utm_source=share')}`);
+    const body = await response.json();
+    expect(response.status).toBe(200);
+    expect(fetchPage).toHaveBeenCalledWith('https://www.bbc.co.uk/news/articles/cycle-lanes', expect.objectContaining({ purpose: 'article' }));
+    expect(body).toMatchObject({
+      title: 'Cycle lanes approved',
+      method: 'rules',
+      source: 'https://www.bbc.co.uk/news/articles/cycle-lanes',
+      attribution: { text: 'Published by BBC News', originalUrl: 'https://www.bbc.co.uk/news/articles/cycle-lanes' }
+    });
+    expect(body.content.text).toBe(PARAGRAPH);
+  });
+
+  test('refuses pages that opt out of copies', async () => {
+    serve(page({ head: '<meta name="robots" content="noarchive">', body: `<article><p>${PARAGRAPH}</p></article>` }));
+    const response = await fetch(`${base}?url=${encodeURIComponent('https://www.bbc.co.uk/news/articles/private')}`);
+    expect(response.status).toBe(403);
+    expect((await response.json()).message).toBe('The publisher does not permit copies of this article to be served');
+  });
+});
@@ -0,0 +1,94 @@
+const { clusterPage, clusterArticles } = require('../lib/clustering');
+
+const NOW = Date.parse('2026-10-18T12:00:00Z');
+
+function article(source, title, link, { minutesAgo = 0, ...extra } = {}) {
+  return {
+    title,
+    link,
+    source,
+    description: '',
+    pubDate: new Date(NOW - minutesAgo * 60 * 1000).toISOString(),
+    trusted: false,
+    image: null,
+    ...extra
+  };
+}
+
+describe('clusterArticles', () => {
+  test('groups reports of one story from different sources', () => {
+    const stories = clusterArticles([
+      article('Sky News', 'Rail strike called off after pay deal agreed', 'https://sky.test/rail', { minutesAgo: 1 }),
+      article('BBC News', 'Rail strikes called off as pay deal is agreed', 'https://bbc.test/rail', { minutesAgo: 5, trusted: true }),
+      article('The Guardian', 'Premier League club appoints new manager', 'https://guardian.test/football', { minutesAgo: 10 })
+    ]);
+
+    expect(stories).toHaveLength(2);
+    // Trusted sources lead the story
+    expect(stories[0]).toMatchObject({ source: 'BBC News', link: 'https://bbc.test/rail' });
+    expect(stories[0].cluster.size).toBe(2);
+    expect(stories[0].cluster.alsoCoveredBy).toEqual([{
+      title: 'Rail strike called off after pay deal agreed',
+      link: 'https://sky.test/rail',
+      source: 'Sky News',
+      pubDate: new Date(NOW - 60 * 1000).toISOString(),
+      trusted: false
+    }]);
+    expect(stories[1].cluster).toMatchObject({ size: 1, alsoCoveredBy: [] });
+  });
+
+  test('never puts two different articles from one source in a story', () => {
+    const stories = clusterArticles([
+      article('BBC News', 'Rail strike called off after pay deal agreed', 'https://bbc.test/rail-1'),
+      article('BBC News', 'Rail strike called off after pay deal agreed', 'https://bbc.test/rail-2')
+    ]);
+    expect(stories).toHaveLength(2);
+  });
+
+  test('folds exact URL duplicates into one entry', () => {
+    const stories = clusterArticles([
+      article('BBC News', 'Rail strike called off', 'https://bbc.test/rail?utm_source=twitter'),
+      article('BBC News', 'Rail strike called off', 'https://bbc.test/rail')
+    ]);
+    expect(stories).toHaveLength(1);
+    expect(stories[0].cluster).toMatchObject({ size: 1, alsoCoveredBy: [] });
+  });
+
+  test('keeps stories published days apart separate', () => {
+    const stories = clusterArticles([
+      article('Sky News', 'Rail strike called off after pay deal agreed', 'https://sky.test/rail'),
+      article('BBC News', 'Rail strike called off after pay deal agreed', 'https://bbc.test/rail', { minutesAgo: 3 * 24 * 60 })
+    ]);
+    expect(stories).toHaveLength(2);
+  });
+
+  test('gives a story the same id whichever page it is listed on', () => {
+    const rail = article('BBC News', 'Rail strike called off', 'https://bbc.test/rail', { trusted: true });
+    const alone = clusterArticles([rail])[0].cluster.id;
+    const grouped = clusterArticles([
+      article('Sky News', 'Rail strike is called off', 'https://sky.test/rail'),
+      rail
+    ])[0].cluster.id;
+    expect(grouped).toBe(alone);
+    expect(alone).toMatch(/^[0-9a-f]{12}$/);
+  });
+});
+
+describe('clusterPage', () => {
+  test('stops before the story past the page and reports what it used', () => {
+    const articles = [
+      article('BBC News', 'Rail strike called off after pay deal agreed', 'https://bbc.test/rail'),
+      article('Sky News', 'Interest rates held by Bank of England', 'https://sky.test/rates'),
+      article('Sky News', 'Rail strike called off after pay deal', 'https://sky.test/rail'),
+      article('The Guardian', 'Premier League club appoints new manager', 'https://guardian.test/football'),
+      article('BBC News', 'Interest rates held by the Bank of England', 'https://bbc.test/rates')
+    ];
+
+    const page = clusterPage(articles, { maxClusters: 2 });
+    expect(page.stories.map(story => story.cluster.size)).toEqual([2, 1]);
+    expect(page.consumed).toBe(3);
+
+    const rest = clusterPage(articles.slice(page.consumed), { maxClusters: 2 });
+    expect(rest.consumed).toBe(2);
+  });
+});
@@ -0,0 +1,170 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const mockSafeFetch = jest.fn();
+jest.mock('../lib/safeFetch', () => ({
+  ...jest.requireActual('../lib/safeFetch'),
+  safeFetch: (...args) => mockSafeFetch(...args)
+}));
+
+const cheerio = require('cheerio');
+const db = require('../lib/database');
+const crawler = require('../lib/crawler');
+
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.status = status;
+  return error;
+}
+
+// Serve robots.txt (a string, or an error to reject with) and pages
+function site(robots, page = async url => ({ status: 200, headers: {}, data: '<p>Page</p>', url })) {
+  mockSafeFetch.mockImplementation(async (url, options) => {
+    if (url.endsWith('/robots.txt')) {
+      if (robots instanceof Error) {
+        throw robots;
+      }
+      return { status: 200, headers: {}, data: robots, url };
+    }
+    return page(url, options);
+  });
+}
+
+function pageFetches() {
+  return mockSafeFetch.mock.calls.filter(([url]) => !url.endsWith('/robots.txt'));
+}
+
+afterEach(() => mockSafeFetch.mockReset());
+afterAll(() => db.close());
+
+describe('robots.txt', () => {
+  test('allows only what it permits our agent to fetch', async () => {
+    site('User-agent: *\nDisallow: /private/\n\nUser-agent: UK-Compliant-News-Aggregator\nDisallow: /no-aggregators/');
+
+    await expect(crawler.fetchPage('https://robots-a.test/news/1', { purpose: 'image' })).resolves.toMatchObject({ status: 200 });
+    await expect(crawler.fetchPage('https://robots-a.test/no-aggregators/1', { purpose: 'article' }))
+      .rejects.toMatchObject({ reason: 'robots-disallow' });
+    await expect(crawler.fetchPage('https://robots-a.test/private/1', { purpose: 'article' }))
+      .resolves.toMatchObject({ status: 200 });
+    expect(pageFetches().map(([url]) => url)).toEqual(['https://robots-a.test/news/1', 'https://robots-a.test/private/1']);
+  });
+
+  test('is fetched once per origin and shared by concurrent callers', async () => {
+    site('');
+    await Promise.all([
+      crawler.fetchPage('https://robots-b.test/1', { purpose: 'image' }),
+      crawler.fetchPage('https://robots-b.test/2', { purpose: 'image' })
+    ]);
+    const robotsFetches = mockSafeFetch.mock.calls.filter(([url]) => url.endsWith('/robots.txt'));
+    expect(robotsFetches).toEqual([['https://robots-b.test/robots.txt', expect.objectContaining({ maxBytes: 512 * 1024 })]]);
+  });
+
+  test('allows everything when it is missing', async () => {
+    site(httpError(404));
+    await expect(crawler.fetchPage('https://robots-c.test/anything')).resolves.toMatchObject({ status: 200 });
+  });
+
+  test.each([
+    ['server errors', httpError(503)],
+    ['network errors', new Error('getaddrinfo ENOTFOUND')]
+  ])('blocks the host after %s', async (description, error) => {
+    const host = `robots-${error.status || 'network'}.test`;
+    site(error);
+    await expect(crawler.fetchPage(`https://${host}/story`, { purpose: 'article' })).rejects.toBeInstanceOf(crawler.CrawlSkippedError);
+    expect(pageFetches()).toEqual([]);
+  });
+});
+
+describe('politeness', () => {
+  test('fetches pages as HTML, through safeFetch, within the allowed domains', async () => {
+    site('');
+    const allowedDomains = new Set(['polite-a.test']);
+    await crawler.fetchPage('https://polite-a.test/story', { allowedDomains, timeout: 5000 });
+    expect(pageFetches()[0]).toEqual(['https://polite-a.test/story', {
+      allowedDomains,
+      contentTypes: ['text/html', 'application/xhtml+xml'],
+      timeout: 5000
+    }]);
+  });
+
+  test('keeps at most two requests open per host', async () => {
+    const finish = [];
+    site('', url => new Promise((resolve) => {
+      finish.push(() => resolve({ status: 200, headers: {}, data: '', url }));
+    }));
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    try {
+      const fetches = Promise.all([1, 2, 3, 4].map(n => crawler.fetchPage(`https://polite-b.test/${n}`)));
+      await jest.advanceTimersByTimeAsync(10 * 1000);
+      expect(pageFetches()).toHaveLength(crawler.MAX_CONCURRENT_PER_HOST);
+
+      finish.splice(0).forEach(done => done());
+      await jest.advanceTimersByTimeAsync(10 * 1000);
+      expect(pageFetches()).toHaveLength(4);
+      finish.splice(0).forEach(done => done());
+      await fetches;
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('spaces requests to a host by at least a second', async () => {
+    const times = [];
+    mockSafeFetch.mockImplementation(async (url) => {
+      times.push(Date.now());
+      return { status: 200, headers: {}, data: url.endsWith('/robots.txt') ? '' : '<p>Page</p>', url };
+    });
+    await crawler.fetchPage('https://polite-c.test/1');
+    await crawler.fetchPage('https://polite-c.test/2');
+    // Entries 1 and 2 are the pages; entry 0 is robots.txt
+    expect(times[2] - times[1]).toBeGreaterThanOrEqual(crawler.MIN_INTERVAL_MS - 20);
+  });
+
+  test('skips rather than wait out a long Crawl-delay', async () => {
+    site('User-agent: *\nCrawl-delay: 45');
+    await crawler.fetchPage('https://polite-d.test/1', { purpose: 'image' });
+    await expect(crawler.fetchPage('https://polite-d.test/2', { purpose: 'image' }))
+      .rejects.toMatchObject({ reason: 'crawl-delay', url: 'https://polite-d.test/2' });
+    expect(pageFetches()).toHaveLength(1);
+  });
+});
+
+describe('skipped fetches', () => {
+  test('are summarised per host and reason, and pruned after retention', async () => {
+    site('User-agent: *\nDisallow: /');
+    await expect(crawler.fetchPage('https://skips.test/a', { purpose: 'article' })).rejects.toThrow('Skipped');
+    await expect(crawler.fetchPage('https://skips.test/b', { purpose: 'image' })).rejects.toThrow('Skipped');
+    await crawler.recordSkip('https://skips.test/c', 'article', 'noarchive');
+
+    const summary = (await crawler.skipSummary()).filter(entry => entry.host === 'skips.test');
+    expect(summary).toEqual([
+      { host: 'skips.test', reason: 'noarchive', count: 1, lastSkippedAt: expect.any(String) },
+      { host: 'skips.test', reason: 'robots-disallow', count: 2, lastSkippedAt: expect.any(String) }
+    ]);
+    expect(await crawler.skipSummary({ since: new Date(Date.now() + 1000).toISOString() })).toEqual([]);
+
+    await db.run("UPDATE crawl_skips SET created_at = '2020-01-01T00:00:00.000Z' WHERE url = 'https://skips.test/a'");
+    expect(await crawler.pruneSkips(30)).toBe(1);
+    expect((await crawler.skipSummary()).find(entry => entry.reason === 'robots-disallow' && entry.host === 'skips.test').count).toBe(1);
+  });
+});
+
+describe('robotsDirectives', () => {
+  const directives = (meta, headers) => crawler.robotsDirectives(cheerio.load(`<head>${meta}</head>`), headers);
+
+  test.each([
+    ['a robots meta tag', '<meta name="robots" content="noarchive, nofollow">', {}, { noarchive: true }],
+    ['our own meta tag', '<meta name="UK-Compliant-News-Aggregator" content="nosnippet">', {}, { nosnippet: true }],
+    ['another crawler\'s meta tag', '<meta name="googlebot" content="noarchive">', {}, {}],
+    ['none', '<meta name="robots" content="none">', {}, { noindex: true, noarchive: true }],
+    ['an X-Robots-Tag header', '', { 'x-robots-tag': 'noimageindex' }, { noimageindex: true }],
+    ['a header scoped to us', '', { 'x-robots-tag': ['googlebot: nosnippet', 'uk-compliant-news-aggregator: noarchive'] }, { noarchive: true }]
+  ])('reads %s', (description, meta, headers, expected) => {
+    expect(directives(meta, headers)).toEqual({
+      noindex: false,
+      noarchive: false,
+      noimageindex: false,
+      nosnippet: false,
+      ...expected
+    });
+  });
+});
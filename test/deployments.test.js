@@ -0,0 +1,456 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.STORAGE_BACKEND = 'memory';
+
+const http = require('http');
+const express = require('express');
+const db = require('../lib/database');
+const articleStore = require('../lib/articleStore');
+const ingestion = require('../lib/ingestion');
+const consentRecords = require('../lib/consentRecords');
+const digests = require('../lib/digests');
+
+// The Express server and the Netlify functions serve the same handlers
+// (see lib/httpHandlers.js); every case below runs against both.
+
+function expressApp() {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use('/api/news', require('../routes/news'));
+  app.use('/api/images', require('../routes/images'));
+  app.use('/api/auth', require('../routes/auth'));
+  app.use('/api/privacy', require('../routes/privacy'));
+  app.use('/api/consent', require('../routes/consent'));
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+  return app;
+}
+
+function expressClient() {
+  let server;
+  let base;
+  return {
+    async start() {
+      await new Promise((resolve) => {
+        server = expressApp().listen(0, '127.0.0.1', resolve);
+      });
+      base = `http://127.0.0.1:${server.address().port}`;
+    },
+    stop() {
+      return new Promise(resolve => server.close(resolve));
+    },
+    // Plain http rather than fetch, which adds its own cache headers to
+    // conditional requests
+    request(method, path, { body, headers = {} } = {}) {
+      return new Promise((resolve, reject) => {
+        const request = http.request(`${base}${path}`, {
+          method,
+          headers: body ? { 'Content-Type': 'application/json', ...headers } : headers
+        }, (response) => {
+          let text = '';
+          response.setEncoding('utf8');
+          response.on('data', (chunk) => {
+            text += chunk;
+          });
+          response.on('end', () => resolve({
+            status: response.statusCode,
+            headers: response.headers,
+            text,
+            json: () => JSON.parse(text)
+          }));
+        });
+        request.on('error', reject);
+        request.end(body ? JSON.stringify(body) : undefined);
+      });
+    }
+  };
+}
+
+// Invokes the function handlers with events shaped as Netlify sends them
+// through the /api/* redirect
+function netlifyClient() {
+  return {
+    async start() {},
+    async stop() {},
+    async request(method, path, { body, headers = {} } = {}) {
+      const url = new URL(path, 'https://news.example.test');
+      const name = url.pathname.split('/')[2];
+      const { handler } = require(`../netlify/functions/${name}`);
+      const response = await handler({
+        httpMethod: method,
+        path: url.pathname,
+        headers: {
+          host: 'news.example.test',
+          'x-nf-client-connection-ip': '127.0.0.1',
+          ...(body ? { 'content-type': 'application/json' } : {}),
+          ...headers
+        },
+        queryStringParameters: Object.fromEntries(url.searchParams),
+        body: body ? JSON.stringify(body) : null,
+        isBase64Encoded: false
+      }, {});
+      const responseHeaders = {};
+      Object.entries(response.headers || {}).forEach(([key, value]) => {
+        responseHeaders[key.toLowerCase()] = value;
+      });
+      return {
+        status: response.statusCode,
+        headers: responseHeaders,
+        text: response.body,
+        json: () => JSON.parse(response.body)
+      };
+    }
+  };
+}
+
+beforeAll(async () => {
+  // The functions poll feeds before answering; nothing is fetched in tests
+  jest.spyOn(ingestion, 'ingestAll').mockResolvedValue({ inserted: 0, pruned: 0 });
+
+  await articleStore.upsertArticles([{
+    title: 'Council approves new cycle lanes',
+    link: 'https://www.bbc.co.uk/news/articles/cycle-lanes',
+    pubDate: new Date().toISOString(),
+    description: 'The scheme will add 20 miles of protected lanes.',
+    image: null,
+    source: 'BBC News',
+    category: 'general',
+    trusted: true
+  }]);
+});
+
+afterAll(async () => {
+  jest.restoreAllMocks();
+  await db.close();
+});
+
+describe.each([
+  ['Express', expressClient],
+  ['Netlify', netlifyClient]
+])('%s deployment', (name, createClient) => {
+  const client = createClient();
+  const email = `reader-${name.toLowerCase()}@example.test`;
+  let token;
+  let userId;
+
+  beforeAll(() => client.start());
+  afterAll(() => client.stop());
+
+  test('registers an account once', async () => {
+    const registered = await client.request('POST', '/api/auth/register', {
+      body: { email, password: 'correct horse', consent: 'true', age: 30 }
+    });
+    expect(registered.status).toBe(201);
+    userId = registered.json().user.id;
+
+    const duplicate = await client.request('POST', '/api/auth/register', {
+      body: { email, password: 'correct horse', consent: 'true', age: 30 }
+    });
+    expect(duplicate.status).toBe(400);
+    expect(duplicate.json().error).toBe('User already exists');
+
+    const invalid = await client.request('POST', '/api/auth/register', {
+      body: { email: 'not-an-email', password: 'short', consent: 'false', age: 9 }
+    });
+    expect(invalid.status).toBe(400);
+    expect(invalid.json().details.map(detail => detail.path).sort()).toEqual(['age', 'consent', 'email', 'password']);
+  });
+
+  test('logs in and reads the profile', async () => {
+    const wrong = await client.request('POST', '/api/auth/login', { body: { email, password: 'wrong password' } });
+    expect(wrong.status).toBe(401);
+
+    const login = await client.request('POST', '/api/auth/login', { body: { email, password: 'correct horse' } });
+    expect(login.status).toBe(200);
+    token = login.json().token;
+
+    const anonymous = await client.request('GET', '/api/auth/profile');
+    expect(anonymous.status).toBe(401);
+
+    const profile = await client.request('GET', '/api/auth/profile', { headers: { authorization: `Bearer ${token}` } });
+    expect(profile.status).toBe(200);
+    expect(profile.json().user).toMatchObject({ id: userId, email });
+    expect(profile.json().user.lastLogin).not.toBeNull();
+  });
+
+  test('rotates refresh tokens and revokes the session on reuse', async () => {
+    const login = await client.request('POST', '/api/auth/login', { body: { email, password: 'correct horse' } });
+    const first = login.json().refreshToken;
+
+    const refreshed = await client.request('POST', '/api/auth/refresh', { body: { refreshToken: first } });
+    expect(refreshed.status).toBe(200);
+    const { token: renewed, refreshToken: second } = refreshed.json();
+    expect(second).not.toBe(first);
+    expect((await client.request('GET', '/api/auth/profile', { headers: { authorization: `Bearer ${renewed}` } })).status).toBe(200);
+
+    const third = (await client.request('POST', '/api/auth/refresh', { body: { refreshToken: second } })).json().refreshToken;
+
+    // Replaying a refresh token two swaps old ends the whole session
+    expect((await client.request('POST', '/api/auth/refresh', { body: { refreshToken: first } })).status).toBe(401);
+    expect((await client.request('POST', '/api/auth/refresh', { body: { refreshToken: third } })).status).toBe(401);
+    expect((await client.request('GET', '/api/auth/profile', { headers: { authorization: `Bearer ${renewed}` } })).status).toBe(403);
+
+    expect((await client.request('POST', '/api/auth/refresh', { body: { refreshToken: 'not-a-token' } })).status).toBe(401);
+    expect((await client.request('POST', '/api/auth/refresh', { body: {} })).status).toBe(400);
+  });
+
+  test('lets two tabs refresh with the same token at once', async () => {
+    const login = await client.request('POST', '/api/auth/login', { body: { email, password: 'correct horse' } });
+    const shared = login.json().refreshToken;
+
+    const responses = await Promise.all([
+      client.request('POST', '/api/auth/refresh', { body: { refreshToken: shared } }),
+      client.request('POST', '/api/auth/refresh', { body: { refreshToken: shared } })
+    ]);
+    expect(responses.map(response => response.status)).toEqual([200, 200]);
+
+    // One tab gets the next refresh token; the other only an access token
+    const results = responses.map(response => response.json());
+    const next = results.map(result => result.refreshToken).filter(Boolean);
+    expect(next).toHaveLength(1);
+    for (const { token: tabToken } of results) {
+      expect((await client.request('GET', '/api/auth/profile', { headers: { authorization: `Bearer ${tabToken}` } })).status).toBe(200);
+    }
+    expect((await client.request('POST', '/api/auth/refresh', { body: { refreshToken: next[0] } })).status).toBe(200);
+  });
+
+  test('refreshing with a forged token leaves the session alone', async () => {
+    const login = await client.request('POST', '/api/auth/login', { body: { email, password: 'correct horse' } });
+    const { token: sessionToken, refreshToken } = login.json();
+    const [sessionId] = refreshToken.split('.');
+
+    const forged = await client.request('POST', '/api/auth/refresh', { body: { refreshToken: `${sessionId}.forged` } });
+    expect(forged.status).toBe(401);
+    expect((await client.request('GET', '/api/auth/profile', { headers: { authorization: `Bearer ${sessionToken}` } })).status).toBe(200);
+    expect((await client.request('POST', '/api/auth/refresh', { body: { refreshToken } })).status).toBe(200);
+  });
+
+  test('logout needs the refresh token itself, not just its session id', async () => {
+    const login = await client.request('POST', '/api/auth/login', { body: { email, password: 'correct horse' } });
+    const { token: sessionToken, refreshToken } = login.json();
+    const [sessionId] = refreshToken.split('.');
+
+    const forged = await client.request('POST', '/api/auth/logout', { body: { refreshToken: `${sessionId}.forged` } });
+    expect(forged.status).toBe(200);
+    expect((await client.request('GET', '/api/auth/profile', { headers: { authorization: `Bearer ${sessionToken}` } })).status).toBe(200);
+    expect((await client.request('POST', '/api/auth/refresh', { body: { refreshToken } })).status).toBe(200);
+  });
+
+  test('logout ends the session at once', async () => {
+    const login = await client.request('POST', '/api/auth/login', { body: { email, password: 'correct horse' } });
+    const { token: sessionToken, refreshToken } = login.json();
+
+    const logout = await client.request('POST', '/api/auth/logout', {
+      body: { refreshToken },
+      headers: { authorization: `Bearer ${sessionToken}` }
+    });
+    expect(logout.status).toBe(200);
+
+    expect((await client.request('GET', '/api/auth/profile', { headers: { authorization: `Bearer ${sessionToken}` } })).status).toBe(403);
+    expect((await client.request('POST', '/api/auth/refresh', { body: { refreshToken } })).status).toBe(401);
+
+    // Other sessions are unaffected
+    expect((await client.request('GET', '/api/auth/profile', { headers: { authorization: `Bearer ${token}` } })).status).toBe(200);
+  });
+
+  test('a password change signs out every session', async () => {
+    const other = (await client.request('POST', '/api/auth/login', { body: { email, password: 'correct horse' } })).json();
+
+    const wrong = await client.request('PUT', '/api/auth/password', {
+      body: { currentPassword: 'wrong password', newPassword: 'battery staple' },
+      headers: { authorization: `Bearer ${token}` }
+    });
+    expect(wrong.status).toBe(401);
+
+    const changed = await client.request('PUT', '/api/auth/password', {
+      body: { currentPassword: 'correct horse', newPassword: 'battery staple' },
+      headers: { authorization: `Bearer ${token}` }
+    });
+    expect(changed.status).toBe(200);
+
+    expect((await client.request('GET', '/api/auth/profile', { headers: { authorization: `Bearer ${other.token}` } })).status).toBe(403);
+    expect((await client.request('GET', '/api/auth/profile', { headers: { authorization: `Bearer ${token}` } })).status).toBe(403);
+    expect((await client.request('POST', '/api/auth/refresh', { body: { refreshToken: other.refreshToken } })).status).toBe(401);
+
+    token = changed.json().token;
+    expect((await client.request('GET', '/api/auth/profile', { headers: { authorization: `Bearer ${token}` } })).status).toBe(200);
+    expect((await client.request('POST', '/api/auth/login', { body: { email, password: 'battery staple' } })).status).toBe(200);
+  });
+
+  test('stores, reports and withdraws consent', async () => {
+    const auth = { authorization: `Bearer ${token}` };
+    expect((await client.request('POST', '/api/consent/give', {
+      body: { userId, consentType: 'analytics', consent: true, purpose: 'Usage statistics' }
+    })).status).toBe(401);
+
+    // Consent is recorded for the signed-in user, whatever the body names
+    const given = await client.request('POST', '/api/consent/give', {
+      headers: auth,
+      body: { userId: 'someone-else', consentType: 'analytics', consent: true, purpose: 'Usage statistics' }
+    });
+    expect(given.status).toBe(201);
+    expect(await consentRecords.recordsFor('someone-else')).toEqual([]);
+
+    const cookies = await client.request('POST', '/api/consent/cookies', {
+      headers: auth,
+      body: { essential: true, analytics: false, preferences: true }
+    });
+    expect(cookies.status).toBe(200);
+
+    const status = await client.request('GET', `/api/consent/status/${userId}`, { headers: auth });
+    expect(status.status).toBe(200);
+    expect(status.json().consents).toHaveLength(4);
+    expect(status.json().consents[0]).toMatchObject({ type: 'analytics', given: true, withdrawn: null });
+
+    expect((await client.request('POST', '/api/consent/withdraw', { body: { userId, consentType: 'analytics' } })).status).toBe(401);
+    const withdrawn = await client.request('POST', '/api/consent/withdraw', { headers: auth, body: { consentType: 'analytics' } });
+    expect(withdrawn.status).toBe(200);
+
+    const history = await client.request('GET', `/api/consent/history/${userId}`, { headers: auth });
+    const analytics = history.json().history.find(record => record.type === 'analytics');
+    expect(analytics.given).toBe(false);
+    expect(analytics.withdrawn).not.toBeNull();
+
+    // Records are only shown to their owner
+    expect((await client.request('GET', `/api/consent/history/${userId}`)).status).toBe(401);
+    expect((await client.request('GET', '/api/consent/status/someone-else', { headers: auth })).status).toBe(403);
+    expect((await client.request('GET', '/api/consent/history/someone-else', { headers: auth })).status).toBe(403);
+
+    // A malformed percent-escape in a path parameter is the client's mistake
+    expect((await client.request('GET', '/api/consent/status/%E0%A4%A', { headers: auth })).status).toBe(400);
+  });
+
+  test('stops email digests when marketing consent is withdrawn', async () => {
+    const auth = { authorization: `Bearer ${token}` };
+    const subscription = { email, frequency: 'daily', sendTime: '08:00', categories: ['general'] };
+
+    await digests.saveSubscription(userId, subscription);
+    await client.request('POST', '/api/consent/give', {
+      headers: auth,
+      body: { consentType: 'marketing', consent: true, purpose: 'Email digests' }
+    });
+    const withdrawn = await client.request('POST', '/api/consent/withdraw', { headers: auth, body: { consentType: 'marketing' } });
+    expect(withdrawn.status).toBe(200);
+    expect((await digests.getSubscription(userId)).enabled).toBe(false);
+
+    // Declining through the consent form counts too
+    await digests.saveSubscription(userId, subscription);
+    const declined = await client.request('POST', '/api/consent/give', {
+      headers: auth,
+      body: { consentType: 'marketing', consent: false, purpose: 'Email digests' }
+    });
+    expect(declined.status).toBe(201);
+    expect((await digests.getSubscription(userId)).enabled).toBe(false);
+  });
+
+  test('serves the privacy information', async () => {
+    const policy = await client.request('GET', '/api/privacy/policy');
+    expect(policy.status).toBe(200);
+    expect(policy.json().privacyPolicy.controller.name).toBe('UK Compliant News Aggregator');
+
+    const rights = await client.request('GET', '/api/privacy/rights');
+    expect(rights.json().userRights).toHaveProperty('erasure');
+  });
+
+  test('lists news and sources from the article store', async () => {
+    const news = await client.request('GET', '/api/news?limit=5');
+    expect(news.status).toBe(200);
+    expect(news.json().articles[0]).toMatchObject({
+      title: 'Council approves new cycle lanes',
+      attribution: { text: 'Published by BBC News' }
+    });
+
+    const invalid = await client.request('GET', '/api/news?limit=500');
+    expect(invalid.status).toBe(400);
+
+    const sources = await client.request('GET', '/api/news/sources');
+    expect(sources.json().sources.map(source => source.name)).toContain('BBC News');
+
+    const health = await client.request('GET', '/api/news/sources/health');
+    expect(health.status).toBe(200);
+  });
+
+  test('publishes feeds with conditional GET', async () => {
+    const feed = await client.request('GET', '/api/news/feed.rss');
+    expect(feed.status).toBe(200);
+    expect(feed.headers['content-type']).toContain('application/rss+xml');
+    expect(feed.text).toContain('Council approves new cycle lanes');
+
+    const cached = await client.request('GET', '/api/news/feed.rss', { headers: { 'if-none-match': feed.headers.etag } });
+    expect(cached.status).toBe(304);
+  });
+
+  test('refuses reader view for untrusted sites', async () => {
+    const untrusted = await client.request('GET', `/api/news/article?url=${encodeURIComponent('https://example.org/story')}`);
+    expect(untrusted.status).toBe(403);
+
+    const invalid = await client.request('GET', '/api/news/article?url=not-a-url');
+    expect(invalid.status).toBe(400);
+  });
+
+  test('checks image requests', async () => {
+    const expected = name === 'Express' ? [400, 404] : [501, 501];
+    expect((await client.request('GET', '/api/images/abc')).status).toBe(expected[0]);
+    expect((await client.request('GET', '/api/images/999999')).status).toBe(expected[1]);
+  });
+
+  test('reports the optional features it offers', async () => {
+    const response = await client.request('GET', '/api/news/features');
+    expect(response.status).toBe(200);
+    expect(response.json().features).toEqual({
+      liveUpdates: name === 'Express',
+      sourceAdmin: name === 'Express',
+      alerts: name === 'Express',
+      digests: name === 'Express',
+      imageProxy: name === 'Express'
+    });
+  });
+
+  test('answers unknown paths with 404', async () => {
+    expect((await client.request('GET', '/api/privacy/unknown')).status).toBe(404);
+    expect((await client.request('GET', '/api/news/test-images')).status).toBe(404);
+  });
+
+  test('deletes the account', async () => {
+    const deleted = await client.request('DELETE', '/api/auth/profile', { headers: { authorization: `Bearer ${token}` } });
+    expect(deleted.status).toBe(200);
+
+    const login = await client.request('POST', '/api/auth/login', { body: { email, password: 'battery staple' } });
+    expect(login.status).toBe(401);
+
+    const profile = await client.request('GET', '/api/auth/profile', { headers: { authorization: `Bearer ${token}` } });
+    expect(profile.status).toBe(403);
+
+    // Consent records are kept for the retention period
+    expect(await consentRecords.recordsFor(userId)).not.toHaveLength(0);
+  });
+});
+
+describe('Netlify functions', () => {
+  const client = netlifyClient();
+
+  test('say which Express-only features they lack', async () => {
+    const unavailable = await Promise.all([
+      client.request('GET', '/api/news/stream?category=general'),
+      client.request('POST', '/api/news/sources', { body: { name: 'Example', url: 'https://example.test/feed' } }),
+      client.request('GET', '/api/news/sources/export.opml'),
+      client.request('DELETE', '/api/news/sources/1'),
+      client.request('GET', '/api/alerts'),
+      client.request('POST', '/api/alerts/1/secret'),
+      client.request('PUT', '/api/digests/subscription', { body: {} }),
+      client.request('GET', '/api/images/1?size=small')
+    ]);
+    unavailable.forEach((response) => {
+      expect(response.status).toBe(501);
+      expect(response.json().error).toBe('Not available on this deployment');
+    });
+  });
+
+  test('still list sources at /api/sources', async () => {
+    const sources = await client.request('GET', '/api/sources');
+    expect(sources.status).toBe(200);
+    expect(sources.json().sources.length).toBeGreaterThan(0);
+    expect((await client.request('GET', '/api/sources/health')).status).toBe(200);
+  });
+});
@@ -0,0 +1,276 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.PUBLIC_URL = 'https://news.example.test/';
+process.env.MAIL_DIR = require('fs').mkdtempSync(require('path').join(require('os').tmpdir(), 'digests-test-mail-'));
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const db = require('../lib/database');
+const articleStore = require('../lib/articleStore');
+const sessions = require('../lib/sessions');
+const consentRecords = require('../lib/consentRecords');
+const digests = require('../lib/digests');
+const mailer = require('../lib/mailer');
+const { buildDigest } = require('../lib/digestBuilder');
+const { signAccessToken } = require('../middleware/auth');
+
+// A daily digest due right now, in UTC so the send time is easy to work out
+function dueNow(email, now = new Date()) {
+  return {
+    email,
+    frequency: 'daily',
+    sendTime: now.toISOString().slice(11, 16),
+    timezone: 'UTC',
+    categories: ['general']
+  };
+}
+
+function giveMarketingConsent(userId) {
+  return consentRecords.recordConsent({ userId, consentType: 'marketing', consent: true, purpose: 'Email news digest (daily)' });
+}
+
+function tokenOf(userId) {
+  return db.get('SELECT unsubscribe_token FROM digest_subscriptions WHERE user_id = ?', [userId]).then(row => row.unsubscribe_token);
+}
+
+function outboxFor(userId) {
+  return db.all('SELECT * FROM email_outbox WHERE user_id = ? ORDER BY id', [userId]);
+}
+
+beforeAll(() => articleStore.upsertArticles([
+  { title: 'Budget <special> edition', link: 'https://www.bbc.co.uk/news/budget', pubDate: new Date().toISOString(), description: 'Tax changes announced.', source: 'BBC News', category: 'business' },
+  { title: 'Budget reaction', link: 'https://www.theguardian.com/budget', pubDate: new Date().toISOString(), description: 'Reaction to the budget.', source: 'The Guardian', category: 'business' }
+]));
+
+afterAll(async () => {
+  await db.close();
+  await fs.promises.rm(process.env.MAIL_DIR, { recursive: true, force: true });
+});
+
+describe('isDue', () => {
+  const daily = { frequency: 'daily', sendTime: '08:00', timezone: 'Europe/London', lastRunAt: null };
+  const weekly = { ...daily, frequency: 'weekly', sendDay: 0 };
+
+  // 18 October 2026 is a Sunday, with London on BST (UTC+1)
+  test.each([
+    ['at the local send time', daily, '2026-10-18T07:00:00Z', true],
+    ['within the hour after it', daily, '2026-10-18T07:59:00Z', true],
+    ['before it', daily, '2026-10-18T06:59:00Z', false],
+    ['an hour or more after it', daily, '2026-10-18T08:00:00Z', false],
+    ['in another time zone', { ...daily, timezone: 'America/New_York' }, '2026-10-18T12:30:00Z', true],
+    ['after a run earlier that day', { ...daily, lastRunAt: '2026-10-17T23:30:00Z' }, '2026-10-18T07:10:00Z', false],
+    ['after a run the day before', { ...daily, lastRunAt: '2026-10-17T07:00:00Z' }, '2026-10-18T07:10:00Z', true],
+    ['on the weekly send day', weekly, '2026-10-18T07:00:00Z', true],
+    ['on other days of the week', weekly, '2026-10-19T07:00:00Z', false]
+  ])('%s', (description, subscription, now, due) => {
+    expect(digests.isDue(subscription, new Date(now))).toBe(due);
+  });
+});
+
+describe('buildDigest', () => {
+  const story = {
+    title: 'Rates <held>',
+    link: 'https://www.bbc.co.uk/news/rates?a=1&b=2',
+    source: 'BBC News',
+    pubDate: '2026-10-18T07:00:00.000Z',
+    summary: 'The Bank of England held rates & said more cuts may follow.',
+    attribution: { text: '© BBC, via BBC News' },
+    cluster: { alsoCoveredBy: [{ source: 'Sky News' }, { source: 'Reuters UK' }] }
+  };
+  const digest = buildDigest({
+    frequency: 'weekly',
+    sections: [{ category: 'business', stories: [story] }],
+    timezone: 'Europe/London',
+    unsubscribeUrl: 'https://news.test/api/digests/unsubscribe/token',
+    manageUrl: 'https://news.test/',
+    date: new Date('2026-10-18T07:00:00Z')
+  });
+
+  test('names the period and day in the subject', () => {
+    expect(digest.subject).toBe('Your weekly news digest for Sunday 18 October');
+  });
+
+  test('credits each story to its publisher and links to the original', () => {
+    expect(digest.html).toContain('<a href="https://www.bbc.co.uk/news/rates?a=1&amp;b=2"');
+    expect(digest.html).toContain('>Rates &lt;held&gt;</a>');
+    expect(digest.html).toContain('© BBC, via BBC News · 18 Oct, 08:00');
+    expect(digest.html).toContain('Also covered by Sky News, Reuters UK');
+    expect(digest.html).toContain('Read the full story at BBC News');
+
+    expect(digest.text).toContain([
+      'BUSINESS',
+      '',
+      '* Rates <held>',
+      '  © BBC, via BBC News (18 Oct, 08:00)',
+      '  The Bank of England held rates & said more cuts may follow.',
+      '  Also covered by Sky News, Reuters UK',
+      '  https://www.bbc.co.uk/news/rates?a=1&b=2'
+    ].join('\n'));
+  });
+
+  test('ends with the reason for sending and an unsubscribe link', () => {
+    expect(digest.html).toContain('<a href="https://news.test/api/digests/unsubscribe/token" style="color:#1a4480">Unsubscribe</a>');
+    expect(digest.text).toContain('You are receiving this because you opted in to the weekly digest.');
+    expect(digest.text).toContain('Unsubscribe: https://news.test/api/digests/unsubscribe/token');
+  });
+
+  test('says so when there are no stories', () => {
+    const empty = buildDigest({ frequency: 'daily', sections: [], timezone: 'UTC', unsubscribeUrl: 'u', manageUrl: 'm' });
+    expect(empty.text).toContain('No new stories from your chosen categories and sources.');
+  });
+});
+
+describe('subscriptions', () => {
+  test('keep their unsubscribe token when updated', async () => {
+    const saved = await digests.saveSubscription('keeps-token', { ...dueNow('keeps@example.test'), frequency: 'weekly', sendDay: 3 });
+    expect(saved).toMatchObject({ frequency: 'weekly', sendDay: 3, sources: null, enabled: true });
+    const token = await tokenOf('keeps-token');
+
+    const updated = await digests.saveSubscription('keeps-token', { ...dueNow('keeps@example.test'), sendDay: 3, sources: ['BBC'] });
+    expect(updated).toMatchObject({ frequency: 'daily', sendDay: null, sources: ['BBC'] });
+    expect(await tokenOf('keeps-token')).toBe(token);
+  });
+
+  test('default to London time', async () => {
+    const { timezone, ...subscription } = dueNow('london@example.test');
+    expect((await digests.saveSubscription('london', subscription)).timezone).toBe(digests.DEFAULT_TIMEZONE);
+  });
+});
+
+describe('runDigests', () => {
+  test('queues and sends due digests once a day', async () => {
+    const now = new Date();
+    await digests.saveSubscription('reader-1', dueNow('reader-1@example.test', now));
+    await giveMarketingConsent('reader-1');
+
+    expect(await digests.runDigests(now)).toBeGreaterThanOrEqual(1);
+    const [email] = await outboxFor('reader-1');
+    expect(email).toMatchObject({ status: 'sent', recipient: 'reader-1@example.test', purpose: 'digest' });
+    expect(JSON.parse(email.headers)).toEqual({
+      'List-Unsubscribe': `<https://news.example.test/api/digests/unsubscribe/${await tokenOf('reader-1')}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    });
+
+    const message = await fs.promises.readFile(path.join(mailer.MAIL_DIR, `${email.id}-digest.eml`), 'utf8');
+    expect(message).toContain('To: reader-1@example.test');
+    expect(message).toContain('List-Unsubscribe-Post: List-Unsubscribe=One-Click');
+
+    await digests.runDigests(now);
+    expect(await outboxFor('reader-1')).toHaveLength(1);
+  });
+
+  test('sends nothing without marketing consent', async () => {
+    await digests.saveSubscription('no-consent', dueNow('no-consent@example.test'));
+    await digests.runDigests();
+    expect(await outboxFor('no-consent')).toEqual([]);
+  });
+
+  test('drops queued digests whose consent is withdrawn before sending', async () => {
+    await giveMarketingConsent('withdrawn');
+    await mailer.enqueueEmail({ userId: 'withdrawn', purpose: 'digest', to: 'withdrawn@example.test', subject: 'Digest', html: '<p>Digest</p>', text: 'Digest' });
+    await consentRecords.withdraw('withdrawn', 'marketing');
+
+    await mailer.flushOutbox();
+    expect(await outboxFor('withdrawn')).toEqual([
+      expect.objectContaining({ status: 'cancelled', last_error: 'No marketing consent', sent_at: null })
+    ]);
+  });
+});
+
+describe('unsubscribing', () => {
+  test('disables the subscription, withdraws consent and cancels queued digests', async () => {
+    await digests.saveSubscription('leaving', dueNow('leaving@example.test'));
+    await giveMarketingConsent('leaving');
+    await mailer.enqueueEmail({ userId: 'leaving', purpose: 'digest', to: 'leaving@example.test', subject: 'Digest', html: '<p>Digest</p>', text: 'Digest' });
+
+    expect(await digests.unsubscribeByToken(await tokenOf('leaving'))).toBe(true);
+    expect((await digests.getSubscription('leaving')).enabled).toBe(false);
+    expect(await consentRecords.hasConsent('leaving', 'marketing')).toBe(false);
+    expect((await outboxFor('leaving')).map(email => [email.status, email.last_error])).toEqual([['cancelled', 'Cancelled by the recipient']]);
+
+    expect(await digests.unsubscribeByToken('not-a-real-token')).toBe(false);
+  });
+});
+
+describe('digest endpoints', () => {
+  let server;
+  let base;
+  let token;
+
+  beforeAll(async () => {
+    const { session } = await sessions.startSession('api-user');
+    token = signAccessToken({ id: 'api-user', email: 'api-user@example.test' }, session.id);
+    const app = express();
+    app.use(express.json());
+    app.use('/api/digests', require('../routes/digests'));
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}/api/digests`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  function request(method, pathname, body) {
+    return fetch(`${base}${pathname}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  }
+
+  const subscription = { frequency: 'weekly', sendTime: '07:30', sendDay: 1, categories: ['business', 'business'], consent: true };
+
+  test('opting in records marketing consent', async () => {
+    const response = await request('PUT', '/subscription', subscription);
+    const body = await response.json();
+    expect(response.status).toBe(200);
+    expect(body.subscription).toMatchObject({ email: 'api-user@example.test', frequency: 'weekly', sendDay: 1, categories: ['business'] });
+    expect(body.consent).toMatchObject({ type: 'marketing' });
+
+    expect(await (await request('GET', '/subscription')).json()).toMatchObject({ consent: true, subscription: { enabled: true } });
+  });
+
+  test.each([
+    ['without consent', { ...subscription, consent: false }],
+    ['weekly without a day', { ...subscription, sendDay: undefined }],
+    ['with an unknown time zone', { ...subscription, timezone: 'Mars/Olympus' }],
+    ['with no categories', { ...subscription, categories: [] }],
+    ['with a bad send time', { ...subscription, sendTime: '24:00' }]
+  ])('refuses subscriptions %s', async (description, body) => {
+    const response = await request('PUT', '/subscription', body);
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('Invalid digest subscription');
+  });
+
+  test('previews the next digest', async () => {
+    const response = await request('GET', '/preview');
+    const body = await response.json();
+    expect(response.status).toBe(200);
+    expect(body.subject).toMatch(/^Your weekly news digest for /);
+    expect(body.text).toContain('* Budget <special> edition');
+  });
+
+  test('unsubscribe links ask for confirmation, then unsubscribe without signing in', async () => {
+    const unsubscribeToken = await tokenOf('api-user');
+    const page = await fetch(`${base}/unsubscribe/${unsubscribeToken}`);
+    expect(page.status).toBe(200);
+    expect(await page.text()).toContain(`<form method="post" action="/api/digests/unsubscribe/${unsubscribeToken}">`);
+    expect((await digests.getSubscription('api-user')).enabled).toBe(true);
+
+    const confirmed = await fetch(`${base}/unsubscribe/${unsubscribeToken}`, { method: 'POST' });
+    expect(confirmed.status).toBe(200);
+    expect(await confirmed.text()).toContain('You have been unsubscribed');
+    expect(await (await request('GET', '/subscription')).json()).toMatchObject({ consent: false, subscription: { enabled: false } });
+
+    expect((await fetch(`${base}/unsubscribe/${'x'.repeat(32)}`, { method: 'POST' })).status).toBe(404);
+    expect((await fetch(`${base}/unsubscribe/short`)).status).toBe(404);
+  });
+
+  test('opting out through the account stops digests', async () => {
+    await request('PUT', '/subscription', subscription);
+    expect((await request('DELETE', '/subscription')).status).toBe(200);
+    expect(await consentRecords.hasConsent('api-user', 'marketing')).toBe(false);
+    expect((await fetch(`${base}/subscription`)).status).toBe(401);
+  });
+});
@@ -0,0 +1,84 @@
+const { extractTerms, termKey, plainText } = require('../lib/entityExtractor');
+
+function entitiesOf(title, description = '') {
+  return extractTerms({ title, description }).entities;
+}
+
+describe('extractTerms', () => {
+  test('classifies people, organisations and places', () => {
+    const entities = entitiesOf(
+      'Talks collapse in Brussels',
+      'Chancellor Rachel Reeves told the House of Commons that the Bank of England would act. Ministers from France met Mr Smith at Heathrow Airport, and the NHS and Norfolk Fire Service were briefed.'
+    );
+    expect(entities).toEqual(expect.arrayContaining([
+      { name: 'Brussels', type: 'place' },
+      { name: 'Rachel Reeves', type: 'person' },
+      { name: 'House of Commons', type: 'organisation' },
+      { name: 'Bank of England', type: 'organisation' },
+      { name: 'France', type: 'place' },
+      { name: 'Smith', type: 'person' },
+      { name: 'Heathrow Airport', type: 'place' },
+      { name: 'NHS', type: 'organisation' },
+      { name: 'Norfolk Fire Service', type: 'organisation' }
+    ]));
+    expect(entities.map(entity => entity.name)).not.toContain('Chancellor Rachel Reeves');
+  });
+
+  test('folds surnames into the full name mentioned elsewhere', () => {
+    expect(entitiesOf(
+      'Starmer and Badenoch clash',
+      'Keir Starmer faced Kemi Badenoch. Starmer said Badenoch was wrong.'
+    )).toEqual([
+      { name: 'Keir Starmer', type: 'person' },
+      { name: 'Kemi Badenoch', type: 'person' }
+    ]);
+  });
+
+  test('does not take an ordinary word starting a sentence for a name', () => {
+    expect(entitiesOf('Police say the road was closed after Shell lorry crash', 'Shell said nobody was hurt.'))
+      .toEqual([{ name: 'Shell', type: 'organisation' }]);
+  });
+
+  test('trusts only known names in Title Case headlines', () => {
+    expect(entitiesOf('Prime Minister Keir Starmer Meets Emmanuel Macron In Paris For Talks'))
+      .toEqual([{ name: 'Paris', type: 'place' }]);
+  });
+
+  test('ranks names in the title above those only in the description', () => {
+    const [first] = entitiesOf('Wales braced for storm', 'Forecasters in Cardiff and Swansea expect flooding.');
+    expect(first).toEqual({ name: 'Wales', type: 'place' });
+  });
+
+  test('picks key phrases that are not stopwords or entities', () => {
+    const { entities, keyPhrases } = extractTerms({
+      title: 'Interest rates held as inflation falls',
+      description: 'Interest rates were held at 5% by the Bank of England as inflation falls to 2%.'
+    });
+    expect(entities).toEqual([{ name: 'Bank of England', type: 'organisation' }]);
+    expect(keyPhrases[0]).toBe('interest rates');
+    expect(keyPhrases.join(' ')).not.toMatch(/bank|england|held|\d/);
+  });
+
+  test('copes with missing text', () => {
+    expect(extractTerms({ title: null })).toEqual({ entities: [], keyPhrases: [] });
+  });
+});
+
+describe('termKey', () => {
+  test.each([
+    ['Starmer\'s', 'starmer'],
+    ['Élysée Palaces', 'elysee palace'],
+    ['Boss', 'boss'],
+    ['Interest Rates', 'interest rate'],
+    ['M&S', 'm&s'],
+    [null, '']
+  ])('%p is %p', (value, key) => {
+    expect(termKey(value)).toBe(key);
+  });
+});
+
+describe('plainText', () => {
+  test('strips markup and entities', () => {
+    expect(plainText('<p>Tom &amp; Jerry&nbsp;go &quot;out&quot;</p>\n')).toBe('Tom & Jerry go out');
+  });
+});
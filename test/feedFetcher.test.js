@@ -0,0 +1,140 @@
+const mockSafeFetch = jest.fn();
+jest.mock('../lib/safeFetch', () => {
+  const actual = jest.requireActual('../lib/safeFetch');
+  mockSafeFetch.mockImplementation(actual.safeFetch);
+  return { ...actual, safeFetch: (...args) => mockSafeFetch(...args) };
+});
+
+const { UnsafeUrlError } = require('../lib/safeFetch');
+const { fetchFeed, discoverFeeds, shouldSkip } = require('../lib/feedFetcher');
+
+// Feed URLs come from admins and OPML files; none may reach the server's
+// own network
+describe.each([
+  ['fetchFeed', url => fetchFeed(url)],
+  ['discoverFeeds', url => discoverFeeds(url)]
+])('%s', (name, fetchUrl) => {
+  test.each([
+    ['loopback addresses', 'http://127.0.0.1/feed.xml'],
+    ['private addresses', 'http://10.0.0.8/feed.xml'],
+    ['link-local metadata addresses', 'http://169.254.169.254/latest/meta-data/'],
+    ['IPv6 loopback', 'http://[::1]/feed.xml'],
+    ['non-standard ports', 'http://feeds.example.com:6379/'],
+    ['other protocols', 'file:///etc/passwd']
+  ])('refuses %s', async (description, url) => {
+    await expect(fetchUrl(url)).rejects.toThrow(UnsafeUrlError);
+  });
+});
+
+describe('conditional GET', () => {
+  const url = 'https://feeds.test/news.xml';
+  const rss = `<?xml version="1.0"?>
+<rss version="2.0"><channel>
+  <title>Example News</title>
+  <ttl>30</ttl>
+  <skipHours><hour>1</hour><hour>2</hour><hour>25</hour></skipHours>
+  <item><title>First story</title><link>https://news.test/first</link></item>
+</channel></rss>`;
+
+  function respond(status, headers, data = null) {
+    mockSafeFetch.mockResolvedValueOnce({ status, headers, data, url });
+  }
+
+  function secondsUntil(time) {
+    return Math.round((new Date(time).getTime() - Date.now()) / 1000);
+  }
+
+  test('sends the validators it was given', async () => {
+    respond(304, {});
+    await fetchFeed(url, { etag: '"abc"', lastModified: 'Sat, 17 Oct 2026 08:00:00 GMT' });
+    expect(mockSafeFetch).toHaveBeenLastCalledWith(url, expect.objectContaining({
+      notModified: true,
+      headers: expect.objectContaining({
+        'If-None-Match': '"abc"',
+        'If-Modified-Since': 'Sat, 17 Oct 2026 08:00:00 GMT'
+      })
+    }));
+  });
+
+  test('returns the feed with new validators and cache hints', async () => {
+    respond(200, {
+      'content-type': 'application/rss+xml',
+      etag: '"v2"',
+      'last-modified': 'Sun, 18 Oct 2026 08:00:00 GMT',
+      'cache-control': 'public, max-age=600'
+    }, rss);
+
+    const result = await fetchFeed(url);
+    expect(result.status).toBe('ok');
+    expect(result.feed.items.map(item => item.title)).toEqual(['First story']);
+    expect(result.state).toMatchObject({ etag: '"v2"', lastModified: 'Sun, 18 Oct 2026 08:00:00 GMT', skipHours: [1, 2] });
+    // The feed's 30-minute <ttl> is longer than max-age
+    expect(secondsUntil(result.state.nextFetchAt)).toBeCloseTo(30 * 60, -1);
+  });
+
+  test('keeps the validators when the feed is not modified', async () => {
+    respond(304, { 'cache-control': 'max-age=120' });
+    const state = { etag: '"v2"', lastModified: 'Sun, 18 Oct 2026 08:00:00 GMT', skipHours: [] };
+
+    const result = await fetchFeed(url, state);
+    expect(result.status).toBe('not-modified');
+    expect(result.state).toMatchObject({ etag: '"v2"', lastModified: 'Sun, 18 Oct 2026 08:00:00 GMT' });
+    expect(secondsUntil(result.state.nextFetchAt)).toBeCloseTo(120, -1);
+  });
+
+  test.each([
+    ['Expires', { expires: new Date(Date.now() + 300 * 1000).toUTCString(), date: new Date().toUTCString() }, 300],
+    ['s-maxage', { 'cache-control': 's-maxage=90' }, 90],
+    ['no-cache over max-age', { 'cache-control': 'no-cache, max-age=600' }, null],
+    ['at most six hours', { 'cache-control': 'max-age=86400' }, 6 * 60 * 60]
+  ])('reads %s', async (description, headers, seconds) => {
+    respond(304, headers);
+    const { state } = await fetchFeed(url, {});
+    if (seconds === null) {
+      expect(state.nextFetchAt).toBeNull();
+    } else {
+      expect(secondsUntil(state.nextFetchAt)).toBeCloseTo(seconds, -1);
+    }
+  });
+
+  test('skips polls the publisher asked us not to make', async () => {
+    mockSafeFetch.mockClear();
+    const later = new Date(Date.now() + 60 * 1000).toISOString();
+    expect(await fetchFeed(url, { nextFetchAt: later })).toEqual({ status: 'skipped', state: { nextFetchAt: later } });
+    expect(mockSafeFetch).not.toHaveBeenCalled();
+  });
+
+  test('honours skipHours in GMT', () => {
+    const at = new Date('2026-10-18T01:30:00Z');
+    expect(shouldSkip({ skipHours: [1] }, at)).toBe(true);
+    expect(shouldSkip({ skipHours: [2] }, at)).toBe(false);
+    expect(shouldSkip({ nextFetchAt: '2026-10-18T01:00:00Z' }, at)).toBe(false);
+    expect(shouldSkip({}, at)).toBe(false);
+  });
+});
+
+describe('discoverFeeds', () => {
+  test('lists the feeds a page advertises, resolved against where it ended up', async () => {
+    mockSafeFetch.mockResolvedValueOnce({
+      status: 200,
+      headers: { 'content-type': 'text/html; charset=utf-8' },
+      data: '<head><link rel="alternate" type="application/rss+xml" title="Top stories" href="rss.xml"></head>',
+      url: 'https://www.site.test/news/'
+    });
+    expect(await discoverFeeds('https://site.test/')).toEqual([
+      { url: 'https://www.site.test/news/rss.xml', type: 'application/rss+xml', title: 'Top stories' }
+    ]);
+  });
+
+  test('returns a URL that already serves a feed as-is', async () => {
+    mockSafeFetch.mockResolvedValueOnce({
+      status: 200,
+      headers: { 'content-type': 'application/atom+xml' },
+      data: '<feed xmlns="http://www.w3.org/2005/Atom"><title>Site Atom</title></feed>',
+      url: 'https://site.test/atom'
+    });
+    expect(await discoverFeeds('https://site.test/atom')).toEqual([
+      { url: 'https://site.test/atom', type: 'application/atom+xml', title: 'Site Atom' }
+    ]);
+  });
+});
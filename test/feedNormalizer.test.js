@@ -0,0 +1,209 @@
+const feedNormalizer = require('../lib/feedNormalizer');
+
+const RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>Example RSS</title>
+    <link>https://rss.example/news/</link>
+    <ttl>15</ttl>
+    <item>
+      <title>  Budget announced  </title>
+      <link>/news/budget</link>
+      <guid>budget-1</guid>
+      <pubDate>Tue, 10 Mar 2026 09:30:00 BST</pubDate>
+      <description>The budget was announced today.</description>
+      <content:encoded><![CDATA[<p>The <b>full</b> budget story.</p>]]></content:encoded>
+      <category>Business</category>
+      <category>Business</category>
+      <media:content url="https://rss.example/video.mp4" medium="video" />
+      <media:thumbnail url="images/budget.jpg" />
+    </item>
+    <item>
+      <title>Undated story</title>
+      <link>javascript:alert(1)</link>
+      <enclosure url="https://rss.example/photo.png" type="image/png" length="1" />
+    </item>
+  </channel>
+</rss>`;
+
+const RDF = `<?xml version="1.0"?>
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel rdf:about="https://rdf.example/">
+    <title>Example RDF</title>
+    <link>https://rdf.example/</link>
+  </channel>
+  <item rdf:about="https://rdf.example/story">
+    <title>RDF story</title>
+    <link>https://rdf.example/story</link>
+    <dc:date>2026-03-10T08:00:00Z</dc:date>
+  </item>
+</rdf:RDF>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Example Atom</title>
+  <link href="https://atom.example/"/>
+  <entry>
+    <title>Atom story</title>
+    <id>tag:atom.example,2026:1</id>
+    <link href="https://atom.example/story"/>
+    <updated>2026-03-10T07:00:00Z</updated>
+    <summary>Atom summary</summary>
+    <category term="politics" label="Politics"/>
+  </entry>
+</feed>`;
+
+const JSON_FEED = JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: 'Example JSON',
+  home_page_url: 'https://json.example/',
+  items: [{
+    id: 42,
+    title: 'JSON story',
+    url: '/story',
+    date_published: '2026-03-10T06:00:00Z',
+    content_html: '<p>Hello <em>JSON</em> <img src="/lead.jpg"></p>',
+    tags: ['Sport', 'Sport', 'Football']
+  }]
+});
+
+describe('parseFeed', () => {
+  test('normalises RSS 2.0 items', async () => {
+    const feed = await feedNormalizer.parseFeed(RSS, 'application/rss+xml', 'https://rss.example/feed.xml');
+    expect(feed).toMatchObject({ format: 'rss', title: 'Example RSS', link: 'https://rss.example/news/', ttl: '15' });
+
+    const [story, undated] = feed.items;
+    expect(story).toEqual({
+      guid: 'budget-1',
+      title: 'Budget announced',
+      link: 'https://rss.example/news/budget',
+      pubDate: '2026-03-10T08:30:00.000Z',
+      description: 'The budget was announced today.',
+      content: '<p>The <b>full</b> budget story.</p>',
+      image: 'https://rss.example/news/images/budget.jpg',
+      categories: ['Business']
+    });
+
+    // Links that are not http(s) are dropped; undated items stay undated
+    expect(undated.link).toBeNull();
+    expect(undated.image).toBe('https://rss.example/photo.png');
+    expect(undated.pubDate).toBeNull();
+  });
+
+  test('normalises RSS 1.0 (RDF) items', async () => {
+    const feed = await feedNormalizer.parseFeed(RDF, 'application/rdf+xml');
+    expect(feed.format).toBe('rdf');
+    expect(feed.items[0]).toMatchObject({
+      title: 'RDF story',
+      link: 'https://rdf.example/story',
+      pubDate: '2026-03-10T08:00:00.000Z'
+    });
+  });
+
+  test('normalises Atom entries', async () => {
+    const feed = await feedNormalizer.parseFeed(ATOM, 'application/atom+xml');
+    expect(feed.format).toBe('atom');
+    expect(feed.items[0]).toMatchObject({
+      guid: 'tag:atom.example,2026:1',
+      link: 'https://atom.example/story',
+      pubDate: '2026-03-10T07:00:00.000Z',
+      description: 'Atom summary',
+      categories: ['Politics']
+    });
+  });
+
+  test('normalises JSON Feed items', async () => {
+    const feed = await feedNormalizer.parseFeed(JSON_FEED, 'application/feed+json');
+    expect(feed).toMatchObject({ format: 'json', title: 'Example JSON', ttl: null, skipHours: null });
+    expect(feed.items[0]).toEqual({
+      guid: '42',
+      title: 'JSON story',
+      link: 'https://json.example/story',
+      pubDate: '2026-03-10T06:00:00.000Z',
+      description: 'Hello JSON',
+      content: '<p>Hello <em>JSON</em> <img src="/lead.jpg"></p>',
+      image: 'https://json.example/lead.jpg',
+      categories: ['Sport', 'Football']
+    });
+  });
+
+  test('recognises JSON Feeds served with a generic content type', async () => {
+    const feed = await feedNormalizer.parseFeed(JSON_FEED, 'text/plain');
+    expect(feed.format).toBe('json');
+    await expect(feedNormalizer.parseFeed('{"items": []}', 'application/json')).rejects.toThrow('Not a JSON Feed document');
+  });
+
+  test('rejects documents that are not feeds', async () => {
+    await expect(feedNormalizer.parseFeed('<html><body>Not a feed</body></html>', 'text/html')).rejects.toThrow();
+  });
+});
+
+describe('normalizeDate', () => {
+  test.each([
+    ['2026-03-10T09:30:00+01:00', '2026-03-10T08:30:00.000Z'],
+    ['Tue, 10 Mar 2026 09:30:00 GMT', '2026-03-10T09:30:00.000Z'],
+    ['Tue, 10 Mar 2026 09:30:00 BST', '2026-03-10T08:30:00.000Z'],
+    ['Tue, 10 Mar 2026 09:30:00 CEST', '2026-03-10T07:30:00.000Z'],
+    ['not a date', 'fallback'],
+    [null, 'fallback']
+  ])('%s', (value, expected) => {
+    expect(feedNormalizer.normalizeDate(value, 'fallback')).toBe(expected);
+  });
+
+  test('falls back to null by default', () => {
+    expect(feedNormalizer.normalizeDate('not a date')).toBeNull();
+  });
+});
+
+describe('toArticle', () => {
+  test('takes the source name and trust, and derives the body text', () => {
+    const article = feedNormalizer.toArticle({
+      guid: 'g',
+      title: 'Chancellor sets out budget',
+      link: 'https://news.example/business/budget',
+      pubDate: '2026-03-10T08:30:00.000Z',
+      description: 'Tax and spending plans',
+      content: '<p>Tax  and\n spending</p>',
+      image: null,
+      categories: ['Business']
+    }, { name: 'News', category: 'general', trusted: true });
+
+    expect(article).toMatchObject({ source: 'News', trusted: true, bodyText: 'Tax and spending', category: 'business' });
+  });
+});
+
+describe('discoverFeedLinks', () => {
+  test('finds advertised feeds, resolved and without duplicates', () => {
+    const html = `<html><head>
+      <link rel="alternate" type="application/rss+xml" title="Top stories" href="/rss.xml">
+      <link rel="alternate" type="application/atom+xml" href="https://feeds.example/atom">
+      <link rel="alternate" type="application/rss+xml" href="/rss.xml">
+      <link rel="alternate" type="text/html" hreflang="cy" href="/cy/">
+      <link rel="feed" href="/feed/">
+      <link rel="stylesheet" href="/style.css">
+    </head></html>`;
+
+    expect(feedNormalizer.discoverFeedLinks(html, 'https://site.example/news/')).toEqual([
+      { url: 'https://site.example/rss.xml', type: 'application/rss+xml', title: 'Top stories' },
+      { url: 'https://feeds.example/atom', type: 'application/atom+xml', title: null },
+      { url: 'https://site.example/feed/', type: null, title: null }
+    ]);
+  });
+
+  test('finds nothing on pages without feeds', () => {
+    expect(feedNormalizer.discoverFeedLinks('<p>No feeds here</p>', 'https://site.example/')).toEqual([]);
+  });
+});
+
+describe('isFeedContentType', () => {
+  test.each([
+    ['application/rss+xml; charset=utf-8', true],
+    ['application/atom+xml', true],
+    ['text/xml', true],
+    ['application/feed+json', true],
+    ['text/html', false],
+    ['', false]
+  ])('%s', (contentType, expected) => {
+    expect(feedNormalizer.isFeedContentType(contentType)).toBe(expected);
+  });
+});
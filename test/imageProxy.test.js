@@ -0,0 +1,222 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.IMAGE_CACHE_DIR = require('fs').mkdtempSync(require('path').join(require('os').tmpdir(), 'image-proxy-test-'));
+
+const mockSafeFetch = jest.fn();
+jest.mock('../lib/safeFetch', () => ({
+  ...jest.requireActual('../lib/safeFetch'),
+  safeFetch: (...args) => mockSafeFetch(...args)
+}));
+
+const fs = require('fs');
+const express = require('express');
+const sharp = require('sharp');
+const db = require('../lib/database');
+const articleStore = require('../lib/articleStore');
+const imageProxy = require('../lib/imageProxy');
+const { UnsafeUrlError } = require('../lib/safeFetch');
+
+const CACHE_DIR = process.env.IMAGE_CACHE_DIR;
+
+function picture(width, height) {
+  return sharp({ create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } } }).png().toBuffer();
+}
+
+async function serve(width, height) {
+  const data = await picture(width, height);
+  mockSafeFetch.mockResolvedValue({ status: 200, headers: { 'content-type': 'image/png' }, data });
+}
+
+afterEach(() => {
+  mockSafeFetch.mockReset();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  await db.close();
+  await fs.promises.rm(CACHE_DIR, { recursive: true, force: true });
+});
+
+describe('getThumbnail', () => {
+  test('resizes to the requested width as WebP', async () => {
+    await serve(2000, 1000);
+    const file = await imageProxy.getThumbnail('https://img.test/wide.png', 'small');
+    expect(file.startsWith(CACHE_DIR)).toBe(true);
+    expect(await sharp(file).metadata()).toMatchObject({ format: 'webp', width: 320, height: 160 });
+
+    expect(mockSafeFetch).toHaveBeenCalledWith('https://img.test/wide.png', expect.objectContaining({
+      responseType: 'buffer',
+      maxBytes: 5 * 1024 * 1024
+    }));
+  });
+
+  test('never enlarges small images', async () => {
+    await serve(200, 100);
+    const file = await imageProxy.getThumbnail('https://img.test/small.png', 'large');
+    expect(await sharp(file).metadata()).toMatchObject({ width: 200, height: 100 });
+  });
+
+  test('serves later requests from the cache and shares work in progress', async () => {
+    await serve(800, 600);
+    const [first, second] = await Promise.all([
+      imageProxy.getThumbnail('https://img.test/shared.png'),
+      imageProxy.getThumbnail('https://img.test/shared.png')
+    ]);
+    expect(first).toBe(second);
+    expect(await imageProxy.getThumbnail('https://img.test/shared.png')).toBe(first);
+    expect(mockSafeFetch).toHaveBeenCalledTimes(1);
+
+    // Each size is its own thumbnail
+    await imageProxy.getThumbnail('https://img.test/shared.png', 'small');
+    expect(mockSafeFetch).toHaveBeenCalledTimes(2);
+  });
+
+  test.each([
+    ['oversized images', new UnsafeUrlError('Response is too large', 'size'), 413],
+    ['other content types', new UnsafeUrlError('Content type not allowed: text/html', 'content-type'), 415],
+    ['unsafe addresses', new UnsafeUrlError('Address not allowed', 'address'), 403],
+    ['missing images', Object.assign(new Error('Request failed with status code 404'), { status: 404 }), 404],
+    ['unreachable servers', new Error('socket hang up'), 502]
+  ])('refuses %s', async (description, error, status) => {
+    mockSafeFetch.mockRejectedValue(error);
+    await expect(imageProxy.getThumbnail(`https://img.test/${status}.png`)).rejects.toMatchObject({ status });
+  });
+
+  test('refuses data that does not decode as an image', async () => {
+    mockSafeFetch.mockResolvedValue({ status: 200, headers: { 'content-type': 'image/png' }, data: Buffer.from('not an image') });
+    await expect(imageProxy.getThumbnail('https://img.test/corrupt.png')).rejects.toMatchObject({
+      status: 415,
+      message: 'Image could not be decoded'
+    });
+  });
+
+  test('remembers permanent failures for an hour', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    mockSafeFetch.mockRejectedValue(new UnsafeUrlError('Content type not allowed: text/html', 'content-type'));
+    await expect(imageProxy.getThumbnail('https://img.test/page.png')).rejects.toMatchObject({ status: 415 });
+
+    await serve(400, 300);
+    Date.now.mockReturnValue(now + 30 * 60 * 1000);
+    await expect(imageProxy.getThumbnail('https://img.test/page.png')).rejects.toMatchObject({ status: 415 });
+    expect(mockSafeFetch).toHaveBeenCalledTimes(1);
+
+    Date.now.mockReturnValue(now + 60 * 60 * 1000 + 1);
+    await expect(imageProxy.getThumbnail('https://img.test/page.png')).resolves.toContain(CACHE_DIR);
+  });
+
+  test('retries transient failures after a minute', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    mockSafeFetch.mockRejectedValue(new Error('socket hang up'));
+    await expect(imageProxy.getThumbnail('https://img.test/flaky.png')).rejects.toMatchObject({ status: 502 });
+
+    await serve(400, 300);
+    await expect(imageProxy.getThumbnail('https://img.test/flaky.png')).rejects.toMatchObject({ status: 502 });
+    expect(mockSafeFetch).toHaveBeenCalledTimes(1);
+
+    Date.now.mockReturnValue(now + 60 * 1000 + 1);
+    await expect(imageProxy.getThumbnail('https://img.test/flaky.png')).resolves.toContain(CACHE_DIR);
+  });
+
+  test('forgets the oldest failures past the limit', async () => {
+    mockSafeFetch.mockRejectedValue(Object.assign(new Error('Request failed with status code 404'), { status: 404 }));
+    for (let i = 0; i <= imageProxy.MAX_FAILURES; i++) {
+      await expect(imageProxy.getThumbnail(`https://img.test/gone-${i}.png`)).rejects.toMatchObject({ status: 404 });
+    }
+    mockSafeFetch.mockClear();
+
+    await expect(imageProxy.getThumbnail(`https://img.test/gone-${imageProxy.MAX_FAILURES}.png`)).rejects.toMatchObject({ status: 404 });
+    expect(mockSafeFetch).not.toHaveBeenCalled();
+    await expect(imageProxy.getThumbnail('https://img.test/gone-0.png')).rejects.toMatchObject({ status: 404 });
+    expect(mockSafeFetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('turns requests away while too many thumbnails are being generated', async () => {
+    const release = [];
+    mockSafeFetch.mockImplementation(() => new Promise((resolve, reject) => release.push(reject)));
+    const busy = Array.from({ length: imageProxy.MAX_PENDING }, (value, index) => {
+      return imageProxy.getThumbnail(`https://img.test/busy-${index}.png`).catch(() => {});
+    });
+    while (release.length < imageProxy.MAX_PENDING) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    await expect(imageProxy.getThumbnail('https://img.test/one-too-many.png')).rejects.toMatchObject({ status: 503 });
+    release.forEach(reject => reject(new Error('socket hang up')));
+    await Promise.all(busy);
+  });
+
+  test('refuses unknown sizes', async () => {
+    await expect(imageProxy.getThumbnail('https://img.test/wide.png', 'huge')).rejects.toMatchObject({ status: 400 });
+    expect(mockSafeFetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('pruneCache', () => {
+  test('deletes thumbnails older than the retention window', async () => {
+    await serve(400, 300);
+    const old = await imageProxy.getThumbnail('https://img.test/old.png');
+    const fresh = await imageProxy.getThumbnail('https://img.test/fresh.png');
+    const longAgo = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000);
+    await fs.promises.utimes(old, longAgo, longAgo);
+
+    expect(await imageProxy.pruneCache(30)).toBe(1);
+    expect(fs.existsSync(old)).toBe(false);
+    expect(fs.existsSync(fresh)).toBe(true);
+  });
+});
+
+describe('GET /api/images/:id', () => {
+  let server;
+  let base;
+  let withImage;
+  let withoutImage;
+
+  beforeAll(async () => {
+    await articleStore.upsertArticles([
+      { title: 'Pictured', link: 'https://news.test/pictured', pubDate: new Date().toISOString(), source: 'Sky News', category: 'general', image: 'https://img.test/article.png' },
+      { title: 'Unpictured', link: 'https://news.test/unpictured', pubDate: new Date().toISOString(), source: 'Sky News', category: 'general' }
+    ]);
+    withImage = (await db.get("SELECT id FROM articles WHERE link = 'https://news.test/pictured'")).id;
+    withoutImage = (await db.get("SELECT id FROM articles WHERE link = 'https://news.test/unpictured'")).id;
+
+    const app = express();
+    app.use('/api/images', require('../routes/images'));
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}/api/images`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  test('serves the article image from our own origin', async () => {
+    await serve(1200, 800);
+    const response = await fetch(`${base}/${withImage}?size=small`);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('image/webp');
+    expect(response.headers.get('cache-control')).toBe('public, max-age=604800');
+    expect((await sharp(Buffer.from(await response.arrayBuffer())).metadata()).width).toBe(320);
+  });
+
+  test.each([
+    ['articles without an image', () => `${withoutImage}`, 404],
+    ['unknown articles', () => '999999', 404],
+    ['unknown sizes', () => `${withImage}?size=huge`, 400],
+    ['ids that are not numbers', () => 'abc', 400]
+  ])('refuses %s', async (description, target, status) => {
+    expect((await fetch(`${base}/${target()}`)).status).toBe(status);
+  });
+
+  test('passes on why an image could not be proxied', async () => {
+    await articleStore.upsertArticles([
+      { title: 'Broken picture', link: 'https://news.test/broken', pubDate: new Date().toISOString(), source: 'Sky News', category: 'general', image: 'https://img.test/huge.png' }
+    ]);
+    const { id } = await db.get("SELECT id FROM articles WHERE link = 'https://news.test/broken'");
+    mockSafeFetch.mockRejectedValue(new UnsafeUrlError('Response is too large', 'size'));
+
+    const response = await fetch(`${base}/${id}`);
+    expect(response.status).toBe(413);
+    expect(await response.json()).toEqual({ error: 'Image unavailable', message: 'Response is too large' });
+  });
+});
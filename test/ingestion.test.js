@@ -0,0 +1,214 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.IMAGE_CACHE_DIR = require('path').join(require('os').tmpdir(), 'ingestion-test-images');
+
+jest.mock('../lib/feedFetcher', () => ({
+  ...jest.requireActual('../lib/feedFetcher'),
+  fetchFeed: jest.fn()
+}));
+
+const db = require('../lib/database');
+const articleStore = require('../lib/articleStore');
+const crawler = require('../lib/crawler');
+const ingestion = require('../lib/ingestion');
+const sourceRegistry = require('../lib/sourceRegistry');
+const sourceHealth = require('../lib/sourceHealth');
+const { fetchFeed } = require('../lib/feedFetcher');
+
+const source = { name: 'Example News', url: 'https://news.test/feed.xml', category: 'general', trusted: true };
+
+function feedWith(items) {
+  fetchFeed.mockResolvedValue({ status: 'ok', state: {}, feed: { items } });
+}
+
+function item(link, extra = {}) {
+  return {
+    title: `Story at ${link}`,
+    link,
+    pubDate: '2026-10-01T09:00:00.000Z',
+    description: 'A story.',
+    ...extra
+  };
+}
+
+// Article pages name their canonical URL
+function pages(canonicals) {
+  return jest.spyOn(crawler, 'fetchPage').mockImplementation(async (url) => ({
+    url,
+    headers: {},
+    data: `<html><head><link rel="canonical" href="${canonicals[url] || url}"></head><body></body></html>`
+  }));
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fetchFeed.mockReset();
+});
+afterAll(() => db.close());
+
+test('follows rel="canonical" for new links, even with an image from the feed', async () => {
+  const feedLink = 'https://news.test/story-1?amp=1&utm_source=rss';
+  feedWith([item(feedLink, { image: 'https://news.test/story-1.jpg' })]);
+  const fetchPage = pages({ 'https://news.test/story-1?amp=1': 'https://news.test/articles/story-1' });
+
+  const { articles } = await ingestion.fetchSource(source);
+  expect(fetchPage).toHaveBeenCalledTimes(1);
+  expect(articles).toHaveLength(1);
+  expect(articles[0]).toMatchObject({
+    link: 'https://news.test/articles/story-1',
+    feedLink: 'https://news.test/story-1?amp=1',
+    image: 'https://news.test/story-1.jpg'
+  });
+});
+
+test('recognises stored articles by their feed link without fetching the page again', async () => {
+  const feedLink = 'https://news.test/story-2?amp=1';
+  feedWith([item(feedLink)]);
+  pages({ [feedLink]: 'https://news.test/articles/story-2' });
+  expect(await articleStore.upsertArticles((await ingestion.fetchSource(source)).articles)).toBe(1);
+
+  jest.restoreAllMocks();
+  const fetchPage = pages({});
+  const { articles } = await ingestion.fetchSource(source);
+  expect(fetchPage).not.toHaveBeenCalled();
+  expect(articles[0].link).toBe('https://news.test/articles/story-2');
+
+  expect(await articleStore.upsertArticles(articles)).toBe(0);
+  const stored = await db.all("SELECT link FROM articles WHERE link LIKE '%story-2%'");
+  expect(stored).toEqual([{ link: 'https://news.test/articles/story-2' }]);
+});
+
+test('stores a feed link and its canonical page as one article', async () => {
+  const canonical = 'https://news.test/articles/story-3';
+  feedWith([item(canonical)]);
+  pages({});
+  await articleStore.upsertArticles((await ingestion.fetchSource(source)).articles);
+
+  // Another feed lists the same story under a variant link
+  jest.restoreAllMocks();
+  feedWith([item('https://news.test/story-3?amp=1')]);
+  pages({ 'https://news.test/story-3?amp=1': canonical });
+  expect(await articleStore.upsertArticles((await ingestion.fetchSource(source)).articles)).toBe(0);
+
+  const known = await articleStore.findByLinks(['https://news.test/story-3?amp=1']);
+  expect(known.get('https://news.test/story-3?amp=1').link).toBe(canonical);
+});
+
+test('dates an undated item when first stored and keeps that date', async () => {
+  const link = 'https://news.test/articles/undated';
+  feedWith([item(link, { pubDate: undefined })]);
+  pages({});
+  await articleStore.upsertArticles((await ingestion.fetchSource(source)).articles);
+
+  const firstSeen = '2026-10-02T08:00:00.000Z';
+  await db.run('UPDATE articles SET pub_date = ? WHERE link = ?', [firstSeen, link]);
+  expect(await articleStore.upsertArticles((await ingestion.fetchSource(source)).articles)).toBe(0);
+  expect(await db.get('SELECT pub_date FROM articles WHERE link = ?', [link])).toEqual({ pub_date: firstSeen });
+});
+
+describe('ingestion runs', () => {
+  let sources;
+
+  beforeAll(async () => {
+    sources = await Promise.all(['One', 'Two'].map(name => sourceRegistry.createSource({
+      name: `Run Source ${name}`,
+      url: `https://news.test/run-${name.toLowerCase()}.xml`,
+      category: 'general'
+    })));
+  });
+
+  function feeds(itemsByUrl) {
+    fetchFeed.mockImplementation(async (url) => {
+      if (!itemsByUrl[url]) {
+        throw new Error('getaddrinfo ENOTFOUND');
+      }
+      return { status: 'ok', state: { etag: `"${url}"` }, feed: { items: itemsByUrl[url] } };
+    });
+  }
+
+  test('store new articles once and announce them', async () => {
+    pages({});
+    feeds({
+      [sources[0].url]: [item('https://news.test/run/1'), item('https://news.test/run/2')],
+      [sources[1].url]: [item('https://news.test/run/3')]
+    });
+    const announced = jest.fn();
+    ingestion.events.on('articles', announced);
+
+    expect(await ingestion.ingestAll(sources)).toMatchObject({ inserted: 3 });
+    expect(announced).toHaveBeenCalledWith({ inserted: 3 });
+
+    // Sources are due again at once (no poll interval); nothing new is stored
+    expect(await ingestion.ingestAll(sources)).toMatchObject({ inserted: 0 });
+    expect(announced).toHaveBeenCalledTimes(1);
+    ingestion.events.off('articles', announced);
+
+    const stored = await db.all("SELECT link, source FROM articles WHERE link LIKE 'https://news.test/run/%' ORDER BY link");
+    expect(stored).toEqual([
+      { link: 'https://news.test/run/1', source: 'Run Source One' },
+      { link: 'https://news.test/run/2', source: 'Run Source One' },
+      { link: 'https://news.test/run/3', source: 'Run Source Two' }
+    ]);
+  });
+
+  test('share the run in progress between callers', async () => {
+    pages({});
+    feeds({ [sources[0].url]: [], [sources[1].url]: [] });
+    const first = ingestion.ingestAll(sources);
+    expect(ingestion.ingestAll(sources)).toBe(first);
+    await first;
+    expect(fetchFeed).toHaveBeenCalledTimes(2);
+  });
+
+  test('keep going when one source fails', async () => {
+    pages({});
+    feeds({ [sources[1].url]: [item('https://news.test/run/4')] });
+
+    expect(await ingestion.ingestAll(sources)).toMatchObject({ inserted: 1 });
+    expect(await db.get("SELECT id FROM articles WHERE link = 'https://news.test/run/4'")).toBeDefined();
+  });
+
+  test('save feed validators for the next conditional GET', async () => {
+    pages({});
+    feeds({ [sources[0].url]: [], [sources[1].url]: [] });
+    await ingestion.ingestAll(sources);
+    sources.forEach((source) => {
+      expect(fetchFeed).toHaveBeenCalledWith(source.url, expect.objectContaining({ etag: `"${source.url}"` }));
+    });
+  });
+
+  test('record feed health and leave failing sources alone until their retry time', async () => {
+    pages({});
+    const flaky = await sourceRegistry.createSource({ name: 'Run Source Flaky', url: 'https://news.test/run-flaky.xml', category: 'general' });
+    feeds({ [sources[0].url]: [item('https://news.test/run/5'), item('https://news.test/run/6')] });
+
+    await ingestion.ingestAll([sources[0], flaky]);
+    expect(await sourceHealth.getHealth(sources[0].id)).toMatchObject({ consecutiveFailures: 0, lastItemCount: 2 });
+    expect(await sourceHealth.getHealth(flaky.id)).toMatchObject({ consecutiveFailures: 1, lastError: 'getaddrinfo ENOTFOUND' });
+
+    for (let i = 1; i < sourceHealth.FAILURE_THRESHOLD; i++) {
+      await ingestion.ingestAll([flaky]);
+    }
+    fetchFeed.mockClear();
+    await ingestion.ingestAll([flaky]);
+    expect(fetchFeed).not.toHaveBeenCalled();
+    expect((await sourceHealth.getHealth(flaky.id)).consecutiveFailures).toBe(sourceHealth.FAILURE_THRESHOLD);
+
+    // Once the backoff has elapsed the next run tries again
+    await db.run('UPDATE source_health SET retry_at = ? WHERE source_id = ?', [new Date(Date.now() - 1000).toISOString(), flaky.id]);
+    feeds({ [flaky.url]: [] });
+    await ingestion.ingestAll([flaky]);
+    expect(fetchFeed).toHaveBeenCalledWith(flaky.url, expect.anything());
+    expect(await sourceHealth.getHealth(flaky.id)).toMatchObject({ consecutiveFailures: 0, retryAt: null });
+  });
+
+  test('drop articles past the retention window', async () => {
+    pages({});
+    feeds({
+      [sources[0].url]: [item('https://news.test/run/old', { pubDate: '2020-01-01T00:00:00.000Z' })],
+      [sources[1].url]: []
+    });
+    const { pruned } = await ingestion.ingestAll(sources);
+    expect(pruned).toBeGreaterThanOrEqual(1);
+    expect(await db.get("SELECT id FROM articles WHERE link = 'https://news.test/run/old'")).toBeUndefined();
+  });
+});
@@ -0,0 +1,281 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const http = require('http');
+const express = require('express');
+const db = require('../lib/database');
+const articleStore = require('../lib/articleStore');
+const sourceRegistry = require('../lib/sourceRegistry');
+const licensing = require('../lib/licensing');
+const digests = require('../lib/digests');
+const alerts = require('../lib/alerts');
+
+// Text past any licensed limit; it must never appear in any output
+const TAIL = 'UNLICENSEDTAIL';
+
+function longText(words) {
+  return `${Array.from({ length: words }, (value, index) => `word${index}`).join(' ')} ${TAIL}`;
+}
+
+const LICENCES = {
+  'BBC News': {
+    snippetLength: 120,
+    images: false,
+    attribution: '© BBC, via {source}',
+    linkFormat: '{url}?ref=uk-news-aggregator'
+  },
+  'Sky News': { snippetLength: 0, readerView: false },
+  'The Guardian': {}
+};
+
+function licenceOf(sourceName) {
+  return { ...sourceRegistry.DEFAULT_LICENCE, ...LICENCES[sourceName] };
+}
+
+function expectWithinLicence(article) {
+  const licence = licenceOf(article.source);
+  ['description', 'lede', 'summary'].forEach((field) => {
+    const value = article[field];
+    if (value) {
+      expect(value.length).toBeLessThanOrEqual(licence.snippetLength);
+      expect(value).not.toContain('<');
+    }
+  });
+  expect(article).not.toHaveProperty('content');
+  expect(article).not.toHaveProperty('bodyText');
+  if (!licence.images) {
+    expect(article.image).toBeNull();
+  }
+  if (licence.linkFormat !== '{url}') {
+    expect(new URL(article.link).searchParams.get('ref')).toBe('uk-news-aggregator');
+  }
+  expect(article.attribution.text).toBe(licence.attribution.replace('{source}', article.source));
+  expect(JSON.stringify(article)).not.toContain(TAIL);
+}
+
+describe('licensing helpers', () => {
+  test('truncateText never exceeds the limit', () => {
+    const text = longText(200);
+    [1, 2, 10, 57, 120, 300].forEach((length) => {
+      const cut = licensing.truncateText(text, length);
+      expect(cut.length).toBeLessThanOrEqual(length);
+      expect(cut.endsWith('…')).toBe(true);
+    });
+    expect(licensing.truncateText('Short text', 300)).toBe('Short text');
+    expect(licensing.truncateText('Any text', 0)).toBeNull();
+  });
+
+  test('formatLink adds the required query parameters', () => {
+    const licence = { linkFormat: '{url}?ref=agg&utm_source=news' };
+    expect(licensing.formatLink('https://www.bbc.co.uk/news/1?x=1', licence))
+      .toBe('https://www.bbc.co.uk/news/1?x=1&ref=agg&utm_source=news');
+    expect(licensing.formatLink('https://www.bbc.co.uk/news/1', { linkFormat: '{url}' }))
+      .toBe('https://www.bbc.co.uk/news/1');
+  });
+
+  test('applyLicence strips markup, full text and unlicensed images', () => {
+    const licence = { ...sourceRegistry.DEFAULT_LICENCE, snippetLength: 50, images: false };
+    const article = licensing.applyLicence({
+      title: 'Headline',
+      link: 'https://news.test/a',
+      source: 'News',
+      description: `<p>${longText(100)}</p>`,
+      content: `<p>${longText(500)}</p>`,
+      bodyText: longText(500),
+      image: 'https://news.test/a.jpg'
+    }, licence);
+
+    expect(article.description.length).toBeLessThanOrEqual(50);
+    expect(article.description).not.toContain('<p>');
+    expect(article.content).toBeUndefined();
+    expect(article.bodyText).toBeUndefined();
+    expect(article.image).toBeNull();
+    expect(article.attribution).toEqual({ text: 'Published by News', link: 'https://news.test/a' });
+  });
+
+  test('licenseExtract keeps only an excerpt without a full-text licence', () => {
+    const extracted = {
+      title: 'Headline',
+      leadImage: 'https://news.test/a.jpg',
+      content: { html: '<p>Long body</p>', text: longText(400) },
+      blocks: [{ type: 'paragraph', text: longText(400) }],
+      wordCount: 401
+    };
+    const excerpt = licensing.licenseExtract(extracted, { ...sourceRegistry.DEFAULT_LICENCE, images: false });
+    expect(excerpt.content.text.length).toBeLessThanOrEqual(sourceRegistry.DEFAULT_LICENCE.snippetLength);
+    expect(JSON.stringify(excerpt)).not.toContain(TAIL);
+    expect(excerpt.truncated).toBe(true);
+    expect(excerpt.leadImage).toBeNull();
+
+    const full = licensing.licenseExtract(extracted, { ...sourceRegistry.DEFAULT_LICENCE, fullText: true });
+    expect(full.content.text).toBe(extracted.content.text);
+    expect(full.truncated).toBe(false);
+  });
+});
+
+describe('licences on every output path', () => {
+  let server;
+  let base;
+
+  beforeAll(async () => {
+    const sources = await sourceRegistry.listSources();
+    for (const source of sources) {
+      if (LICENCES[source.name]) {
+        await sourceRegistry.updateSource(source.id, { licence: LICENCES[source.name] });
+      }
+    }
+
+    const now = Date.now();
+    const articles = [];
+    Object.keys(LICENCES).forEach((sourceName, sourceIndex) => {
+      for (let i = 0; i < 3; i++) {
+        articles.push({
+          title: `Budget story ${i} from ${sourceName}`,
+          link: `https://example-${sourceIndex}.test/story-${i}`,
+          pubDate: new Date(now - (sourceIndex * 3 + i) * 60 * 1000).toISOString(),
+          description: `<p>Budget ${longText(400)}</p>`,
+          content: `<p>${longText(1000)}</p>`,
+          bodyText: longText(1000),
+          lede: `Budget ${longText(80)}`,
+          summary: `Budget ${longText(80)}`,
+          image: `https://example-${sourceIndex}.test/${i}.jpg`,
+          source: sourceName,
+          category: 'general',
+          trusted: true
+        });
+      }
+    });
+    await articleStore.upsertArticles(articles);
+
+    const app = express();
+    app.use('/api/news', require('../routes/news'));
+    app.use('/api/images', require('../routes/images'));
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+  });
+
+  test('news listing, clustered and ungrouped', async () => {
+    for (const query of ['?limit=100&cluster=false', '?limit=100']) {
+      const response = await fetch(`${base}/news${query}`);
+      const body = await response.json();
+      expect(body.articles.length).toBeGreaterThan(0);
+      body.articles.forEach(expectWithinLicence);
+    }
+  });
+
+  test('search results and their highlights', async () => {
+    const body = await (await fetch(`${base}/news/search?q=budget&limit=100`)).json();
+    expect(body.articles).toHaveLength(9);
+    body.articles.forEach((article) => {
+      expectWithinLicence(article);
+      if (article.highlights.snippet) {
+        expect(article.highlights.snippet.replace(/<\/?mark>/g, '').length)
+          .toBeLessThanOrEqual(licenceOf(article.source).snippetLength);
+      }
+    });
+  });
+
+  test.each(['rss', 'atom', 'json'])('%s feed', async (format) => {
+    const response = await fetch(`${base}/news/feed.${format}?limit=100`);
+    const body = await response.text();
+    expect(response.status).toBe(200);
+    expect(body).not.toContain(TAIL);
+    expect(body).toContain('© BBC, via BBC News');
+    expect(body).toContain('ref=uk-news-aggregator');
+
+    if (format === 'json') {
+      JSON.parse(body).items.forEach((item) => {
+        if (item.summary) {
+          expect(item.summary.length).toBeLessThanOrEqual(licenceOf(item.authors[0].name).snippetLength);
+        }
+      });
+    }
+  });
+
+  test('live update stream', async () => {
+    const events = await new Promise((resolve, reject) => {
+      const received = [];
+      const request = http.get(`${base}/news/stream?lastEventId=0`, (response) => {
+        let buffer = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          buffer += chunk;
+          const parts = buffer.split('\n\n');
+          buffer = parts.pop();
+          parts.forEach((part) => {
+            const data = part.split('\n').find(line => line.startsWith('data: '));
+            if (data) {
+              received.push(JSON.parse(data.slice(6)));
+            }
+          });
+          if (received.length === 9) {
+            request.destroy();
+            resolve(received);
+          }
+        });
+      });
+      request.on('error', reject);
+    });
+    events.forEach(expectWithinLicence);
+  });
+
+  test('reader view follows the licence of the page\'s source', async () => {
+    const bbc = await licensing.licenceForUrl('https://www.bbc.co.uk/news/uk-1');
+    expect(bbc.source).toBe('BBC News');
+    expect(bbc.licence).toMatchObject({ snippetLength: 120, images: false, readerView: true });
+
+    // Refused before anything is fetched from the publisher
+    const response = await fetch(`${base}/news/article?url=${encodeURIComponent('https://news.sky.com/story/1')}`);
+    expect(response.status).toBe(403);
+    expect((await response.json()).error).toBe('Article content not available');
+  });
+
+  test('images withheld by the licence are not served', async () => {
+    const [bbc] = await articleStore.getArticles({ sources: ['BBC News'], limit: 1 });
+    const response = await fetch(`${base}/images/${bbc.id}`);
+    expect(response.status).toBe(404);
+  });
+
+  test('email digests', async () => {
+    await digests.saveSubscription('licence-test-user', {
+      email: 'reader@example.test',
+      frequency: 'daily',
+      sendTime: '08:00',
+      timezone: 'Europe/London',
+      categories: ['general']
+    });
+    const digest = await digests.previewDigest('licence-test-user');
+    expect(digest.sections.length).toBeGreaterThan(0);
+    digest.sections.forEach(section => section.stories.forEach(expectWithinLicence));
+    expect(digest.html).not.toContain(TAIL);
+    expect(digest.text).not.toContain(TAIL);
+    expect(digest.text).toContain('© BBC, via BBC News');
+  });
+
+  test('alert webhook payloads', async () => {
+    await alerts.createRule('licence-test-user', {
+      name: 'Budget',
+      keywords: ['budget'],
+      webhookUrl: 'https://hooks.example.test/in'
+    });
+    const queued = await alerts.matchArticles(await articleStore.getArticles({ limit: 100 }));
+    expect(queued).toBe(9);
+
+    const rows = await db.all('SELECT payload FROM alert_deliveries');
+    rows.forEach(({ payload }) => {
+      expect(payload).not.toContain(TAIL);
+      const { article } = JSON.parse(payload);
+      const licence = licenceOf(article.source);
+      if (article.summary) {
+        expect(article.summary.length).toBeLessThanOrEqual(licence.snippetLength);
+      }
+      expect(article.attribution.text).toBe(licence.attribution.replace('{source}', article.source));
+    });
+  });
+});
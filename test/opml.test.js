@@ -0,0 +1,231 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.ADMIN_EMAILS = 'admin@example.test';
+
+const express = require('express');
+const db = require('../lib/database');
+const sessions = require('../lib/sessions');
+const sourceRegistry = require('../lib/sourceRegistry');
+const opml = require('../lib/opml');
+const { signAccessToken } = require('../middleware/auth');
+
+function document(outlines) {
+  return `<?xml version="1.0"?>
+<opml version="2.0">
+  <head><title>Feeds</title></head>
+  <body>
+${outlines.join('\n')}
+  </body>
+</opml>`;
+}
+
+function feedOutline(index) {
+  return `    <outline type="rss" text="Feed ${index}" xmlUrl="https://feeds.test/${index}.xml"/>`;
+}
+
+// Every feed checks out unless listed in `broken`
+function feedsCheck(broken = []) {
+  return jest.spyOn(sourceRegistry, 'checkFeed').mockImplementation(async (url) => {
+    if (broken.includes(url)) {
+      throw new Error('Feed could not be parsed');
+    }
+    return { title: `Title of ${url}`, itemCount: 1 };
+  });
+}
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => db.close());
+
+test('checks only a few feeds at once', async () => {
+  let active = 0;
+  let mostActive = 0;
+  jest.spyOn(sourceRegistry, 'checkFeed').mockImplementation(async () => {
+    active++;
+    mostActive = Math.max(mostActive, active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active--;
+    return { title: null, itemCount: 1 };
+  });
+
+  const results = await opml.importOpml(document(Array.from({ length: 30 }, (value, index) => feedOutline(index))));
+  expect(results.map(result => result.status)).toEqual(Array(30).fill('added'));
+  expect(sourceRegistry.checkFeed).toHaveBeenCalledTimes(30);
+  expect(mostActive).toBe(opml.IMPORT_CONCURRENCY);
+});
+
+describe('parseOpml', () => {
+  test('lists feed outlines with their folders and categories', () => {
+    const outlines = opml.parseOpml(document([
+      '    <outline text="Tech">',
+      '      <outline text="Gadgets">',
+      '        <outline type="rss" title="Gadget Blog" text="Ignored" XMLURL=" https://gadgets.test/feed " htmlurl="https://gadgets.test/"/>',
+      '      </outline>',
+      '    </outline>',
+      '    <outline text="No feed here"/>',
+      '    <outline type="atom" text="Atom without URL"/>',
+      '    <outline xmlUrl="https://news.test/feed" category="/News/Politics,Elections"/>'
+    ]));
+
+    expect(outlines).toEqual([
+      { title: 'Gadget Blog', xmlUrl: 'https://gadgets.test/feed', htmlUrl: 'https://gadgets.test/', labels: ['Gadgets', 'Tech'] },
+      { title: 'Atom without URL', xmlUrl: null, htmlUrl: null, labels: [] },
+      { title: null, xmlUrl: 'https://news.test/feed', htmlUrl: null, labels: ['Politics', 'News', 'Elections'] }
+    ]);
+  });
+
+  test.each([
+    ['HTML', '<html><body><p>Hello</p></body></html>'],
+    ['an empty body', ''],
+    ['OPML without a body', '<opml version="2.0"><head/></opml>']
+  ])('rejects %s', (description, xml) => {
+    expect(() => opml.parseOpml(xml)).toThrow(opml.OpmlError);
+  });
+});
+
+describe('mapCategory', () => {
+  test.each([
+    [['Business'], 'business'],
+    [['Football', 'Sport'], 'sports'],
+    [['Gadgets', 'Tech'], 'technology'],
+    [['Westminster'], 'politics'],
+    [['Local', 'Misc'], 'general'],
+    [[], 'general']
+  ])('%p is %s', (labels, category) => {
+    expect(opml.mapCategory(labels)).toBe(category);
+  });
+});
+
+describe('importOpml', () => {
+  test('reports each outline as added, duplicate or invalid', async () => {
+    feedsCheck(['https://broken.test/feed']);
+    await sourceRegistry.createSource({ name: 'Already Here', url: 'https://existing.test/feed', category: 'general' });
+    await sourceRegistry.createSource({ name: 'Taken Name', url: 'https://taken.test/other', category: 'general' });
+
+    const results = await opml.importOpml(document([
+      '    <outline text="Sport">',
+      '      <outline type="rss" text="Import Sport" xmlUrl="https://sport.test/feed" htmlUrl="https://sport.test/"/>',
+      '    </outline>',
+      '    <outline type="rss" text="Untitled in file" title="" xmlUrl="https://untitled.test/feed"/>',
+      '    <outline type="rss" text="Again" xmlUrl="https://sport.test/feed"/>',
+      '    <outline type="rss" text="Existing" xmlUrl="https://existing.test/feed"/>',
+      '    <outline type="rss" text="Taken Name" xmlUrl="https://taken.test/feed"/>',
+      '    <outline type="rss" text="Broken" xmlUrl="https://broken.test/feed"/>',
+      '    <outline type="rss" text="Not web" xmlUrl="ftp://files.test/feed"/>'
+    ]));
+
+    expect(results.map(({ title, status, reason }) => [title, status, reason])).toEqual([
+      ['Import Sport', 'added', null],
+      ['Untitled in file', 'added', null],
+      ['Again', 'duplicate', 'Feed appears earlier in the file'],
+      ['Existing', 'duplicate', 'A source with this feed URL already exists'],
+      ['Taken Name', 'duplicate', 'A source with this name already exists'],
+      ['Broken', 'invalid', 'The feed URL could not be fetched or parsed: Feed could not be parsed'],
+      ['Not web', 'invalid', 'Missing or invalid feed URL']
+    ]);
+    expect(results[0].source).toMatchObject({ name: 'Import Sport', category: 'sports', homepage: 'https://sport.test/' });
+    expect(await sourceRegistry.findByUrl('https://broken.test/feed')).toBeNull();
+  });
+
+  test('names untitled feeds after the feed\'s own title', async () => {
+    feedsCheck();
+    const [result] = await opml.importOpml(document(['    <outline type="rss" xmlUrl="https://titled.test/feed"/>']));
+    expect(result.source.name).toBe('Title of https://titled.test/feed');
+  });
+
+  test('rejects files with no feeds or too many', async () => {
+    feedsCheck();
+    await expect(opml.importOpml(document(['    <outline text="Empty folder"/>']))).rejects.toThrow('contains no feeds');
+    const tooMany = Array.from({ length: opml.MAX_IMPORT_FEEDS + 1 }, (value, index) => feedOutline(`many-${index}`));
+    await expect(opml.importOpml(document(tooMany))).rejects.toThrow(`At most ${opml.MAX_IMPORT_FEEDS} feeds`);
+    expect(sourceRegistry.checkFeed).not.toHaveBeenCalled();
+  });
+});
+
+describe('buildOpml', () => {
+  test('groups sources into category folders that import back the same', () => {
+    const sources = [
+      { name: 'Tech & Things', url: 'https://tech.test/feed?a=1&b=2', homepage: 'https://tech.test/', category: 'technology' },
+      { name: 'Daily "News"', url: 'https://daily.test/feed', homepage: null, category: 'general' }
+    ];
+    const xml = opml.buildOpml(sources);
+    expect(xml).toContain('<outline text="general" title="general">');
+    expect(xml.indexOf('Daily')).toBeLessThan(xml.indexOf('Tech'));
+
+    expect(opml.parseOpml(xml)).toEqual([
+      { title: 'Daily "News"', xmlUrl: 'https://daily.test/feed', htmlUrl: null, labels: ['general', 'general'] },
+      { title: 'Tech & Things', xmlUrl: 'https://tech.test/feed?a=1&b=2', htmlUrl: 'https://tech.test/', labels: ['technology', 'technology'] }
+    ]);
+  });
+});
+
+describe('OPML endpoints', () => {
+  let server;
+  let base;
+  let adminToken;
+  let userToken;
+
+  async function tokenFor(email) {
+    const { session } = await sessions.startSession(email);
+    return signAccessToken({ id: email, email }, session.id);
+  }
+
+  beforeAll(async () => {
+    adminToken = await tokenFor('admin@example.test');
+    userToken = await tokenFor('reader@example.test');
+    const app = express();
+    app.use(express.json());
+    app.use('/api/news', require('../routes/news'));
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}/api/news/sources`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  function importFile(body, token = adminToken) {
+    return fetch(`${base}/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/x-opml', Authorization: `Bearer ${token}` },
+      body
+    });
+  }
+
+  test('import a file and summarise the results', async () => {
+    feedsCheck();
+    const response = await importFile(document([
+      '    <outline type="rss" text="Endpoint Feed" xmlUrl="https://endpoint.test/feed"/>',
+      '    <outline type="rss" text="Bad" xmlUrl="not a url"/>'
+    ]));
+    expect(response.status).toBe(201);
+    expect((await response.json()).summary).toEqual({ total: 2, added: 1, duplicate: 0, invalid: 1 });
+
+    const again = await importFile(document(['    <outline type="rss" text="Endpoint Feed" xmlUrl="https://endpoint.test/feed"/>']));
+    expect(again.status).toBe(200);
+  });
+
+  test('refuse files that are not OPML, and non-admins', async () => {
+    const invalid = await importFile('<html></html>');
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).message).toBe('Not an OPML document');
+    expect((await importFile('   ')).status).toBe(400);
+    expect((await importFile(document([feedOutline('user')]), userToken)).status).toBe(403);
+  });
+
+  test('export enabled sources, or all of them on request', async () => {
+    const disabled = await sourceRegistry.createSource({ name: 'Disabled Feed', url: 'https://disabled.test/feed', category: 'general', enabled: false });
+    const headers = { Authorization: `Bearer ${adminToken}` };
+
+    const response = await fetch(`${base}/export.opml`, { headers });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('text/x-opml; charset=utf-8');
+    expect(response.headers.get('content-disposition')).toBe('attachment; filename="news-sources.opml"');
+    const urls = opml.parseOpml(await response.text()).map(outline => outline.xmlUrl);
+    expect(urls).toContain('https://endpoint.test/feed');
+    expect(urls).not.toContain(disabled.url);
+
+    const everything = await (await fetch(`${base}/export.opml?includeDisabled=true`, { headers })).text();
+    expect(opml.parseOpml(everything).map(outline => outline.xmlUrl)).toContain(disabled.url);
+
+    expect((await fetch(`${base}/export.opml`, { headers: { Authorization: `Bearer ${userToken}` } })).status).toBe(403);
+  });
+});
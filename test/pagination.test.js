@@ -0,0 +1,173 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const express = require('express');
+const db = require('../lib/database');
+const articleStore = require('../lib/articleStore');
+const { encodeCursor, decodeCursor, CursorError } = require('../lib/cursor');
+
+const HOUR = 60 * 60 * 1000;
+const SOURCES = ['BBC News', 'The Guardian', 'Sky News', 'Financial Times', 'Reuters UK'];
+const TITLES = [
+  'Council approves new library budget',
+  'Storm warning issued for northern coast',
+  'Tennis champion retires after injury',
+  'Chip maker opens Welsh factory',
+  'Museum returns looted bronzes',
+  'Train operator fined over delays',
+  'Farmers protest fertiliser prices',
+  'Orchestra announces summer tour'
+];
+
+let server;
+let base;
+const published = [];
+
+async function page(query) {
+  const response = await fetch(`${base}/news?${new URLSearchParams(query)}`);
+  return { status: response.status, body: await response.json() };
+}
+
+// Every article across all pages, following next_cursor to the end
+async function walk(query) {
+  const links = [];
+  let cursor = null;
+  do {
+    const { body } = await page(cursor ? { ...query, cursor } : query);
+    links.push(...body.articles.map(article => article.link));
+    cursor = body.next_cursor;
+  } while (cursor);
+  return links;
+}
+
+beforeAll(async () => {
+  // Two articles share a publication time; ties are broken by id
+  const now = Date.now();
+  TITLES.forEach((title, index) => {
+    published.push({
+      title,
+      link: `https://news.test/story-${index}`,
+      pubDate: new Date(now - Math.min(index, 6) * HOUR).toISOString(),
+      description: title,
+      source: SOURCES[index % SOURCES.length],
+      category: 'general',
+      trusted: true
+    });
+  });
+  await articleStore.upsertArticles(published);
+
+  const app = express();
+  app.use('/api/news', require('../routes/news'));
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  base = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await db.close();
+});
+
+describe('cursors', () => {
+  const filters = { category: 'general', source: null, limit: 20 };
+
+  test('round-trip the position for the same filters', () => {
+    const cursor = encodeCursor(filters, { maxId: 12, after: { pubDate: '2026-10-18T10:00:00.000Z', id: 7 } });
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    // Key order does not matter
+    expect(decodeCursor(cursor, { limit: 20, source: null, category: 'general' }))
+      .toEqual({ maxId: 12, after: { pubDate: '2026-10-18T10:00:00.000Z', id: 7 } });
+  });
+
+  test.each([
+    ['malformed', () => 'not a cursor', 'Malformed cursor'],
+    ['other versions', () => Buffer.from(JSON.stringify({ v: 99 })).toString('base64url'), 'Unsupported cursor'],
+    ['other filters', () => encodeCursor({ ...filters, category: 'sports' }, { maxId: 1 }), 'does not match']
+  ])('refuse %s', (description, cursor, message) => {
+    expect(() => decodeCursor(cursor(), filters)).toThrow(CursorError);
+    expect(() => decodeCursor(cursor(), filters)).toThrow(message);
+  });
+});
+
+describe('GET /api/news pagination', () => {
+  test('visits every article once, newest first', async () => {
+    const links = await walk({ limit: 3, cluster: 'false' });
+    expect(links).toHaveLength(TITLES.length);
+    expect(new Set(links).size).toBe(TITLES.length);
+    expect(links.slice(0, 6)).toEqual(published.slice(0, 6).map(article => article.link));
+  });
+
+  test('walks oldest first when asked', async () => {
+    const newest = await walk({ limit: 3, cluster: 'false' });
+    const oldest = await walk({ limit: 3, cluster: 'false', sort: 'oldest' });
+    expect(oldest.slice(2)).toEqual(newest.slice(0, 6).reverse());
+    expect(oldest.slice(0, 2).sort()).toEqual(newest.slice(6).sort());
+  });
+
+  test('walks clustered pages without repeating a story', async () => {
+    const links = await walk({ limit: 2 });
+    expect(new Set(links).size).toBe(links.length);
+    expect(links.sort()).toEqual(published.map(article => article.link).sort());
+  });
+
+  test('reads cluster as a boolean', async () => {
+    const clustered = await page({ limit: 100, cluster: '1' });
+    expect(clustered.body.articles[0].cluster).toBeDefined();
+
+    const ungrouped = await page({ limit: 100, cluster: '0' });
+    expect(ungrouped.body.articles).toHaveLength(TITLES.length);
+    expect(ungrouped.body.articles[0].cluster).toBeUndefined();
+
+    expect((await page({ cluster: 'maybe' })).status).toBe(400);
+  });
+
+  test('ends without a cursor on the last page', async () => {
+    const { body } = await page({ limit: 100, cluster: 'false' });
+    expect(body.articles).toHaveLength(TITLES.length);
+    expect(body.next_cursor).toBeNull();
+  });
+
+  test('leaves out articles stored after the first page', async () => {
+    const first = await page({ limit: 4, cluster: 'false' });
+    await articleStore.upsertArticles([{
+      ...published[0],
+      title: 'Late breaking story about lighthouses',
+      link: 'https://news.test/late',
+      pubDate: new Date(Date.now() - 5 * HOUR - 30 * 60 * 1000).toISOString()
+    }]);
+
+    const rest = await walk({ limit: 4, cluster: 'false', cursor: first.body.next_cursor });
+    expect(rest).not.toContain('https://news.test/late');
+    expect([...first.body.articles.map(article => article.link), ...rest]).toHaveLength(TITLES.length);
+
+    await db.run("DELETE FROM articles WHERE link = 'https://news.test/late'");
+  });
+
+  test('limits articles to the given dates', async () => {
+    const from = new Date(Date.now() - 2.5 * HOUR).toISOString();
+    const to = new Date(Date.now() - 0.5 * HOUR).toISOString();
+    const links = await walk({ limit: 1, cluster: 'false', from, to });
+    expect(links).toEqual([published[1].link, published[2].link]);
+  });
+
+  test('pages relevance-sorted searches by offset', async () => {
+    const links = await walk({ q: 'f*', limit: 1 });
+    expect(links.sort()).toEqual([1, 3, 5, 6].map(index => published[index].link));
+  });
+
+  test('refuses cursors issued for other filters', async () => {
+    const first = await page({ limit: 2, cluster: 'false' });
+    const response = await page({ limit: 2, cluster: 'false', category: 'sports', cursor: first.body.next_cursor });
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Cursor does not match the current filters');
+  });
+
+  test.each([
+    [{ sort: 'relevance' }, 'Relevance sorting requires a search query (q)'],
+    [{ cursor: '%%%' }, 'Malformed cursor']
+  ])('refuses %p', async (query, message) => {
+    const response = await page(query);
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(message);
+  });
+});
@@ -0,0 +1,195 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const db = require('../lib/database');
+const storage = require('../lib/storage');
+const repositories = require('../lib/repositories');
+
+afterAll(() => db.close());
+
+function account(id, email) {
+  return {
+    id,
+    email,
+    password: '$2a$12$hash',
+    consent: { dataProcessing: true, timestamp: '2026-01-01T00:00:00.000Z', ipAddress: '127.0.0.1' },
+    age: 30,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    lastLogin: null,
+    dataRetention: { expiresAt: '2027-01-01T00:00:00.000Z', purpose: 'Service provision' }
+  };
+}
+
+function consent(id, userId, consentType, timestamp, extra = {}) {
+  return {
+    id,
+    userId,
+    consentType,
+    consent: true,
+    purpose: 'Testing',
+    timestamp,
+    ipAddress: '127.0.0.1',
+    userAgent: 'jest',
+    ...extra
+  };
+}
+
+describe.each(['sqlite', 'memory'])('%s repositories', (backend) => {
+  const { users, consents, sessions } = repositories.createRepositories(backend);
+  const userId = `user-${backend}`;
+
+  test('creates, finds, updates and deletes accounts', async () => {
+    const created = await users.create(account(userId, `${backend}@example.test`));
+    expect(created).toEqual(account(userId, `${backend}@example.test`));
+
+    expect(await users.findByEmail(`${backend.toUpperCase()}@Example.test`)).toMatchObject({ id: userId });
+    expect(await users.findById('missing')).toBeNull();
+
+    await expect(users.create(account(`${userId}-2`, `${backend}@example.test`)))
+      .rejects.toThrow(repositories.DuplicateUserError);
+
+    const updated = await users.update(userId, { lastLogin: '2026-02-01T00:00:00.000Z' });
+    expect(updated.lastLogin).toBe('2026-02-01T00:00:00.000Z');
+    expect((await users.findById(userId)).lastLogin).toBe('2026-02-01T00:00:00.000Z');
+    expect(await users.update('missing', { lastLogin: null })).toBeNull();
+
+    expect(await users.delete(userId)).toBe(true);
+    expect(await users.delete(userId)).toBe(false);
+    expect(await users.findByEmail(`${backend}@example.test`)).toBeNull();
+  });
+
+  test('keeps consent records in order and withdraws standing consent', async () => {
+    await consents.add([
+      consent('2', userId, 'analytics', '2026-01-02T00:00:00.000Z'),
+      consent('1', userId, 'analytics', '2026-01-01T00:00:00.000Z', { version: '1.0', retention: { period: '7 years' } }),
+      consent('3', userId, 'cookies', '2026-01-03T00:00:00.000Z', { cookieType: 'essential', required: true }),
+      consent('4', `${userId}-other`, 'analytics', '2026-01-01T00:00:00.000Z')
+    ]);
+
+    const records = await consents.forUser(userId);
+    expect(records.map(record => record.id)).toEqual(['1', '2', '3']);
+    expect(records[0]).toEqual(consent('1', userId, 'analytics', '2026-01-01T00:00:00.000Z', {
+      version: '1.0',
+      retention: { period: '7 years' }
+    }));
+    expect(records[2]).toMatchObject({ cookieType: 'essential', required: true });
+
+    const withdrawn = await consents.withdraw(userId, 'analytics', {
+      withdrawnAt: '2026-03-01T00:00:00.000Z',
+      ipAddress: '10.0.0.1'
+    });
+    expect(withdrawn.map(record => record.id)).toEqual(['1', '2']);
+
+    const after = await consents.forUser(userId);
+    expect(after.slice(0, 2)).toEqual(withdrawn);
+    expect(after[0]).toMatchObject({ consent: false, withdrawnAt: '2026-03-01T00:00:00.000Z', withdrawalIp: '10.0.0.1' });
+    expect(after[2].consent).toBe(true);
+    expect((await consents.forUser(`${userId}-other`))[0].consent).toBe(true);
+
+    expect(await consents.withdraw(userId, 'marketing', { withdrawnAt: '2026-03-01T00:00:00.000Z' })).toBeNull();
+  });
+
+  test('rotates, revokes and deletes sessions', async () => {
+    const session = {
+      id: `session-${backend}`,
+      userId,
+      tokenHash: 'hash-1',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      expiresAt: '2026-02-01T00:00:00.000Z',
+      ipAddress: '127.0.0.1',
+      userAgent: 'jest'
+    };
+    expect(await sessions.create(session)).toMatchObject({ ...session, revokedAt: null });
+
+    expect((await sessions.findById(session.id)).retiredTokenHashes).toEqual([]);
+
+    const rotation = {
+      tokenHash: 'hash-2',
+      rotatedAt: '2026-01-02T00:00:00.000Z',
+      expiresAt: '2026-02-02T00:00:00.000Z',
+      retiredTokenHashes: ['hash-1']
+    };
+    expect(await sessions.rotate(session.id, 'hash-1', rotation)).toBe(true);
+    expect(await sessions.rotate(session.id, 'hash-1', rotation)).toBe(false);
+    expect(await sessions.findById(session.id)).toMatchObject({ ...rotation, previousTokenHash: 'hash-1' });
+
+    await sessions.create({ ...session, id: `${session.id}-2` });
+    await sessions.revokeForUser(userId, { revokedAt: '2026-01-03T00:00:00.000Z', reason: 'password-change' });
+    expect(await sessions.findById(`${session.id}-2`)).toMatchObject({ revokedAt: '2026-01-03T00:00:00.000Z', revokedReason: 'password-change' });
+    expect(await sessions.rotate(session.id, 'hash-2', rotation)).toBe(false);
+
+    await sessions.delete(session.id);
+    expect(await sessions.findById(session.id)).toBeNull();
+    await sessions.deleteForUser(userId);
+    expect(await sessions.findById(`${session.id}-2`)).toBeNull();
+  });
+});
+
+test('writes consent records together or not at all', async () => {
+  const { consents } = repositories.createRepositories('sqlite');
+  await expect(consents.add([
+    consent('batch-1', 'batch-user', 'cookies', '2026-01-01T00:00:00.000Z'),
+    consent('batch-1', 'batch-user', 'cookies', '2026-01-01T00:00:00.000Z')
+  ])).rejects.toThrow();
+  expect(await consents.forUser('batch-user')).toEqual([]);
+});
+
+test('keeps writes made while another transaction rolls back', async () => {
+  const { users, consents, sessions } = repositories.createRepositories('sqlite');
+  let started;
+  const running = new Promise((resolve) => {
+    started = resolve;
+  });
+
+  const failing = db.transaction(async () => {
+    await db.run("INSERT INTO sources (name, url, category, created_at, updated_at) VALUES ('Doomed', 'https://doomed.example/feed', 'general', 'now', 'now')");
+    started();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    throw new Error('ingestion failed');
+  });
+
+  await running;
+  const writes = Promise.all([
+    users.create(account('concurrent-user', 'concurrent@example.test')),
+    consents.add([consent('concurrent-1', 'concurrent-user', 'marketing', '2026-01-01T00:00:00.000Z')]),
+    sessions.create({
+      id: 'concurrent-session',
+      userId: 'concurrent-user',
+      tokenHash: 'hash',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      expiresAt: '2026-02-01T00:00:00.000Z'
+    })
+  ]);
+  await expect(failing).rejects.toThrow('ingestion failed');
+  await writes;
+
+  expect(await users.findById('concurrent-user')).not.toBeNull();
+  expect(await consents.forUser('concurrent-user')).toHaveLength(1);
+  expect(await sessions.findById('concurrent-session')).not.toBeNull();
+  expect(await db.get("SELECT id FROM sources WHERE name = 'Doomed'")).toBeUndefined();
+});
+
+test('rejects unknown backends', () => {
+  expect(() => repositories.createRepositories('redis')).toThrow(storage.StorageConfigError);
+});
+
+describe('memory storage', () => {
+  const store = storage.createStorage('memory');
+
+  test('gets, lists in key order and deletes', async () => {
+    await store.set('test-collection', 'b/2', { n: 2 });
+    await store.set('test-collection', 'a/1', { n: 1 });
+    await store.set('test-collection', 'b/1', { n: 3 });
+    await store.set('test-collection', 'b/1', { n: 1 });
+
+    expect(await store.get('test-collection', 'a/1')).toEqual({ n: 1 });
+    expect(await store.get('test-collection', 'missing')).toBeNull();
+    expect(await store.list('test-collection', 'b/')).toEqual([
+      { key: 'b/1', value: { n: 1 } },
+      { key: 'b/2', value: { n: 2 } }
+    ]);
+
+    expect(await store.delete('test-collection', 'b/1')).toBe(true);
+    expect(await store.delete('test-collection', 'b/1')).toBe(false);
+    expect(await store.list('test-collection')).toHaveLength(2);
+  });
+});
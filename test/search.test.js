@@ -0,0 +1,146 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const express = require('express');
+const db = require('../lib/database');
+const articleStore = require('../lib/articleStore');
+const { parseQuery, searchArticles, SearchQueryError } = require('../lib/search');
+
+const HOUR = 60 * 60 * 1000;
+
+function story(source, title, description, { hoursAgo = 1, category = 'general', bodyText = null } = {}) {
+  const slug = title.toLowerCase().replace(/[^a-z]+/g, '-');
+  return {
+    title,
+    link: `https://${source.toLowerCase().replace(/\W+/g, '')}.test/${slug}`,
+    pubDate: new Date(Date.now() - hoursAgo * HOUR).toISOString(),
+    description,
+    bodyText,
+    source,
+    category,
+    trusted: true
+  };
+}
+
+let server;
+let base;
+
+beforeAll(async () => {
+  await articleStore.upsertArticles([
+    story('BBC News', 'Energy price cap to rise in January', 'Ofgem confirms household bills will go up.', { category: 'business' }),
+    story('Sky News', 'Cup final ends in penalties', 'A tense night at Wembley.', {
+      hoursAgo: 2,
+      category: 'sports',
+      bodyText: 'The stadium used temporary lighting to save energy.'
+    }),
+    story('The Guardian', 'Tesco cuts energy use in stores', 'Supermarket <b>trims</b> bills & emissions.', { hoursAgo: 3, category: 'business' }),
+    story('Reuters UK', 'Energy firms report record profits', 'Windfall tax questions return.', { hoursAgo: 72, category: 'business' })
+  ]);
+
+  const app = express();
+  app.use('/api/news', require('../routes/news'));
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  base = `http://127.0.0.1:${server.address().port}/api/news`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await db.close();
+});
+
+describe('parseQuery', () => {
+  test.each([
+    ['energy bills', '"energy" AND "bills"', ['energy', 'bills'], []],
+    ['"price cap" energ*', '"price cap" AND "energ"*', ['price cap', 'energ'], []],
+    ['energy -tesco -"price cap"', '("energy") NOT ("tesco" OR "price cap")', ['energy'], ['tesco', 'price cap']],
+    // FTS5 operators and punctuation are searched as plain words
+    ['NEAR(energy) OR bills:', '"NEAR energy" AND "OR" AND "bills"', ['NEAR energy', 'OR', 'bills'], []]
+  ])('%s', (input, match, terms, excluded) => {
+    expect(parseQuery(input)).toEqual({ match, terms, excluded });
+  });
+
+  test.each([
+    ['', 'at least one term'],
+    ['-tesco', 'at least one term'],
+    ['!!! ""', 'at least one term'],
+    [Array.from({ length: 13 }, (value, index) => `term${index}`).join(' '), 'at most 12 terms']
+  ])('rejects %p', (input, message) => {
+    expect(() => parseQuery(input)).toThrow(SearchQueryError);
+    expect(() => parseQuery(input)).toThrow(message);
+  });
+});
+
+describe('searchArticles', () => {
+  test('ranks title matches above matches in the body', async () => {
+    const results = await searchArticles({ q: 'energy' });
+    expect(results.total).toBe(4);
+    expect(results.articles[results.articles.length - 1].source).toBe('Sky News');
+    results.articles.slice(1).forEach((article, index) => {
+      expect(article.score).toBeLessThanOrEqual(results.articles[index].score);
+    });
+  });
+
+  test('matches stems, prefixes and phrases, and honours exclusions', async () => {
+    expect((await searchArticles({ q: 'rising' })).articles.map(a => a.source)).toEqual(['BBC News']);
+    expect((await searchArticles({ q: 'superm*' })).articles.map(a => a.source)).toEqual(['The Guardian']);
+    expect((await searchArticles({ q: '"cap to rise"' })).total).toBe(1);
+    expect((await searchArticles({ q: '"rise cap"' })).total).toBe(0);
+    expect((await searchArticles({ q: 'energy -tesco -penalties' })).articles.map(a => a.source).sort())
+      .toEqual(['BBC News', 'Reuters UK']);
+  });
+
+  test('escapes the stored text around highlighted matches', async () => {
+    const [article] = (await searchArticles({ q: 'bills emissions' })).articles;
+    expect(article.highlights.snippet).toBe('Supermarket &lt;b&gt;trims&lt;/b&gt; <mark>bills</mark> &amp; <mark>emissions</mark>.');
+    expect(article.highlights.title).toBe('Tesco cuts energy use in stores');
+  });
+
+  test('filters by source, category, dates and the pinned maximum id', async () => {
+    const sources = async options => (await searchArticles({ q: 'energy', ...options })).articles.map(a => a.source).sort();
+
+    expect(await sources({ sources: ['BBC News', 'Sky News'] })).toEqual(['BBC News', 'Sky News']);
+    expect(await sources({ sources: [] })).toEqual([]);
+    expect(await sources({ category: 'sports' })).toEqual(['Sky News']);
+    expect(await sources({ from: new Date(Date.now() - 24 * HOUR).toISOString() })).toEqual(['BBC News', 'Sky News', 'The Guardian']);
+    expect(await sources({ to: new Date(Date.now() - 24 * HOUR).toISOString() })).toEqual(['Reuters UK']);
+
+    const { id } = await db.get("SELECT id FROM articles WHERE source = 'Sky News'");
+    expect(await sources({ maxId: id })).toEqual(['BBC News', 'Sky News']);
+  });
+
+  test('pages through results with a total', async () => {
+    const first = await searchArticles({ q: 'energy', limit: 3 });
+    const second = await searchArticles({ q: 'energy', limit: 3, offset: 3 });
+    expect(first.articles).toHaveLength(3);
+    expect(second.articles).toHaveLength(1);
+    expect(second.total).toBe(4);
+    expect(second.articles[0].link).not.toBe(first.articles[2].link);
+  });
+});
+
+describe('GET /api/news/search', () => {
+  test('returns ranked results with the parsed query', async () => {
+    const response = await fetch(`${base}/search?q=energy%20-tesco&category=business`);
+    const body = await response.json();
+    expect(response.status).toBe(200);
+    expect(body.query).toMatchObject({ q: 'energy -tesco', terms: ['energy'], excluded: ['tesco'] });
+    expect(body.articles.map(article => article.source).sort()).toEqual(['BBC News', 'Reuters UK']);
+    expect(body.total).toBe(2);
+  });
+
+  test('limits results to sources whose name matches', async () => {
+    const body = await (await fetch(`${base}/search?q=energy&source=guardian`)).json();
+    expect(body.articles.map(article => article.source)).toEqual(['The Guardian']);
+  });
+
+  test.each([
+    ['no query', ''],
+    ['a query of exclusions only', '?q=-tesco'],
+    ['a malformed date', '?q=energy&from=yesterday'],
+    ['an unknown category', '?q=energy&category=gossip']
+  ])('refuses %s', async (description, search) => {
+    const response = await fetch(`${base}/search${search}`);
+    expect(response.status).toBe(400);
+  });
+});
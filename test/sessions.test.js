@@ -0,0 +1,51 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const db = require('../lib/database');
+const sessions = require('../lib/sessions');
+
+afterAll(() => db.close());
+
+describe('refresh token reuse', () => {
+  test('accepts the replaced token briefly, then treats it as stolen', async () => {
+    const { session, refreshToken: first } = await sessions.startSession('grace-user');
+    const { refreshToken: second } = await sessions.rotate(first);
+
+    // Another tab presenting the token just replaced gets no new refresh token
+    const late = await sessions.rotate(first);
+    expect(late.refreshToken).toBeNull();
+    expect(await sessions.isActive(session.id, 'grace-user')).toBe(true);
+
+    // After the grace window the same replay revokes the session
+    await db.run('UPDATE auth_sessions SET rotated_at = ? WHERE id = ?', [new Date(Date.now() - 60 * 1000).toISOString(), session.id]);
+    await expect(sessions.rotate(first)).rejects.toMatchObject({ reason: 'reused' });
+    expect(await sessions.isActive(session.id, 'grace-user')).toBe(false);
+    await expect(sessions.rotate(second)).rejects.toMatchObject({ reason: 'revoked' });
+  });
+
+  test('leaves the session alone for a token it never issued', async () => {
+    const { session, refreshToken } = await sessions.startSession('forged-user');
+
+    await expect(sessions.rotate(`${session.id}.forged`)).rejects.toMatchObject({ reason: 'unknown' });
+    expect(await sessions.isActive(session.id, 'forged-user')).toBe(true);
+    expect((await sessions.rotate(refreshToken)).refreshToken).not.toBeNull();
+  });
+
+  test('recognises a replay of any token the session replaced', async () => {
+    const { session, refreshToken: first } = await sessions.startSession('replay-user');
+    const { refreshToken: second } = await sessions.rotate(first);
+    await sessions.rotate(second);
+
+    await expect(sessions.rotate(first)).rejects.toMatchObject({ reason: 'reused' });
+    expect(await sessions.isActive(session.id, 'replay-user')).toBe(false);
+  });
+
+  test('ends a session only for a token that belongs to it', async () => {
+    const { session, refreshToken } = await sessions.startSession('logout-user');
+
+    expect(await sessions.endSessionFor(`${session.id}.forged`)).toBe(false);
+    expect(await sessions.isActive(session.id, 'logout-user')).toBe(true);
+
+    expect(await sessions.endSessionFor(refreshToken)).toBe(true);
+    expect(await sessions.isActive(session.id, 'logout-user')).toBe(false);
+  });
+});
@@ -0,0 +1,151 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const express = require('express');
+const db = require('../lib/database');
+const sourceRegistry = require('../lib/sourceRegistry');
+const sourceHealth = require('../lib/sourceHealth');
+
+const MINUTE = 60 * 1000;
+
+let nextSource = 0;
+
+function newSource() {
+  nextSource++;
+  return sourceRegistry.createSource({
+    name: `Health Source ${nextSource}`,
+    url: `https://health-${nextSource}.test/feed.xml`,
+    category: 'general'
+  });
+}
+
+async function failTimes(sourceId, times) {
+  for (let i = 0; i < times; i++) {
+    await sourceHealth.recordFailure(sourceId, { latencyMs: 100, error: new Error(`failure ${i + 1}`) });
+  }
+  return sourceHealth.getHealth(sourceId);
+}
+
+function minutesUntil(time) {
+  return Math.round((new Date(time).getTime() - Date.now()) / MINUTE);
+}
+
+afterAll(() => db.close());
+
+describe('circuit breaker', () => {
+  test('stays closed below the failure threshold', async () => {
+    const { id } = await newSource();
+    const health = await failTimes(id, sourceHealth.FAILURE_THRESHOLD - 1);
+    expect(health).toMatchObject({ consecutiveFailures: 2, retryAt: null, lastError: 'failure 2' });
+    expect(sourceHealth.circuitState(health)).toBe('closed');
+    expect(sourceHealth.isAvailable(health)).toBe(true);
+    expect(sourceHealth.healthStatus(health)).toBe('degraded');
+  });
+
+  test('opens at the threshold and backs off exponentially up to a day', async () => {
+    const { id } = await newSource();
+    let health = await failTimes(id, sourceHealth.FAILURE_THRESHOLD);
+    expect(sourceHealth.circuitState(health)).toBe('open');
+    expect(sourceHealth.isAvailable(health)).toBe(false);
+    expect(sourceHealth.healthStatus(health)).toBe('failing');
+    expect(minutesUntil(health.retryAt)).toBe(5);
+
+    health = await failTimes(id, 1);
+    expect(minutesUntil(health.retryAt)).toBe(10);
+    health = await failTimes(id, 1);
+    expect(minutesUntil(health.retryAt)).toBe(20);
+
+    health = await failTimes(id, 20);
+    expect(minutesUntil(health.retryAt)).toBe(24 * 60);
+  });
+
+  test('allows a trial poll once the backoff has elapsed', async () => {
+    const { id } = await newSource();
+    const health = await failTimes(id, sourceHealth.FAILURE_THRESHOLD);
+    const later = new Date(health.retryAt).getTime() + 1;
+    expect(sourceHealth.circuitState(health, later)).toBe('half-open');
+    expect(sourceHealth.isAvailable(health, later)).toBe(true);
+  });
+
+  test('closes again after a successful poll', async () => {
+    const { id } = await newSource();
+    await failTimes(id, sourceHealth.FAILURE_THRESHOLD);
+    await sourceHealth.recordSuccess(id, { latencyMs: 100, itemCount: 5 });
+
+    const health = await sourceHealth.getHealth(id);
+    expect(health).toMatchObject({ consecutiveFailures: 0, retryAt: null, totalFetches: 4, totalFailures: 3 });
+    expect(sourceHealth.circuitState(health)).toBe('closed');
+    expect(sourceHealth.healthStatus(health)).toBe('healthy');
+  });
+});
+
+describe('health statistics', () => {
+  test('start unknown for sources never polled', async () => {
+    const { id } = await newSource();
+    const health = await sourceHealth.getHealth(id);
+    expect(health).toEqual(sourceHealth.emptyHealth(id));
+    expect(sourceHealth.healthStatus(health)).toBe('unknown');
+  });
+
+  test('smooth latency and count items, keeping the count over unchanged polls', async () => {
+    const { id } = await newSource();
+    await sourceHealth.recordSuccess(id, { latencyMs: 100, itemCount: 10 });
+    await sourceHealth.recordSuccess(id, { latencyMs: 200, itemCount: 4 });
+    await sourceHealth.recordSuccess(id, { latencyMs: 200 });
+
+    expect(await sourceHealth.getHealth(id)).toMatchObject({
+      averageLatencyMs: 151,
+      lastItemCount: 4,
+      totalItems: 14,
+      totalFetches: 3
+    });
+  });
+
+  test('keep only the start of long error messages', async () => {
+    const { id } = await newSource();
+    await sourceHealth.recordFailure(id, { error: 'x'.repeat(2000) });
+    const health = await sourceHealth.getHealth(id);
+    expect(health.lastError).toHaveLength(500);
+    expect(health.averageLatencyMs).toBeNull();
+  });
+
+  test('start afresh when the feed URL changes', async () => {
+    const source = await newSource();
+    await failTimes(source.id, sourceHealth.FAILURE_THRESHOLD);
+    await sourceRegistry.updateSource(source.id, { url: 'https://moved.test/feed.xml' });
+    expect(await sourceHealth.getHealth(source.id)).toEqual(sourceHealth.emptyHealth(source.id));
+  });
+});
+
+describe('GET /api/news/sources/health', () => {
+  let server;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/api/news', require('../routes/news'));
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  test('reports each enabled source with a summary', async () => {
+    const failing = await newSource();
+    await failTimes(failing.id, sourceHealth.FAILURE_THRESHOLD);
+    const disabled = await newSource();
+    await sourceRegistry.updateSource(disabled.id, { enabled: false });
+
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/news/sources/health`);
+    const body = await response.json();
+    expect(response.status).toBe(200);
+
+    const entry = body.sources.find(source => source.id === failing.id);
+    expect(entry).not.toHaveProperty('url');
+    expect(entry.health).toMatchObject({ status: 'failing', circuit: 'open', consecutiveFailures: 3, lastError: 'failure 3' });
+    expect(body.sources.some(source => source.id === disabled.id)).toBe(false);
+
+    const counted = Object.values(body.summary).reduce((sum, count) => sum + count, 0);
+    expect(counted).toBe(body.total);
+    expect(body.summary.failing).toBeGreaterThanOrEqual(1);
+  });
+});
@@ -0,0 +1,218 @@
+process.env.DATABASE_PATH = ':memory:';
+process.env.ADMIN_EMAILS = 'admin@example.test';
+
+const mockFetchFeed = jest.fn();
+const mockDiscoverFeeds = jest.fn();
+jest.mock('../lib/feedFetcher', () => ({
+  ...jest.requireActual('../lib/feedFetcher'),
+  fetchFeed: (...args) => mockFetchFeed(...args),
+  discoverFeeds: (...args) => mockDiscoverFeeds(...args)
+}));
+
+const express = require('express');
+const db = require('../lib/database');
+const sessions = require('../lib/sessions');
+const articleStore = require('../lib/articleStore');
+const sourceRegistry = require('../lib/sourceRegistry');
+const { signAccessToken } = require('../middleware/auth');
+
+const FEED = { status: 'ok', feed: { title: 'Example', items: [{ title: 'Story' }] } };
+
+let server;
+let base;
+
+async function tokenFor(email) {
+  const { session } = await sessions.startSession(email);
+  return signAccessToken({ id: email, email }, session.id);
+}
+
+function request(method, path, { token, body } = {}) {
+  const headers = {};
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  if (body) {
+    headers['Content-Type'] = 'application/json';
+  }
+  return fetch(`${base}${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+}
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/news', require('../routes/news'));
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  base = `http://127.0.0.1:${server.address().port}/api/news`;
+});
+
+beforeEach(() => {
+  mockFetchFeed.mockResolvedValue(FEED);
+});
+
+afterEach(() => {
+  mockFetchFeed.mockReset();
+  mockDiscoverFeeds.mockReset();
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await db.close();
+});
+
+describe('source registry', () => {
+  test('creates sources with defaults and updates them partially', async () => {
+    const source = await sourceRegistry.createSource({
+      name: 'Registry Times',
+      url: 'https://registry.example/feed',
+      category: 'business'
+    });
+    expect(source).toMatchObject({
+      name: 'Registry Times',
+      homepage: null,
+      trusted: false,
+      enabled: true,
+      pollInterval: sourceRegistry.DEFAULT_POLL_INTERVAL,
+      licence: sourceRegistry.DEFAULT_LICENCE
+    });
+
+    const updated = await sourceRegistry.updateSource(source.id, { pollInterval: 30, licence: { images: false } });
+    expect(updated).toMatchObject({ name: 'Registry Times', category: 'business', pollInterval: 30 });
+    expect(updated.licence).toEqual({ ...sourceRegistry.DEFAULT_LICENCE, images: false });
+
+    expect(await sourceRegistry.findByName('registry times')).toMatchObject({ id: source.id });
+    expect(await sourceRegistry.findByUrl('https://registry.example/feed')).toMatchObject({ id: source.id });
+    expect(await sourceRegistry.updateSource(999999, { name: 'Nobody' })).toBeNull();
+
+    expect(await sourceRegistry.deleteSource(source.id)).toBe(true);
+    expect(await sourceRegistry.getSource(source.id)).toBeNull();
+    expect(await sourceRegistry.deleteSource(source.id)).toBe(false);
+  });
+
+  test('refuses feeds that do not parse', async () => {
+    await expect(sourceRegistry.checkFeed('https://registry.example/feed')).resolves.toEqual({ title: 'Example', itemCount: 1 });
+    mockFetchFeed.mockResolvedValue({ status: 'error', error: 'Not a feed' });
+    await expect(sourceRegistry.checkFeed('https://registry.example/page')).rejects.toThrow('Feed could not be parsed');
+  });
+});
+
+describe('source admin API', () => {
+  test('is limited to admins', async () => {
+    const body = { name: 'Unauthorised', url: 'https://unauthorised.example/feed', category: 'general' };
+    expect((await request('POST', '/sources', { body })).status).toBe(401);
+    const userToken = await tokenFor('reader@example.test');
+    expect((await request('POST', '/sources', { token: userToken, body })).status).toBe(403);
+    expect((await request('DELETE', '/sources/1', { token: userToken })).status).toBe(403);
+    expect(await sourceRegistry.findByName('Unauthorised')).toBeNull();
+  });
+
+  test('adds a source, refusing duplicates and unparseable feeds', async () => {
+    const token = await tokenFor('admin@example.test');
+    const body = { name: 'Admin Herald', url: 'https://herald.example/feed', category: 'politics', trusted: true };
+
+    const created = await request('POST', '/sources', { token, body });
+    expect(created.status).toBe(201);
+    expect((await created.json()).source).toMatchObject({ name: 'Admin Herald', category: 'politics', trusted: true });
+    expect(mockFetchFeed).toHaveBeenCalledWith('https://herald.example/feed');
+
+    const sameName = await request('POST', '/sources', { token, body: { ...body, name: 'admin herald', url: 'https://other.example/feed' } });
+    expect(sameName.status).toBe(409);
+    expect((await sameName.json()).message).toBe('A source with this name already exists');
+
+    const sameUrl = await request('POST', '/sources', { token, body: { ...body, name: 'Herald Two' } });
+    expect(sameUrl.status).toBe(409);
+    expect((await sameUrl.json()).message).toBe('A source with this feed URL already exists');
+
+    mockFetchFeed.mockResolvedValue({ status: 'error', error: 'Not a feed' });
+    const invalid = await request('POST', '/sources', { token, body: { ...body, name: 'Broken', url: 'https://broken.example/' } });
+    expect(invalid.status).toBe(422);
+    expect(await sourceRegistry.findByName('Broken')).toBeNull();
+  });
+
+  test('validates the source fields', async () => {
+    const token = await tokenFor('admin@example.test');
+    const response = await request('POST', '/sources', {
+      token,
+      body: { name: 'Bad', url: 'ftp://bad.example/feed', category: 'gossip', pollInterval: 1 }
+    });
+    expect(response.status).toBe(400);
+    const fields = (await response.json()).details.map(detail => detail.path);
+    expect(fields).toEqual(expect.arrayContaining(['url', 'category', 'pollInterval']));
+
+    const missing = await request('POST', '/sources', { token, body: { name: 'Nowhere', category: 'general' } });
+    expect(missing.status).toBe(400);
+    expect((await missing.json()).message).toBe('A feed URL or homepage URL is required');
+  });
+
+  test('uses the first feed a homepage advertises', async () => {
+    const token = await tokenFor('admin@example.test');
+    mockDiscoverFeeds.mockResolvedValue([
+      { url: 'https://gazette.example/rss', type: 'rss' },
+      { url: 'https://gazette.example/atom', type: 'atom' }
+    ]);
+    const created = await request('POST', '/sources', {
+      token,
+      body: { name: 'Homepage Gazette', homepage: 'https://gazette.example/', category: 'general' }
+    });
+    expect(created.status).toBe(201);
+    expect((await created.json()).source.url).toBe('https://gazette.example/rss');
+
+    mockDiscoverFeeds.mockResolvedValue([]);
+    const none = await request('POST', '/sources', {
+      token,
+      body: { name: 'Feedless', homepage: 'https://feedless.example/', category: 'general' }
+    });
+    expect(none.status).toBe(422);
+  });
+
+  test('renames a source together with its stored articles', async () => {
+    const token = await tokenFor('admin@example.test');
+    const source = await sourceRegistry.createSource({ name: 'Old Name', url: 'https://rename.example/feed', category: 'general' });
+    await articleStore.upsertArticles([{
+      title: 'Renamed story',
+      link: 'https://rename.example/story',
+      pubDate: new Date().toISOString(),
+      description: 'A story',
+      source: 'Old Name',
+      category: 'general',
+      trusted: false
+    }]);
+
+    const updated = await request('PUT', `/sources/${source.id}`, { token, body: { name: 'New Name' } });
+    expect(updated.status).toBe(200);
+    expect((await updated.json()).source.name).toBe('New Name');
+    // The feed URL did not change, so it is not checked again
+    expect(mockFetchFeed).not.toHaveBeenCalled();
+
+    const rows = await db.all("SELECT source FROM articles WHERE link = 'https://rename.example/story'");
+    expect(rows).toEqual([{ source: 'New Name' }]);
+
+    const clash = await request('PUT', `/sources/${source.id}`, { token, body: { name: 'Admin Herald' } });
+    expect(clash.status).toBe(409);
+    expect((await request('PUT', '/sources/999999', { token, body: { name: 'Ghost' } })).status).toBe(404);
+  });
+
+  test('deletes sources', async () => {
+    const token = await tokenFor('admin@example.test');
+    const source = await sourceRegistry.createSource({ name: 'Short Lived', url: 'https://short.example/feed', category: 'general' });
+
+    const deleted = await request('DELETE', `/sources/${source.id}`, { token });
+    expect(deleted.status).toBe(200);
+    expect((await deleted.json()).source).toEqual({ id: source.id, name: 'Short Lived' });
+    expect((await request('DELETE', `/sources/${source.id}`, { token })).status).toBe(404);
+    expect((await request('DELETE', '/sources/not-a-number', { token })).status).toBe(400);
+  });
+
+  test('lists enabled sources publicly without their feed URLs', async () => {
+    await sourceRegistry.createSource({ name: 'Hidden Post', url: 'https://hidden.example/feed', category: 'general', enabled: false });
+    const body = await (await request('GET', '/sources')).json();
+
+    const names = body.sources.map(source => source.name);
+    expect(names).not.toContain('Hidden Post');
+    expect(body.total).toBe(body.sources.length);
+    body.sources.forEach((source) => {
+      expect(Object.keys(source).sort()).toEqual(['category', 'homepage', 'id', 'name', 'trusted']);
+    });
+  });
+});
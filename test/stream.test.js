@@ -0,0 +1,166 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const http = require('http');
+const express = require('express');
+const db = require('../lib/database');
+const articleStore = require('../lib/articleStore');
+const ingestion = require('../lib/ingestion');
+
+let server;
+let base;
+let nextArticle = 0;
+
+beforeAll(async () => {
+  const app = express();
+  app.use('/api/news', require('../routes/news'));
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  base = `http://127.0.0.1:${server.address().port}/api/news/stream`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await db.close();
+});
+
+// Store articles the way ingestion does, announcing them to the stream
+async function ingest(...articles) {
+  const stored = articles.map(({ title, source = 'BBC News', category = 'general' }) => {
+    nextArticle++;
+    return {
+      title,
+      link: `https://stream.test/articles/${nextArticle}`,
+      pubDate: new Date().toISOString(),
+      description: `About ${title}`,
+      source,
+      category
+    };
+  });
+  await articleStore.upsertArticles(stored);
+  ingestion.events.emit('articles', { inserted: stored.length });
+}
+
+function idOf(title) {
+  return db.get('SELECT id FROM articles WHERE title = ?', [title]).then(row => row.id);
+}
+
+// Open a stream and collect its events as { id, event, data }
+function openStream(query = '', headers = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.get(`${base}${query}`, { headers }, (response) => {
+      const stream = { response, text: '', events: [], close: () => request.destroy() };
+      let buffer = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        stream.text += chunk;
+        buffer += chunk;
+        const parts = buffer.split('\n\n');
+        buffer = parts.pop();
+        parts.forEach((part) => {
+          const fields = {};
+          part.split('\n').forEach((line) => {
+            const match = line.match(/^(id|event|data): (.*)$/);
+            if (match) {
+              fields[match[1]] = match[1] === 'data' ? JSON.parse(match[2]) : match[2];
+            }
+          });
+          if (fields.event) {
+            stream.events.push(fields);
+          }
+        });
+      });
+      resolve(stream);
+    });
+    request.on('error', reject);
+  });
+}
+
+async function eventsOf(stream, count) {
+  while (stream.events.length < count) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return stream.events;
+}
+
+test('opens an event stream that tells clients how long to wait before reconnecting', async () => {
+  const stream = await openStream();
+  try {
+    expect(stream.response.statusCode).toBe(200);
+    expect(stream.response.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+    expect(stream.response.headers['cache-control']).toBe('no-cache, no-transform');
+    while (!stream.text) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    expect(stream.text).toBe('retry: 10000\n\n');
+  } finally {
+    stream.close();
+  }
+});
+
+test('pushes newly stored articles in the requested category', async () => {
+  await ingest({ title: 'Before the client connected', category: 'business' });
+  const stream = await openStream('?category=business');
+  try {
+    await ingest({ title: 'Match report', category: 'sports' }, { title: 'Rates held', category: 'business' });
+    const [event] = await eventsOf(stream, 1);
+    expect(event).toMatchObject({ event: 'article', id: String(await idOf('Rates held')) });
+    expect(event.data).toMatchObject({ title: 'Rates held', source: 'BBC News', category: 'business' });
+
+    await ingest({ title: 'Shares rise', category: 'business' });
+    expect((await eventsOf(stream, 2)).map(({ data }) => data.title)).toEqual(['Rates held', 'Shares rise']);
+  } finally {
+    stream.close();
+  }
+});
+
+test('pushes only articles from sources matching the source filter', async () => {
+  const stream = await openStream('?source=guardian');
+  try {
+    await ingest({ title: 'From the BBC' }, { title: 'From the Guardian', source: 'The Guardian' });
+    const [event] = await eventsOf(stream, 1);
+    expect(event.data).toMatchObject({ title: 'From the Guardian', source: 'The Guardian' });
+  } finally {
+    stream.close();
+  }
+});
+
+test('catches a reconnecting client up from its Last-Event-ID', async () => {
+  await ingest({ title: 'Seen before dropping' }, { title: 'Missed one' }, { title: 'Missed two' });
+  const lastSeen = await idOf('Seen before dropping');
+
+  const fromHeader = await openStream('', { 'Last-Event-ID': String(lastSeen) });
+  const fromQuery = await openStream(`?lastEventId=${lastSeen}`);
+  try {
+    const missed = ['Missed one', 'Missed two'];
+    expect((await eventsOf(fromHeader, 2)).map(({ data }) => data.title)).toEqual(missed);
+    expect((await eventsOf(fromQuery, 2)).map(({ data }) => data.title)).toEqual(missed);
+    expect(fromHeader.events.map(({ id }) => Number(id))).toEqual([lastSeen + 1, lastSeen + 2]);
+  } finally {
+    fromHeader.close();
+    fromQuery.close();
+  }
+});
+
+test('catches up on more missed articles than fit in one page, oldest first', async () => {
+  await ingest({ title: 'Last seen before a long absence' });
+  const lastSeen = await idOf('Last seen before a long absence');
+  const missed = Array.from({ length: 120 }, (value, index) => `Long absence story ${index}`);
+  await ingest(...missed.map(title => ({ title })));
+
+  const stream = await openStream('', { 'Last-Event-ID': String(lastSeen) });
+  try {
+    expect((await eventsOf(stream, missed.length)).map(({ data }) => data.title)).toEqual(missed);
+  } finally {
+    stream.close();
+  }
+});
+
+test.each([
+  ['unknown categories', '?category=gossip'],
+  ['negative event ids', '?lastEventId=-1']
+])('refuses %s', async (description, query) => {
+  const response = await fetch(`${base}${query}`);
+  expect(response.status).toBe(400);
+  expect((await response.json()).error).toBe('Invalid stream parameters');
+});
@@ -0,0 +1,167 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const http = require('http');
+const express = require('express');
+const db = require('../lib/database');
+const articleStore = require('../lib/articleStore');
+const { parseFeed } = require('../lib/feedNormalizer');
+const { renderFeed, escapeXml, FORMATS } = require('../lib/syndication');
+
+const SOURCE = { name: 'BBC News', url: 'https://feeds.bbci.co.uk/news/rss.xml', homepage: 'https://www.bbc.co.uk/news' };
+
+function feedOf(articles) {
+  return {
+    title: 'Test feed',
+    description: 'Headlines',
+    homepage: 'https://aggregator.test/',
+    selfUrl: 'https://aggregator.test/api/news/feed.rss',
+    articles,
+    sources: new Map([[SOURCE.name, SOURCE]])
+  };
+}
+
+const ARTICLES = [
+  {
+    title: 'Fish & chips <shop> "wins" award',
+    link: 'https://www.bbc.co.uk/news/articles/fish?a=1&b=2',
+    description: 'A seaside café is named the best in Britain.',
+    pubDate: '2026-10-18T09:00:00.000Z',
+    source: 'BBC News',
+    category: 'general',
+    topics: ['general', 'food'],
+    attribution: { text: 'Published by BBC News' }
+  },
+  {
+    title: 'Older story',
+    link: 'https://www.bbc.co.uk/news/articles/older',
+    description: null,
+    pubDate: '2026-10-17T09:00:00.000Z',
+    source: 'BBC News',
+    category: 'business',
+    topics: []
+  }
+];
+
+describe('renderFeed', () => {
+  test.each(Object.keys(FORMATS))('%s output parses back to the same items', async (format) => {
+    const rendered = renderFeed(format, feedOf(ARTICLES));
+    expect(rendered.contentType).toBe(FORMATS[format]);
+
+    const parsed = await parseFeed(rendered.body, rendered.contentType);
+    expect(parsed.title).toBe('Test feed');
+    expect(parsed.items.map(item => item.title)).toEqual(['Fish & chips <shop> "wins" award', 'Older story']);
+    expect(parsed.items.map(item => item.link)).toEqual(ARTICLES.map(article => article.link));
+    expect(parsed.items.map(item => item.pubDate)).toEqual(ARTICLES.map(article => article.pubDate));
+    expect(parsed.items[0].categories).toEqual(['general', 'food']);
+  });
+
+  test('names the publisher as each item\'s source', () => {
+    const rss = renderFeed('rss', feedOf(ARTICLES)).body;
+    expect(rss).toContain('<source url="https://feeds.bbci.co.uk/news/rss.xml">BBC News</source>');
+    expect(rss).toContain('<dc:rights>Published by BBC News</dc:rights>');
+
+    const atom = renderFeed('atom', feedOf(ARTICLES)).body;
+    expect(atom).toContain('<link rel="alternate" href="https://www.bbc.co.uk/news"/>');
+
+    const [item] = JSON.parse(renderFeed('json', feedOf(ARTICLES)).body).items;
+    expect(item).toMatchObject({
+      authors: [{ name: 'BBC News', url: 'https://www.bbc.co.uk/news' }],
+      _attribution: 'Published by BBC News',
+      _source: { name: 'BBC News', feed_url: SOURCE.url }
+    });
+  });
+
+  test('gives items ids that depend only on their link', () => {
+    const first = JSON.parse(renderFeed('json', feedOf(ARTICLES)).body).items[0].id;
+    const renamed = JSON.parse(renderFeed('json', feedOf([{ ...ARTICLES[0], title: 'Renamed' }])).body).items[0].id;
+    expect(first).toBe(renamed);
+    expect(first).toMatch(/^tag:uk-compliant-news-aggregator,2024:[0-9a-f]{40}$/);
+  });
+
+  test('returns validators that change with the content', () => {
+    const feed = renderFeed('rss', feedOf(ARTICLES));
+    expect(feed.lastModified).toBe('Sun, 18 Oct 2026 09:00:00 GMT');
+    expect(renderFeed('rss', feedOf(ARTICLES)).etag).toBe(feed.etag);
+    expect(renderFeed('rss', feedOf(ARTICLES.slice(1))).etag).not.toBe(feed.etag);
+  });
+
+  test('renders empty feeds', async () => {
+    const atom = renderFeed('atom', feedOf([]));
+    expect(atom.lastModified).toBeNull();
+    expect(atom.body).toContain('<updated>1970-01-01T00:00:00.000Z</updated>');
+    expect(renderFeed('atom', feedOf([])).etag).toBe(atom.etag);
+    expect((await parseFeed(renderFeed('rss', feedOf([])).body)).items).toEqual([]);
+  });
+
+  test('escapes markup and drops characters XML does not allow', () => {
+    expect(escapeXml('<a href="x">Tom & Jerry\'s</a>\u0000\u001F')).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+    expect(escapeXml(null)).toBe('');
+  });
+});
+
+describe('GET /api/news/feed.:format', () => {
+  let server;
+  let base;
+
+  beforeAll(async () => {
+    process.env.PUBLIC_URL = 'https://news.example.test/';
+    await articleStore.upsertArticles([
+      { title: 'Budget day', link: 'https://www.bbc.co.uk/news/budget', pubDate: '2026-10-18T08:00:00.000Z', description: 'Tax changes', source: 'BBC News', category: 'business', trusted: true },
+      { title: 'Cup final', link: 'https://news.sky.com/story/cup-final', pubDate: '2026-10-18T07:00:00.000Z', description: 'Penalties', source: 'Sky News', category: 'sports', trusted: true }
+    ]);
+
+    const app = express();
+    app.use('/api/news', require('../routes/news'));
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}/api/news`;
+  });
+
+  // Plain http rather than fetch, which marks conditional requests no-cache
+  function get(path, headers = {}) {
+    return new Promise((resolve, reject) => {
+      http.get(`${base}${path}`, { headers }, (response) => {
+        response.resume();
+        response.on('end', () => resolve(response));
+      }).on('error', reject);
+    });
+  }
+
+  afterAll(async () => {
+    delete process.env.PUBLIC_URL;
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+  });
+
+  test('serves filtered feeds linking to the public URL', async () => {
+    const response = await fetch(`${base}/feed.json?category=business`);
+    const feed = await response.json();
+    expect(response.headers.get('content-type')).toBe(FORMATS.json);
+    expect(response.headers.get('cache-control')).toBe('public, max-age=300');
+    expect(feed).toMatchObject({
+      title: 'UK Compliant News Aggregator: Business',
+      home_page_url: 'https://news.example.test/',
+      feed_url: 'https://news.example.test/api/news/feed.json?category=business'
+    });
+    expect(feed.items.map(item => item.url)).toEqual(['https://www.bbc.co.uk/news/budget']);
+  });
+
+  test('answers 304 to readers whose copy is current', async () => {
+    const first = await get('/feed.atom');
+    expect(first.headers['last-modified']).toBe('Sun, 18 Oct 2026 08:00:00 GMT');
+
+    expect((await get('/feed.atom', { 'If-Modified-Since': first.headers['last-modified'] })).statusCode).toBe(304);
+    expect((await get('/feed.atom', { 'If-None-Match': `W/${first.headers.etag}` })).statusCode).toBe(304);
+    expect((await get('/feed.atom', { 'If-None-Match': '"other"' })).statusCode).toBe(200);
+    expect((await get('/feed.atom', { 'If-None-Match': first.headers.etag, 'Cache-Control': 'no-cache' })).statusCode).toBe(200);
+  });
+
+  test.each([
+    ['unknown formats', '/feed.xml', 404],
+    ['unknown categories', '/feed.rss?category=gossip', 400],
+    ['oversized limits', '/feed.rss?limit=500', 400]
+  ])('refuses %s', async (description, path, status) => {
+    expect((await fetch(`${base}${path}`)).status).toBe(status);
+  });
+});
@@ -0,0 +1,132 @@
+const { sentences, detectLanguage, readingTime, analyzeArticle } = require('../lib/textAnalysis');
+const { enrichArticle } = require('../lib/enrichment');
+
+const TITLE = 'Flood defences approved for Shrewsbury';
+
+const BODY = [
+  'Ministers have approved a plan to rebuild the flood defences along the River Severn.',
+  'The scheme will cost the council four million pounds over five years.',
+  'Residents in Shrewsbury have campaigned for better flood defences since the floods of 2020.',
+  'Work on the flood defences is due to begin next spring, the council said.',
+  'A public meeting about the defences will be held in the town hall on Monday.',
+  'Some traders fear the works will disrupt business in the town centre.',
+  'The Environment Agency said the new defences would protect two thousand homes.',
+  'Campaigners welcomed the decision but said the work was overdue.',
+  'The council will publish a full timetable next month.'
+];
+
+function wordsOf(count) {
+  return Array.from({ length: count }, (value, index) => `word${index}`).join(' ');
+}
+
+describe('sentences', () => {
+  test('splits at sentence ends but not after abbreviations or initials', () => {
+    expect(sentences('Mr. Smith met U.S. officials. J. K. Rowling spoke! Was it "fine"? Yes. 3 people came.')).toEqual([
+      'Mr. Smith met U.S. officials.',
+      'J. K. Rowling spoke!',
+      'Was it "fine"?',
+      'Yes.',
+      '3 people came.'
+    ]);
+  });
+});
+
+describe('detectLanguage', () => {
+  test.each([
+    ['The council said that it would be in the area', 'en'],
+    ['Mae’r cyngor wedi dweud bod y ffordd ar gau ac yn', 'cy'],
+    ['Le gouvernement a dit que les prix sont en hausse dans la ville', 'fr'],
+    ['Die Regierung hat gesagt, dass die Preise nicht steigen und auch', 'de'],
+    ['Short one', null]
+  ])('%s', (text, language) => {
+    expect(detectLanguage(text)).toBe(language);
+  });
+});
+
+describe('readingTime', () => {
+  test.each([
+    ['a teaser', wordsOf(119), null],
+    ['a short article', wordsOf(120), 1],
+    ['a long article', wordsOf(1000), 4],
+    ['no text', null, null]
+  ])('%s', (description, text, minutes) => {
+    expect(readingTime(text)).toBe(minutes);
+  });
+});
+
+describe('analyzeArticle', () => {
+  test('summarises the full text and takes the lede from the feed description', () => {
+    const analysis = analyzeArticle({
+      title: TITLE,
+      description: '<p>Plans to rebuild the <b>flood defences</b> are approved.</p> The post Flood plan appeared first on Shropshire News.',
+      bodyText: BODY.join(' ')
+    });
+
+    expect(analysis).toEqual({
+      language: 'en',
+      readingTime: null,
+      lede: 'Plans to rebuild the flood defences are approved.',
+      summary: [BODY[0], BODY[2], BODY[3]].join(' '),
+      keywords: ['defences', 'flood', 'approved', 'shrewsbury', 'council']
+    });
+  });
+
+  test('gives a reading time for long bodies and ledes from their opening', () => {
+    const bodyText = [...BODY, ...BODY, ...BODY].map((sentence, index) => `${sentence.slice(0, -1)} in part ${index}.`).join('\n\n');
+    const analysis = analyzeArticle({ title: TITLE, bodyText });
+    expect(analysis.readingTime).toBe(2);
+    expect(analysis.lede).toBe(`${BODY[0].slice(0, -1)} in part 0. ${BODY[1].slice(0, -1)} in part 1.`);
+    expect(sentences(analysis.summary)).toHaveLength(3);
+  });
+
+  test('leaves out sentences that only repeat the headline', () => {
+    const { summary } = analyzeArticle({
+      title: TITLE,
+      description: `${TITLE}. ${BODY[1]} ${BODY[5]} ${BODY[7]}`
+    });
+    expect(summary).not.toContain(`${TITLE}.`);
+    expect(sentences(summary)).toHaveLength(2);
+  });
+
+  test('keeps ledes to 300 characters, cut at a sentence end', () => {
+    const { lede } = analyzeArticle({ title: TITLE, description: BODY.join(' ') });
+    expect(lede.length).toBeLessThanOrEqual(300);
+    expect(lede).toBe(BODY.slice(0, 3).join(' '));
+  });
+
+  test('cuts long unbroken ledes at a word', () => {
+    const { lede } = analyzeArticle({ title: TITLE, description: wordsOf(100) });
+    expect(lede).toMatch(/^word0 word1 .* word\d+…$/);
+    expect(lede.length).toBeLessThanOrEqual(301);
+  });
+
+  test('returns empty results when there is no text', () => {
+    expect(analyzeArticle({ title: null, description: '' })).toEqual({
+      language: null,
+      readingTime: null,
+      lede: null,
+      summary: null,
+      keywords: []
+    });
+  });
+});
+
+describe('enrichArticle', () => {
+  test('adds text analysis and terms to the article', () => {
+    const article = { title: TITLE, description: BODY.slice(0, 4).join(' '), link: 'https://news.test/floods', source: 'BBC News' };
+    const enriched = enrichArticle(article);
+
+    expect(enriched).toMatchObject({ ...article, language: 'en', keywords: expect.arrayContaining(['flood']) });
+    expect(enriched.entities).toContainEqual({ name: 'Shrewsbury', type: 'place' });
+    expect(enriched.keyPhrases).toEqual(expect.any(Array));
+  });
+
+  test('keeps the article when a step fails', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const title = { toString() { throw new Error('unreadable title'); } };
+    const enriched = enrichArticle({ title, description: 'Text', link: 'https://news.test/broken' });
+    expect(enriched).toMatchObject({ description: 'Text', link: 'https://news.test/broken' });
+    expect(console.error).toHaveBeenCalledWith('Error enriching article https://news.test/broken:', 'unreadable title');
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,68 @@
+const { classifyArticle, scoreText } = require('../lib/topicClassifier');
+
+function classify(article, sourceCategory) {
+  return classifyArticle({ title: '', description: '', link: 'https://news.test/story', categories: [], ...article }, sourceCategory);
+}
+
+describe('classifyArticle', () => {
+  test('keeps the category of a topical source', () => {
+    expect(classify({ title: 'Premier League striker signs new deal', categories: ['Politics'] }, 'sports'))
+      .toEqual({ category: 'sports', topics: ['football'] });
+  });
+
+  test.each([
+    ['a feed category', { categories: ['UK Politics'] }, 'politics'],
+    ['a feed category label with punctuation', { categories: ['Science & Environment'] }, 'technology'],
+    ['a sub-topic feed category', { categories: ['Cricket'] }, 'sports'],
+    ['a URL section', { link: 'https://www.bbc.co.uk/news/business-68765432' }, 'business'],
+    ['the deepest URL segment', { link: 'https://news.test/news/sport/tennis/123' }, 'sports'],
+    ['the text', { title: 'Inflation falls as Bank of England holds interest rates', description: 'Markets and shares rallied.' }, 'business']
+  ])('places general stories by %s', (description, article, category) => {
+    expect(classify(article, 'general').category).toBe(category);
+  });
+
+  test('trusts feed categories over the URL and the URL over the text', () => {
+    expect(classify({
+      title: 'Chancellor raises taxes on shares',
+      categories: ['Technology'],
+      link: 'https://news.test/politics/budget'
+    }).category).toBe('technology');
+    expect(classify({
+      title: 'Chancellor raises taxes on shares',
+      link: 'https://news.test/politics/budget'
+    }).category).toBe('politics');
+  });
+
+  test('leaves stories it is unsure about in general', () => {
+    expect(classify({ title: 'Village fete draws record crowd' })).toEqual({ category: 'general', topics: [] });
+  });
+
+  test('finds sub-topics in the text and the other signals', () => {
+    expect(classify({
+      title: 'Ransomware gang hits hospital computers',
+      description: 'Hackers demanded payment in a cyber-attack.'
+    }).topics).toEqual(['cybersecurity']);
+
+    expect(classify({
+      title: 'Astronaut returns as rocket lands',
+      link: 'https://news.test/technology/ai/123'
+    })).toEqual({ category: 'technology', topics: ['ai', 'space'] });
+
+    // Phrases must appear whole
+    expect(classify({ title: 'The championship is open' }, 'sports').topics).toEqual(['football']);
+  });
+});
+
+describe('scoreText', () => {
+  test('returns probabilities for every topic, highest first', () => {
+    const scores = scoreText('Wimbledon tennis final goes to five sets');
+    expect(scores[0].category).toBe('sports');
+    expect(scores.map(score => score.category).sort()).toEqual(['business', 'politics', 'sports', 'technology']);
+    expect(scores.reduce((sum, score) => sum + score.probability, 0)).toBeCloseTo(1);
+  });
+
+  test('declines text with too few known words', () => {
+    expect(scoreText('Tennis')).toBeNull();
+    expect(scoreText('Village fete draws record crowd')).toBeNull();
+  });
+});
@@ -0,0 +1,181 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const express = require('express');
+const db = require('../lib/database');
+const articleStore = require('../lib/articleStore');
+const trending = require('../lib/trending');
+
+const MINUTE = 60 * 1000;
+let nextArticle = 0;
+
+// Store articles with the terms enrichment would have given them. Each test
+// uses its own category so their articles do not mix.
+function store(category, articles) {
+  return articleStore.upsertArticles(articles.map(({ source, minutesAgo = 10, entities = [], keyPhrases = [], title, description }) => {
+    nextArticle++;
+    return {
+      title: title || `Story ${nextArticle}`,
+      description: description || null,
+      link: `https://trending.test/${nextArticle}`,
+      pubDate: new Date(Date.now() - minutesAgo * MINUTE).toISOString(),
+      source,
+      category,
+      entities,
+      keyPhrases
+    };
+  }));
+}
+
+const person = name => ({ name, type: 'person' });
+const organisation = name => ({ name, type: 'organisation' });
+
+function termsOf(result) {
+  return result.topics.map(topic => topic.term);
+}
+
+afterEach(() => jest.restoreAllMocks());
+afterAll(() => db.close());
+
+describe('getTrending', () => {
+  test('ranks terms by how many sources cover them', async () => {
+    await store('business', [
+      { source: 'BBC News', entities: [person('Rachel Reeves'), organisation('Bank of England')] },
+      { source: 'The Guardian', entities: [person('Rachel Reeves'), organisation('Bank of England')] },
+      { source: 'Sky News', entities: [person('Rachel Reeves')] },
+      // One outlet repeating itself never trends
+      { source: 'Financial Times', keyPhrases: ['bond yields'] },
+      { source: 'Financial Times', keyPhrases: ['bond yields'] },
+      { source: 'Financial Times', keyPhrases: ['bond yields'] }
+    ]);
+
+    const result = await trending.getTrending({ window: '1h', category: 'business' });
+    expect(result).toMatchObject({ window: '1h', articleCount: 6 });
+    expect(new Date(result.to) - new Date(result.from)).toBe(trending.WINDOWS['1h']);
+    expect(termsOf(result)).toEqual(['rachel reeve', 'bank of england']);
+    expect(result.topics[0]).toMatchObject({
+      label: 'Rachel Reeves',
+      type: 'person',
+      sourceCount: 3,
+      sources: ['BBC News', 'Sky News', 'The Guardian'],
+      mentions: 3,
+      query: '"Rachel Reeves"'
+    });
+  });
+
+  test('favours terms whose coverage is growing over steady ones', async () => {
+    const steady = { entities: [organisation('Ofgem')] };
+    const rising = { entities: [organisation('Thames Water')] };
+    await store('technology', [
+      ...['BBC News', 'Sky News', 'Reuters UK', 'The Guardian'].map(source => ({ source, minutesAgo: 120, ...steady })),
+      ...['BBC News', 'Sky News', 'Reuters UK', 'The Guardian'].map(source => ({ source, minutesAgo: 150, ...steady })),
+      { source: 'BBC News', ...steady },
+      { source: 'Sky News', ...steady },
+      { source: 'BBC News', ...rising },
+      { source: 'Sky News', ...rising }
+    ]);
+
+    const { topics, articleCount } = await trending.getTrending({ window: '1h', category: 'technology' });
+    expect(articleCount).toBe(4);
+    expect(topics.map(topic => [topic.term, topic.growth])).toEqual([
+      ['thames water', 3],
+      ['ofgem', 1]
+    ]);
+  });
+
+  test('folds surnames into full names and keeps one of overlapping phrases', async () => {
+    await store('sports', [
+      { source: 'BBC News', entities: [person('Gareth Southgate')], keyPhrases: ['transfer window'] },
+      { source: 'Sky News', entities: [person('Southgate')], keyPhrases: ['transfer window'] },
+      { source: 'The Guardian', keyPhrases: ['transfer window deadline'] },
+      { source: 'Reuters UK', keyPhrases: ['transfer window deadline'] }
+    ]);
+
+    const { topics } = await trending.getTrending({ window: '1h', category: 'sports' });
+    expect(topics.map(topic => [topic.term, topic.label, topic.sourceCount])).toEqual([
+      ['gareth southgate', 'Gareth Southgate', 2],
+      ['transfer window', 'transfer window', 2]
+    ]);
+  });
+
+  test('extracts terms from articles stored without them', async () => {
+    await store('politics', [
+      { source: 'BBC News', title: 'Protest in Westminster', description: 'Crowds gathered outside Downing Street.' },
+      { source: 'Reuters UK', title: 'Marchers reach Westminster', description: 'Police closed roads near Downing Street.' }
+    ]);
+
+    const { topics } = await trending.getTrending({ window: '1h', category: 'politics' });
+    expect(topics).toEqual(expect.arrayContaining([
+      expect.objectContaining({ term: 'westminster', type: 'place', sourceCount: 2, query: 'Westminster' }),
+      expect.objectContaining({ term: 'downing street', type: 'place', sourceCount: 2 })
+    ]));
+  });
+
+  test('leaves out articles older than the window and its baseline', async () => {
+    await store('politics', [
+      { source: 'BBC News', minutesAgo: 7 * 60, entities: [organisation('Electoral Commission')] },
+      { source: 'Sky News', minutesAgo: 7 * 60, entities: [organisation('Electoral Commission')] }
+    ]);
+    expect(termsOf(await trending.getTrending({ window: '1h', category: 'politics', limit: 5 }))).not.toContain('electoral commission');
+    expect(termsOf(await trending.getTrending({ window: '24h', category: 'politics' }))).toContain('electoral commission');
+  });
+
+  test('limits to the given sources', async () => {
+    const { topics } = await trending.getTrending({ window: '1h', category: 'business', sources: ['BBC News', 'Sky News'] });
+    expect(topics.map(topic => [topic.term, topic.sourceCount])).toEqual([['rachel reeve', 2]]);
+  });
+
+  test('reuses results for a minute', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const first = await trending.getTrending({ window: '6h', category: 'business', limit: 3 });
+
+    await store('business', [
+      { source: 'BBC News', entities: [organisation('Ofwat')] },
+      { source: 'Sky News', entities: [organisation('Ofwat')] }
+    ]);
+    expect(await trending.getTrending({ window: '6h', category: 'business', limit: 3 })).toBe(first);
+
+    Date.now.mockReturnValue(now + MINUTE + 1);
+    expect(termsOf(await trending.getTrending({ window: '6h', category: 'business', limit: 3 }))).toContain('ofwat');
+  });
+});
+
+describe('GET /api/news/trending', () => {
+  let server;
+  let base;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/api/news', require('../routes/news'));
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}/api/news/trending`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  test('returns the topics for the filters', async () => {
+    const response = await fetch(`${base}?window=1h&category=sports&limit=1`);
+    const body = await response.json();
+    expect(response.status).toBe(200);
+    expect(body).toMatchObject({ window: '1h', timestamp: expect.any(String) });
+    expect(termsOf(body)).toEqual(['gareth southgate']);
+  });
+
+  test('narrows to sources matching the source filter', async () => {
+    const body = await (await fetch(`${base}?window=1h&category=business&source=news`)).json();
+    expect(termsOf(body)).toContain('rachel reeve');
+    body.topics.forEach(topic => expect(topic.sources).toEqual(['BBC News', 'Sky News']));
+  });
+
+  test.each([
+    ['unknown windows', '?window=2h'],
+    ['unknown categories', '?category=gossip'],
+    ['oversized limits', '?limit=31']
+  ])('refuses %s', async (description, query) => {
+    const response = await fetch(`${base}${query}`);
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('Invalid trending parameters');
+  });
+});
@@ -0,0 +1,112 @@
+const cheerio = require('cheerio');
+const {
+  isTrackingParam,
+  resolveUrl,
+  normalizeUrl,
+  canonicalFromPage,
+  canonicalKey
+} = require('../lib/urlNormalizer');
+
+describe('normalizeUrl', () => {
+  test.each([
+    ['drops utm parameters', 'https://www.bbc.co.uk/news/a?utm_source=rss&utm_medium=feed', 'https://www.bbc.co.uk/news/a'],
+    ['drops prefixed and listed trackers', 'https://news.test/a?at_medium=x&ns_campaign=y&fbclid=z&cmp=1', 'https://news.test/a'],
+    ['keeps parameters that identify the article', 'https://news.test/story?id=42&utm_campaign=x&page=2', 'https://news.test/story?id=42&page=2'],
+    ['matches tracker names in any case', 'https://news.test/a?UTM_Source=rss&GCLID=1', 'https://news.test/a'],
+    ['drops the fragment', 'https://news.test/a#comments', 'https://news.test/a'],
+    ['lowercases the host', 'https://News.Example.TEST/Path/Case', 'https://news.example.test/Path/Case'],
+    ['keeps trailing slashes in links', 'https://news.test/section/', 'https://news.test/section/'],
+    ['trims whitespace', '  https://news.test/a  ', 'https://news.test/a']
+  ])('%s', (description, value, expected) => {
+    expect(normalizeUrl(value)).toBe(expected);
+  });
+
+  test.each([
+    ['relative paths', '/news/a?utm_source=x', 'https://news.test/section/', 'https://news.test/news/a'],
+    ['protocol-relative links', '//cdn.news.test/a', 'https://news.test/', 'https://cdn.news.test/a'],
+    ['paths relative to the page', 'b', 'https://news.test/section/a', 'https://news.test/section/b']
+  ])('resolves %s against the base', (description, value, base, expected) => {
+    expect(normalizeUrl(value, { base })).toBe(expected);
+  });
+
+  test.each([
+    ['empty values', ''],
+    ['other schemes', 'javascript:alert(1)'],
+    ['mail links', 'mailto:news@news.test'],
+    ['relative paths without a base', '/news/a'],
+    ['garbage', 'not a url']
+  ])('returns null for %s', (description, value) => {
+    expect(normalizeUrl(value)).toBeNull();
+  });
+});
+
+describe('isTrackingParam', () => {
+  test.each([
+    ['utm_source', true],
+    ['utm_anything_else', true],
+    ['_ga', true],
+    ['id', false],
+    ['ref', false],
+    ['src', false],
+    ['page', false],
+    ['utm', false],
+    ['reference', false]
+  ])('%s is %s', (name, expected) => {
+    expect(isTrackingParam(name)).toBe(expected);
+  });
+});
+
+describe('canonicalKey', () => {
+  test.each([
+    ['the scheme', 'http://news.test/a', 'https://news.test/a'],
+    ['www.', 'https://www.news.test/a', 'https://news.test/a'],
+    ['host case', 'https://NEWS.test/a', 'https://news.test/a'],
+    ['trailing slashes', 'https://news.test/a/', 'https://news.test/a'],
+    ['repeated trailing slashes', 'https://news.test/a//', 'https://news.test/a'],
+    ['tracking parameters', 'https://news.test/a?utm_source=rss&fbclid=1', 'https://news.test/a'],
+    ['parameter order', 'https://news.test/a?b=2&a=1', 'https://news.test/a?a=1&b=2'],
+    ['fragments', 'https://news.test/a#top', 'https://news.test/a']
+  ])('ignores %s', (description, a, b) => {
+    expect(canonicalKey(a)).toBe(canonicalKey(b));
+  });
+
+  test.each([
+    ['paths', 'https://news.test/a', 'https://news.test/b'],
+    ['path case', 'https://news.test/A', 'https://news.test/a'],
+    ['subdomains', 'https://news.test/a', 'https://sport.news.test/a'],
+    ['identifying parameters', 'https://news.test/a?id=1', 'https://news.test/a?id=2'],
+    ['ref and src parameters', 'https://news.test/story?ref=1&src=a', 'https://news.test/story?ref=2&src=a']
+  ])('tells apart %s', (description, a, b) => {
+    expect(canonicalKey(a)).not.toBe(canonicalKey(b));
+  });
+});
+
+describe('canonicalFromPage', () => {
+  function page(head) {
+    return cheerio.load(`<html><head>${head}</head><body></body></html>`);
+  }
+
+  test('resolves and cleans the page\'s canonical link', () => {
+    const $ = page('<link rel="canonical" href="/news/a?utm_source=page">');
+    expect(canonicalFromPage($, 'https://www.news.test/news/a?amp=1')).toBe('https://www.news.test/news/a');
+  });
+
+  test('accepts other hosts of the same site', () => {
+    const $ = page('<link rel="canonical" href="https://www.news.test/a">');
+    expect(canonicalFromPage($, 'https://amp.news.test/a')).toBe('https://www.news.test/a');
+  });
+
+  test('ignores canonical links to other sites', () => {
+    const $ = page('<link rel="canonical" href="https://aggregator.test/a">');
+    expect(canonicalFromPage($, 'https://news.test/a')).toBeNull();
+  });
+
+  test('returns null without a canonical link', () => {
+    expect(canonicalFromPage(page(''), 'https://news.test/a')).toBeNull();
+  });
+});
+
+test('resolveUrl keeps only http(s) URLs', () => {
+  expect(resolveUrl('ftp://news.test/a')).toBeNull();
+  expect(resolveUrl('http://news.test/a')).toBe('http://news.test/a');
+});
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+const mockFetch = jest.fn();
+jest.mock('../lib/safeFetch', () => ({
+  ...jest.requireActual('../lib/safeFetch'),
+  createSafeFetch: () => mockFetch
+}));
+
+const { UnsafeUrlError } = require('../lib/safeFetch');
+const { createSecret, sign, sendWebhook } = require('../lib/webhooks');
+
+// How a receiver checks a request, written out independently
+function expectedSignature(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+afterEach(() => mockFetch.mockReset());
+
+describe('sign', () => {
+  const secret = createSecret();
+  const body = JSON.stringify({ event: 'alert.match', rule: { id: 1 } });
+
+  test('is an HMAC-SHA256 of "<timestamp>.<body>"', () => {
+    expect(sign(secret, 1760000000, body)).toBe(expectedSignature(secret, 1760000000, body));
+    expect(sign(secret, 1760000000, body)).toMatch(/^sha256=[0-9a-f]{64}$/);
+  });
+
+  test('changes with the timestamp, the body and the secret', () => {
+    const signature = sign(secret, 1760000000, body);
+    expect(sign(secret, 1760000001, body)).not.toBe(signature);
+    expect(sign(secret, 1760000000, `${body} `)).not.toBe(signature);
+    expect(sign(createSecret(), 1760000000, body)).not.toBe(signature);
+  });
+
+  test('secrets are 32 random bytes in hex', () => {
+    expect(createSecret()).toMatch(/^[0-9a-f]{64}$/);
+    expect(createSecret()).not.toBe(createSecret());
+  });
+});
+
+describe('sendWebhook', () => {
+  const secret = createSecret();
+  const body = JSON.stringify({ event: 'alert.match' });
+
+  test('POSTs the body signed with the time it was sent', async () => {
+    mockFetch.mockResolvedValue({ status: 204, headers: {}, data: '' });
+    const before = Math.floor(Date.now() / 1000);
+
+    const outcome = await sendWebhook('https://hooks.test/alerts', secret, { id: 42, body });
+    expect(outcome).toEqual({ ok: true, status: 204, error: null, retryable: false });
+
+    const [url, options] = mockFetch.mock.calls[0];
+    expect(url).toBe('https://hooks.test/alerts');
+    expect(options).toMatchObject({ method: 'POST', body });
+    const headers = options.headers;
+    expect(headers['Content-Type']).toBe('application/json');
+    expect(headers['X-Webhook-Id']).toBe('42');
+    const timestamp = parseInt(headers['X-Webhook-Timestamp'], 10);
+    expect(timestamp).toBeGreaterThanOrEqual(before);
+    expect(timestamp).toBeLessThanOrEqual(Math.floor(Date.now() / 1000));
+    expect(headers['X-Webhook-Signature']).toBe(expectedSignature(secret, timestamp, body));
+  });
+
+  function httpError(status) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.status = status;
+    return error;
+  }
+
+  test.each([
+    ['server errors', httpError(503), { status: 503, retryable: true }],
+    ['rate limiting', httpError(429), { status: 429, retryable: true }],
+    ['request timeouts', httpError(408), { status: 408, retryable: true }],
+    ['other client errors', httpError(404), { status: 404, retryable: false }],
+    ['DNS failures', new UnsafeUrlError('Could not resolve host', 'dns'), { status: null, retryable: true }],
+    ['timeouts', new UnsafeUrlError('Request timed out', 'timeout'), { status: null, retryable: true }],
+    ['private addresses', new UnsafeUrlError('Address not allowed', 'address'), { status: null, retryable: false }],
+    ['redirects', new UnsafeUrlError('Too many redirects', 'redirect'), { status: null, retryable: false }],
+    ['dropped connections', new Error('socket hang up'), { status: null, retryable: true }]
+  ])('reports %s', async (description, error, expected) => {
+    mockFetch.mockRejectedValue(error);
+    const outcome = await sendWebhook('https://hooks.test/alerts', secret, { id: 1, body });
+    expect(outcome).toMatchObject({ ok: false, ...expected });
+    expect(outcome.error).toEqual(expect.any(String));
+  });
+});